@@ -0,0 +1,143 @@
+// Amortization.js – Native amortization math (PMT/IPMT/PPMT) used in place of spreadsheet formulas
+
+/**
+ * Future value of a series of equal payments, matching the spreadsheet FV function.
+ * @param {number} rate – Interest rate per period.
+ * @param {number} nper – Number of periods.
+ * @param {number} payment – Payment made each period (negative for money paid out).
+ * @param {number} pv – Present value (positive for a loan received).
+ * @param {number} [type=0] – Payment timing: 0 = end of period, 1 = beginning of period.
+ * @returns {number}
+ */
+function futureValue(rate, nper, payment, pv, type = 0) {
+  if (rate === 0) {
+    return -(pv + payment * nper);
+  }
+  const growth = Math.pow(1 + rate, nper);
+  return -(pv * growth + payment * (1 + rate * type) * (growth - 1) / rate);
+}
+
+/**
+ * Periodic payment for a loan, matching the spreadsheet PMT function
+ * (a positive present value yields a negative payment).
+ * @param {number} rate – Interest rate per period.
+ * @param {number} nper – Total number of payment periods.
+ * @param {number} pv – Present value (loan principal).
+ * @param {number} [fv=0] – Balance left after the last payment (e.g., a balloon).
+ * @param {number} [type=0] – Payment timing: 0 = end of period, 1 = beginning of period.
+ * @returns {number}
+ */
+function pmt(rate, nper, pv, fv = 0, type = 0) {
+  if (!nper) return 0;
+  if (rate === 0) {
+    return -(pv + fv) / nper;
+  }
+  const growth = Math.pow(1 + rate, nper);
+  return -(rate * (fv + pv * growth)) / ((1 + rate * type) * (growth - 1));
+}
+
+/**
+ * Interest portion of payment `per`, matching the spreadsheet IPMT function.
+ * @param {number} rate – Interest rate per period.
+ * @param {number} per – Period number (1-based).
+ * @param {number} nper – Total number of payment periods.
+ * @param {number} pv – Present value (loan principal).
+ * @param {number} [fv=0] – Balance left after the last payment.
+ * @param {number} [type=0] – Payment timing: 0 = end of period, 1 = beginning of period.
+ * @returns {number}
+ */
+function ipmt(rate, per, nper, pv, fv = 0, type = 0) {
+  if (per < 1 || per > nper) return 0;
+  const payment = pmt(rate, nper, pv, fv, type);
+  let balanceTerm;
+  if (per === 1) {
+    // With payments in advance nothing has accrued yet on the first payment
+    balanceTerm = (type === 1) ? 0 : -pv;
+  } else if (type === 1) {
+    balanceTerm = futureValue(rate, per - 2, payment, pv, 1) - payment;
+  } else {
+    balanceTerm = futureValue(rate, per - 1, payment, pv, 0);
+  }
+  return balanceTerm * rate;
+}
+
+/**
+ * Principal portion of payment `per`, matching the spreadsheet PPMT function.
+ * @param {number} rate – Interest rate per period.
+ * @param {number} per – Period number (1-based).
+ * @param {number} nper – Total number of payment periods.
+ * @param {number} pv – Present value (loan principal).
+ * @param {number} [fv=0] – Balance left after the last payment.
+ * @param {number} [type=0] – Payment timing: 0 = end of period, 1 = beginning of period.
+ * @returns {number}
+ */
+function ppmt(rate, per, nper, pv, fv = 0, type = 0) {
+  if (per < 1 || per > nper) return 0;
+  return pmt(rate, nper, pv, fv, type) - ipmt(rate, per, nper, pv, fv, type);
+}
+
+/**
+ * Build a full amortization table with positive (borrower-facing) amounts.
+ * Without rounding the splits equal -IPMT/-PPMT exactly. With `roundTo` set, the payment and
+ * each period's interest are rounded to that many decimals, principal is the remainder of the
+ * payment, and the final period absorbs any residual so the balance lands on `futureValue`.
+ * @param {number} principal – Amount being amortized.
+ * @param {number} rate – Interest rate per period.
+ * @param {number} nper – Number of payment periods.
+ * @param {Object} [options] – { futureValue, paymentTiming (0 = end, 1 = beginning), roundTo (decimals) }.
+ * @returns {Array<{ period: number, payment: number, interest: number, principal: number, balance: number }>}
+ */
+function buildAmortizationSchedule(principal, rate, nper, options = {}) {
+  const fv = options.futureValue || 0;
+  const type = options.paymentTiming === 1 ? 1 : 0;
+  const roundTo = (typeof options.roundTo === 'number') ? options.roundTo : null;
+  const round = (val) => {
+    if (roundTo === null) return val;
+    const factor = Math.pow(10, roundTo);
+    return Math.round(val * factor) / factor;
+  };
+
+  const rows = [];
+  if (!nper || nper < 1) return rows;
+  // FV is the balance remaining after the final payment, so it's passed through with PMT's sign
+  const payment = round(-pmt(rate, nper, principal, -fv, type));
+  let balance = principal;
+
+  for (let per = 1; per <= nper; per++) {
+    let interest, principalPortion;
+    if (roundTo === null) {
+      interest = -ipmt(rate, per, nper, principal, -fv, type);
+      principalPortion = -ppmt(rate, per, nper, principal, -fv, type);
+    } else {
+      interest = (type === 1 && per === 1) ? 0 : round(balance * rate);
+      principalPortion = round(payment - interest);
+      if (per === nper) {
+        // True-up: final payment clears whatever rounding left behind
+        principalPortion = round(balance - fv);
+      }
+    }
+    balance = (roundTo === null) ? balance - principalPortion : round(balance - principalPortion);
+    rows.push({
+      period: per,
+      payment: interest + principalPortion,
+      interest: interest,
+      principal: principalPortion,
+      balance: balance
+    });
+  }
+  return rows;
+}
+
+// Export for Node tests; in Apps Script these are exposed through a global Amortization object
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { futureValue, pmt, ipmt, ppmt, buildAmortizationSchedule };
+} else {
+  if (typeof Amortization === 'undefined') {
+    this.Amortization = {};
+  }
+  Amortization.futureValue = futureValue;
+  Amortization.pmt = pmt;
+  Amortization.ipmt = ipmt;
+  Amortization.ppmt = ppmt;
+  Amortization.buildAmortizationSchedule = buildAmortizationSchedule;
+}
@@ -0,0 +1,107 @@
+// DayCount.js – Named day-count conventions (Actual/360, Actual/365 Fixed, Actual/Actual ISDA, 30/360 US, 30E/360)
+
+// Conventions accepted in J4 besides the original "Actual" (actual days ÷ K4) and "Periodic"
+// (30-day months ÷ K4). `thirty` selects the 30-day month rules; `basis` is the days per year
+// (null for Actual/Actual ISDA, which uses 365 or 366 depending on the calendar year).
+const DAY_COUNT_CONVENTIONS = {
+  "Actual/360"         : { thirty: null, basis: 360  },
+  "Actual/365 Fixed"   : { thirty: null, basis: 365  },
+  "Actual/Actual ISDA" : { thirty: null, basis: null },
+  "30/360 US"          : { thirty: "US", basis: 360  },
+  "30E/360"            : { thirty: "E",  basis: 360  }
+};
+
+/**
+ * Settings for a named convention, or null for "Actual", "Periodic" or anything unrecognized.
+ */
+function getDayCountConvention(name) {
+  return DAY_COUNT_CONVENTIONS[name] || null;
+}
+
+// Whole days since the epoch for the calendar date (UTC, so DST changes never shorten a day)
+function dayNumber(date) {
+  return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000);
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function isLastDayOfFebruary(date) {
+  return date.getMonth() === 1 && date.getDate() === (isLeapYear(date.getFullYear()) ? 29 : 28);
+}
+
+/**
+ * 30/360 day count between two dates.
+ * "US" (bond basis): D1 on the last day of February or the 31st becomes 30; D2 on the last day of
+ * February becomes 30 when D1 was also the last day of February; D2 on the 31st becomes 30 when D1 is 30.
+ * "E" (Eurobond): any 31st becomes 30.
+ */
+function days30360(startDate, endDate, rule) {
+  let d1 = startDate.getDate();
+  let d2 = endDate.getDate();
+  if (rule === "US") {
+    if (isLastDayOfFebruary(startDate) && isLastDayOfFebruary(endDate)) d2 = 30;
+    if (isLastDayOfFebruary(startDate)) d1 = 30;
+    if (d2 === 31 && d1 >= 30) d2 = 30;
+    if (d1 === 31) d1 = 30;
+  } else {
+    if (d1 === 31) d1 = 30;
+    if (d2 === 31) d2 = 30;
+  }
+  return 360 * (endDate.getFullYear() - startDate.getFullYear())
+       + 30 * (endDate.getMonth() - startDate.getMonth())
+       + (d2 - d1);
+}
+
+/**
+ * Days of accrual from startDate to endDate under a named convention: the 30/360 count for the
+ * 30-day conventions, otherwise actual days. startDate is the last day already accrued (the closing
+ * date or the previous period end), so Jan 15 → Feb 14 is 30 days.
+ */
+function dayCount(convention, startDate, endDate) {
+  if (endDate <= startDate) return 0;
+  if (convention.thirty) {
+    return days30360(startDate, endDate, convention.thirty);
+  }
+  return dayNumber(endDate) - dayNumber(startDate);
+}
+
+/**
+ * Fraction of a year from startDate to endDate under a named convention (see dayCount for the
+ * date semantics). Actual/Actual ISDA divides the days falling in each calendar year by that
+ * year's length (365 or 366).
+ */
+function yearFraction(convention, startDate, endDate) {
+  if (endDate <= startDate) return 0;
+  if (convention.basis) {
+    return dayCount(convention, startDate, endDate) / convention.basis;
+  }
+  let fraction = 0;
+  const startDay = dayNumber(startDate);
+  const endDay = dayNumber(endDate);
+  for (let year = startDate.getFullYear(); year <= endDate.getFullYear(); year++) {
+    // Days (startDay, endDay] that fall in this calendar year
+    const yearStart = dayNumber(new Date(year, 0, 1)) - 1;
+    const yearEnd = dayNumber(new Date(year, 11, 31));
+    const days = Math.min(endDay, yearEnd) - Math.max(startDay, yearStart);
+    if (days > 0) {
+      fraction += days / (isLeapYear(year) ? 366 : 365);
+    }
+  }
+  return fraction;
+}
+
+// Export for Node tests; in Apps Script these are exposed through a global DayCount object
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DAY_COUNT_CONVENTIONS, getDayCountConvention, days30360, dayCount, yearFraction };
+} else {
+  if (typeof DayCount === 'undefined') {
+    this.DayCount = {};
+  }
+  DayCount.DAY_COUNT_CONVENTIONS = DAY_COUNT_CONVENTIONS;
+  DayCount.getDayCountConvention = getDayCountConvention;
+  DayCount.days30360 = days30360;
+  DayCount.dayCount = dayCount;
+  DayCount.yearFraction = yearFraction;
+}
@@ -0,0 +1,3261 @@
+/*********************************************************************************
+ LoanEngine.js – Sheet-free loan engine (terms + payments in, schedule out)
+ *********************************************************************************/
+
+// Import LoanHelpers, Amortization and DayCount modules (for Node.js/testing environment). In Apps Script, they are loaded globally via separate file includes.
+var LoanHelpers;
+var Amortization;
+var DayCount;
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && module.exports) {
+    LoanHelpers = require('./LoanHelpers.js');
+    Amortization = require('./Amortization.js');
+    DayCount = require('./DayCount.js');
+}
+
+// ---------------------
+// 1) SCHEDULE FIELDS & PAYMENT FREQUENCIES
+// ---------------------
+// Field names for each schedule row, in column order B..T, then the row's Fees Posted (AR).
+const SCHEDULE_FIELDS = [
+  'period',           // B
+  'periodEnd',        // C
+  'dueDate',          // D
+  'days',             // E
+  'paidOn',           // F
+  'totalDue',         // G
+  'totalPaid',        // H
+  'principalDue',     // I
+  'principalPaid',    // J
+  'interestDue',      // K
+  'interestPaid',     // L
+  'feesDue',          // M
+  'feesPaid',         // N
+  'interestBalance',  // O
+  'principalBalance', // P
+  'totalBalance',     // Q
+  'notes',            // R
+  'rate',             // S (annual rate in effect for the period)
+  'amountReceived',   // T (one payment amount, split into J/L/N by the payment waterfall)
+  'feesPosted'        // AR (the part of Fees Due the engine posted: taken back and posted again on each recalculation)
+];
+
+// The most rows a schedule can hold: rows 8..500 of a loan sheet
+const MAX_SCHEDULE_ROWS = 493;
+
+// The money fields of a row (Total Due through Total Balance, Amount Received and Fees Posted): in
+// dollars on the sheet, in whole cents while the engine builds or recalculates the rows (see rowToCents)
+const MONEY_FIELDS = [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 18, 19];
+
+// Regular payment frequencies accepted in I4. Month-based frequencies step period ends by `months`
+// (using the monthly end-of-period rules); day-based ones step by a fixed number of `days`.
+// `periodDays` is the nominal period length used by the Periodic (30-day month) day count.
+// "Single Period" is not listed: it keeps monthly rows with everything due at maturity.
+const PAYMENT_FREQUENCIES = {
+  "Monthly"     : { months: 1,  days: 0,  periodsPerYear: 12, periodDays: 30  },
+  "Quarterly"   : { months: 3,  days: 0,  periodsPerYear: 4,  periodDays: 90  },
+  "Semi-Annual" : { months: 6,  days: 0,  periodsPerYear: 2,  periodDays: 180 },
+  "Annual"      : { months: 12, days: 0,  periodsPerYear: 1,  periodDays: 360 },
+  "Bi-Weekly"   : { months: 0,  days: 14, periodsPerYear: 26, periodDays: 14  },
+  "Weekly"      : { months: 0,  days: 7,  periodsPerYear: 52, periodDays: 7   }
+};
+
+// ---------------------
+// 2) DATE & PERIOD HELPERS
+// ---------------------
+
+/**
+ * Returns the integer number of days between two dates (ignoring time of day).
+ * The result is (endDate - startDate) / 86400000, rounded.
+ */
+function daysBetween(startDate, endDate) {
+  if (!(startDate instanceof Date) || !(endDate instanceof Date)) return 0;
+  const msPerDay = 24 * 3600 * 1000;
+  const s = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const e = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  return Math.round((e - s) / msPerDay);
+}
+
+/**
+ * Returns daysBetween(...) + 1, i.e., inclusive day count.
+ */
+// [REFINED] Centralize “inclusive” day counting.
+function daysBetweenInclusive(startDate, endDate) {
+  return daysBetween(startDate, endDate) + 1;
+}
+
+/**
+ * Get the last day of the same month as dateObj.
+ */
+function getLastDayOfMonth(dateObj) {
+  return new Date(dateObj.getFullYear(), dateObj.getMonth() + 1, 0);
+}
+
+/**
+ * Get the last day of the month after adding `monthsToAdd`.
+ * For example, if dateObj=3/14/2024 and monthsToAdd=1 => returns 4/30/2024.
+ */
+function getLastDayAfterAddingMonths(dateObj, monthsToAdd) {
+  const year = dateObj.getFullYear();
+  const monthIndex = dateObj.getMonth() + monthsToAdd + 1;
+  const newYear = year + Math.floor(monthIndex / 12);
+  const newMonth = monthIndex % 12;
+  return new Date(newYear, newMonth, 0);
+}
+
+/**
+ * Returns a new Date that is exactly +1 day of the given `dateObj`.
+ */
+// [REFINED] Common single “+1 day” logic
+function oneDayAfter(dateObj) {
+  const d = new Date(dateObj);
+  d.setDate(d.getDate() + 1);
+  return d;
+}
+
+/**
+ * Returns a new Date that is exactly -1 day of the given `dateObj`.
+ */
+function oneDayBefore(dateObj) {
+  const d = new Date(dateObj);
+  d.setDate(d.getDate() - 1);
+  return d;
+}
+
+/**
+ * Checks whether the closingDate is an "edge" day for forcing No prorate (day=1 or day>28).
+ */
+function isEdgeDay(dateObj) {
+  const d = dateObj.getDate();
+  return (d === 1 || d > 28);
+}
+
+/**
+ * Return true if row is an unscheduled row (i.e., B-col is not an integer or period-end is blank).
+ */
+function isUnscheduledRow(rowArr) {
+  const periodNum = rowArr[0];
+  const periodEnd = rowArr[1];
+  if (!periodEnd) return true;
+  if (!Number.isInteger(periodNum)) return true;
+  return false;
+}
+
+// The exit-fee note written on the final row, e.g. "($1,000.00 Exit Fee)"
+const EXIT_FEE_NOTE = /\s*\(\$[\d,.]+ Exit Fee\)/;
+
+/**
+ * Post the exit fee on a scheduled row with its note when `isDue`: it is due on the maturity row only,
+ * so a payoff, or a deferral that moves maturity, leaves it off the row (after LoanHelpers.takeBackPostedFees).
+ * The row and params are in whole cents (see paramsInCents), as are those of the row writers below.
+ */
+function postExitFee(rowArr, params, isDue) {
+  rowArr[16] = String(rowArr[16] || "").replace(EXIT_FEE_NOTE, "").trim();
+  if (isDue && params.exitFee > 0) {
+    const exitFeeFmt = LoanHelpers.formatMoney(params.exitFee / 100);
+    LoanHelpers.postFee(rowArr, params.exitFee);
+    rowArr[16] = `(${exitFeeFmt} Exit Fee)` + (rowArr[16] ? ` ${rowArr[16]}` : "");
+  }
+}
+
+/**
+ * Post `fee` as the row's unused commitment fee with its "(Unused fee: $…)" note, like LoanHelpers.postLateFee.
+ */
+function postUnusedFee(rowArr, fee) {
+  LoanHelpers.setAmountNote(rowArr, "Unused fee", fee);
+  LoanHelpers.postFee(rowArr, fee);
+}
+
+/**
+ * Note the credit a revolving line has left after `balance` ("(Available: $…)"), or, past the
+ * credit limit, by how much the balance is over it ("(Over limit: $…)").
+ */
+function noteAvailableCredit(rowArr, params, balance) {
+  const available = params.creditLimit - balance;
+  LoanHelpers.setAmountNote(rowArr, "Available", Math.max(0, available));
+  LoanHelpers.setAmountNote(rowArr, "Over limit", Math.max(0, -available));
+}
+
+/**
+ * The principal a revolving line bills on a `balance`: minPaymentPct of it, or more if the payment
+ * with `interestDue` would come to less than minPayment, but never more than the balance.
+ */
+function minimumPrincipalDue(params, balance, interestDue) {
+  return Math.min(balance, Math.max(balance * params.minPaymentPct, params.minPayment - interestDue, 0));
+}
+
+/**
+ * Average daily principal balance over periodStart..periodEnd (inclusive): `openingBalance` through
+ * the Paid On date of the first of `rows` (the period's unscheduled rows, in date order), then each
+ * row's principal balance (col P) from the day after it.
+ */
+function averageDailyBalance(openingBalance, rows, periodStart, periodEnd) {
+  const totalDays = daysBetweenInclusive(periodStart, periodEnd);
+  if (totalDays <= 0) return openingBalance;
+  let balance = openingBalance;
+  let from = periodStart;
+  let balanceDays = 0;
+  rows.forEach(row => {
+    balanceDays += balance * Math.max(0, daysBetweenInclusive(from, row[4]));
+    balance = row[14];
+    if (row[4] >= from) from = oneDayAfter(row[4]);
+  });
+  balanceDays += balance * Math.max(0, daysBetweenInclusive(from, periodEnd));
+  return balanceDays / totalDays;
+}
+
+// The fee-table fees financed or paid at closing, e.g. "(Doc fee of $250.00 paid at closing.)", and the
+// origination fee, prepaid interest and net proceeds notes that come before them on the first row
+const CLOSING_FEE_NOTE = /\s*\([^()$]+ of \$[\d,.]+ (added to Principal|paid at closing)\.\)/g;
+const LEADING_CLOSING_NOTES = /^(\s*\([^()]*(Origination Fee|Prepaid Interest|Net proceeds)[^()]*\))*/;
+
+/**
+ * Note the fee-table fees financed or paid at closing on the first row, after its origination fee
+ * and prepaid interest notes, replacing the notes an earlier build or recalculation made.
+ */
+function noteClosingFees(rowArr, params) {
+  const notes = String(rowArr[16] || "").replace(CLOSING_FEE_NOTE, "").trim();
+  const leading = notes.match(LEADING_CLOSING_NOTES)[0];
+  const feeNotes = (params.fees || []).filter(fee => fee.treatment !== "Billed").map(fee => {
+    const chargeFmt = LoanHelpers.formatMoney(fee.charge / 100);
+    return (fee.treatment === "Financed")
+      ? `(${fee.name} of ${chargeFmt} added to Principal.)`
+      : `(${fee.name} of ${chargeFmt} paid at closing.)`;
+  });
+  rowArr[16] = [leading.trim(), ...feeNotes, notes.slice(leading.length).trim()].filter(Boolean).join(" ");
+}
+
+// The fee-table fees billed on a row, e.g. "(Fees: Servicing fee $100.00; Wire fee $25.00)"
+const TABLE_FEES_NOTE = /\s*\(Fees: ([^)]*)\)/;
+
+/**
+ * Post the fee-table fees billed on a row (`charges`, `[{ name, amount }]` in whole cents) to Fees Due
+ * with one "(Fees: …)" note, replacing the note an earlier recalculation wrote; no charges just removes it.
+ */
+function postTableFees(rowArr, charges) {
+  let notes = String(rowArr[16] || "").replace(TABLE_FEES_NOTE, "").trim();
+  // A fee falling due more than once in the period is billed once, for the total
+  const byName = {};
+  charges.forEach(charge => { byName[charge.name] = (byName[charge.name] || 0) + charge.amount; });
+  const posted = Object.keys(byName)
+    .map(name => ({ name, amount: byName[name] }))
+    .filter(charge => charge.amount > 0);
+  if (posted.length > 0) {
+    const note = `(Fees: ${posted.map(charge => `${charge.name} ${LoanHelpers.formatMoney(charge.amount / 100)}`).join("; ")})`;
+    notes = notes ? `${notes} ${note}` : note;
+  }
+  rowArr[16] = notes;
+  LoanHelpers.postFee(rowArr, posted.reduce((sum, charge) => sum + charge.amount, 0));
+}
+
+/**
+ * Post the fees billed on a row of period `periodNum`, after taking back the ones an earlier
+ * recalculation posted (its Fees Posted, see LoanHelpers.takeBackPostedFees): the installment's late fee
+ * (through `fees.maturityPeriod`, as of `fees.asOfDate`), the exit fee and "At Payoff" fees on the
+ * final row (`finalMaturity`, sized on `fees.balance`), the `fees.unusedFee` accrued and the
+ * fee-table `fees.charges` falling due in the period.
+ * @returns {number} The late fee posted (0 without one).
+ */
+function postPeriodFees(rowArr, params, periodNum, finalMaturity, fees) {
+  const isInstallment = Number.isInteger(periodNum) && periodNum >= 1;
+  const charges = fees.charges.slice();
+  let lateFee = 0;
+  LoanHelpers.takeBackPostedFees(rowArr);
+  if (isInstallment && periodNum <= fees.maturityPeriod) {
+    lateFee = LoanHelpers.calcLateFee(rowArr, params, fees.asOfDate);
+    LoanHelpers.postLateFee(rowArr, lateFee);
+  }
+  if (isInstallment) {
+    postExitFee(rowArr, params, periodNum === finalMaturity);
+    if (periodNum === finalMaturity) {
+      (params.fees || []).filter(fee => fee.timing === "At Payoff").forEach(fee => charges.push({
+        name: fee.name, amount: LoanHelpers.roundCents(feeCharge(fee, fees.balance), params.roundingMethod)
+      }));
+    }
+  }
+  postUnusedFee(rowArr, fees.unusedFee);
+  postTableFees(rowArr, charges);
+  return lateFee;
+}
+
+// The flag on a deferred installment's row
+const DEFERRAL_NOTE = /\s*\((Deferred|Forborne)\)/;
+
+// The flag on the first row under a loan modification's new terms, and on rows past maturity
+const MODIFICATION_NOTE = /\s*\(Loan modified\)/;
+const PAST_MATURITY_NOTE = /\s*\(Past maturity\)/;
+
+// The notes on the rows where rate steps take effect (see formatRateStepNote)
+const RATE_STEP_NOTE = /\s*\(Rate step: [^)]*\)/g;
+
+/**
+ * Return true if the user recorded a payment on the row (Paid On, Principal/Interest/Fees Paid or Amount Received).
+ */
+function rowHasPayment(rowArr) {
+  return (rowArr[4] instanceof Date && !isNaN(rowArr[4]))
+    || (rowArr[8] || 0) > 0 || (rowArr[10] || 0) > 0 || (rowArr[12] || 0) > 0
+    || typeof rowArr[18] === 'number';
+}
+
+/**
+ * The date a schedule (first `lastUsedRowIndex` rows) is figured as of: params.asOfDate, or without
+ * one the latest Paid On date recorded, or the closing date if nothing has been paid. Never the
+ * current date, so the same terms and payments always give the same schedule.
+ */
+function scheduleAsOfDate(allRows, lastUsedRowIndex, params) {
+  if (params.asOfDate) return params.asOfDate;
+  return allRows.slice(0, lastUsedRowIndex)
+    .map(row => row[4])
+    .filter(paidOn => paidOn instanceof Date && !isNaN(paidOn))
+    .reduce((latest, paidOn) => (paidOn > latest ? paidOn : latest), params.closingDate);
+}
+
+/**
+ * Finds the last scheduled row's 'Period End Date' going backward from rowIndex in schedule.
+ */
+function findLastScheduledEnd(schedule, rowIndex) {
+  for (let i = rowIndex; i >= 0; i--) {
+    const periodNum = schedule[i][0];
+    const endVal    = schedule[i][1];
+    if (Number.isInteger(periodNum) && endVal instanceof Date && !isNaN(endVal)) {
+      return endVal;
+    }
+  }
+  return null;
+}
+
+/**
+ * Calculates the inclusive day count from periodStart..periodEnd,
+ * minus any 'prepaidUntil' portion (if applicable).
+ */
+function calcUnpaidDays(periodStart, periodEnd, prepaidUntil) {
+  if (!(periodEnd instanceof Date) || isNaN(periodEnd)) {
+    return 0;
+  }
+  const raw = daysBetweenInclusive(periodStart, periodEnd);
+  if (!prepaidUntil) {
+    return raw;
+  }
+  if (periodEnd < prepaidUntil) {
+    return 0;
+  }
+  if (periodStart >= prepaidUntil) {
+    return raw;
+  }
+  const afterPrepaid = new Date(prepaidUntil);
+  return daysBetweenInclusive(afterPrepaid, periodEnd);
+}
+
+/**
+ * Gets the overlapping day count for schedule[r] using the logic in the original code.
+ */
+function getOverlapDays(r, schedule, params) {
+  const rowArr    = schedule[r];
+  const periodNum = rowArr[0];
+  const periodEnd = rowArr[1];
+
+  if (!Number.isInteger(periodNum) || !periodEnd) {
+    return 0; // unscheduled row or blank date
+  }
+
+  // Named day-count convention: count the unpaid days the same way interest accrues
+  const convention = DayCount.getDayCountConvention(params.dayCountMethod);
+  if (convention) {
+    const lastEnd = findLastScheduledEnd(schedule, r - 1);
+    let lastAccrued = lastEnd || params.closingDate;
+    if (r === 0 && params.prorateFirst === "Yes") {
+      lastAccrued = oneDayBefore(params.closingDate);
+    }
+    if (params.prepaidUntil && periodEnd < params.prepaidUntil) return 0;
+    if (params.prepaidUntil && lastAccrued < oneDayBefore(params.prepaidUntil)) {
+      lastAccrued = oneDayBefore(params.prepaidUntil);
+    }
+    return DayCount.dayCount(convention, lastAccrued, periodEnd);
+  }
+
+  if (params.paymentFreq === "Single Period") {
+    // Single Period:
+    if (r === 0) {
+      return calcUnpaidDays(params.closingDate, periodEnd, params.prepaidUntil);
+    }
+    const lastEnd = findLastScheduledEnd(schedule, r - 1);
+    if (lastEnd) {
+      const ps = oneDayAfter(lastEnd);
+      return calcUnpaidDays(ps, periodEnd, params.prepaidUntil);
+    }
+    // fallback
+    return calcUnpaidDays(params.closingDate, periodEnd, params.prepaidUntil);
+  }
+
+  // Monthly:
+  if (params.dayCountMethod === "Periodic") {
+    // If first row and "Prorate = Yes," do a true difference.
+    if (r === 0 && params.prorateFirst === "Yes") {
+      return calcUnpaidDays(params.closingDate, periodEnd, params.prepaidUntil);
+    }
+    // If no prepaid date, just return 30.
+    if (!params.prepaidUntil) {
+      return 30;
+    }
+    // Otherwise, compute actual unpaid days, but cap at 30.
+    const lastEnd = findLastScheduledEnd(schedule, r - 1) || params.closingDate;
+    const periodStart = oneDayAfter(lastEnd);
+    const rawDays = calcUnpaidDays(periodStart, periodEnd, params.prepaidUntil);
+    return Math.min(rawDays, 30);
+  } else {
+    // dayCountMethod === "Actual"
+    const lastEnd = findLastScheduledEnd(schedule, r - 1);
+    if (lastEnd) {
+      const ps = oneDayAfter(lastEnd);
+      return calcUnpaidDays(ps, periodEnd, params.prepaidUntil);
+    }
+    return calcUnpaidDays(params.closingDate, periodEnd, params.prepaidUntil);
+  }
+}
+
+/**
+ * Returns the frequency settings for a Payment Frequency value. Anything that isn't a regular
+ * frequency (e.g. "Single Period" or a blank cell) is laid out in monthly rows.
+ */
+function getPaymentFrequency(paymentFreq) {
+  return PAYMENT_FREQUENCIES[paymentFreq] || PAYMENT_FREQUENCIES["Monthly"];
+}
+
+/**
+ * Number of regular periods in the term. An explicit `termPeriods` wins; otherwise `termMonths`
+ * is converted to periods of the given frequency (rounded up for month-based frequencies so the
+ * schedule covers the whole term).
+ */
+function calcTermPeriods(termMonths, termPeriods, frequency) {
+  if (termPeriods) return termPeriods;
+  if (!frequency || !termMonths) return termMonths;
+  if (frequency.days) {
+    return Math.round(termMonths * frequency.periodsPerYear / 12);
+  }
+  return Math.ceil(termMonths / frequency.months);
+}
+
+/**
+ * Returns the total number of rows to generate in the schedule (including 0 if prorated).
+ */
+function getTotalPeriods(params) {
+  // Through maturity, which deferred installments moved to the end of the term push back
+  const maturityPeriod = params.maturityPeriod || params.termPeriods || params.termMonths;
+  return (params.prorateFirst === "Yes")
+    ? maturityPeriod + 1
+    : maturityPeriod;
+}
+
+/**
+ * Calculates the Period End Date for the i‐th row if `prorateFirst=Yes`.
+ * Period 0 is the stub to month-end; each later period adds `monthsPerPeriod` months.
+ */
+function calcPeriodEndDate_Prorate(closingDate, i, monthsPerPeriod = 1) {
+  if (i === 0) {
+    return getLastDayOfMonth(closingDate);
+  } else {
+    return getLastDayAfterAddingMonths(closingDate, i * monthsPerPeriod);
+  }
+}
+
+/**
+ * Calculates the Period End Date for the given `periodNum` if `prorateFirst=No`.
+ * Each period covers `monthsPerPeriod` months (1 for Monthly, 3 for Quarterly, ...).
+ */
+function calcPeriodEndDate_NoProrate(closingDate, periodNum, monthsPerPeriod = 1) {
+  const day = closingDate.getDate();
+  const months = periodNum * monthsPerPeriod;
+  if (periodNum === 1) {
+    if (day === 1) {
+      // If the closing date is the 1st, the first period ends at the last day of its final month.
+      const baseDate = new Date(closingDate.getFullYear(), closingDate.getMonth() + months - 1, 1);
+      return getLastDayOfMonth(baseDate);
+    } else if (day > 28) {
+      // If the closing day is >28, the first period ends at the last day of the following month.
+      return getLastDayAfterAddingMonths(closingDate, months);
+    } else {
+      // Otherwise, use the “day-1” logic (e.g., a closing date of 15 will end on the 14th of next month).
+      const m = new Date(closingDate.getFullYear(), closingDate.getMonth() + months, day);
+      m.setDate(m.getDate() - 1);
+      return m;
+    }
+  } else {
+    // For subsequent periods, you might want to continue a similar logic.
+    if (day === 1) {
+      // For a closing day of 1, each period's end is the last day of the month for the month in question.
+      const baseDate = new Date(closingDate.getFullYear(), closingDate.getMonth() + months - 1, 1);
+      return getLastDayOfMonth(baseDate);
+    } else if (day > 28) {
+      return getLastDayAfterAddingMonths(closingDate, months);
+    } else {
+      const t = new Date(closingDate.getFullYear(), closingDate.getMonth() + months, day);
+      t.setDate(t.getDate() - 1);
+      return t;
+    }
+  }
+}
+
+/**
+ * Calculates the Period End Date for weekly/bi-weekly schedules (`daysPerPeriod` days each).
+ * Without prorate, period N ends N × daysPerPeriod days after closing (less one day).
+ * With prorate, period 0 is the stub to month-end and regular periods start on the 1st of the next month.
+ */
+function calcPeriodEndDate_Days(closingDate, periodNum, daysPerPeriod, prorateFirst) {
+  if (prorateFirst === "Yes") {
+    if (periodNum === 0) {
+      return getLastDayOfMonth(closingDate);
+    }
+    // 1st of next month + periodNum × daysPerPeriod days, less one day
+    return new Date(closingDate.getFullYear(), closingDate.getMonth() + 1, periodNum * daysPerPeriod);
+  }
+  return new Date(closingDate.getFullYear(), closingDate.getMonth(), closingDate.getDate() + periodNum * daysPerPeriod - 1);
+}
+
+/**
+ * Period End Date for the i-th row of the schedule, for the loan's payment frequency.
+ */
+function calcPeriodEndDate(params, i) {
+  const frequency = getPaymentFrequency(params.paymentFreq);
+  const prorate = (params.prorateFirst === "Yes");
+  const periodNum = prorate ? i : i + 1;
+  if (frequency.days) {
+    return calcPeriodEndDate_Days(params.closingDate, periodNum, frequency.days, params.prorateFirst);
+  }
+  return prorate
+    ? calcPeriodEndDate_Prorate(params.closingDate, i, frequency.months)
+    : calcPeriodEndDate_NoProrate(params.closingDate, periodNum, frequency.months);
+}
+/**
+ * Coerce a Date, an ISO "YYYY-MM-DD" string or a timestamp to a local-midnight-safe Date.
+ * Plain "YYYY-MM-DD" strings are read as local dates (not UTC) so period math matches the sheet.
+ * Returns null for blank or invalid values.
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (value instanceof Date) {
+    return isNaN(value) ? null : new Date(value);
+  }
+  if (typeof value === 'string') {
+    const m = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (m) {
+      return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    }
+  }
+  const d = new Date(value);
+  return isNaN(d) ? null : d;
+}
+
+// The loan amounts in params, in dollars (see paramsInCents)
+const MONEY_PARAMS = [
+  "principal", "commitment", "undrawnCommitment", "origFee", "origFeeAtClosing", "financedFee", "prepaidInterest",
+  "financedPrepaidInterest", "financedTableFees", "feesPaidAtClosing", "netProceeds", "exitFee",
+  "lateFeeFlat", "lateFeeMin", "lateFeeMax", "creditLimit", "minPayment"
+];
+
+/**
+ * Copy of the params with their amounts (MONEY_PARAMS, the draws, modifications and fee-table charges)
+ * in whole cents, rounded under params.roundingMethod, for the engine to build or recalculate the rows in.
+ */
+function paramsInCents(params) {
+  const cents = (amount) => LoanHelpers.toCents(amount, params.roundingMethod);
+  const converted = {};
+  MONEY_PARAMS.forEach(key => { if (typeof params[key] === 'number') converted[key] = cents(params[key]); });
+  converted.draws = (params.draws || []).map(draw => Object.assign({}, draw,
+    { amount: cents(draw.amount), reserve: cents(draw.reserve || 0) }));
+  converted.modifications = (params.modifications || []).map(mod => Object.assign({}, mod, {
+    payment: (typeof mod.payment === 'number') ? cents(mod.payment) : mod.payment,
+    principalChange: cents(mod.principalChange || 0)
+  }));
+  converted.fees = (params.fees || []).map(fee => Object.assign({}, fee,
+    { charge: (fee.charge !== null) ? cents(fee.charge) : null }));
+  return Object.assign({}, params, converted);
+}
+
+// Convert a row's money fields (MONEY_FIELDS) from dollars to whole cents, in place; blanks stay blank
+function rowToCents(rowArr, method) {
+  MONEY_FIELDS.forEach(idx => {
+    if (typeof rowArr[idx] === 'number') rowArr[idx] = LoanHelpers.toCents(rowArr[idx], method);
+  });
+}
+
+// Convert a row's money fields back from whole cents to dollars, in place
+function rowToDollars(rowArr) {
+  MONEY_FIELDS.forEach(idx => {
+    if (typeof rowArr[idx] === 'number') rowArr[idx] /= 100;
+  });
+}
+
+// ---------------------
+// 3) LOAN PARAMETERS
+// ---------------------
+
+/**
+ * Default trigger from AM4: "Maturity" (the loan isn't paid off at maturity), a number of days an
+ * installment is past due, or null when blank (no default interest and no rows past maturity).
+ */
+function parseDefaultTrigger(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  if (String(value).trim().toLowerCase() === "maturity") return "Maturity";
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`The default trigger must be "Maturity" or a number of days past due, not "${value}".`);
+  }
+  return days;
+}
+
+// How the origination fee or prepaid interest is paid at closing
+const CLOSING_TREATMENTS = ["Financed", "Withheld", "Paid in Cash"];
+
+// How amounts are rounded to whole cents (see LoanHelpers.roundCents)
+const ROUNDING_METHODS = ["Half-Up", "Banker's"];
+
+/**
+ * Build the full parameter set from plain loan terms (the same fields as the row-4 inputs),
+ * applying the forced overrides and derived values (financed fees, prepaid interest, exit fee).
+ * The terms object itself is not modified.
+ */
+function buildLoanParams(terms) {
+  const origFeePct = terms.origFeePct || 0;
+
+  const inputs = {
+    loanName       : terms.loanName || "",
+    borrowerName   : terms.borrowerName || "",
+    principal      : terms.principal,
+    closingDate    : toDate(terms.closingDate),
+    annualRate     : terms.annualRate,
+    paymentFreq    : terms.paymentFreq,
+    dayCountMethod : terms.dayCountMethod,
+    daysPerYear    : terms.daysPerYear,
+    termMonths     : terms.termMonths,
+    termPeriods    : terms.termPeriods || null,
+    amortMonths    : terms.amortMonths || null,
+    ioMonths       : terms.ioMonths || 0,
+    prorateFirst   : terms.prorateFirst,
+    amortizeYN     : terms.amortizeYN,
+
+    prepaidIntDate : toDate(terms.prepaidIntDate),
+
+    origFeePct       : origFeePct,
+    origFeePctString : terms.origFeePctString ||
+                       origFeePct.toLocaleString("en-US", { style: "percent", maximumFractionDigits: 2 }),
+    exitFeePct       : terms.exitFeePct || 0,
+
+    // How the origination fee and prepaid interest are paid: "Financed" (added to principal),
+    // "Withheld" (from the proceeds) or "Paid in Cash" (at closing)
+    origFeeTreatment    : terms.origFeeTreatment || "Financed",
+    prepaidIntTreatment : terms.prepaidIntTreatment || "Financed",
+
+    // How each accrual, due amount and balance is rounded to whole cents ("Half-Up" or "Banker's"),
+    // with the final installment taking up what the rounding leaves over
+    roundingMethod : terms.roundingMethod || "Half-Up",
+
+    // Floating rate (blank rateIndex => fixed rate)
+    rateIndex      : terms.rateIndex || "",
+    margin         : terms.margin || 0,
+    resetFrequency : terms.resetFrequency || "",
+    lookbackDays   : terms.lookbackDays || 0,
+    periodicCap    : terms.periodicCap || 0,
+    lifetimeCap    : terms.lifetimeCap || 0,
+    lifetimeFloor  : terms.lifetimeFloor || 0,
+    firstResetDate : toDate(terms.firstResetDate),
+
+    // How an Amount Received (col T) is split, and where any excess goes ("Principal" or "Suspense")
+    paymentWaterfall : LoanHelpers.parsePaymentWaterfall(terms.paymentWaterfall),
+    excessTo         : terms.excessTo || "Principal",
+
+    // Late fees: assessed on rows paid (or still unpaid) after the due date + grace days
+    graceDays       : terms.graceDays || 0,
+    lateFeeFlat     : terms.lateFeeFlat || 0,
+    lateFeePct      : terms.lateFeePct || 0,
+    lateFeeMin      : terms.lateFeeMin || 0,
+    lateFeeMax      : terms.lateFeeMax || 0,
+    lateFeeInterest : terms.lateFeeInterest || "No",
+    asOfDate        : toDate(terms.asOfDate),   // "today" for unpaid rows (blank => see scheduleAsOfDate)
+
+    // Default interest: defaultMargin over the contract rate once the trigger fires
+    defaultMargin  : terms.defaultMargin || 0,
+    defaultTrigger : parseDefaultTrigger(terms.defaultTrigger),
+
+    // Capitalized interest: unpaid interest added to principal ("No", "Each Due Date" or "On Dates"),
+    // and a PIK rate whose interest is always added to principal on each due date
+    capitalizeInterest  : terms.capitalizeInterest || "No",
+    capitalizationDates : (terms.capitalizationDates || [])
+                            .map(toDate)
+                            .filter(date => date)
+                            .sort((a, b) => a - b),
+    pikRate             : terms.pikRate || 0,
+
+    // Deferred (or forborne) installments: the periods skipped, where their amounts go ("End of Term",
+    // "Remaining Payments" or "Maturity") and whether the amounts set aside bear interest
+    deferrals         : terms.deferrals || [],
+    deferredAmountsTo : terms.deferredAmountsTo || "End of Term",
+    deferralInterest  : terms.deferralInterest || "No",
+
+    // Loan modifications: new terms (rate, maturity, payment, principal change) from an effective date on
+    modifications     : terms.modifications || [],
+
+    // Construction (delayed-draw) loans: the principal funds at closing and the draws after it, up to
+    // the commitment; the undrawn commitment is charged an annual fee, and amortization starts with
+    // the first period on or after the conversion date
+    commitment     : terms.commitment || 0,
+    draws          : terms.draws || [],
+    conversionDate : toDate(terms.conversionDate),
+    unusedFeePct   : terms.unusedFeePct || 0,
+
+    // Revolving line of credit (blank creditLimit => term loan): advances and repayments post as
+    // unscheduled rows, and each period bills interest on its average daily balance plus
+    // minPaymentPct of the balance, at least minPayment in all
+    creditLimit    : terms.creditLimit || 0,
+    minPaymentPct  : terms.minPaymentPct || 0,
+    minPayment     : terms.minPayment || 0,
+
+    // Fee table: { name, type, amount, timing, date, treatment } for each fee beyond origination and exit
+    fees           : terms.fees || [],
+
+    // Prepayment premium on principal paid ahead of schedule: "None", "Stepdown" (premiumSchedule
+    // lists the percentage of the amount prepaid for each loan year), "Yield Maintenance" (at least
+    // the one percentage in premiumSchedule, if any) or "Defeasance", both against treasuryRate; no
+    // prepaying during the first lockoutMonths, and no premium in the last openMonths before maturity
+    prepaymentPremium : terms.prepaymentPremium || "None",
+    premiumSchedule   : terms.premiumSchedule || "",
+    lockoutMonths     : terms.lockoutMonths || 0,
+    openMonths        : terms.openMonths || 0,
+    treasuryRate      : optionalNumber(terms.treasuryRate),
+
+    indexRates     : (terms.indexRates || [])
+                       .map(obs => ({ date: toDate(obs.date), rate: obs.rate }))
+                       .filter(obs => obs.date && typeof obs.rate === 'number')
+                       .sort((a, b) => a.date - b.date),
+
+    // Step rates (each step sets the annual rate from its effective date; E4 applies before the first)
+    rateSteps      : (terms.rateSteps || [])
+                       .map(step => ({ date: toDate(step.date), rate: step.rate }))
+                       .filter(step => step.date && typeof step.rate === 'number')
+                       .sort((a, b) => a.date - b.date)
+  };
+
+  if (["No", "Each Due Date", "On Dates"].indexOf(inputs.capitalizeInterest) < 0) {
+    throw new Error(`Capitalize Interest must be "No", "Each Due Date" or "On Dates", not "${inputs.capitalizeInterest}".`);
+  }
+  if (CLOSING_TREATMENTS.indexOf(inputs.origFeeTreatment) < 0) {
+    throw new Error(`The origination fee must be "Financed", "Withheld" or "Paid in Cash", not "${inputs.origFeeTreatment}".`);
+  }
+  if (CLOSING_TREATMENTS.indexOf(inputs.prepaidIntTreatment) < 0) {
+    throw new Error(`Prepaid interest must be "Financed", "Withheld" or "Paid in Cash", not "${inputs.prepaidIntTreatment}".`);
+  }
+  if (ROUNDING_METHODS.indexOf(inputs.roundingMethod) < 0) {
+    throw new Error(`Rounding must be "Half-Up" or "Banker's", not "${inputs.roundingMethod}".`);
+  }
+  if (inputs.excessTo !== "Principal" && inputs.excessTo !== "Suspense") {
+    throw new Error(`Excess payments must go to "Principal" or "Suspense", not "${inputs.excessTo}".`);
+  }
+
+  // Regular payment frequency (null for "Single Period")
+  inputs.frequency = PAYMENT_FREQUENCIES[inputs.paymentFreq] || null;
+
+  // [REFINED] Force "No" prorate if the day=1 or day>28 (month-end rules; weekly schedules don't need it)
+  if (isEdgeDay(inputs.closingDate) && !(inputs.frequency && inputs.frequency.days)) {
+    inputs.prorateFirst = "No";
+  }
+
+  // If single period => dayCount="Actual" (named conventions already count real dates), amortize="No"
+  if (inputs.paymentFreq === "Single Period") {
+    if (!DayCount.getDayCountConvention(inputs.dayCountMethod)) {
+      inputs.dayCountMethod = "Actual";
+    }
+    inputs.amortizeYN = "No";
+  }
+
+  // A revolving line bills interest and a minimum payment each period, never an amortized installment
+  inputs.isRevolving = inputs.creditLimit > 0;
+  if (inputs.creditLimit < 0) {
+    throw new Error(`The credit limit of "${inputs.creditLimit}" must be more than 0, or blank for a term loan.`);
+  }
+  if (inputs.isRevolving) {
+    if (!inputs.frequency) {
+      throw new Error("A revolving line needs a regular payment frequency.");
+    }
+    if (inputs.commitment || inputs.draws.length > 0 || inputs.conversionDate) {
+      throw new Error("A revolving line takes advances on the schedule, not draws against a commitment.");
+    }
+    inputs.amortizeYN = "No";
+  } else if (inputs.minPaymentPct || inputs.minPayment) {
+    throw new Error("A minimum payment applies only to a revolving line; enter a credit limit.");
+  }
+  if (!(inputs.minPaymentPct >= 0 && inputs.minPaymentPct <= 1) || !(inputs.minPayment >= 0)) {
+    throw new Error("The minimum payment needs a share of the balance from 0% to 100% and an amount of at least 0.");
+  }
+
+  // Named day-count conventions set their own year basis (K4 only applies to "Actual"/"Periodic")
+  inputs.dayCount = DayCount.getDayCountConvention(inputs.dayCountMethod);
+  if (inputs.dayCount) {
+    inputs.daysPerYear = inputs.dayCount.basis || 365;
+  }
+
+  // Term in payment periods (rows), from Term Periods or converted from Term Months
+  inputs.termPeriods = calcTermPeriods(inputs.termMonths, inputs.termPeriods, inputs.frequency);
+
+  // Amortization in payment periods: blank => the term; longer than the term => balloon at maturity
+  inputs.amortPeriods = inputs.amortMonths
+    ? calcTermPeriods(inputs.amortMonths, null, inputs.frequency)
+    : inputs.termPeriods;
+  if (inputs.amortPeriods < inputs.termPeriods) {
+    throw new Error("The amortization period can't be shorter than the loan term.");
+  }
+
+  // Interest-only periods at the start of an amortizing loan (amortization begins after them)
+  inputs.ioPeriods = (inputs.ioMonths && inputs.amortizeYN === "Yes" && inputs.frequency)
+    ? calcTermPeriods(inputs.ioMonths, null, inputs.frequency)
+    : 0;
+  if (inputs.conversionDate) {
+    // The periods before conversion are interest-only, as with IO Months
+    if (inputs.amortizeYN !== "Yes" || !inputs.frequency) {
+      throw new Error("Only amortizing loans with a regular payment frequency have a conversion date.");
+    }
+    if (inputs.ioMonths) {
+      throw new Error("A loan starts amortizing after its IO Months or on its conversion date, not both.");
+    }
+    if (inputs.conversionDate <= inputs.closingDate) {
+      throw new Error("The conversion date must come after closing.");
+    }
+    inputs.ioPeriods = periodDueOnOrAfter(inputs, inputs.conversionDate);
+    if (inputs.ioPeriods >= inputs.termPeriods) {
+      throw new Error("The conversion date must come before the final period.");
+    }
+  }
+  if (inputs.ioPeriods >= inputs.termPeriods && inputs.ioPeriods > 0) {
+    throw new Error("The interest-only period must end before the loan term does.");
+  }
+  inputs.isBalloon = inputs.amortizeYN === "Yes" && !!inputs.frequency && inputs.amortPeriods > inputs.termPeriods;
+
+  // Modifications apply from the first period starting on or after their effective date; the
+  // last one to set a maturity sets the term the schedule runs to
+  inputs.modifications = parseModifications(inputs);
+  const modifiedTerm = modifiedTermPeriods(inputs);
+
+  // Deferred installments; moved to the end of the term, they add a period each after the term
+  inputs.deferrals = parseDeferrals(inputs, modifiedTerm);
+  inputs.maturityPeriod = modifiedTerm
+    + (inputs.deferredAmountsTo === "End of Term" ? inputs.deferrals.length : 0);
+
+  // Draws after closing (validated against the principal before any fees are financed)
+  inputs.draws = parseDraws(inputs, modifiedTerm);
+  inputs.undrawnCommitment = inputs.commitment ? inputs.commitment - inputs.principal : 0; // at closing
+
+  // Fee-table fees (sized on the principal before any fees are financed)
+  inputs.fees = parseFees(inputs, inputs.maturityPeriod);
+  const cents = (amount) => LoanHelpers.roundToCents(amount, inputs.roundingMethod);
+  inputs.fees.forEach(fee => { if (fee.charge !== null) fee.charge = cents(fee.charge); });
+
+  // Prepayment premium and lockout terms (null when the loan has neither)
+  inputs.prepayment = parsePrepaymentTerms(inputs, inputs.maturityPeriod);
+
+  // Floating rate: the rate at each reset comes from the index series
+  inputs.isFloating = !!inputs.rateIndex;
+  inputs.rateResets = inputs.isFloating ? buildRateResets(inputs) : [];
+  if (inputs.isFloating && !inputs.firstResetDate && inputs.rateResets.length > 0) {
+    // No initial fixed period: the index sets the rate from closing
+    inputs.annualRate = inputs.rateResets[0].rate;
+  }
+  if (inputs.isFloating && inputs.rateSteps.length > 0) {
+    throw new Error("A loan can float on a rate index or follow a step-rate table, but not both.");
+  }
+
+  // Some rates:
+  Object.assign(inputs, withAnnualRate(inputs, inputs.annualRate));
+
+  // 1) Add orig fee to principal (a fee withheld or paid in cash is due and paid on the first row)
+  let financedFee = 0;
+  inputs.origFee = cents(inputs.principal * inputs.origFeePct);
+  inputs.origFeeAtClosing = 0;
+  if (inputs.origFee > 0 && inputs.origFeeTreatment === "Financed") {
+    financedFee = inputs.origFee;
+    inputs.principal += financedFee;
+  } else if (inputs.origFee > 0) {
+    inputs.origFeeAtClosing = inputs.origFee;
+  }
+
+  // 1b) Add fee-table fees financed at closing; note those paid at closing
+  const closingFees = (treatment) => inputs.fees
+    .filter(fee => fee.treatment === treatment)
+    .reduce((sum, fee) => sum + fee.charge, 0);
+  inputs.principal += closingFees("Financed");
+  inputs.financedTableFees = closingFees("Financed");
+  inputs.feesPaidAtClosing = closingFees("Paid at Closing");
+
+  // 2) Prepaid interest: financed, it is grossed up so the principal covers its own interest too
+  let financedPrepaidInterest = 0;
+  inputs.prepaidInterest = 0;
+  if (inputs.prepaidIntDate && inputs.daysPerYear && inputs.annualRate) {
+    const dayCount = daysBetweenInclusive(inputs.closingDate, inputs.prepaidIntDate);
+    if (dayCount > 0) {
+      // Closing day through the prepaid date, counted under the loan's day-count convention
+      const fractionOfYear = inputs.dayCount
+        ? DayCount.yearFraction(inputs.dayCount, oneDayBefore(inputs.closingDate), inputs.prepaidIntDate)
+        : dayCount / inputs.daysPerYear;
+      const numerator   = inputs.principal * inputs.annualRate * fractionOfYear;
+      const denominator = 1 - (inputs.annualRate * fractionOfYear);
+      if (inputs.prepaidIntTreatment !== "Financed") {
+        inputs.prepaidInterest = cents(numerator);
+      } else if (denominator !== 0) {
+        financedPrepaidInterest = cents(numerator / denominator);
+        inputs.principal += financedPrepaidInterest;
+        inputs.prepaidInterest = financedPrepaidInterest;
+      }
+    }
+  }
+
+  inputs.financedFee             = financedFee;
+  inputs.financedPrepaidInterest = financedPrepaidInterest;
+
+  // What the borrower receives: the requested principal less anything withheld from it
+  inputs.netProceeds = terms.principal
+    - (inputs.origFeeTreatment === "Withheld" ? inputs.origFee : 0)
+    - (inputs.prepaidIntTreatment === "Withheld" ? inputs.prepaidInterest : 0);
+
+  // We'll define a "prepaidUntil" date
+  if (inputs.prepaidIntDate) {
+    inputs.prepaidUntil = oneDayAfter(inputs.prepaidIntDate);
+  } else {
+    inputs.prepaidUntil = null;
+  }
+
+  // EXIT FEE (based on original principal, not financed)
+  inputs.exitFee = cents(inputs.exitFeePct * terms.principal);
+  return inputs;
+}
+
+/**
+ * Validate and sort the deferred installments of `params.deferrals`. Each entry is a period number or
+ * `{ period, kind }`, where kind is "Deferral" (the default) or "Forbearance". `termPeriods` is the
+ * term after any modifications.
+ * @returns {Array<{ period: number, kind: string }>}
+ */
+function parseDeferrals(params, termPeriods) {
+  if (["End of Term", "Remaining Payments", "Maturity"].indexOf(params.deferredAmountsTo) < 0) {
+    throw new Error(`Deferred amounts must go to "End of Term", "Remaining Payments" or "Maturity", not "${params.deferredAmountsTo}".`);
+  }
+  const deferrals = params.deferrals.map(entry => {
+    const deferral = (typeof entry === 'object' && entry !== null) ? entry : { period: entry };
+    const period = Number(deferral.period);
+    const kind = deferral.kind || "Deferral";
+    if (!Number.isInteger(period) || period < 1 || period > termPeriods) {
+      throw new Error(`Period ${deferral.period} can't be deferred; pick a scheduled period from 1 to ${termPeriods}.`);
+    }
+    if (kind !== "Deferral" && kind !== "Forbearance") {
+      throw new Error(`A deferred period must be a "Deferral" or a "Forbearance", not "${kind}".`);
+    }
+    return { period, kind };
+  }).sort((a, b) => a.period - b.period);
+
+  if (deferrals.length > 0 && !params.frequency) {
+    throw new Error("Only loans with a regular payment frequency can defer payments.");
+  }
+  deferrals.forEach((deferral, idx) => {
+    if (idx > 0 && deferrals[idx - 1].period === deferral.period) {
+      throw new Error(`Period ${deferral.period} is deferred twice.`);
+    }
+  });
+  if (params.deferredAmountsTo !== "End of Term" && deferrals.some(d => d.period === termPeriods)) {
+    throw new Error("The final period can only be deferred when deferred amounts go to the end of the term.");
+  }
+  return deferrals;
+}
+
+/**
+ * Validate and sort the draws of `params.draws`. Each entry is `{ date, amount, reserve }`: funds
+ * advanced after closing, `reserve` of them (blank => none) set aside in the interest reserve.
+ * Draws need a commitment that covers them with the principal funded at closing, and come before
+ * the conversion date (or, without one, before the final period of `termPeriods` ends).
+ * @returns {Array<{ date: Date, amount: number, reserve: number }>}
+ */
+function parseDraws(params, termPeriods) {
+  if (params.commitment && !(params.commitment >= params.principal)) {
+    throw new Error(`The commitment of "${params.commitment}" must be a number no less than the principal funded at closing.`);
+  }
+  if (params.unusedFeePct && !params.commitment) {
+    throw new Error("An unused commitment fee needs a commitment amount.");
+  }
+  const lastDrawDate = params.conversionDate || calcPeriodEndDate(params, (params.prorateFirst === "Yes") ? termPeriods : termPeriods - 1);
+  const draws = params.draws.map(entry => {
+    const date = toDate(entry.date);
+    if (!date || date <= params.closingDate) {
+      throw new Error(`A draw needs a date after closing, not "${entry.date}".`);
+    }
+    const when = date.toLocaleDateString("en-US");
+    const amount = optionalNumber(entry.amount);
+    const reserve = optionalNumber(entry.reserve);
+    if (!(amount > 0)) {
+      throw new Error(`The draw on ${when} has an amount of "${entry.amount}"; enter an amount over 0.`);
+    }
+    if (reserve !== null && !(reserve >= 0 && reserve <= amount)) {
+      throw new Error(`The draw on ${when} sets aside "${entry.reserve}" for interest; enter up to the amount drawn, or leave it blank.`);
+    }
+    if (date > lastDrawDate) {
+      throw new Error(`The draw on ${when} comes after the ${params.conversionDate ? "conversion date" : "final period"}.`);
+    }
+    return { date, amount, reserve: reserve || 0 };
+  }).sort((a, b) => a.date - b.date);
+
+  if (draws.length > 0 && !params.commitment) {
+    throw new Error("Draws need a commitment amount.");
+  }
+  // (compared in whole cents)
+  const cents = (amount) => LoanHelpers.toCents(amount, params.roundingMethod);
+  const drawn = draws.reduce((sum, draw) => sum + cents(draw.amount), 0);
+  if (cents(params.principal) + drawn > cents(params.commitment) && draws.length > 0) {
+    throw new Error(`The principal and draws come to ${LoanHelpers.formatMoney((cents(params.principal) + drawn) / 100)}, more than the ${LoanHelpers.formatMoney(params.commitment)} commitment.`);
+  }
+  if (draws.length > 0 && params.amortizeYN === "Yes" && params.frequency && !params.conversionDate) {
+    throw new Error("An amortizing loan with draws needs a conversion date.");
+  }
+  return draws;
+}
+
+// How a fee-table fee is sized, when it comes due and how the borrower pays it
+const FEE_TYPES = ["Flat", "% of Principal", "% of Balance"];
+const FEE_TIMINGS = ["Closing", "On Date", "Annually", "Monthly", "At Payoff"];
+const FEE_TREATMENTS = ["Financed", "Paid at Closing", "Billed"];
+
+/**
+ * Validate the fee table (`params.fees`). Each entry is `{ name, type, amount, timing, date, treatment }`;
+ * a blank type is "Flat" and a blank treatment "Billed". A percentage fee's amount is a rate on the
+ * original principal, or on the principal balance when the fee comes due. A fee at closing may be
+ * financed, paid at closing or billed with the first period; later fees are billed: "On Date" once,
+ * "Annually" and "Monthly" from the date (blank => a year or a month after closing) through the end
+ * of `maturityPeriod`, and "At Payoff" with the final payment.
+ * @returns {Array<{ name: string, type: string, amount: number, timing: string, treatment: string,
+ *   dates: Date[], charge: number|null }>} `dates` are when a billed fee falls due ("At Payoff" has
+ *   none); `charge` is the fee in dollars, or null for a "% of Balance" fee sized when it is billed.
+ */
+function parseFees(params, maturityPeriod) {
+  const lastDate = calcPeriodEndDate(params, (params.prorateFirst === "Yes") ? maturityPeriod : maturityPeriod - 1);
+  return params.fees.map(entry => {
+    const name = String(entry.name || "").trim();
+    if (!name || /[();$]/.test(name)) {
+      throw new Error(`A fee needs a name without parentheses, semicolons or "$", not "${entry.name || ""}".`);
+    }
+    const fee = {
+      name      : name,
+      type      : entry.type || "Flat",
+      amount    : optionalNumber(entry.amount),
+      timing    : entry.timing,
+      treatment : entry.treatment || "Billed",
+      dates     : [],
+      charge    : null
+    };
+    if (FEE_TYPES.indexOf(fee.type) < 0) {
+      throw new Error(`The "${name}" fee's type must be "Flat", "% of Principal" or "% of Balance", not "${fee.type}".`);
+    }
+    if (!(fee.amount > 0)) {
+      throw new Error(`The "${name}" fee has an amount of "${entry.amount}"; enter an amount over 0.`);
+    }
+    if (FEE_TIMINGS.indexOf(fee.timing) < 0) {
+      throw new Error(`The "${name}" fee is due "${entry.timing || ""}"; enter "Closing", "On Date", "Annually", "Monthly" or "At Payoff".`);
+    }
+    if (FEE_TREATMENTS.indexOf(fee.treatment) < 0) {
+      throw new Error(`The "${name}" fee must be "Financed", "Paid at Closing" or "Billed", not "${fee.treatment}".`);
+    }
+    if (fee.treatment !== "Billed" && fee.timing !== "Closing") {
+      throw new Error(`The "${name}" fee comes due after closing, so it can only be billed.`);
+    }
+    const date = toDate(entry.date);
+    if ((fee.timing === "On Date" || date) && fee.timing !== "Closing" && fee.timing !== "At Payoff"
+        && !(date > params.closingDate && date <= lastDate)) {
+      throw new Error(`The "${name}" fee needs a date after closing and within the term, not "${entry.date || ""}".`);
+    }
+
+    if (fee.timing === "Closing") {
+      fee.dates = [params.closingDate];
+    } else if (fee.timing === "On Date") {
+      fee.dates = [date];
+    } else if (fee.timing !== "At Payoff") {
+      const months = (fee.timing === "Annually") ? 12 : 1;
+      const first = date || addMonths(params.closingDate, months);
+      for (let n = 0; addMonths(first, n * months) <= lastDate; n++) {
+        fee.dates.push(addMonths(first, n * months));
+      }
+    }
+    if (fee.type === "Flat") {
+      fee.charge = fee.amount;
+    } else if (fee.type === "% of Principal" || fee.timing === "Closing") {
+      fee.charge = fee.amount * params.principal;
+    }
+    return fee;
+  });
+}
+
+/**
+ * The billed fee-table fees by the date each falls due, as `[{ fee, date }]` in date order
+ * ("At Payoff" fees are billed with the final period instead).
+ */
+function billedFeeDates(params) {
+  const dated = [];
+  (params.fees || []).filter(fee => fee.treatment === "Billed").forEach(fee => {
+    fee.dates.forEach(date => dated.push({ fee, date }));
+  });
+  return dated.sort((a, b) => a.date - b.date);
+}
+
+// A fee-table fee when the principal balance is `balance` (in dollars, or in cents with params in cents)
+function feeCharge(fee, balance) {
+  return (fee.charge !== null) ? fee.charge : fee.amount * balance;
+}
+
+// How a prepayment premium is figured
+const PREPAYMENT_PREMIUMS = ["None", "Stepdown", "Yield Maintenance", "Defeasance"];
+
+/**
+ * Validate the prepayment premium terms of `params` for a loan that matures with `maturityPeriod`.
+ * The premium schedule ("5-4-3-2-1" or "5,4,3,2,1") lists a stepdown premium's percentage for each
+ * loan year (none after the last), or yield maintenance's minimum premium; yield maintenance and
+ * defeasance price the prepaid principal against the treasury rate.
+ * @returns {{ type: string, steps: number[], lockoutEnd: Date|null, openFrom: Date, treasuryRate: number,
+ *   dueDates: Date[], extraAmortPeriods: number }|null} `steps` as decimals; `dueDates` are the
+ *   scheduled due dates through maturity; `extraAmortPeriods` is how far amortization runs past
+ *   maturity (a balloon). null if the loan has no premium and no lockout.
+ */
+function parsePrepaymentTerms(params, maturityPeriod) {
+  const type = params.prepaymentPremium;
+  if (PREPAYMENT_PREMIUMS.indexOf(type) < 0) {
+    throw new Error(`Prepayment Premium must be "None", "Stepdown", "Yield Maintenance" or "Defeasance", not "${type}".`);
+  }
+  if (!(params.lockoutMonths >= 0) || !(params.openMonths >= 0)) {
+    throw new Error("The lockout and open months must be 0 or more.");
+  }
+  if (type === "None" && !params.lockoutMonths) return null;
+  if (params.isRevolving) {
+    throw new Error("A revolving line can be repaid at any time; it has no prepayment premium or lockout.");
+  }
+
+  const entries = String(params.premiumSchedule).split(/[-,;\s]+/).filter(entry => entry !== "");
+  const steps = entries.map(entry => Number(entry.replace(/%$/, "")) / 100);
+  if (steps.some(step => !(step >= 0))) {
+    throw new Error(`The premium schedule lists percentages like 5-4-3-2-1, not "${params.premiumSchedule}".`);
+  }
+  if (type === "Stepdown" && steps.length === 0) {
+    throw new Error("A stepdown premium needs a percentage for each loan year (e.g. 5-4-3-2-1).");
+  }
+  if (type === "Yield Maintenance" && steps.length > 1) {
+    throw new Error(`Yield maintenance takes one minimum percentage (e.g. 1) or none, not "${params.premiumSchedule}".`);
+  }
+  if ((type === "Defeasance" || type === "None") && steps.length > 0) {
+    throw new Error("A premium schedule only applies to a stepdown or yield maintenance premium.");
+  }
+  const treasuryRate = params.treasuryRate;
+  if (type === "Yield Maintenance" || type === "Defeasance") {
+    if (!params.frequency) {
+      throw new Error(`${type} needs a regular payment frequency.`);
+    }
+    if (treasuryRate === null || !(treasuryRate >= 0)) {
+      throw new Error(`${type} needs a treasury rate of 0 or more, not "${treasuryRate === null ? "" : treasuryRate}".`);
+    }
+  }
+
+  const maturityDate = periodDueDate(params, maturityPeriod);
+  const dueDates = [];
+  if (params.frequency) {
+    for (let period = 1; period <= maturityPeriod; period++) dueDates.push(periodDueDate(params, period));
+  }
+  return {
+    type              : type,
+    steps             : steps,
+    lockoutEnd        : params.lockoutMonths ? addMonths(params.closingDate, params.lockoutMonths) : null,
+    openFrom          : addMonths(maturityDate, -params.openMonths),
+    treasuryRate      : treasuryRate || 0,
+    dueDates          : dueDates,
+    extraAmortPeriods : (params.amortizeYN === "Yes" && params.amortPeriods > params.termPeriods)
+                          ? params.amortPeriods - params.termPeriods
+                          : 0
+  };
+}
+
+/**
+ * The first period whose due date (the day after its period end) is on or after `date`.
+ */
+function periodDueOnOrAfter(params, date) {
+  let i = 0;
+  while (oneDayAfter(calcPeriodEndDate(params, i)) < date) i++;
+  return (params.prorateFirst === "Yes") ? i : i + 1;
+}
+
+// Due date of scheduled period `period` (the day after its period end)
+function periodDueDate(params, period) {
+  return oneDayAfter(calcPeriodEndDate(params, (params.prorateFirst === "Yes") ? period : period - 1));
+}
+
+// The term in periods after the last modification that sets a maturity
+function modifiedTermPeriods(params) {
+  return (params.modifications || []).reduce((term, mod) => mod.termPeriods || term, params.termPeriods);
+}
+
+// A blank cell (or missing field) as null, anything else as a number (NaN if it isn't one)
+function optionalNumber(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  return Number(value);
+}
+
+/**
+ * Validate and sort the loan modifications of `params.modifications`. Each entry is
+ * `{ effectiveDate, rate, maturityDate, payment, principalChange }`, any of the new terms blank to
+ * leave it as it was (with none, an amortizing loan is just recast). A modification takes effect
+ * with the first period starting on or after its effective date (`startPeriod`); a new maturity
+ * becomes the first period due on or after that date (`termPeriods`).
+ * @returns {Array<Object>}
+ */
+function parseModifications(params) {
+  const modifications = params.modifications.map(entry => {
+    const effectiveDate = toDate(entry.effectiveDate);
+    if (!effectiveDate || effectiveDate <= params.closingDate) {
+      throw new Error(`A modification needs an effective date after closing, not "${entry.effectiveDate}".`);
+    }
+    const when = effectiveDate.toLocaleDateString("en-US");
+    if (!params.frequency) {
+      throw new Error("Only loans with a regular payment frequency can be modified.");
+    }
+    const mod = {
+      effectiveDate   : effectiveDate,
+      startPeriod     : periodDueOnOrAfter(params, effectiveDate) + 1,
+      rate            : optionalNumber(entry.rate),
+      maturityDate    : toDate(entry.maturityDate),
+      termPeriods     : null,
+      payment         : optionalNumber(entry.payment),
+      principalChange : optionalNumber(entry.principalChange)
+    };
+    if (mod.rate !== null && !(mod.rate >= 0)) {
+      throw new Error(`The modification on ${when} has a rate of "${entry.rate}"; enter a rate of 0 or more, or leave it blank.`);
+    }
+    if (mod.payment !== null && !(mod.payment > 0)) {
+      throw new Error(`The modification on ${when} has a payment of "${entry.payment}"; enter an amount over 0, or leave it blank.`);
+    }
+    if (mod.payment !== null && params.amortizeYN !== "Yes") {
+      throw new Error(`The modification on ${when} sets a payment, but only amortizing loans have one.`);
+    }
+    if (mod.principalChange !== null && !isFinite(mod.principalChange)) {
+      throw new Error(`The modification on ${when} has a principal change of "${entry.principalChange}"; enter an amount, or leave it blank.`);
+    }
+    mod.principalChange = mod.principalChange || 0;
+    if (!mod.maturityDate && optionalNumber(entry.maturityDate) !== null) {
+      throw new Error(`The modification on ${when} has a maturity of "${entry.maturityDate}"; enter a date, or leave it blank.`);
+    }
+    if (mod.maturityDate) {
+      mod.termPeriods = periodDueOnOrAfter(params, mod.maturityDate);
+      if (mod.termPeriods < mod.startPeriod) {
+        throw new Error(`The modification on ${when} sets a maturity before the first period it applies to.`);
+      }
+    }
+    if (mod.rate === null && !mod.termPeriods && mod.payment === null && !mod.principalChange
+        && params.amortizeYN !== "Yes") {
+      throw new Error(`The modification on ${when} doesn't change anything.`);
+    }
+    return mod;
+  }).sort((a, b) => a.effectiveDate - b.effectiveDate);
+
+  modifications.forEach((mod, idx) => {
+    if (idx > 0 && modifications[idx - 1].startPeriod === mod.startPeriod) {
+      throw new Error(`Two modifications take effect in period ${mod.startPeriod}.`);
+    }
+  });
+  return modifications;
+}
+
+/**
+ * What a modification changes, against the terms in effect before it, e.g.
+ * "Rate 6% to 5%; maturity 1/15/2026 to 1/15/2027; payment $1,500.00; principal +$2,000.00".
+ * `params` are the loan's params without the modification; `entry` is as in parseModifications.
+ */
+function describeModification(params, entry) {
+  const mod = parseModifications(Object.assign({}, params, { modifications: [entry] }))[0];
+  const earlier = (params.modifications || []).filter(prior => prior.startPeriod < mod.startPeriod);
+  const latest = (field) => earlier.reduce((value, prior) => (prior[field] !== null ? prior[field] : value), null);
+  const changes = [];
+  if (mod.rate !== null) {
+    let priorRate = latest("rate");
+    if (priorRate === null && params.isFloating) {
+      const resetIdx = findRateReset(params.rateResets || [], mod.effectiveDate);
+      priorRate = (resetIdx >= 0) ? params.rateResets[resetIdx].rate : params.annualRate;
+    } else if (priorRate === null) {
+      priorRate = stepRateOn(params, mod.effectiveDate);
+    }
+    changes.push(`Rate ${formatPercent(priorRate)} to ${formatPercent(mod.rate)}`);
+  }
+  if (mod.termPeriods) {
+    const priorTerm = latest("termPeriods") || params.termPeriods;
+    changes.push(`maturity ${periodDueDate(params, priorTerm).toLocaleDateString("en-US")} to ${periodDueDate(params, mod.termPeriods).toLocaleDateString("en-US")}`);
+  }
+  if (mod.payment !== null) {
+    changes.push(`payment ${LoanHelpers.formatMoney(mod.payment)}`);
+  }
+  if (mod.principalChange) {
+    changes.push(`principal ${mod.principalChange > 0 ? "+" : "-"}${LoanHelpers.formatMoney(Math.abs(mod.principalChange))}`);
+  }
+  const text = changes.join("; ") || "recast";
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Copy of the params with a different annual rate, recomputing the derived
+ * per-diem, monthly and per-period rates.
+ */
+function withAnnualRate(params, annualRate) {
+  return Object.assign({}, params, {
+    annualRate   : annualRate,
+    perDiemRate  : params.daysPerYear ? annualRate / params.daysPerYear : 0,
+    monthlyRate  : annualRate / 12,
+    periodicRate : params.frequency
+      ? annualRate / params.frequency.periodsPerYear
+      : annualRate / 12
+  });
+}
+
+// ---------------------
+// 4) FLOATING & STEP RATES
+// ---------------------
+
+/**
+ * Add `months` to a date, keeping the day of month but clamping to month-end
+ * (Jan 31 + 1 month => Feb 28/29).
+ */
+function addMonths(dateObj, months) {
+  const target = new Date(dateObj.getFullYear(), dateObj.getMonth() + months, 1);
+  const lastDay = getLastDayOfMonth(target).getDate();
+  target.setDate(Math.min(dateObj.getDate(), lastDay));
+  return target;
+}
+
+/**
+ * Index value in effect on `date`: the latest observation dated on or before it.
+ * Returns null if the series has no observation that early.
+ */
+function lookupIndexRate(indexRates, date) {
+  let rate = null;
+  for (let i = 0; i < indexRates.length; i++) {
+    if (indexRates[i].date > date) break;
+    rate = indexRates[i].rate;
+  }
+  return rate;
+}
+
+/**
+ * Build the reset schedule of a floating-rate loan through maturity.
+ * Resets start at `firstResetDate` (or closing, if blank) and repeat every `resetFrequency`
+ * (any PAYMENT_FREQUENCIES name; defaults to the payment frequency). Each reset rate is the index
+ * `lookbackDays` before the reset date plus the margin, limited by the periodic cap (max change from
+ * the prior rate) and the lifetime cap/floor (absolute rates). Blank caps/floors are not applied.
+ * @returns {Array<{ date: Date, indexDate: Date, indexRate: number, rate: number, limited: boolean }>}
+ */
+function buildRateResets(params) {
+  const resetFreq = PAYMENT_FREQUENCIES[params.resetFrequency] || getPaymentFrequency(params.paymentFreq);
+  const firstReset = params.firstResetDate || params.closingDate;
+  const maturity = calcPeriodEndDate(params, getTotalPeriods(params) - 1);
+  const resets = [];
+  // With an initial fixed period, the first reset moves from the E4 rate (so the periodic cap applies)
+  let prevRate = params.firstResetDate ? params.annualRate : null;
+
+  for (let k = 0; ; k++) {
+    const date = resetFreq.days
+      ? new Date(firstReset.getFullYear(), firstReset.getMonth(), firstReset.getDate() + k * resetFreq.days)
+      : addMonths(firstReset, k * resetFreq.months);
+    if (date > maturity) break;
+
+    const indexDate = new Date(date.getFullYear(), date.getMonth(), date.getDate() - params.lookbackDays);
+    const indexRate = lookupIndexRate(params.indexRates, indexDate);
+    if (indexRate === null) {
+      throw new Error(`No ${params.rateIndex} rate on or before ${indexDate.toDateString()} for the reset on ${date.toDateString()}.`);
+    }
+
+    const rawRate = indexRate + params.margin;
+    let rate = rawRate;
+    if (params.periodicCap > 0 && prevRate !== null) {
+      rate = Math.min(Math.max(rate, prevRate - params.periodicCap), prevRate + params.periodicCap);
+    }
+    if (params.lifetimeCap > 0) rate = Math.min(rate, params.lifetimeCap);
+    if (params.lifetimeFloor > 0) rate = Math.max(rate, params.lifetimeFloor);
+
+    resets.push({ date, indexDate, indexRate, rate, limited: rate !== rawRate });
+    prevRate = rate;
+  }
+  return resets;
+}
+
+/**
+ * Index into `rateResets` of the reset in effect for a period starting on `periodStart`
+ * (a reset applies from the first period starting on or after its date). -1 before the first reset.
+ */
+function findRateReset(rateResets, periodStart) {
+  let idx = -1;
+  for (let i = 0; i < rateResets.length; i++) {
+    if (rateResets[i].date > periodStart) break;
+    idx = i;
+  }
+  return idx;
+}
+
+/**
+ * Start date used for interest accrual of a scheduled period, given the previous period's end
+ * (the closing date for the first row). A prorated period 0 starts on the closing date itself.
+ */
+function calcPeriodStart(periodNum, lastEndDate, params) {
+  if (periodNum === 0 && params.prorateFirst === "Yes") {
+    return lastEndDate;
+  }
+  return oneDayAfter(lastEndDate);
+}
+
+/**
+ * Annual rate of a step-rate loan on `date`: the latest step effective on or before it,
+ * or the E4 rate before the first step.
+ */
+function stepRateOn(params, date) {
+  const rate = lookupIndexRate(params.rateSteps || [], date);
+  return (rate === null) ? params.annualRate : rate;
+}
+
+/**
+ * Steps taking effect on or after `periodStart` and on or before `periodEnd`.
+ */
+function findRateSteps(rateSteps, periodStart, periodEnd) {
+  return (rateSteps || []).filter(step => step.date >= periodStart && step.date <= periodEnd);
+}
+
+/**
+ * True if unpaid interest is capitalized at `dueDate`: on every due date for "Each Due Date", or
+ * for "On Dates" when a capitalization date falls after `previousDue` and on or before `dueDate`.
+ */
+function capitalizesOn(params, previousDue, dueDate) {
+  if (params.capitalizeInterest === "Each Due Date") return true;
+  if (params.capitalizeInterest !== "On Dates") return false;
+  return (params.capitalizationDates || []).some(date => date > previousDue && date <= dueDate);
+}
+
+function formatPercent(val) {
+  return val.toLocaleString("en-US", { style: "percent", maximumFractionDigits: 3 });
+}
+
+/**
+ * Note for the row where a rate reset takes effect, e.g. "(Rate reset: SOFR 5.31% + 2.5% = 7.81%)".
+ */
+function formatRateResetNote(params, reset) {
+  const limitNote = reset.limited ? " after caps/floors" : "";
+  return `(Rate reset: ${params.rateIndex} ${formatPercent(reset.indexRate)} + ${formatPercent(params.margin)} = ${formatPercent(reset.rate)}${limitNote})`;
+}
+
+/**
+ * Note for the row where a rate step takes effect, e.g. "(Rate step: 8% to 9% on 1/15/2025)".
+ */
+function formatRateStepNote(params, step) {
+  const priorRate = stepRateOn(params, new Date(step.date.getFullYear(), step.date.getMonth(), step.date.getDate() - 1));
+  return `(Rate step: ${formatPercent(priorRate)} to ${formatPercent(step.rate)} on ${step.date.toLocaleDateString("en-US")})`;
+}
+
+// ---------------------
+// 5) SCHEDULE BUILD
+// ---------------------
+
+/**
+ * Scheduled row (columns B..T) for the i-th period of the schedule, with dues and balances zeroed.
+ */
+function buildPeriodRow(params, i) {
+  const frequency = getPaymentFrequency(params.paymentFreq);
+  const periodNum = (params.prorateFirst === "Yes") ? i : i + 1;
+
+  // Period End date
+  const periodEnd = calcPeriodEndDate(params, i);
+
+  // Due date = +1 day
+  const dueDate = oneDayAfter(periodEnd);
+
+  // Approx “Days in period” for display
+  let approxDays = 0;
+  if (params.dayCount) {
+    // Named convention: its own day count from the last day already accrued
+    const lastAccrued = (i === 0)
+      ? (params.prorateFirst === "Yes" ? oneDayBefore(params.closingDate) : params.closingDate)
+      : calcPeriodEndDate(params, i - 1);
+    approxDays = DayCount.dayCount(params.dayCount, lastAccrued, periodEnd);
+  } else if (i === 0 && params.prorateFirst === "Yes") {
+    approxDays = daysBetweenInclusive(params.closingDate, periodEnd);
+  } else if (params.dayCountMethod === "Periodic") {
+    approxDays = frequency.periodDays;
+  } else {
+    // dayCountMethod===Actual or first row no‐prorate
+    if (i === 0) {
+      approxDays = daysBetween(params.closingDate, periodEnd);
+    } else {
+      const prevEnd = calcPeriodEndDate(params, i - 1);
+      approxDays = daysBetween(prevEnd, periodEnd);
+    }
+  }
+  if (approxDays < 0) approxDays = 0;
+
+  return [
+    periodNum,    // B => [0]
+    periodEnd,    // C => [1]
+    dueDate,      // D => [2]
+    approxDays,   // E => [3]
+    "",           // F => [4] (PaidOn)
+    0,            // G => [5] (TotalDue)
+    0,            // H => [6] (TotalPaid)
+    0,            // I => [7] (PrincipalDue)
+    0,            // J => [8] (PrincipalPaid)
+    0,            // K => [9] (InterestDue)
+    0,            // L => [10](InterestPaid)
+    0,            // M => [11](FeesDue)
+    0,            // N => [12](FeesPaid)
+    0,            // O => [13](InterestBalance)
+    0,            // P => [14](PrincipalBalance)
+    0,            // Q => [15](TotalBalance)
+    "",           // R => [16](Notes)
+    params.annualRate, // S => [17](Rate)
+    ""            // T => [18](AmountReceived)
+  ];
+}
+
+/**
+ * Build the scheduled rows (columns B..T) for the loan, with dues and balances still zeroed.
+ * The fees and notes are figured in whole cents (see paramsInCents) and the rows returned in dollars.
+ */
+function buildScheduleRows(loanParams) {
+  const params = paramsInCents(loanParams);
+  const totalPeriods = getTotalPeriods(params);
+  const rows = [];
+
+  for (let i = 0; i < totalPeriods; i++) {
+    rows.push(buildPeriodRow(params, i));
+  }
+
+  // Build the note for Orig/Prepaid (exclude exit fee from this note)
+  const fee = params.financedFee;
+  const pre = params.financedPrepaidInterest;
+  let noteFirst = "";
+  if (fee > 0 && pre > 0) {
+    const preFmt = LoanHelpers.formatMoney(pre / 100);
+    noteFirst = `(${preFmt} of Prepaid Interest + ${params.origFeePctString} Origination Fee added to Principal.)`;
+  } else if (fee > 0) {
+    noteFirst = `(${params.origFeePctString} Origination Fee added to Principal.)`;
+  } else if (pre > 0) {
+    const preFmt = LoanHelpers.formatMoney(pre / 100);
+    noteFirst = `(${preFmt} of Prepaid Interest added to Principal.)`;
+  }
+  // The fee and prepaid interest withheld from the proceeds or paid in cash are noted after it,
+  // with the net proceeds when anything was withheld
+  const atClosing = { "Withheld": "withheld from proceeds", "Paid in Cash": "paid in cash at closing" };
+  const closingNotes = noteFirst ? [noteFirst] : [];
+  if (params.origFeeAtClosing > 0) {
+    const feeFmt = LoanHelpers.formatMoney(params.origFeeAtClosing / 100);
+    closingNotes.push(`(${params.origFeePctString} Origination Fee of ${feeFmt} ${atClosing[params.origFeeTreatment]}.)`);
+  }
+  if (params.prepaidInterest > 0 && params.prepaidIntTreatment !== "Financed") {
+    const preFmt = LoanHelpers.formatMoney(params.prepaidInterest / 100);
+    closingNotes.push(`(${preFmt} of Prepaid Interest ${atClosing[params.prepaidIntTreatment]}.)`);
+  }
+  if (params.origFeeTreatment === "Withheld" && params.origFeeAtClosing > 0
+      || params.prepaidIntTreatment === "Withheld" && params.prepaidInterest > 0) {
+    const proceedsFmt = LoanHelpers.formatMoney(params.netProceeds / 100);
+    closingNotes.push(`(Net proceeds: ${proceedsFmt})`);
+  }
+  if (closingNotes.length > 0 && rows.length > 0) {
+    rows[0][16] = closingNotes.join(" "); // place in R of first row
+  }
+
+  // Place EXIT FEE in final scheduled row’s FeesDue
+  if (params.exitFee > 0 && rows.length > 0) {
+    const lastRowIndex = rows.length - 1;
+    LoanHelpers.postFee(rows[lastRowIndex], params.exitFee); // M=FeesDue
+    // Also put a note in the final row
+    const exitFeeFmt = LoanHelpers.formatMoney(params.exitFee / 100);
+    rows[lastRowIndex][16] = `(${exitFeeFmt} Exit Fee)`;
+  }
+
+  // An origination fee withheld or paid in cash is due and paid with the first row
+  if (params.origFeeAtClosing > 0 && rows.length > 0) {
+    rows[0][11] += params.origFeeAtClosing; // M=FeesDue
+    rows[0][12] += params.origFeeAtClosing; // N=FeesPaid
+  }
+
+  // Fee table: fees financed or paid at closing are noted on the first row; billed fees go on the row
+  // of the period they fall due in, and "At Payoff" fees on the final row ("% of Balance" fees after
+  // closing wait for the recalculation, which knows the balance)
+  if (rows.length > 0 && params.fees && params.fees.length > 0) {
+    noteClosingFees(rows[0], params);
+    const feeDates = billedFeeDates(params);
+    let feeIndex = 0;
+    rows.forEach((row, idx) => {
+      const charges = [];
+      while (feeIndex < feeDates.length && feeDates[feeIndex].date <= row[1]) {
+        charges.push(feeDates[feeIndex++].fee);
+      }
+      if (idx === rows.length - 1) {
+        params.fees.filter(fee => fee.timing === "At Payoff").forEach(fee => charges.push(fee));
+      }
+      postTableFees(row, charges.filter(fee => fee.charge !== null).map(fee => ({ name: fee.name, amount: fee.charge })));
+    });
+  }
+
+  // Interest-only (or construction) period: note the first row that amortizes
+  if (params.ioPeriods > 0 || params.conversionDate) {
+    const firstAmortizing = rows.find(row => row[0] === params.ioPeriods + 1);
+    if (firstAmortizing) {
+      const note = params.conversionDate
+        ? "(Construction period ends; amortization begins)"
+        : "(Interest-only period ends; amortization begins)";
+      firstAmortizing[16] = firstAmortizing[16] ? `${firstAmortizing[16]} ${note}` : note;
+    }
+  }
+
+  // Balloon: the final scheduled row pays off the principal left on the longer amortization
+  if (params.isBalloon && rows.length > 0) {
+    const lastRow = rows[rows.length - 1];
+    const note = "(Balloon Payment)";
+    lastRow[16] = lastRow[16] ? `${lastRow[16]} ${note}` : note;
+  }
+
+  // Floating rate: show each period's rate and note the period where each reset takes effect
+  if (params.isFloating) {
+    let lastEnd = params.closingDate;
+    let lastReset = -1;
+    rows.forEach(row => {
+      const resetIdx = findRateReset(params.rateResets, calcPeriodStart(row[0], lastEnd, params));
+      if (resetIdx >= 0) {
+        row[17] = params.rateResets[resetIdx].rate;
+        if (resetIdx !== lastReset) {
+          const note = formatRateResetNote(params, params.rateResets[resetIdx]);
+          row[16] = row[16] ? `${row[16]} ${note}` : note;
+        }
+      }
+      lastReset = resetIdx;
+      lastEnd = row[1];
+    });
+  }
+
+  // Step rates: show the rate at each period's end and note every step taken within the period
+  if (params.rateSteps && params.rateSteps.length > 0) {
+    let lastEnd = params.closingDate;
+    rows.forEach(row => {
+      row[17] = stepRateOn(params, row[1]);
+      findRateSteps(params.rateSteps, calcPeriodStart(row[0], lastEnd, params), row[1]).forEach(step => {
+        const note = formatRateStepNote(params, step);
+        row[16] = row[16] ? `${row[16]} ${note}` : note;
+      });
+      lastEnd = row[1];
+    });
+  }
+
+  rows.forEach(rowToDollars);
+  return rows;
+}
+
+// ---------------------
+// 6) RECALCULATION
+// ---------------------
+
+/**
+ * Number of rows “in use” at the top of the schedule (stops at the first blank Period cell).
+ */
+function countUsedRows(allRows) {
+  let count = 0;
+  for (let i = 0; i < allRows.length; i++) {
+    const periodVal = allRows[i][0]; // col B
+    if (periodVal === "" || periodVal === null || periodVal === undefined) break;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Clear a scheduled row after the payoff on `payoffRow`: it bills nothing (taking back the fees and
+ * notes an earlier recalculation posted), and its balances stay where the payoff left them.
+ */
+function clearRowAfterPayoff(rowArr, payoffRow, params) {
+  rowArr[7] = 0; // Principal Due
+  rowArr[9] = 0; // Interest Due
+  LoanHelpers.takeBackPostedFees(rowArr);
+  LoanHelpers.postLateFee(rowArr, 0);
+  postExitFee(rowArr, params, false);   // the exit fee is due with the payoff instead
+  postUnusedFee(rowArr, 0);
+  postTableFees(rowArr, []);
+  ["Default interest", "PIK interest", "Capitalized interest", "Deferred amounts", "Drawn", "Paid from interest reserve"].forEach(label => {
+    LoanHelpers.setAmountNote(rowArr, label, 0);
+  });
+  rowArr[5] = 0; // Total Due
+  rowArr[13] = payoffRow[13];
+  rowArr[14] = payoffRow[14];
+  rowArr[15] = payoffRow[15];
+}
+
+/**
+ * Round a row's Principal Due and Interest Due to whole cents under params.roundingMethod.
+ * `accrued` is the period's interest on the scheduled balance, and `unbilledInterest` is what earlier
+ * rounded installments left unbilled of it. Interest on installments paid late (or not at all) isn't
+ * counted, since it accrues on principal the schedule has already billed.
+ * `trueUp` is null except on the final installment, which bills the unbilled interest and
+ * `trueUp.principal`: the principal left if every Principal Due were paid (null when the row bills the
+ * whole balance anyway). Paying as billed then ends at $0.00.
+ * Returns the rounded amounts and the interest still unbilled.
+ */
+function roundInstallment(params, due, accrued, unbilledInterest, trueUp) {
+  const cents = (amount) => LoanHelpers.roundCents(amount, params.roundingMethod);
+  let principal = cents(due.principal);
+  let interest = cents(due.interest);
+  if (trueUp) {
+    if (trueUp.principal !== null) principal = cents(Math.max(0, trueUp.principal));
+    interest = cents(interest + unbilledInterest);
+  }
+  // (interest billed beyond what accrued isn't owed; a payment of it goes to principal)
+  return { principal, interest, unbilledInterest: Math.max(0, cents(unbilledInterest + accrued - interest)) };
+}
+
+/**
+ * The running state of a recalculation (see recalculateSchedule): the rows, the balances carried
+ * from period to period, and what each loan feature keeps between periods. The rows' money fields
+ * and the params' amounts are converted to whole cents here (see rowToCents and paramsInCents), and
+ * every amount carried is a whole number of cents until finishRecalculation converts the rows back.
+ */
+function startRecalculation(allRows, lastUsedRowIndex, loanParams, maxRows) {
+  // Separate “scheduled” vs. “unscheduled” rows and sort them
+  const { scheduledRows, unscheduledRows } = LoanHelpers.separateRows(allRows, lastUsedRowIndex);
+  if (!loanParams.isRevolving) {
+    const advance = unscheduledRows.find(obj => (obj.rowData[8] || 0) < 0);
+    if (advance) {
+      throw new Error(`The payment on ${advance.rowData[4].toLocaleDateString("en-US")} has a negative Principal Paid; only a revolving line (with a credit limit) takes advances.`);
+    }
+  }
+  const params = paramsInCents(loanParams);
+  allRows.slice(0, lastUsedRowIndex).forEach(row => rowToCents(row, params.roundingMethod));
+  // IPMT/PPMT results for amortizing loans
+  const [ipmtVals, ppmtVals] = buildIpmtPpmtResults(allRows, lastUsedRowIndex, params);
+  const ipmtMap = {}, ppmtMap = {};
+  for (let i = 0; i < lastUsedRowIndex; i++) {
+    ipmtMap[i] = ipmtVals[i][0] || 0;
+    ppmtMap[i] = ppmtVals[i][0] || 0;
+  }
+  const termPeriods = params.termPeriods || params.termMonths;
+  const hasRateSteps = !!(params.rateSteps && params.rateSteps.length);
+  const isAmortizing = params.amortizeYN === "Yes" && !!params.frequency;
+  const deferralPeriods = (params.deferredAmountsTo === "End of Term") ? (params.deferrals || []).length : 0;
+  const deferrals = {};                    // period => "Deferral" or "Forbearance"
+  (params.deferrals || []).forEach(deferral => { deferrals[deferral.period] = deferral.kind; });
+  return {
+    params, allRows, lastUsedRowIndex, maxRows, scheduledRows, unscheduledRows, ipmtMap, ppmtMap,
+    hasReAmortized: new Array(lastUsedRowIndex).fill(false), // rows re-amortized
+    unschedIndex: 0,                       // the next unscheduled row to apply
+    lastEndDate: params.closingDate,
+    extraPaidOccurred: false,
+    payoffIndex: -1,
+    // Floating-rate and step-rate amortizing loans re-amortize the payment when the rate changes,
+    // and loans with an interest-only period amortize from the balance left when it ends
+    termPeriods,
+    amortPeriods: params.amortPeriods || termPeriods,
+    ioPeriods: params.ioPeriods || 0,
+    hasRateSteps,
+    isAmortizing,
+    reAmortizeOnRateChange: (params.isFloating || hasRateSteps) && isAmortizing,
+    amortizedRate: params.annualRate,
+    reAmortization: null,                  // { startPeriod, table } since the IO period or latest rate change
+    scheduledBalance: params.principal,    // principal left if every Principal Due so far (and any extra) were paid
+    // Running balances
+    runningPrincipal: params.principal,
+    runningInterest: 0,
+    runningFees: 0,
+    suspense: 0,                           // unapplied funds waiting for the next Amount Received
+    unpaidLateFees: 0,                     // late fees posted and not yet paid
+    asOfDate: scheduleAsOfDate(allRows, lastUsedRowIndex, params),
+    defaultWindows: [],                    // days in default, from each late installment (or maturity)
+    daysPastDue: (params.defaultTrigger === "Maturity") ? 0 : params.defaultTrigger,
+    nextRowIndex: lastUsedRowIndex,        // where a row past maturity is added
+    removedRows: [],                       // unpaid rows past maturity left after a payoff
+    pikParams: (params.pikRate > 0)        // PIK interest accrues at its own rate (no rate steps)
+      ? Object.assign(withAnnualRate(params, params.pikRate), { rateSteps: [] })
+      : null,
+    capitalizedPrincipal: 0,               // interest added to principal so far
+    previousDue: params.closingDate,
+    deferralPeriods,
+    maturityPeriod: termPeriods + deferralPeriods,
+    finalMaturity: params.maturityPeriod || termPeriods + deferralPeriods, // after every modification (the exit fee's row)
+    modifications: params.modifications || [],
+    modIndex: 0,                           // the next modification to take effect
+    termParams: params,                    // the loan terms as modified so far
+    modifiedRate: null,                    // the rate set by the latest modification that set one
+    modifiedPayment: null,                 // likewise the payment
+    deferrals,
+    deferredInstallments: [],              // { principal, interest } of each installment deferred
+    deferredPrincipal: 0,                  // principal set aside (no interest unless AQ4) until billed
+    deferredInterest: 0,                   // interest set aside, still part of the interest balance
+    spreadPrincipal: 0,                    // per-payment share of deferred amounts ("Remaining Payments")
+    spreadInterest: 0,
+    draws: params.draws || [],
+    drawIndex: 0,                          // the next draw to fund
+    drawnPrincipal: 0,                     // principal drawn since closing
+    undrawn: params.undrawnCommitment || 0, // commitment not drawn yet
+    interestReserve: 0,                    // drawn for the interest reserve and not yet spent
+    unusedFeeParams: (params.unusedFeePct > 0) // the fee accrues like interest on the undrawn amount
+      ? Object.assign(withAnnualRate(params, params.unusedFeePct), { rateSteps: [], prepaidUntil: null })
+      : null,
+    feeDates: billedFeeDates(params),      // fee-table fees, by the date each falls due
+    feeIndex: 0,
+    // Amounts are rounded to whole cents as they are figured, and the final installment bills the
+    // interest the rounded installments didn't
+    cents: (amount) => LoanHelpers.roundCents(amount, params.roundingMethod),
+    unbilledInterest: 0                    // interest accrued on the scheduled balance but not billed yet
+  };
+}
+
+/**
+ * The period of the `i`-th scheduled row: its row, number, end, and the start interest accrues from.
+ */
+function beginPeriod(loan, i) {
+  const { params } = loan;
+  const schObj = loan.scheduledRows[i];
+  const rowArr = schObj.rowData;
+  const periodNum = rowArr[0];   // Period number (col B)
+  const periodEnd = rowArr[1];   // Period end date (col C)
+  // (period 0 with prorated first period starts on closingDate, which is lastEndDate here)
+  let periodStart = calcPeriodStart(periodNum, loan.lastEndDate, params);
+  // Adjust periodStart if necessary (prevent going backwards in time)
+  if (params.dayCountMethod === "Periodic" && params.frequency
+      && Number.isInteger(periodNum) && periodNum >= 1 && periodStart < loan.lastEndDate) {
+    periodStart = loan.lastEndDate;
+  }
+  return { i, rowIndex: schObj.rowIndex, rowArr, periodNum, periodStart, periodEnd };
+}
+
+// Interest over the whole period on `balance` at the rate in `accrualParams` (plus any `drawsIn`)
+function accrueOver(period, accrualParams, balance, drawsIn) {
+  return LoanHelpers.applyUnscheduledPaymentsForPeriod({
+    periodNum: period.periodNum, periodStart: period.periodStart, periodEnd: period.periodEnd,
+    params: accrualParams, runningPrincipal: balance, draws: drawsIn
+  }).interestAccrued;
+}
+
+/**
+ * Modifications taking effect with this period change the terms from here on. Notes the row
+ * "(Loan modified)", and "(Past maturity)" past the (possibly modified) maturity.
+ */
+function applyModifications(loan, period) {
+  const { rowArr, periodNum } = period;
+  period.modsNow = [];
+  while (Number.isInteger(periodNum) && loan.modIndex < loan.modifications.length
+         && periodNum >= loan.modifications[loan.modIndex].startPeriod) {
+    period.modsNow.push(loan.modifications[loan.modIndex++]);
+  }
+  period.modsNow.forEach(mod => {
+    if (mod.rate !== null) loan.modifiedRate = mod.rate;
+    if (mod.payment !== null) loan.modifiedPayment = mod.payment;
+    if (mod.termPeriods) {
+      loan.termPeriods = mod.termPeriods;
+      loan.maturityPeriod = loan.termPeriods + loan.deferralPeriods;
+      loan.termParams = Object.assign({}, loan.termParams,
+        { termPeriods: loan.termPeriods, maturityPeriod: loan.maturityPeriod });
+    }
+    loan.runningPrincipal = Math.max(0, loan.runningPrincipal + mod.principalChange);
+    loan.scheduledBalance = Math.max(0, loan.scheduledBalance + mod.principalChange);
+  });
+  rowArr[16] = String(rowArr[16] || "").replace(MODIFICATION_NOTE, "").trim();
+  if (period.modsNow.length > 0) {
+    rowArr[16] = rowArr[16] ? `(Loan modified) ${rowArr[16]}` : "(Loan modified)";
+  }
+  if (Number.isInteger(periodNum)) {
+    // Rows past maturity are flagged (a modification can move maturity either way)
+    rowArr[16] = rowArr[16].replace(PAST_MATURITY_NOTE, "").trim();
+    if (periodNum > loan.maturityPeriod) {
+      rowArr[16] = rowArr[16] ? `(Past maturity) ${rowArr[16]}` : "(Past maturity)";
+    }
+  }
+}
+
+/**
+ * The rate in effect at the start of this period (floating-rate loans follow their resets,
+ * step-rate loans their steps; a step within the period is split out by the accrual helpers).
+ * A modified rate replaces all of these. Writes it to S and re-notes the steps within the period.
+ */
+function setPeriodRate(loan, period) {
+  const { params } = loan;
+  const { rowArr, periodNum, periodStart, periodEnd } = period;
+  period.followsSteps = loan.hasRateSteps && loan.modifiedRate === null;
+  let periodRate = params.annualRate;
+  if (loan.modifiedRate !== null) {
+    periodRate = loan.modifiedRate;
+  } else if (params.isFloating) {
+    const resetIdx = findRateReset(params.rateResets || [], periodStart);
+    if (resetIdx >= 0) periodRate = params.rateResets[resetIdx].rate;
+  } else if (loan.hasRateSteps) {
+    periodRate = stepRateOn(params, periodStart);
+  }
+  const rateParams = period.followsSteps ? loan.termParams : Object.assign({}, loan.termParams, { rateSteps: [] });
+  period.periodRate = periodRate;
+  period.periodParams = (rateParams === params && periodRate === params.annualRate)
+    ? params
+    : withAnnualRate(rateParams, periodRate);
+  period.stepsWithinPeriod = period.followsSteps
+    ? findRateSteps(params.rateSteps, periodStart, periodEnd).filter(step => step.date > periodStart)
+    : [];
+  rowArr[17] = period.followsSteps ? stepRateOn(params, periodEnd) : periodRate; // col S: Rate
+  if (period.i === 0) {
+    // The fee table may have changed since the build
+    noteClosingFees(rowArr, params);
+  }
+  if (Number.isInteger(periodNum)) {
+    // Re-note the steps within the period, since the step table may have changed since the build
+    rowArr[16] = String(rowArr[16] || "").replace(RATE_STEP_NOTE, "").trim();
+    findRateSteps(params.rateSteps, periodStart, periodEnd).forEach(step => {
+      const note = formatRateStepNote(params, step);
+      rowArr[16] = rowArr[16] ? `${rowArr[16]} ${note}` : note;
+    });
+  }
+}
+
+/**
+ * Re-amortize when the rate changes, the IO period ends or the loan is modified: the scheduled
+ * balance (or the actual balance, if prepaid below it) at the current rate over the amortization
+ * periods left (a balloon loan still balloons at maturity), or paid down by a modified payment with
+ * whatever is left due at maturity.
+ */
+function reAmortizeForPeriod(loan, period) {
+  const { periodNum } = period;
+  period.interestBearingPrincipal = loan.runningPrincipal - loan.deferredPrincipal;
+  // The share of the principal the schedule still expects to be outstanding (less, once installments go unpaid)
+  period.scheduledShare = period.interestBearingPrincipal > 0
+    ? Math.min(1, Math.max(0, loan.scheduledBalance - loan.deferredPrincipal) / period.interestBearingPrincipal)
+    : 1;
+  const rateChanged = loan.reAmortizeOnRateChange && period.periodRate !== loan.amortizedRate;
+  const ioPeriodEnded = loan.isAmortizing && (loan.ioPeriods > 0 || !!loan.params.conversionDate)
+    && periodNum === loan.ioPeriods + 1;
+  if ((rateChanged || ioPeriodEnded || period.modsNow.length > 0) && loan.isAmortizing && Number.isInteger(periodNum)
+      && periodNum > loan.ioPeriods && periodNum >= 1 && periodNum <= loan.termPeriods) {
+    const balance = Math.min(loan.runningPrincipal, loan.scheduledBalance) - loan.deferredPrincipal;
+    const rowCount = loan.termPeriods - periodNum + 1;
+    const periodicRate = period.periodParams.periodicRate;
+    loan.reAmortization = {
+      startPeriod: periodNum,
+      table: (loan.modifiedPayment !== null)
+        ? amortizeWithPayment(balance, periodicRate, loan.modifiedPayment, rowCount)
+        : amortizeToMaturity(balance, periodicRate, Math.max(loan.amortPeriods - periodNum + 1, rowCount), rowCount)
+    };
+    loan.amortizedRate = period.periodRate;
+  }
+}
+
+/**
+ * Interest accruing over the period apart from the contract interest: on unpaid late fees (when the
+ * loan says so), PIK interest (capitalized at the due date) and on deferred amounts (AQ4).
+ */
+function accrueOtherInterest(loan, period) {
+  const { params } = loan;
+  period.lateFeeInterest = (params.lateFeeInterest === "Yes" && loan.unpaidLateFees > 0)
+    ? accrueOver(period, period.periodParams, loan.unpaidLateFees)
+    : 0;
+  period.pikInterest = (loan.pikParams && Number.isInteger(period.periodNum) && period.interestBearingPrincipal > 0)
+    ? accrueOver(period, loan.pikParams, period.interestBearingPrincipal)
+    : 0;
+  const deferredAmounts = loan.deferredPrincipal + loan.deferredInterest;
+  period.deferralInterestCharge = (params.deferralInterest === "Yes" && deferredAmounts > 0)
+    ? accrueOver(period, period.periodParams, deferredAmounts)
+    : 0;
+}
+
+/**
+ * Draws funded by this period's end; until conversion (or maturity), the undrawn commitment
+ * accrues the unused fee, dropping with each draw.
+ */
+function fundDraws(loan, period) {
+  const { periodNum } = period;
+  period.drawsNow = [];
+  while (loan.drawIndex < loan.draws.length && loan.draws[loan.drawIndex].date <= period.periodEnd) {
+    period.drawsNow.push(loan.draws[loan.drawIndex++]);
+  }
+  period.drawnThisPeriod = period.drawsNow.reduce((sum, draw) => sum + draw.amount, 0);
+  period.unusedFee = 0;
+  if (loan.unusedFeeParams && loan.undrawn > 0 && Number.isInteger(periodNum)
+      && periodNum <= (loan.params.conversionDate ? loan.ioPeriods : loan.maturityPeriod)) {
+    period.unusedFee = accrueOver(period, loan.unusedFeeParams, loan.undrawn,
+      period.drawsNow.map(draw => ({ date: draw.date, amount: -draw.amount })));
+  }
+  loan.undrawn -= period.drawnThisPeriod;
+}
+
+/**
+ * Fee-table fees falling due in this period ("% of Balance" on the principal at its start).
+ */
+function chargeTableFees(loan, period) {
+  period.feeCharges = [];
+  while (loan.feeIndex < loan.feeDates.length && loan.feeDates[loan.feeIndex].date <= period.periodEnd) {
+    const fee = loan.feeDates[loan.feeIndex++].fee;
+    period.feeCharges.push({ name: fee.name, amount: loan.cents(feeCharge(fee, loan.runningPrincipal)) });
+  }
+}
+
+/**
+ * Apply the unscheduled payments (and this period's draws) up to the period's end date; interest
+ * accrues on the principal less any deferred principal set aside. A revolving line then bills
+ * interest on the period's average daily balance, and PIK interest is capitalized.
+ */
+function applyUnscheduledPayments(loan, period) {
+  const { params, unscheduledRows } = loan;
+  const { rowArr, periodStart, periodEnd, interestBearingPrincipal } = period;
+  const firstUnschedIndex = loan.unschedIndex;
+  const unschedResult = LoanHelpers.applyUnscheduledPaymentsForPeriod({
+    periodNum         : period.periodNum,
+    periodStart,
+    periodEnd,
+    params            : period.periodParams,
+    unscheduledRows,
+    startUnschedIndex : loan.unschedIndex,
+    runningPrincipal  : interestBearingPrincipal,
+    runningInterest   : loan.runningInterest,
+    runningFees       : loan.runningFees,
+    suspense          : loan.suspense,
+    defaultWindows    : loan.defaultWindows,
+    draws             : period.drawsNow
+  });
+  // Update running balances and unscheduled index from the result
+  loan.runningPrincipal = unschedResult.runningPrincipal + loan.deferredPrincipal;
+  loan.runningInterest = unschedResult.runningInterest;
+  loan.runningFees = unschedResult.runningFees;
+  loan.suspense = unschedResult.suspense;
+  loan.unschedIndex = unschedResult.unschedIndex;
+  period.interestAccrued = unschedResult.interestAccrued;
+  period.defaultInterest = unschedResult.defaultInterest;
+  period.unscheduledPrincipalPaid = unschedResult.unscheduledPrincipalPaid;
+  loan.drawnPrincipal += period.drawnThisPeriod;
+  loan.scheduledBalance += period.drawnThisPeriod;
+  loan.interestReserve += period.drawsNow.reduce((sum, draw) => sum + draw.reserve, 0);
+  LoanHelpers.setAmountNote(rowArr, "Drawn", period.drawnThisPeriod);
+  let principalBefore = interestBearingPrincipal;
+  for (let u = firstUnschedIndex; u < loan.unschedIndex; u++) {
+    const uRow = unscheduledRows[u].rowData;
+    uRow[17] = period.followsSteps ? stepRateOn(params, uRow[4]) : period.periodRate; // col S: Rate
+    if (loan.deferredPrincipal > 0) {
+      // Principal paid beyond the interest-bearing balance pays down the deferred principal
+      const excess = Math.max(0, (uRow[8] || 0) - (principalBefore - uRow[14]));
+      principalBefore = uRow[14];
+      loan.deferredPrincipal -= Math.min(excess, loan.deferredPrincipal);
+      loan.runningPrincipal = unschedResult.runningPrincipal + loan.deferredPrincipal;
+      uRow[14] += loan.deferredPrincipal; // col P: Principal balance, deferred principal included
+      uRow[15] += loan.deferredPrincipal; // col Q: Total balance
+    }
+  }
+  if (params.isRevolving) {
+    // A revolving line bills interest on the period's average daily balance; each advance or
+    // repayment notes the credit left
+    const periodRows = unscheduledRows.slice(firstUnschedIndex, loan.unschedIndex).map(obj => obj.rowData);
+    const averageBalance = averageDailyBalance(interestBearingPrincipal, periodRows, periodStart, periodEnd);
+    const revolvingInterest = accrueOver(period, period.periodParams, averageBalance);
+    loan.runningInterest = Math.max(0, loan.runningInterest + revolvingInterest - period.interestAccrued);
+    period.interestAccrued = revolvingInterest;
+    LoanHelpers.setAmountNote(rowArr, "Average daily balance", loan.cents(averageBalance));
+    periodRows.forEach(row => noteAvailableCredit(row, params, row[14]));
+  }
+
+  // Extra principal paid in this period (unscheduled payments) comes off the scheduled balance
+  if (period.unscheduledPrincipalPaid > 0) {
+    loan.extraPaidOccurred = true;
+    loan.scheduledBalance = Math.max(0, loan.scheduledBalance - period.unscheduledPrincipalPaid);
+  }
+  if (period.pikInterest > 0) {
+    // Capitalize PIK interest at the period end; from here on interest follows the actual balance
+    loan.runningPrincipal += period.pikInterest;
+    loan.scheduledBalance += period.pikInterest;
+    loan.capitalizedPrincipal += period.pikInterest;
+    loan.extraPaidOccurred = true;
+  }
+  LoanHelpers.setAmountNote(rowArr, "PIK interest", period.pikInterest);
+}
+
+/**
+ * The period's Principal Due and Interest Due: the originally scheduled amounts (after the IO period
+ * or a rate change, from the re-amortized table), adjusted for prepayments, balloons, maturity,
+ * revolving minimums and rounding, plus any interest on deferred amounts.
+ */
+function scheduleDues(loan, period) {
+  const { params, cents } = loan;
+  const { rowArr, rowIndex, periodNum, periodRate } = period;
+  let scheduledInterest = loan.ipmtMap[rowIndex] || 0;
+  let scheduledPrincipal = loan.ppmtMap[rowIndex] || 0;
+  if (loan.reAmortization && Number.isInteger(periodNum)) {
+    const amortRow = loan.reAmortization.table[periodNum - loan.reAmortization.startPeriod];
+    if (amortRow) {
+      scheduledInterest = amortRow.interest;
+      scheduledPrincipal = amortRow.principal;
+    }
+  }
+  if (loan.reAmortizeOnRateChange && period.stepsWithinPeriod.length > 0 && periodRate > 0) {
+    // A step within the period: the payment holds, and its interest share follows the day-weighted rate
+    const scheduledPayment = scheduledInterest + scheduledPrincipal;
+    const splitRate = LoanHelpers.averageAnnualRate(params, period.periodStart, period.periodEnd);
+    scheduledInterest = Math.min(scheduledInterest * splitRate / periodRate, scheduledPayment);
+    scheduledPrincipal = scheduledPayment - scheduledInterest;
+  }
+  // A rounded installment: the payment and its interest to whole cents, the principal the difference
+  const roundedPayment = cents(scheduledInterest + scheduledPrincipal);
+  scheduledInterest = cents(scheduledInterest);
+  scheduledPrincipal = roundedPayment - scheduledInterest;
+  // Adjust the due amounts for any prepayment
+  let { newPrincipalDue, newInterestDue } = LoanHelpers.calculateDueAmounts(
+    periodNum,
+    rowIndex,
+    period.periodParams,
+    period.interestAccrued,
+    scheduledInterest,
+    scheduledPrincipal,
+    loan.extraPaidOccurred /* hadExtraPaymentBefore */,
+    period.unscheduledPrincipalPaid > 0 /* extraPaymentThisPeriod */,
+    loan.hasReAmortized[rowIndex],
+    rowArr
+  );
+  const { termPeriods, maturityPeriod, deferredPrincipal } = loan;
+  if (params.isBalloon && periodNum === termPeriods) {
+    // Balloon: the principal still scheduled to be outstanding comes due at maturity
+    newPrincipalDue = Math.min(loan.runningPrincipal, loan.scheduledBalance) - deferredPrincipal;
+  }
+  if (periodNum === termPeriods && maturityPeriod > termPeriods && (params.isBalloon || !loan.isAmortizing)) {
+    // A balloon (or interest-only principal) waits for the maturity that deferrals pushed back
+    newPrincipalDue = 0;
+  }
+  const billsWholeBalance = periodNum > maturityPeriod || (periodNum === maturityPeriod
+      && (loan.capitalizedPrincipal > 0 || maturityPeriod > termPeriods || loan.modIndex > 0 || loan.drawnPrincipal > 0
+          || params.isRevolving));
+  if (billsWholeBalance) {
+    // Past maturity (or at a maturity pushed back by deferrals, or after capitalizing interest,
+    // modifying the loan, drawing on it or advancing on a revolving line): the whole balance is due
+    newPrincipalDue = loan.runningPrincipal - deferredPrincipal;
+  } else if (params.isRevolving && Number.isInteger(periodNum) && periodNum >= 1) {
+    // Before maturity, a revolving line bills its minimum payment on the balance at the period end
+    newPrincipalDue = minimumPrincipalDue(params, loan.runningPrincipal - deferredPrincipal, newInterestDue);
+  }
+  if (periodNum > termPeriods) {
+    newInterestDue = period.interestAccrued;
+  }
+  if (loan.deferredInstallments.length > 0) {
+    // Principal paid ahead can leave less than the installment to bill, apart from the amounts set aside
+    newPrincipalDue = Math.min(newPrincipalDue, Math.max(0, loan.runningPrincipal - deferredPrincipal));
+  }
+  // The installment in whole cents, the final one taking up what the rounding left over
+  const trueUp = (periodNum === maturityPeriod && !loan.deferrals[periodNum])
+    ? { principal: billsWholeBalance ? null : Math.min(loan.runningPrincipal, loan.scheduledBalance) - deferredPrincipal }
+    : null;
+  const rounded = roundInstallment(params, { principal: newPrincipalDue, interest: newInterestDue },
+    period.interestAccrued * period.scheduledShare, loan.unbilledInterest, trueUp);
+  newPrincipalDue = rounded.principal;
+  newInterestDue = rounded.interest;
+  loan.unbilledInterest = rounded.unbilledInterest;
+  loan.runningInterest += period.deferralInterestCharge;
+  period.principalDue = newPrincipalDue;
+  period.interestDue = newInterestDue + period.deferralInterestCharge;
+}
+
+/**
+ * Deferred installments: set this one aside, or bill amounts set aside earlier (per AP4).
+ */
+function applyDeferral(loan, period) {
+  const { params } = loan;
+  const { rowArr, periodNum } = period;
+  const { termPeriods, maturityPeriod } = loan;
+  rowArr[16] = String(rowArr[16] || "").replace(DEFERRAL_NOTE, "").trim();
+  let deferredPrincipalDue = 0;
+  let deferredInterestDue = 0;
+  if (loan.deferrals[periodNum]) {
+    loan.deferredInstallments.push({ principal: period.principalDue, interest: period.interestDue });
+    loan.deferredPrincipal += period.principalDue;
+    loan.deferredInterest += period.interestDue;
+    if (params.deferredAmountsTo === "Remaining Payments") {
+      loan.spreadPrincipal += loan.cents(period.principalDue / (termPeriods - periodNum));
+      loan.spreadInterest += loan.cents(period.interestDue / (termPeriods - periodNum));
+    }
+    period.principalDue = 0;
+    period.interestDue = 0;
+    const flag = (loan.deferrals[periodNum] === "Forbearance") ? "(Forborne)" : "(Deferred)";
+    rowArr[16] = rowArr[16] ? `${flag} ${rowArr[16]}` : flag;
+  } else if (Number.isInteger(periodNum) && periodNum >= 1) {
+    const finalBill = periodNum >= (params.deferredAmountsTo === "End of Term" ? maturityPeriod : termPeriods);
+    if (params.deferredAmountsTo === "End of Term" && periodNum > termPeriods) {
+      const installment = loan.deferredInstallments[periodNum - termPeriods - 1] || { principal: 0, interest: 0 };
+      deferredPrincipalDue = finalBill ? loan.deferredPrincipal : Math.min(installment.principal, loan.deferredPrincipal);
+      deferredInterestDue = finalBill ? loan.deferredInterest : Math.min(installment.interest, loan.deferredInterest);
+    } else if (params.deferredAmountsTo === "Remaining Payments") {
+      deferredPrincipalDue = finalBill ? loan.deferredPrincipal : Math.min(loan.spreadPrincipal, loan.deferredPrincipal);
+      deferredInterestDue = finalBill ? loan.deferredInterest : Math.min(loan.spreadInterest, loan.deferredInterest);
+    } else if (params.deferredAmountsTo === "Maturity" && finalBill) {
+      deferredPrincipalDue = loan.deferredPrincipal;
+      deferredInterestDue = loan.deferredInterest;
+    }
+    period.principalDue += deferredPrincipalDue;
+    period.interestDue += deferredInterestDue;
+    loan.deferredPrincipal -= deferredPrincipalDue;
+    loan.deferredInterest -= deferredInterestDue;
+  }
+  LoanHelpers.setAmountNote(rowArr, "Deferred amounts", deferredPrincipalDue + deferredInterestDue);
+}
+
+/**
+ * Default interest (and interest on late fees) is due with contract interest and noted separately;
+ * the interest reserve then pays the interest due while it lasts.
+ */
+function addDefaultInterest(loan, period) {
+  const { rowArr } = period;
+  loan.runningInterest += period.lateFeeInterest;
+  period.interestDue += period.lateFeeInterest + period.defaultInterest;
+  LoanHelpers.setAmountNote(rowArr, "Default interest", period.defaultInterest);
+  const reservePaid = Math.min(loan.interestReserve, period.interestDue);
+  loan.interestReserve -= reservePaid;
+  period.interestDue -= reservePaid;
+  loan.runningInterest -= reservePaid;
+  LoanHelpers.setAmountNote(rowArr, "Paid from interest reserve", reservePaid);
+}
+
+/**
+ * Write the period's dues to the row (Principal Due, Interest Due, the fees posted to it and the
+ * Total Payment Due).
+ */
+function postDues(loan, period) {
+  const { rowArr, periodNum } = period;
+  rowArr[7] = period.principalDue; // col I: Principal Due
+  rowArr[9] = period.interestDue;  // col K: Interest Due
+  if (Number.isInteger(periodNum) && periodNum >= 1) {
+    loan.scheduledBalance = Math.max(0, loan.scheduledBalance - period.principalDue);
+  }
+  period.lateFee = postPeriodFees(rowArr, loan.params, periodNum, loan.finalMaturity, {
+    maturityPeriod: loan.maturityPeriod, asOfDate: loan.asOfDate, charges: period.feeCharges,
+    unusedFee: period.unusedFee, balance: loan.runningPrincipal
+  });
+  const feesDueThisPeriod = rowArr[11] || 0; // col M: any fee due this period
+  loan.runningFees += feesDueThisPeriod;
+  rowArr[5] = period.principalDue + period.interestDue + feesDueThisPeriod; // col G: Total Payment Due
+}
+
+/**
+ * Apply the payment made on the scheduled row to the balances. One Amount Received is split by the
+ * waterfall across fees, interest and this period's principal (an origination fee settled at closing
+ * stays paid on the first row, outside the split).
+ */
+function applyScheduledPayment(loan, period) {
+  const { params } = loan;
+  const { rowArr } = period;
+  if (LoanHelpers.hasAmountReceived(rowArr)) {
+    const settledAtClosing = (period.i === 0) ? (params.origFeeAtClosing || 0) : 0;
+    const currentInterest = Math.min(period.interestDue, loan.runningInterest);
+    // (interest left for the final installment to bill isn't past due)
+    const unbilled = Math.min(loan.unbilledInterest, loan.runningInterest - currentInterest);
+    loan.suspense = LoanHelpers.allocateAmountReceived(rowArr, loan.suspense, {
+      fees            : loan.runningFees - settledAtClosing,
+      pastDueInterest : loan.runningInterest - currentInterest - unbilled,
+      currentInterest : currentInterest,
+      principal       : Math.min(period.principalDue, loan.runningPrincipal)
+    }, loan.runningPrincipal, params).suspense;
+    rowArr[12] += settledAtClosing;
+  }
+  const principalPd = rowArr[8] || 0;  // col J: Principal Paid this period
+  const interestPd = rowArr[10] || 0; // col L: Interest Paid this period
+  const feesPd = rowArr[12] || 0;     // col N: Fees Paid this period
+  loan.runningInterest = Math.max(0, loan.runningInterest - interestPd);
+  loan.runningPrincipal = Math.max(0, loan.runningPrincipal - principalPd);
+  loan.runningFees = Math.max(0, loan.runningFees - feesPd);
+  loan.unpaidLateFees = Math.min(loan.unpaidLateFees + period.lateFee, loan.runningFees);
+  // Anything paid down past what was billed comes out of the amounts set aside last
+  loan.deferredInterest = Math.min(loan.deferredInterest, loan.runningInterest);
+  loan.deferredPrincipal = Math.min(loan.deferredPrincipal, loan.runningPrincipal);
+  loan.unbilledInterest = Math.min(loan.unbilledInterest, loan.runningInterest);
+  rowArr[6] = principalPd + interestPd + feesPd; // col H: Total Paid in this period
+
+  if (principalPd > (rowArr[7] || 0)) {
+    // An extra principal overpayment was made in this scheduled period
+    loan.extraPaidOccurred = true;
+    loan.scheduledBalance = Math.max(0, loan.scheduledBalance - (principalPd - (rowArr[7] || 0)));
+  }
+}
+
+/**
+ * A late installment (or, for "Maturity", a final one that doesn't pay off the loan) starts a default.
+ */
+function trackDefault(loan, period) {
+  const { params } = loan;
+  const { periodNum } = period;
+  if (params.defaultTrigger !== null && Number.isInteger(periodNum) && periodNum >= 1 && periodNum <= loan.maturityPeriod
+      && (params.defaultTrigger !== "Maturity" || periodNum === loan.maturityPeriod)) {
+    const stillOwed = periodNum === loan.maturityPeriod && loan.runningPrincipal > 0;
+    const window = LoanHelpers.calcDefaultWindow(period.rowArr, loan.daysPastDue, loan.asOfDate, stillOwed);
+    if (window) loan.defaultWindows.push(window);
+  }
+}
+
+/**
+ * Capitalize interest still unpaid after the due date, when the loan calls for it (interest set
+ * aside by a deferral stays interest).
+ */
+function capitalizeUnpaidInterest(loan, period) {
+  const { rowArr } = period;
+  const dueDate = (rowArr[2] instanceof Date) ? rowArr[2] : oneDayAfter(period.periodEnd);
+  let interestCapitalized = 0;
+  if (loan.runningInterest - loan.deferredInterest > 0 && loan.runningPrincipal > 0
+      && capitalizesOn(loan.params, loan.previousDue, dueDate)) {
+    interestCapitalized = loan.runningInterest - loan.deferredInterest;
+    loan.runningPrincipal += interestCapitalized;
+    loan.scheduledBalance += interestCapitalized;
+    loan.capitalizedPrincipal += interestCapitalized;
+    loan.runningInterest = loan.deferredInterest;
+    loan.extraPaidOccurred = true;
+  }
+  LoanHelpers.setAmountNote(rowArr, "Capitalized interest", interestCapitalized);
+  loan.previousDue = dueDate;
+}
+
+/**
+ * Write out the period's ending balances (Interest, Principal, Total remaining).
+ */
+function closePeriod(loan, period) {
+  const { rowArr } = period;
+  rowArr[13] = loan.runningInterest;
+  rowArr[14] = loan.runningPrincipal;
+  rowArr[15] = loan.runningInterest + loan.runningPrincipal + loan.runningFees;
+  if (loan.params.isRevolving) noteAvailableCredit(rowArr, loan.params, loan.runningPrincipal);
+  loan.lastEndDate = period.periodEnd;   // move to next period
+  loan.hasReAmortized[period.rowIndex] = false;  // (flag remains false for this period itself)
+}
+
+// The loan is fully repaid (a revolving line only at maturity) once the period is closed
+function isPaidOff(loan, period) {
+  return loan.runningPrincipal <= 0 && loan.deferredInterest <= 0 && loan.drawIndex >= loan.draws.length
+    && (!loan.params.isRevolving || period.periodNum >= loan.maturityPeriod);
+}
+
+/**
+ * After the last scheduled row, add a row for another period when one is needed: a deferred
+ * installment moved past the term or a modification extending it, a modification still to come, or
+ * past maturity and not paid off (interest keeps accruing in another period). Once no more are
+ * needed, unpaid rows left past maturity (maturity moved up, say) are dropped.
+ */
+function extendSchedule(loan, period) {
+  const { params, scheduledRows } = loan;
+  const { i, periodNum } = period;
+  const paymentsAfter = loan.unschedIndex < loan.unscheduledRows.length;   // payments dated after this period
+  const needsRowAfter = Number.isInteger(periodNum) && periodNum >= loan.termPeriods
+    && (periodNum < loan.maturityPeriod || loan.modIndex < loan.modifications.length
+        || (params.defaultTrigger !== null && oneDayAfter(period.periodEnd) <= loan.asOfDate) || paymentsAfter);
+  if (i === scheduledRows.length - 1 && needsRowAfter) {
+    if (loan.nextRowIndex >= loan.maxRows) {
+      throw new Error(`The schedule needs more than ${loan.maxRows} rows after period ${periodNum}. `
+        + "Record the payoff, or move the as-of date, deferrals or modifications so it ends sooner.");
+    }
+    const nextRow = buildPeriodRow(params, (params.prorateFirst === "Yes") ? periodNum + 1 : periodNum);
+    loan.allRows[loan.nextRowIndex] = nextRow;
+    scheduledRows.push({ rowIndex: loan.nextRowIndex, rowData: nextRow });
+    loan.nextRowIndex++;
+  } else if (Number.isInteger(periodNum) && periodNum >= loan.maturityPeriod && !needsRowAfter) {
+    for (let j = scheduledRows.length - 1; j > i; j--) {
+      if (scheduledRows[j].rowData[0] > loan.maturityPeriod && !rowHasPayment(scheduledRows[j].rowData)) {
+        loan.removedRows.push(scheduledRows[j].rowIndex);
+        scheduledRows.splice(j, 1);
+      }
+    }
+  }
+}
+
+/**
+ * Clear the rows after a payoff, put the updated rows back in their original positions in dollars,
+ * and drop the rows past maturity a payoff made unnecessary, moving the rows below them up.
+ */
+function finishRecalculation(loan) {
+  const { allRows, scheduledRows, removedRows } = loan;
+  if (loan.payoffIndex >= 0) {
+    const payoffRow = scheduledRows[loan.payoffIndex].rowData;
+    for (let j = loan.payoffIndex + 1; j < scheduledRows.length; j++) {
+      const futureRow = scheduledRows[j].rowData;
+      clearRowAfterPayoff(futureRow, payoffRow, loan.params);
+      if (futureRow[0] > loan.maturityPeriod && !rowHasPayment(futureRow)) {
+        removedRows.push(scheduledRows[j].rowIndex);
+      }
+    }
+  }
+  scheduledRows.forEach(obj => { allRows[obj.rowIndex] = obj.rowData; });
+  loan.unscheduledRows.forEach(obj => { allRows[obj.rowIndex] = obj.rowData; });
+  const usedCount = Math.max(loan.lastUsedRowIndex, loan.nextRowIndex);
+  allRows.slice(0, usedCount).forEach(rowToDollars);
+  if (removedRows.length > 0) {
+    const keptRows = allRows.slice(0, usedCount).filter((row, idx) => removedRows.indexOf(idx) < 0);
+    for (let j = 0; j < usedCount; j++) {
+      allRows[j] = keptRows[j] || SCHEDULE_FIELDS.map(() => "");
+    }
+  }
+}
+
+/**
+ * Recalculate dues, paid totals and balances for the first `lastUsedRowIndex` rows (B..T arrays).
+ * Rows are updated in place; the same array is returned for convenience.
+ * A loan not paid off at maturity gets rows past maturity appended after the used rows: through the
+ * period containing the as-of date (see scheduleAsOfDate) with a default trigger, and up to any
+ * payment recorded after maturity. Once it is paid off, unpaid rows past maturity are removed and the rows below move up,
+ * leaving blank rows at the end. Rows are never appended past `maxRows`; a schedule that needs more throws.
+ * Each scheduled period goes through the steps below in order, over the running state from
+ * startRecalculation.
+ */
+function recalculateSchedule(allRows, lastUsedRowIndex, params, maxRows = MAX_SCHEDULE_ROWS) {
+  if (lastUsedRowIndex === 0) return allRows;
+  const loan = startRecalculation(allRows, lastUsedRowIndex, params, maxRows);
+  for (let i = 0; i < loan.scheduledRows.length; i++) {
+    const period = beginPeriod(loan, i);
+    applyModifications(loan, period);
+    setPeriodRate(loan, period);
+    reAmortizeForPeriod(loan, period);
+    accrueOtherInterest(loan, period);
+    fundDraws(loan, period);
+    chargeTableFees(loan, period);
+    applyUnscheduledPayments(loan, period);
+    scheduleDues(loan, period);
+    applyDeferral(loan, period);
+    addDefaultInterest(loan, period);
+    postDues(loan, period);
+    applyScheduledPayment(loan, period);
+    trackDefault(loan, period);
+    capitalizeUnpaidInterest(loan, period);
+    closePeriod(loan, period);
+    if (isPaidOff(loan, period)) {
+      // Remaining periods are cleared by finishRecalculation
+      loan.payoffIndex = i;
+      break;
+    }
+    extendSchedule(loan, period);
+  }
+  finishRecalculation(loan);
+  return allRows;
+}
+
+/**
+ * What it takes to pay the loan off on `payoffDate`: the schedule (first `lastUsedRowIndex` rows)
+ * is recalculated on a copy with an empty unscheduled payment on that date, so principal, interest
+ * and fees follow the same accrual, prepaid-interest, late-fee and default rules as a real payment.
+ * Paying off early owes the prepayment premium on the principal; a payoff date in the lockout throws.
+ * @returns {{ payoffDate: Date, principal: number, interest: number, fees: number, exitFee: number,
+ *   prepaymentPremium: number, total: number, perDiem: number }} Amounts in dollars, each rounded to cents
+ *   under the loan's rounding method (which the payment will be recalculated under) and totaled in whole
+ *   cents; perDiem is the interest for each day after the payoff date.
+ */
+function calcPayoffQuote(allRows, lastUsedRowIndex, params, payoffDate) {
+  const quoteDate = toDate(payoffDate);
+  if (!quoteDate) {
+    throw new Error("A payoff quote needs a valid payoff date.");
+  }
+  if (quoteDate <= params.closingDate) {
+    throw new Error("The payoff date must be after the closing date.");
+  }
+  const rows = allRows.slice(0, lastUsedRowIndex).map(row => row.slice());
+  const payoffRow = SCHEDULE_FIELDS.map((field, idx) => (idx >= 5 && idx <= 15) ? 0 : "");
+  payoffRow[0] = 0.5;          // any non-integer label makes it an unscheduled row
+  payoffRow[4] = quoteDate;
+  rows.push(payoffRow);
+  recalculateSchedule(rows, rows.length, Object.assign({}, params, { asOfDate: quoteDate }));
+
+  const principal = payoffRow[14];
+  let interest = payoffRow[13];
+  const fees = Math.max(0, payoffRow[15] - payoffRow[13] - payoffRow[14]);
+  const rateParams = withAnnualRate(params, (typeof payoffRow[17] === 'number') ? payoffRow[17] : params.annualRate);
+
+  // The period the payoff falls in; "Actual" (and a prorated period 0) accrue a period's interest at
+  // its end rather than up to each payment, so interest since the last accrual is added here
+  const scheduled = rows.filter(row => Number.isInteger(row[0]) && row[1] instanceof Date)
+    .sort((a, b) => a[1] - b[1]);
+  const payoffPeriod = scheduled.find(row => row[1] >= quoteDate);
+  const convention = DayCount.getDayCountConvention(params.dayCountMethod);
+  const accruesToPayment = !!convention
+    || (params.dayCountMethod === "Periodic" && !!params.frequency && payoffPeriod && payoffPeriod[0] >= 1);
+  if (payoffPeriod && !accruesToPayment && principal > 0) {
+    const previous = scheduled[scheduled.indexOf(payoffPeriod) - 1];
+    let accrueFrom = calcPeriodStart(payoffPeriod[0], previous ? previous[1] : params.closingDate, params);
+    rows.forEach(row => {
+      if (row !== payoffRow && !Number.isInteger(row[0]) && row[4] instanceof Date
+          && row[4] >= accrueFrom && row[4] < quoteDate) {
+        accrueFrom = oneDayAfter(row[4]);
+      }
+    });
+    interest += LoanHelpers.accrueByConvention({ thirty: null, basis: params.daysPerYear || 365 },
+      rateParams, principal, accrueFrom, quoteDate);
+  }
+
+  // The exit fee and any "At Payoff" fees are posted with the final scheduled row, so a payoff before
+  // then adds them
+  const maturityPeriod = params.maturityPeriod || params.termPeriods || params.termMonths;
+  const finalRow = scheduled.find(row => row[0] === maturityPeriod);
+  const payoffFees = (params.fees || []).filter(fee => fee.timing === "At Payoff")
+    .reduce((sum, fee) => sum + feeCharge(fee, principal), 0);
+  const exitFee = (!finalRow || quoteDate <= finalRow[1]) ? (params.exitFee || 0) + payoffFees : 0;
+  // Paying the balance off early owes the prepayment premium, which the lockout rules out
+  const method = params.roundingMethod;
+  const prepaid = LoanHelpers.calcPrepaymentPremium(rateParams, LoanHelpers.toCents(principal, method), quoteDate);
+  if (prepaid.lockedOut) {
+    throw new Error(`The loan can't be prepaid before ${params.prepayment.lockoutEnd.toLocaleDateString("en-US")} (the lockout).`);
+  }
+
+  const cents = {
+    principal         : LoanHelpers.toCents(principal, method),
+    interest          : LoanHelpers.toCents(interest, method),
+    fees              : LoanHelpers.toCents(fees, method),
+    exitFee           : LoanHelpers.toCents(exitFee, method),
+    prepaymentPremium : prepaid.premium
+  };
+  const quote = { payoffDate: quoteDate };
+  Object.keys(cents).forEach(field => { quote[field] = cents[field] / 100; });
+  quote.total = Object.keys(cents).reduce((sum, field) => sum + cents[field], 0) / 100;
+  quote.perDiem = principal * rateParams.annualRate / ((convention && convention.basis) || params.daysPerYear || 365);
+  return quote;
+}
+
+// Solve f(rate) = 0 by bisection, where f falls as the rate rises (a present value); null if
+// f doesn't change sign between `low` and `high`
+function solveRate(f, low, high) {
+  if (!(f(low) > 0 && f(high) < 0)) return null;
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const mid = (low + high) / 2;
+    if (f(mid) > 0) low = mid; else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+// Annual rate at which the dated cash flows have a present value of 0, discounting by actual days
+// over 365 (as a spreadsheet's XIRR does); null unless there is money both out and back
+function calcXirr(flows) {
+  if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) return null;
+  const start = flows.reduce((earliest, flow) => (flow.date < earliest ? flow.date : earliest), flows[0].date);
+  return solveRate(rate => flows.reduce((sum, flow) =>
+    sum + flow.amount / Math.pow(1 + rate, daysBetween(start, flow.date) / 365), 0), -0.9999, 100);
+}
+
+// Regulation Z unit periods from `start` to `date`: whole payment periods counted back from the date,
+// then the odd days left over as a fraction of a period (a month is 30 days; a year 365). A loan
+// without a payment frequency has one unit period, `termDays` long.
+function unitPeriodsBetween(params, start, date, termDays) {
+  const frequency = params.frequency;
+  const periodDays = frequency ? frequency.days : termDays;
+  if (periodDays) {
+    const days = daysBetween(start, date);
+    return { whole: Math.floor(days / periodDays), fraction: (days % periodDays) / periodDays };
+  }
+  let whole = 0;
+  while (addMonths(date, -(whole + 1) * frequency.months) >= start) whole++;
+  const oddDays = daysBetween(start, addMonths(date, -whole * frequency.months));
+  return { whole, fraction: oddDays / (frequency.months === 12 ? 365 : 30 * frequency.months) };
+}
+
+// The prepaid finance charges, as { name, amount }: the origination fee, prepaid interest and the
+// fee-table fees financed or paid at closing, however the borrower paid them
+function prepaidFinanceCharges(params) {
+  return [{ name: "Origination fee", amount: params.origFee || 0 }, { name: "Prepaid interest", amount: params.prepaidInterest || 0 }]
+    .concat((params.fees || []).filter(fee => fee.treatment !== "Billed").map(fee => ({ name: fee.name, amount: fee.charge })))
+    .filter(charge => charge.amount > 0);
+}
+
+// Dated cash flows as scheduled: `amountFinanced` out at closing and draws out on their dates, then
+// each row's Total Due in on its due date, from a fresh schedule with nothing paid and nothing late
+// (less an origination fee settled at closing, on the first row)
+function scheduledCashFlows(params, amountFinanced) {
+  const planned = buildScheduleRows(params);
+  recalculateSchedule(planned, planned.length, Object.assign({}, params, { asOfDate: params.closingDate }));
+  return [{ date: params.closingDate, amount: -amountFinanced }]
+    .concat((params.draws || []).map(draw => ({ date: draw.date, amount: -draw.amount })))
+    .concat(planned
+      .filter(row => Number.isInteger(row[0]) && row[2] instanceof Date)
+      .map((row, idx) => ({ date: row[2], amount: (row[5] || 0) - (idx === 0 ? (params.origFeeAtClosing || 0) : 0) }))
+      .filter(flow => flow.amount > 0));
+}
+
+// Regulation Z (Appendix J) actuarial APR: the unit-period rate that discounts the payments back to
+// the amounts advanced, times the unit periods in a year; null if it can't be solved for
+function calcApr(params, flows) {
+  const termDays = params.frequency ? 0 : Math.max(...flows.map(flow => daysBetween(params.closingDate, flow.date)));
+  if (!params.frequency && !(termDays > 0)) return null;
+  const timed = flows.map(flow => Object.assign({ amount: flow.amount }, unitPeriodsBetween(params, params.closingDate, flow.date, termDays)));
+  const rate = solveRate(i => timed.reduce((sum, flow) =>
+    sum + flow.amount / ((1 + flow.fraction * i) * Math.pow(1 + i, flow.whole)), 0), -0.9999, 10);
+  if (rate === null) return null;
+  return rate * (params.frequency ? params.frequency.periodsPerYear : 365 / termDays);
+}
+
+/**
+ * APR, yield and XIRR for the schedule (first `lastUsedRowIndex` rows, already recalculated).
+ * The amount financed is the principal less the prepaid finance charges (see prepaidFinanceCharges)
+ * and is funded at closing; draws are funded on their dates. The scheduled cash flows come from
+ * scheduledCashFlows; the actual ones are what was paid (less the origination fee settled at closing)
+ * on the day it was paid, any advances, and the balance still owed at par on the latest row on or
+ * before the as-of date (see scheduleAsOfDate).
+ *   - apr: Regulation Z actuarial APR on the scheduled flows (unit periods with an odd first
+ *     period; a loan without a payment frequency has one unit period, its term).
+ *   - effectiveYield / nominalYield: the annual yield on the scheduled flows, compounded yearly
+ *     and once a period.
+ *   - xirr: the annual return on the actual flows.
+ * Rates are decimals, null when they can't be solved for.
+ */
+function calcYieldAnalytics(allRows, lastUsedRowIndex, params) {
+  const asOfDate = scheduleAsOfDate(allRows, lastUsedRowIndex, params);
+  const amountFinanced = params.principal - prepaidFinanceCharges(params).reduce((sum, charge) => sum + charge.amount, 0);
+  const scheduledFlows = scheduledCashFlows(params, amountFinanced);
+  const funding = scheduledFlows.filter(flow => flow.amount < 0);
+
+  // Actual: payments and advances as made, through the as-of date
+  const rows = allRows.slice(0, lastUsedRowIndex)
+    .filter(row => row[0] !== "" && (row[4] instanceof Date || row[2] instanceof Date))
+    .map(row => ({ row, date: (row[4] instanceof Date) ? row[4] : row[2] }))
+    .filter(entry => entry.date <= asOfDate);
+  let closingFeeLeft = params.origFeeAtClosing || 0;
+  const actualFlows = funding.filter(flow => flow.date <= asOfDate);
+  rows.forEach(({ row, date }) => {
+    const principalPaid = row[8] || 0;
+    let feesPaid = row[12] || 0;
+    if (Number.isInteger(row[0]) && closingFeeLeft > 0) {
+      const settled = Math.min(closingFeeLeft, feesPaid);
+      feesPaid -= settled;
+      closingFeeLeft -= settled;
+    }
+    const received = Math.max(0, principalPaid) + (row[10] || 0) + feesPaid;
+    if (received > 0) actualFlows.push({ date, amount: received });
+    if (principalPaid < 0) actualFlows.push({ date, amount: principalPaid });
+  });
+  const latest = rows.reduce((last, entry) => (!last || entry.date >= last.date ? entry : last), null);
+  const balanceOwed = latest ? Math.max(0, latest.row[15] || 0) : 0;
+  if (balanceOwed > 0) actualFlows.push({ date: latest.date, amount: balanceOwed });
+
+  const periodsPerYear = params.frequency ? params.frequency.periodsPerYear : 1;
+  const effectiveYield = calcXirr(scheduledFlows);
+  const totalOfPayments = scheduledFlows.filter(flow => flow.amount > 0).reduce((sum, flow) => sum + flow.amount, 0);
+  const advanced = funding.reduce((sum, flow) => sum - flow.amount, 0);
+
+  return {
+    amountFinanced,
+    totalOfPayments,
+    financeCharge  : totalOfPayments - advanced,
+    apr            : calcApr(params, scheduledFlows),
+    effectiveYield,
+    nominalYield   : (effectiveYield === null) ? null
+      : periodsPerYear * (Math.pow(1 + effectiveYield, 1 / periodsPerYear) - 1),
+    xirr           : calcXirr(actualFlows),
+    balanceOwed,
+    scheduledFlows,
+    actualFlows
+  };
+}
+
+/**
+ * The Truth-in-Lending (Regulation Z) disclosure for a closed-end loan, from its terms and schedule
+ * as generated (see scheduledCashFlows). The amount financed is the principal less the prepaid
+ * finance charges, plus any draws; the payments are rounded to cents, and runs of equal payments make
+ * up the payment schedule.
+ * @returns {{ apr: number, financeCharge: number, amountFinanced: number, totalOfPayments: number,
+ *   paymentSchedule: Array<{count: number, amount: number, firstDue: Date, lastDue: Date}>,
+ *   paymentFreq: string, principal: number, prepaidFinanceCharges: Array<{name: string, amount: number}>,
+ *   draws: number, lateFee: ?Object, prepaymentPenalty: boolean }} lateFee is null without one, or
+ *   `{ flat, pct, min, max, graceDays }`; prepaymentPenalty is true with a prepayment premium.
+ */
+function calcDisclosure(params) {
+  if (params.isRevolving) {
+    throw new Error("A revolving line is open-end credit; the Truth-in-Lending disclosure is for closed-end loans.");
+  }
+  const rounded = (amount) => LoanHelpers.roundToCents(amount, params.roundingMethod);
+  const charges = prepaidFinanceCharges(params).map(charge => ({ name: charge.name, amount: rounded(charge.amount) }));
+  const principal = rounded(params.principal);
+  const draws = rounded((params.draws || []).reduce((sum, draw) => sum + draw.amount, 0));
+  const atClosing = principal - charges.reduce((sum, charge) => sum + charge.amount, 0);
+  const flows = scheduledCashFlows(params, atClosing)
+    .map(flow => ({ date: flow.date, amount: rounded(flow.amount) }));
+
+  const paymentSchedule = [];
+  flows.filter(flow => flow.amount > 0).forEach(flow => {
+    const run = paymentSchedule[paymentSchedule.length - 1];
+    if (run && run.amount === flow.amount) {
+      run.count++;
+      run.lastDue = flow.date;
+    } else {
+      paymentSchedule.push({ count: 1, amount: flow.amount, firstDue: flow.date, lastDue: flow.date });
+    }
+  });
+  const totalOfPayments = rounded(paymentSchedule.reduce((sum, run) => sum + run.count * run.amount, 0));
+  const amountFinanced = rounded(atClosing + draws);
+  const apr = calcApr(params, flows);
+  if (apr === null) {
+    throw new Error("The APR can't be worked out for this schedule; check that it has payments.");
+  }
+
+  return {
+    apr,
+    financeCharge   : rounded(totalOfPayments - amountFinanced),
+    amountFinanced,
+    totalOfPayments,
+    paymentSchedule,
+    paymentFreq     : params.paymentFreq,
+    principal,
+    prepaidFinanceCharges: charges,
+    draws,
+    lateFee         : (params.lateFeeFlat > 0 || params.lateFeePct > 0)
+      ? { flat: params.lateFeeFlat, pct: params.lateFeePct, min: params.lateFeeMin, max: params.lateFeeMax, graceDays: params.graceDays }
+      : null,
+    prepaymentPenalty: !!(params.prepayment && params.prepayment.type !== "None")
+  };
+}
+
+// How a recast re-sizes the loan (see planRecast)
+const RECAST_METHODS = ["Lower Payment", "Shorter Term", "Target Payment"];
+
+/**
+ * Copy of the params with one more modification (checked with the others, and moving maturity if it
+ * sets one).
+ */
+function withModification(params, entry) {
+  const modified = Object.assign({}, params, { modifications: (params.modifications || []).concat([entry]) });
+  modified.modifications = parseModifications(modified);
+  modified.maturityPeriod = modifiedTermPeriods(modified)
+    + (params.deferredAmountsTo === "End of Term" ? (params.deferrals || []).length : 0);
+  return modified;
+}
+
+/**
+ * Periods a `payment` takes to pay `balance` down at `periodicRate` (the last one partial), or null
+ * if it doesn't cover the interest. Figured in whole cents, each period's interest rounded under `method`.
+ */
+function periodsToRepay(balance, periodicRate, payment, method) {
+  let count = 0;
+  let left = LoanHelpers.toCents(balance, method);
+  const paymentCents = LoanHelpers.toCents(payment, method);
+  while (left > 0) {
+    const principalPaid = paymentCents - LoanHelpers.roundCents(left * periodicRate, method);
+    if (principalPaid <= 0) return null;
+    left -= principalPaid;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Preview a recast taking effect with scheduled period `options.period` (blank => the first period
+ * without a payment): the modification that makes it, and the payment and maturity before and after.
+ * `options.method` is one of RECAST_METHODS:
+ *  - "Lower Payment": keep the maturity and re-amortize the balance (a modification with no new terms);
+ *  - "Shorter Term": keep the payment and pay off sooner (the payment, with an earlier maturity);
+ *  - "Target Payment": bill `options.payment`, maturing when it pays the loan off, or with what is
+ *    left due at maturity if that comes first.
+ * The schedule is recalculated on copies, with and without the recast; `allRows` is not changed.
+ * @returns {{ method: string, period: number, firstPeriod: number, lastPeriod: number,
+ *   effectiveDate: Date, balance: number, oldPayment: number, newPayment: number, oldMaturity: Date,
+ *   newMaturity: Date, modification: Object, description: string }}
+ */
+function planRecast(allRows, lastUsedRowIndex, params, options) {
+  if (params.amortizeYN !== "Yes" || !params.frequency) {
+    throw new Error("Only amortizing loans with a regular payment frequency can be recast.");
+  }
+  const method = options.method || "Lower Payment";
+  if (RECAST_METHODS.indexOf(method) < 0) {
+    throw new Error(`A recast must be "${RECAST_METHODS.join('", "')}", not "${method}".`);
+  }
+  const recalcCopy = (recalcParams) => {
+    const rows = allRows.slice(0, lastUsedRowIndex).map(row => row.slice());
+    recalculateSchedule(rows, lastUsedRowIndex, recalcParams);
+    return rows;
+  };
+  const scheduledOf = (rows) => rows.filter(row => Number.isInteger(row[0]) && row[1] instanceof Date);
+  const currentRows = recalcCopy(params);
+  const current = scheduledOf(currentRows);
+  const rowFor = (rows, period) => rows.find(row => row[0] === period);
+
+  // By default the recast follows the period of the latest payment (scheduled or not)
+  const firstPeriod = ((params.prorateFirst === "Yes") ? 0 : 1) + 1;
+  const lastPeriod = modifiedTermPeriods(params);
+  const paidPeriod = currentRows.filter(rowHasPayment).reduce((latest, row) => {
+    const containing = isUnscheduledRow(row) ? current.find(sched => sched[1] >= row[4]) : row;
+    return containing ? Math.max(latest, containing[0]) : lastPeriod;
+  }, firstPeriod - 1);
+  const period = (options.period === undefined || options.period === null || options.period === "")
+    ? Math.min(paidPeriod + 1, lastPeriod)
+    : Number(options.period);
+  if (!Number.isInteger(period) || period < firstPeriod || period > lastPeriod) {
+    throw new Error(`A recast takes effect with a period from ${firstPeriod} to ${lastPeriod}, not "${options.period}".`);
+  }
+  const previous = rowFor(current, period - 1);
+  const first = rowFor(current, period);
+  if (!previous || !first || previous[14] <= 0) {
+    throw new Error(`The loan is paid off before period ${period}.`);
+  }
+  const balance = previous[14];
+  const oldPayment = first[7] + first[9];
+
+  const entry = { effectiveDate: periodDueDate(params, period - 1) };
+  if (method !== "Lower Payment") {
+    const payment = (method === "Shorter Term") ? oldPayment : optionalNumber(options.payment);
+    if (!(payment > 0)) {
+      throw new Error(`Enter a target payment over 0, not "${options.payment}".`);
+    }
+    const rate = (typeof first[17] === 'number') ? first[17] : params.annualRate;
+    const count = periodsToRepay(balance, rate / params.frequency.periodsPerYear, payment, params.roundingMethod);
+    if (count === null) {
+      throw new Error(`A payment of ${LoanHelpers.formatMoney(payment)} doesn't cover the interest, so it would never pay the loan off.`);
+    }
+    entry.payment = payment;
+    const payoffPeriod = period + count - 1;
+    if (payoffPeriod < lastPeriod) {
+      entry.maturityDate = periodDueDate(params, payoffPeriod);
+    } else if (method === "Shorter Term") {
+      throw new Error(`The payment of ${LoanHelpers.formatMoney(payment)} already takes until maturity to pay the loan off.`);
+    }
+  }
+
+  const recastParams = withModification(params, entry);
+  const recast = scheduledOf(recalcCopy(recastParams));
+  const newFirst = rowFor(recast, period);
+  const oldFinal = rowFor(current, params.maturityPeriod) || current[current.length - 1];
+  const newFinal = rowFor(recast, recastParams.maturityPeriod) || recast[recast.length - 1];
+  const plan = {
+    method        : method,
+    period        : period,
+    firstPeriod   : firstPeriod,
+    lastPeriod    : lastPeriod,
+    effectiveDate : entry.effectiveDate,
+    balance       : balance,
+    oldPayment    : oldPayment,
+    newPayment    : newFirst[7] + newFirst[9],
+    oldMaturity   : oldFinal[2],
+    newMaturity   : newFinal[2],
+    modification  : entry
+  };
+  plan.description = `Recast (${method.toLowerCase()}): payment ${LoanHelpers.formatMoney(plan.oldPayment)} to ${LoanHelpers.formatMoney(plan.newPayment)}`
+    + (entry.maturityDate
+      ? `; maturity ${plan.oldMaturity.toLocaleDateString("en-US")} to ${plan.newMaturity.toLocaleDateString("en-US")}`
+      : "");
+  return plan;
+}
+
+/**
+ * Amortization table for `principal` over `amortCount` periods, cut off after the `rowCount`
+ * periods left to maturity. When the amortization runs past maturity, the last row carries the
+ * balloon: its principal is everything still outstanding.
+ */
+function amortizeToMaturity(principal, periodicRate, amortCount, rowCount) {
+  const table = Amortization.buildAmortizationSchedule(principal, periodicRate, amortCount).slice(0, rowCount);
+  if (amortCount > rowCount && table.length > 0) {
+    const last = table[table.length - 1];
+    table[table.length - 1] = Object.assign({}, last, {
+      payment   : last.payment + last.balance,
+      principal : last.principal + last.balance,
+      balance   : 0
+    });
+  }
+  return table;
+}
+
+/**
+ * Amortization table paying `principal` down by a fixed `payment` over `rowCount` periods. Interest
+ * comes first; the last row carries whatever principal is still outstanding.
+ */
+function amortizeWithPayment(principal, periodicRate, payment, rowCount) {
+  const table = [];
+  let balance = principal;
+  for (let per = 1; per <= rowCount; per++) {
+    const interest = balance * periodicRate;
+    const principalPortion = (per === rowCount)
+      ? balance
+      : Math.min(Math.max(0, payment - interest), balance);
+    balance -= principalPortion;
+    table.push({
+      period: per,
+      payment: interest + principalPortion,
+      interest: interest,
+      principal: principalPortion,
+      balance: balance
+    });
+  }
+  return table;
+}
+
+/**
+ * Scheduled interest/principal split for each row of an amortizing loan (the -IPMT/-PPMT values).
+ * A balloon loan's payments follow its longer amortization, with the balloon in the final row;
+ * interest-only periods have no principal and amortization starts after them.
+ * Returns [ipmtVals, ppmtVals], each lastUsedCount × 1.
+ */
+function buildIpmtPpmtResults(schedule, lastUsedCount, params) {
+  if (params.amortizeYN === "No") {
+    const empties = new Array(lastUsedCount).fill([0]);
+    return [empties, empties];
+  }
+  const periodicRate = params.periodicRate;
+  const nper         = params.termPeriods;
+  const ioPeriods    = params.ioPeriods || 0;
+  // After any interest-only periods, the full principal amortizes over what is left
+  const amortTable   = amortizeToMaturity(params.principal, periodicRate, (params.amortPeriods || nper) - ioPeriods, nper - ioPeriods);
+  const ipmtVals = [];
+  const ppmtVals = [];
+
+  for (let r = 0; r < lastUsedCount; r++) {
+    const periodNum = schedule[r][0];
+    if (
+      Number.isInteger(periodNum) &&
+      params.frequency &&
+      periodNum >= 1 &&
+      periodNum <= nper
+    ) {
+      if (periodNum <= ioPeriods) {
+        ipmtVals.push([params.principal * periodicRate]);
+        ppmtVals.push([0]);
+      } else {
+        ipmtVals.push([amortTable[periodNum - ioPeriods - 1].interest]);
+        ppmtVals.push([amortTable[periodNum - ioPeriods - 1].principal]);
+      }
+    } else {
+      ipmtVals.push([""]);
+      ppmtVals.push([""]);
+    }
+  }
+
+  return [ipmtVals, ppmtVals];
+}
+
+/**
+ * Re-amortize `leftoverPrincipal` over the next `leftoverCount` scheduled rows from `startRow`
+ * (plus, for a balloon loan, the amortization periods beyond maturity), overwriting
+ * Principal Due (I), Interest Due (K) and Total Due (G) in place. Rows still in the
+ * interest-only period are left alone.
+ */
+function reAmortizeFutureRows(schedule, startRow, endRow, leftoverCount, leftoverPrincipal, params, hasReAmortized) {
+  if (leftoverCount <= 0 || leftoverPrincipal <= 0) return;
+
+  // Rows still in the interest-only period keep their dues; amortization starts after them
+  const ioPeriods = params.ioPeriods || 0;
+  let ioRows = 0;
+  for (let r = startRow; r < endRow; r++) {
+    const pNum = schedule[r][0];
+    if (Number.isInteger(pNum) && pNum >= 1 && pNum <= ioPeriods) ioRows++;
+  }
+  const amortRows = leftoverCount - ioRows;
+  if (amortRows <= 0) return;
+
+  // A balloon loan keeps amortizing past maturity; the balloon still falls on the last row
+  const amortCount  = amortRows + Math.max(0, (params.amortPeriods || 0) - (params.termPeriods || 0));
+  const amortTable  = amortizeToMaturity(leftoverPrincipal, params.periodicRate, amortCount, amortRows);
+
+  let periodIndex = 1;
+  for (let r = startRow; r < endRow; r++) {
+    const rowArr = schedule[r];
+    const pNum = rowArr[0];
+    if (Number.isInteger(pNum) && pNum >= 1 && pNum <= ioPeriods) continue;
+    if (Number.isInteger(pNum)) {
+      if (periodIndex <= amortRows) {
+        const iVal = amortTable[periodIndex - 1].interest;
+        const pVal = amortTable[periodIndex - 1].principal;
+        const feesDue = rowArr[11] || 0;
+
+        rowArr[7] = pVal;                      // I
+        rowArr[9] = iVal;                      // K
+        rowArr[5] = pVal + iVal + feesDue;     // G
+
+        hasReAmortized[r] = true;
+        periodIndex++;
+      } else {
+        rowArr[7] = 0; // I
+        rowArr[9] = 0; // K
+        rowArr[5] = 0; // G
+        hasReAmortized[r] = true;
+      }
+    }
+  }
+}
+
+// ---------------------
+// 7) HEADLESS API
+// ---------------------
+
+/**
+ * Convert a schedule row array (B..T and Fees Posted) into a period object keyed by SCHEDULE_FIELDS.
+ */
+function rowToPeriod(rowArr) {
+  const period = {};
+  SCHEDULE_FIELDS.forEach((field, idx) => {
+    period[field] = rowArr[idx];
+  });
+  return period;
+}
+
+/**
+ * Convert a period object back into a schedule row array (B..T and Fees Posted). Missing money fields become 0.
+ */
+function periodToRow(period) {
+  return SCHEDULE_FIELDS.map((field, idx) => {
+    const val = period[field];
+    if (val === undefined || val === null) {
+      return ((idx >= 5 && idx <= 15) || idx === 19) ? 0 : "";
+    }
+    if (idx === 1 || idx === 2 || idx === 4) {
+      return toDate(val) || "";
+    }
+    return val;
+  });
+}
+
+/**
+ * Merge payment transactions into the scheduled rows.
+ * A payment with an integer `period` is recorded on that scheduled row (F, J, L, M, N, R);
+ * any other payment becomes an unscheduled row placed before the first period ending on or after it.
+ * @param {any[][]} rows – Scheduled rows from buildScheduleRows (modified in place for scheduled payments).
+ * @param {Array<Object>} payments – { paidOn, period, principalPaid, interestPaid, feesDue, feesPaid, notes }.
+ * @returns {any[][]} A new row list with unscheduled rows inserted.
+ */
+function applyPaymentsToRows(rows, payments) {
+  const unscheduled = [];
+  (payments || []).forEach(txn => {
+    const paidOn = toDate(txn.paidOn);
+    if (Number.isInteger(txn.period)) {
+      const target = rows.find(r => r[0] === txn.period);
+      if (!target) {
+        throw new Error(`Payment references period ${txn.period}, which is not in the schedule.`);
+      }
+      if (paidOn) target[4] = paidOn;
+      target[8]  = (target[8] || 0) + (txn.principalPaid || 0);
+      target[10] = (target[10] || 0) + (txn.interestPaid || 0);
+      target[11] = (target[11] || 0) + (txn.feesDue || 0);
+      target[12] = (target[12] || 0) + (txn.feesPaid || 0);
+      if (typeof txn.amountReceived === 'number') target[18] = (target[18] || 0) + txn.amountReceived;
+      if (txn.notes) target[16] = target[16] ? `${target[16]} ${txn.notes}` : txn.notes;
+      return;
+    }
+    if (!paidOn) {
+      throw new Error("Unscheduled payments need a valid paidOn date.");
+    }
+    unscheduled.push({ paidOn, txn });
+  });
+  unscheduled.sort((a, b) => a.paidOn - b.paidOn);
+
+  const result = rows.slice();
+  unscheduled.forEach(({ paidOn, txn }) => {
+    // Insert before the first scheduled row whose period covers the payment date
+    let insertAt = result.findIndex(r => Number.isInteger(r[0]) && r[1] instanceof Date && r[1] >= paidOn);
+    if (insertAt < 0) insertAt = result.length;
+    // Keep any earlier unscheduled rows for the same period ahead of this one
+    const prevLabel = insertAt > 0 ? result[insertAt - 1][0] : null;
+    const nextLabel = insertAt < result.length ? result[insertAt][0] : null;
+    let label;
+    if (prevLabel !== null && nextLabel !== null) {
+      label = prevLabel + (nextLabel - prevLabel) / 2;
+    } else if (prevLabel !== null) {
+      label = prevLabel + 0.5;
+    } else {
+      label = nextLabel - 0.5;
+    }
+    result.splice(insertAt, 0, [
+      label,                    // B => PERIOD
+      "",                       // C => PERIOD_END
+      "",                       // D => DUE_DATE
+      "",                       // E => DAYS
+      paidOn,                   // F => PAID_ON
+      0,                        // G => TOTAL_DUE
+      0,                        // H => TOTAL_PAID
+      "",                       // I => PRINCIPAL_DUE
+      txn.principalPaid || 0,   // J => PRINCIPAL_PD
+      "",                       // K => INTEREST_DUE
+      txn.interestPaid || 0,    // L => INTEREST_PD
+      txn.feesDue || "",        // M => FEES_DUE
+      txn.feesPaid || 0,        // N => FEES_PD
+      0,                        // O => INT_BAL
+      0,                        // P => PRIN_BAL
+      0,                        // Q => TOTAL_BAL
+      txn.notes || "",          // R => NOTES
+      "",                       // S => RATE
+      typeof txn.amountReceived === 'number' ? txn.amountReceived : "" // T => AMOUNT_RECEIVED
+    ]);
+  });
+  return result;
+}
+
+/**
+ * Generate and recalculate a complete loan schedule without a spreadsheet.
+ * @param {Object} terms – Loan terms: principal, annualRate, closingDate, termMonths, prorateFirst,
+ *   paymentFreq, dayCountMethod, daysPerYear, prepaidIntDate, amortizeYN, origFeePct, exitFeePct, ...
+ * @param {Array<Object>} [payments] – Payment transactions (see applyPaymentsToRows).
+ * @returns {{ params: Object, periods: Array<Object> }} periods are keyed by SCHEDULE_FIELDS (columns B..T, then AR).
+ */
+function buildLoanSchedule(terms, payments) {
+  const params = buildLoanParams(terms);
+  const rows = applyPaymentsToRows(buildScheduleRows(params), payments);
+  recalculateSchedule(rows, countUsedRows(rows), params);
+  return { params, periods: rows.slice(0, countUsedRows(rows)).map(rowToPeriod) };
+}
+
+/**
+ * Recalculate an existing schedule (e.g., one exported from a sheet with payments filled in).
+ * @param {Object} terms – Loan terms (see buildLoanSchedule).
+ * @param {Array<Object>} periods – Period objects keyed by SCHEDULE_FIELDS.
+ * @returns {{ params: Object, periods: Array<Object> }}
+ */
+function recalculateLoanSchedule(terms, periods) {
+  const params = buildLoanParams(terms);
+  const rows = periods.map(periodToRow);
+  recalculateSchedule(rows, countUsedRows(rows), params);
+  return { params, periods: rows.slice(0, countUsedRows(rows)).map(rowToPeriod) };
+}
+
+/**
+ * Payoff quote for `payoffDate` on an existing schedule (see calcPayoffQuote).
+ * @param {Object} terms – Loan terms (see buildLoanSchedule).
+ * @param {Array<Object>} periods – Period objects keyed by SCHEDULE_FIELDS, with payments filled in.
+ * @param {Date|string} payoffDate – The day the loan is paid off.
+ */
+function quoteLoanPayoff(terms, periods, payoffDate) {
+  const params = buildLoanParams(terms);
+  const rows = periods.map(periodToRow);
+  return calcPayoffQuote(rows, countUsedRows(rows), params, payoffDate);
+}
+
+/**
+ * Recast preview on an existing schedule (see planRecast).
+ * @param {Object} terms – Loan terms (see buildLoanSchedule).
+ * @param {Array<Object>} periods – Period objects keyed by SCHEDULE_FIELDS, with payments filled in.
+ * @param {Object} options – `{ method, period, payment }`.
+ */
+function previewLoanRecast(terms, periods, options) {
+  const params = buildLoanParams(terms);
+  const rows = periods.map(periodToRow);
+  return planRecast(rows, countUsedRows(rows), params, options);
+}
+
+/**
+ * Yield analytics on an existing schedule (see calcYieldAnalytics).
+ * @param {Object} terms – Loan terms (see buildLoanSchedule).
+ * @param {Array<Object>} periods – Period objects keyed by SCHEDULE_FIELDS, with payments filled in.
+ */
+function loanYieldAnalytics(terms, periods) {
+  const params = buildLoanParams(terms);
+  const rows = periods.map(periodToRow);
+  recalculateSchedule(rows, countUsedRows(rows), params);
+  return calcYieldAnalytics(rows, countUsedRows(rows), params);
+}
+
+/**
+ * Truth-in-Lending disclosure for loan terms (see calcDisclosure).
+ * @param {Object} terms – Loan terms (see buildLoanSchedule).
+ */
+function loanDisclosure(terms) {
+  return calcDisclosure(buildLoanParams(terms));
+}
+
+// Export for Node (tests, CLI); in Apps Script these are exposed through a global LoanEngine object
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCHEDULE_FIELDS,
+    MAX_SCHEDULE_ROWS,
+    PAYMENT_FREQUENCIES,
+    toDate,
+    formatMoney: LoanHelpers.formatMoney,
+    daysBetween,
+    daysBetweenInclusive,
+    getLastDayOfMonth,
+    getLastDayAfterAddingMonths,
+    oneDayAfter,
+    oneDayBefore,
+    isEdgeDay,
+    isUnscheduledRow,
+    rowHasPayment,
+    scheduleAsOfDate,
+    findLastScheduledEnd,
+    calcUnpaidDays,
+    getOverlapDays,
+    getPaymentFrequency,
+    calcTermPeriods,
+    getTotalPeriods,
+    calcPeriodEndDate,
+    calcPeriodEndDate_Prorate,
+    calcPeriodEndDate_NoProrate,
+    calcPeriodEndDate_Days,
+    parseDefaultTrigger,
+    buildLoanParams,
+    parseModifications,
+    describeModification,
+    withModification,
+    withAnnualRate,
+    addMonths,
+    lookupIndexRate,
+    buildRateResets,
+    findRateReset,
+    capitalizesOn,
+    calcPeriodStart,
+    stepRateOn,
+    findRateSteps,
+    buildPeriodRow,
+    buildScheduleRows,
+    countUsedRows,
+    recalculateSchedule,
+    buildIpmtPpmtResults,
+    amortizeToMaturity,
+    amortizeWithPayment,
+    calcPayoffQuote,
+    calcXirr,
+    calcYieldAnalytics,
+    calcDisclosure,
+    RECAST_METHODS,
+    planRecast,
+    reAmortizeFutureRows,
+    rowToPeriod,
+    periodToRow,
+    applyPaymentsToRows,
+    buildLoanSchedule,
+    recalculateLoanSchedule,
+    quoteLoanPayoff,
+    previewLoanRecast,
+    loanYieldAnalytics,
+    loanDisclosure
+  };
+} else {
+  if (typeof LoanEngine === 'undefined') {
+    this.LoanEngine = {};
+  }
+  LoanEngine.SCHEDULE_FIELDS = SCHEDULE_FIELDS;
+  LoanEngine.MAX_SCHEDULE_ROWS = MAX_SCHEDULE_ROWS;
+  LoanEngine.PAYMENT_FREQUENCIES = PAYMENT_FREQUENCIES;
+  LoanEngine.toDate = toDate;
+  LoanEngine.formatMoney = LoanHelpers.formatMoney;
+  LoanEngine.daysBetween = daysBetween;
+  LoanEngine.daysBetweenInclusive = daysBetweenInclusive;
+  LoanEngine.getLastDayOfMonth = getLastDayOfMonth;
+  LoanEngine.getLastDayAfterAddingMonths = getLastDayAfterAddingMonths;
+  LoanEngine.oneDayAfter = oneDayAfter;
+  LoanEngine.oneDayBefore = oneDayBefore;
+  LoanEngine.isEdgeDay = isEdgeDay;
+  LoanEngine.isUnscheduledRow = isUnscheduledRow;
+  LoanEngine.rowHasPayment = rowHasPayment;
+  LoanEngine.scheduleAsOfDate = scheduleAsOfDate;
+  LoanEngine.findLastScheduledEnd = findLastScheduledEnd;
+  LoanEngine.calcUnpaidDays = calcUnpaidDays;
+  LoanEngine.getOverlapDays = getOverlapDays;
+  LoanEngine.getPaymentFrequency = getPaymentFrequency;
+  LoanEngine.calcTermPeriods = calcTermPeriods;
+  LoanEngine.getTotalPeriods = getTotalPeriods;
+  LoanEngine.calcPeriodEndDate = calcPeriodEndDate;
+  LoanEngine.calcPeriodEndDate_Prorate = calcPeriodEndDate_Prorate;
+  LoanEngine.calcPeriodEndDate_NoProrate = calcPeriodEndDate_NoProrate;
+  LoanEngine.calcPeriodEndDate_Days = calcPeriodEndDate_Days;
+  LoanEngine.parseDefaultTrigger = parseDefaultTrigger;
+  LoanEngine.buildLoanParams = buildLoanParams;
+  LoanEngine.parseModifications = parseModifications;
+  LoanEngine.describeModification = describeModification;
+  LoanEngine.withModification = withModification;
+  LoanEngine.withAnnualRate = withAnnualRate;
+  LoanEngine.addMonths = addMonths;
+  LoanEngine.lookupIndexRate = lookupIndexRate;
+  LoanEngine.buildRateResets = buildRateResets;
+  LoanEngine.findRateReset = findRateReset;
+  LoanEngine.capitalizesOn = capitalizesOn;
+  LoanEngine.calcPeriodStart = calcPeriodStart;
+  LoanEngine.stepRateOn = stepRateOn;
+  LoanEngine.findRateSteps = findRateSteps;
+  LoanEngine.buildPeriodRow = buildPeriodRow;
+  LoanEngine.buildScheduleRows = buildScheduleRows;
+  LoanEngine.countUsedRows = countUsedRows;
+  LoanEngine.recalculateSchedule = recalculateSchedule;
+  LoanEngine.buildIpmtPpmtResults = buildIpmtPpmtResults;
+  LoanEngine.amortizeToMaturity = amortizeToMaturity;
+  LoanEngine.amortizeWithPayment = amortizeWithPayment;
+  LoanEngine.calcPayoffQuote = calcPayoffQuote;
+  LoanEngine.calcXirr = calcXirr;
+  LoanEngine.calcYieldAnalytics = calcYieldAnalytics;
+  LoanEngine.calcDisclosure = calcDisclosure;
+  LoanEngine.RECAST_METHODS = RECAST_METHODS;
+  LoanEngine.planRecast = planRecast;
+  LoanEngine.reAmortizeFutureRows = reAmortizeFutureRows;
+  LoanEngine.rowToPeriod = rowToPeriod;
+  LoanEngine.periodToRow = periodToRow;
+  LoanEngine.applyPaymentsToRows = applyPaymentsToRows;
+  LoanEngine.buildLoanSchedule = buildLoanSchedule;
+  LoanEngine.recalculateLoanSchedule = recalculateLoanSchedule;
+  LoanEngine.quoteLoanPayoff = quoteLoanPayoff;
+  LoanEngine.previewLoanRecast = previewLoanRecast;
+  LoanEngine.loanYieldAnalytics = loanYieldAnalytics;
+  LoanEngine.loanDisclosure = loanDisclosure;
+}
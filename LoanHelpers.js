@@ -1,7 +1,14 @@
 // LoanHelpers.js – Helper functions for loan schedule calculations (interest, principal, prepayments)
 
-// Calculate inclusive day count between two dates, minus any prepaid interest period.
-function daysBetweenInclusive(startDate, endDate) {
+// Import DayCount (for Node.js/testing environment). In Apps Script it is loaded globally via a separate file include.
+var DayCount;
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && module.exports) {
+  DayCount = require('./DayCount.js');
+}
+
+// Inclusive day count between two dates (0 if the end comes first). Not named daysBetweenInclusive:
+// Apps Script shares one global scope across files, and LoanEngine's version doesn't clamp at 0.
+function accrualDaysInclusive(startDate, endDate) {
   const msPerDay = 24 * 60 * 60 * 1000;
   const start = new Date(startDate);
   const end = new Date(endDate);
@@ -9,20 +16,424 @@ function daysBetweenInclusive(startDate, endDate) {
   start.setHours(0,0,0,0);
   end.setHours(0,0,0,0);
   if (end < start) return 0;
-  const diffDays = Math.floor((end - start) / msPerDay);
+  // Round, not floor: a span that crosses the spring DST change is an hour short of whole days
+  const diffDays = Math.round((end - start) / msPerDay);
   return diffDays + 1;
 }
 function computeAccrualDays(periodStart, periodEnd, prepaidUntil) {
   if (!(periodEnd instanceof Date) || isNaN(periodEnd)) {
     return 0;
   }
-  const rawDays = daysBetweenInclusive(periodStart, periodEnd);
+  const rawDays = accrualDaysInclusive(periodStart, periodEnd);
   if (!prepaidUntil) return rawDays;
   // If interest is prepaid through a certain date, exclude that portion
   if (periodEnd < prepaidUntil) return 0;
   if (periodStart >= prepaidUntil) return rawDays;
   const afterPrepaid = new Date(prepaidUntil);
-  return daysBetweenInclusive(afterPrepaid, periodEnd);
+  return accrualDaysInclusive(afterPrepaid, periodEnd);
+}
+
+/**
+ * Regular payment frequency settings for the loan ({ months, days, periodsPerYear, periodDays }),
+ * or null for "Single Period". Params built by LoanEngine carry `frequency`; older callers that only
+ * set paymentFreq="Monthly" get the monthly settings.
+ */
+function getRegularFrequency(params) {
+  if (params.frequency) return params.frequency;
+  return (params.paymentFreq === "Monthly")
+    ? { months: 1, days: 0, periodsPerYear: 12, periodDays: 30 }
+    : null;
+}
+
+/**
+ * Split the days startDate..endDate (inclusive) at each rate step. Step-rate loans
+ * (params.rateSteps, sorted [{ date, rate }]) change the rate on each step's effective date.
+ * @returns {Array<{ start: Date, end: Date, rate: number }>} Inclusive segments with their annual rate.
+ */
+function rateSegments(params, startDate, endDate) {
+  const steps = params.rateSteps || [];
+  let rate = params.annualRate;
+  steps.forEach(step => { if (step.date <= startDate) rate = step.rate; });
+
+  const segments = [];
+  let segStart = startDate;
+  steps.filter(step => step.date > startDate && step.date <= endDate).forEach(step => {
+    const segEnd = new Date(step.date.getFullYear(), step.date.getMonth(), step.date.getDate() - 1);
+    segments.push({ start: segStart, end: segEnd, rate: rate });
+    rate = step.rate;
+    segStart = step.date;
+  });
+  segments.push({ start: segStart, end: endDate, rate: rate });
+  return segments;
+}
+
+/**
+ * Day-weighted average annual rate over the accrual days from startDate to endDate (inclusive),
+ * so accrual that spans a rate step is split at the step date.
+ */
+function averageAnnualRate(params, startDate, endDate) {
+  const segments = rateSegments(params, startDate, endDate);
+  if (segments.length === 1) return segments[0].rate;
+
+  let weightedRate = 0;
+  let totalDays = 0;
+  segments.forEach(seg => {
+    const days = computeAccrualDays(seg.start, seg.end, params.prepaidUntil);
+    weightedRate += seg.rate * days;
+    totalDays += days;
+  });
+  return totalDays > 0 ? weightedRate / totalDays : segments[segments.length - 1].rate;
+}
+
+/**
+ * Interest on `principal` for the days startDate..endDate (inclusive) under a named day-count
+ * convention (DayCount.js), excluding any prepaid days and splitting at rate steps.
+ */
+function accrueByConvention(convention, params, principal, startDate, endDate) {
+  if (params.prepaidUntil && endDate < params.prepaidUntil) return 0;
+  const firstDay = (params.prepaidUntil && startDate < params.prepaidUntil) ? params.prepaidUntil : startDate;
+  let interest = 0;
+  rateSegments(params, firstDay, endDate).forEach(seg => {
+    // The convention counts from the last day already accrued (the day before the segment starts)
+    const lastAccrued = new Date(seg.start.getFullYear(), seg.start.getMonth(), seg.start.getDate() - 1);
+    // A fixed basis divides last, so whole cents over whole days carry no rounding before it
+    interest += convention.basis
+      ? principal * seg.rate * DayCount.dayCount(convention, lastAccrued, seg.end) / convention.basis
+      : principal * seg.rate * DayCount.yearFraction(convention, lastAccrued, seg.end);
+  });
+  return interest;
+}
+
+// Payment waterfall buckets, in the default order an Amount Received (col T) is applied to them
+const PAYMENT_WATERFALL = ["Fees", "Past-Due Interest", "Current Interest", "Principal"];
+const WATERFALL_KEYS = {
+  "Fees"              : "fees",
+  "Past-Due Interest" : "pastDueInterest",
+  "Current Interest"  : "currentInterest",
+  "Principal"         : "principal"
+};
+
+/**
+ * Read a payment waterfall: an array of bucket names or a comma-separated list such as
+ * "Fees, Past-Due Interest, Current Interest, Principal" (case and spacing don't matter).
+ * Blank gives the default PAYMENT_WATERFALL. Buckets left out are not paid from the amount.
+ */
+function parsePaymentWaterfall(value) {
+  if (!value || (Array.isArray(value) && value.length === 0)) return PAYMENT_WATERFALL.slice();
+  const names = Array.isArray(value) ? value : String(value).split(",");
+  const normalize = (name) => String(name).toLowerCase().replace(/[^a-z]/g, "");
+  return names.map(name => {
+    const bucket = PAYMENT_WATERFALL.find(b => normalize(b) === normalize(name));
+    if (!bucket) {
+      throw new Error(`Unknown payment waterfall step "${String(name).trim()}". Use ${PAYMENT_WATERFALL.join(", ")}.`);
+    }
+    return bucket;
+  });
+}
+
+/**
+ * Split `amount` across what is owed, paying each bucket in `waterfall` order in full before the next.
+ * @param {number} amount – Amount to allocate.
+ * @param {{ fees: number, pastDueInterest: number, currentInterest: number, principal: number }} owed
+ * @param {string[]} waterfall – Bucket names from PAYMENT_WATERFALL.
+ * @returns {{ fees: number, pastDueInterest: number, currentInterest: number, principal: number, excess: number }}
+ */
+function allocatePayment(amount, owed, waterfall) {
+  const split = { fees: 0, pastDueInterest: 0, currentInterest: 0, principal: 0, excess: 0 };
+  let remaining = Math.max(0, amount);
+  waterfall.forEach(bucket => {
+    const key = WATERFALL_KEYS[bucket];
+    const paid = Math.min(remaining, Math.max(0, owed[key] || 0));
+    split[key] += paid;
+    remaining -= paid;
+  });
+  split.excess = remaining;
+  return split;
+}
+
+/**
+ * True if the row has an Amount Received (col T) to allocate, rather than a manual J/L/N split.
+ */
+function hasAmountReceived(rowData) {
+  return typeof rowData[18] === 'number';
+}
+
+/**
+ * Allocate a row's Amount Received (col T), plus any suspense carried in, by the loan's waterfall
+ * (params.paymentWaterfall) and write Principal Paid (J), Interest Paid (L) and Fees Paid (N).
+ * The excess goes to principal, up to the balance, unless params.excessTo is "Suspense"; whatever
+ * is left is held in suspense for the next allocated payment and noted on the row. Amounts are in
+ * whole cents, as the recalculation carries them.
+ * @returns {{ fees: number, pastDueInterest: number, currentInterest: number, principal: number, suspense: number }}
+ */
+function allocateAmountReceived(rowData, suspense, owed, principalBalance, params) {
+  const split = allocatePayment(rowData[18] + suspense, owed, params.paymentWaterfall || PAYMENT_WATERFALL);
+  let principal = split.principal;
+  let held = split.excess;
+  if (params.excessTo !== "Suspense") {
+    const toPrincipal = Math.min(held, Math.max(0, principalBalance - principal));
+    principal += toPrincipal;
+    held -= toPrincipal;
+  }
+  rowData[8]  = principal;                                    // col J: Principal Paid
+  rowData[10] = split.pastDueInterest + split.currentInterest; // col L: Interest Paid
+  rowData[12] = split.fees;                                   // col N: Fees Paid
+
+  // Keep a single, current suspense note on the row
+  const notes = String(rowData[16] || "").replace(/\s*\(Held in suspense: [^)]*\)/, "");
+  if (held > 0) {
+    const heldFmt = formatMoney(held / 100);
+    rowData[16] = notes ? `${notes} (Held in suspense: ${heldFmt})` : `(Held in suspense: ${heldFmt})`;
+  } else {
+    rowData[16] = notes;
+  }
+  return Object.assign({}, split, { principal, suspense: held });
+}
+
+/**
+ * `amount` rounded to a whole number of units `places` decimal places down (2: cents of a dollar
+ * amount, 0: a count of cents), returned as that integer. Under the rounding method
+ * (params.roundingMethod) half a unit goes to the even one for "Banker's", and away from zero
+ * otherwise ("Half-Up", the default). The digits rounded are the ones the amount prints as, not
+ * its binary value, so 1.005 is exactly half a cent.
+ */
+function roundToUnits(amount, places, method) {
+  if (typeof amount !== 'number' || !isFinite(amount)) return amount;
+  const [digits, exponent] = Math.abs(amount).toExponential().split("e");
+  const mantissa = digits.replace(".", "");
+  const point = Number(exponent) + 1 + places;   // mantissa digits before the units' decimal point
+  let whole = (point > 0) ? Number(mantissa.slice(0, point).padEnd(point, "0")) : 0;
+  const rest = (point > 0) ? mantissa.slice(point) : "0".repeat(-point) + mantissa;
+  // (the digits end in a non-zero one, so half a unit is a lone "5")
+  if (rest > "5" || (rest === "5" && (method !== "Banker's" || whole % 2 === 1))) whole++;
+  return (amount < 0 && whole > 0) ? -whole : whole;
+}
+
+/**
+ * A count of cents, as interest accrues it, rounded to whole cents under the rounding method.
+ */
+function roundCents(cents, method) {
+  return Number.isInteger(cents) ? cents : roundToUnits(cents, 0, method);
+}
+
+/**
+ * A dollar amount in whole cents under the rounding method: the integer the recalculation works in.
+ */
+function toCents(amount, method) {
+  return roundToUnits(amount, 2, method);
+}
+
+/**
+ * A dollar amount rounded to cents under the rounding method, still in dollars.
+ */
+function roundToCents(amount, method) {
+  return toCents(amount, method) / 100;
+}
+
+/**
+ * `amount` in dollars and cents, e.g. "$1,234.50", or "1234.50" when `plain` (for CSV and JSON).
+ * Half a cent rounds up, and a residue that rounds to zero never shows as "-0.00".
+ */
+function formatMoney(amount, plain) {
+  const dollars = roundToCents(amount, "Half-Up") || 0;
+  return plain ? dollars.toFixed(2) : dollars.toLocaleString("en-US", { style: "currency", currency: "USD" });
+}
+
+/**
+ * Late fee for a scheduled row that was paid (Paid On, col F) after its due date (col D) plus
+ * params.graceDays, or that is still unpaid after then as of `asOfDate`. The fee is
+ * params.lateFeeFlat plus params.lateFeePct of the installment (Principal Due + Interest Due),
+ * held between params.lateFeeMin and params.lateFeeMax (when set) and rounded to whole cents (see roundCents).
+ * The row and the amounts in params are in cents, as the recalculation carries them.
+ * @returns {number} The fee in cents, or 0 if the row isn't late.
+ */
+function calcLateFee(rowData, params, asOfDate) {
+  if (!(params.lateFeeFlat > 0 || params.lateFeePct > 0)) return 0;
+  const dueDate = rowData[2];
+  if (!(dueDate instanceof Date) || isNaN(dueDate)) return 0;
+  const installment = (rowData[7] || 0) + (rowData[9] || 0);
+  if (installment <= 0) return 0;
+
+  // First day the installment counts as late (the day after the grace period ends)
+  const lateFrom = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate() + (params.graceDays || 0) + 1);
+  const paidOn = rowData[4];
+  const isPaid = paidOn instanceof Date && !isNaN(paidOn);
+  if (isPaid ? paidOn < lateFrom : asOfDate < lateFrom) return 0;
+
+  let fee = (params.lateFeeFlat || 0) + (params.lateFeePct || 0) * installment;
+  if (params.lateFeeMin > 0) fee = Math.max(fee, params.lateFeeMin);
+  if (params.lateFeeMax > 0) fee = Math.min(fee, params.lateFeeMax);
+  return roundCents(fee, params.roundingMethod);
+}
+
+/**
+ * Replace the row's "(<label>: $…)" note (col R) with one for `amount` (in cents), or drop it when `amount` is 0.
+ * Notes only describe amounts; what the engine posted to Fees Due is kept in Fees Posted (see postFee).
+ */
+function setAmountNote(rowData, label, amount) {
+  const notePattern = new RegExp(`\\s*\\(${label}: \\$[\\d,]+\\.\\d{2}\\)`);
+  let notes = String(rowData[16] || "").replace(notePattern, "").trim();
+  if (amount > 0) {
+    const amountFmt = formatMoney(amount / 100);
+    notes = notes ? `${notes} (${label}: ${amountFmt})` : `(${label}: ${amountFmt})`;
+  }
+  rowData[16] = notes;
+}
+
+/**
+ * Post `amount` of fees to the row's Fees Due (col M), adding it up in Fees Posted (rowData[19], AR on
+ * the sheet) so a recalculation can take it back (see takeBackPostedFees).
+ */
+function postFee(rowData, amount) {
+  if (!(amount > 0)) return;
+  rowData[11] = (rowData[11] || 0) + amount;
+  rowData[19] = (rowData[19] || 0) + amount;
+}
+
+/**
+ * Take the fees posted by an earlier recalculation (Fees Posted) back out of Fees Due, before they are
+ * figured again; fees entered by hand stay.
+ */
+function takeBackPostedFees(rowData) {
+  rowData[11] = Math.max(0, (rowData[11] || 0) - (rowData[19] || 0));
+  rowData[19] = 0;
+}
+
+/**
+ * Post `fee` as the row's late fee to Fees Due (col M), with its "(Late fee: $…)" note. A fee of 0 just
+ * removes the note. (Any late fee posted earlier is taken back with takeBackPostedFees.)
+ */
+function postLateFee(rowData, fee) {
+  setAmountNote(rowData, "Late fee", fee);
+  postFee(rowData, fee);
+}
+
+/**
+ * Prepayment premium on `amount` of principal prepaid on `date`, under params.prepayment (see
+ * LoanEngine's parsePrepaymentTerms). None is due in the open window before maturity. A stepdown
+ * premium is the loan year's percentage of the amount. Yield maintenance is the interest the amount
+ * would have earned over the treasury rate through the due dates before the open window (at least
+ * its minimum percentage); defeasance is what treasuries paying the amount's scheduled payments
+ * through maturity would cost, less the amount. Both discount at the treasury rate to each due date
+ * and treat the amount as amortizing with the loan (or interest-only, if the loan is).
+ * @returns {{ premium: number, lockedOut: boolean }} The premium in whole cents (`amount` is in cents, see
+ *   roundCents); lockedOut when the date falls in the lockout (no premium is figured then).
+ */
+function calcPrepaymentPremium(params, amount, date) {
+  const terms = params.prepayment;
+  if (!terms || !(amount > 0)) return { premium: 0, lockedOut: false };
+  if (terms.lockoutEnd && date < terms.lockoutEnd) return { premium: 0, lockedOut: true };
+  if (date >= terms.openFrom) return { premium: 0, lockedOut: false };
+
+  let premium = 0;
+  if (terms.type === "Stepdown") {
+    const closing = params.closingDate;
+    const months = (date.getFullYear() - closing.getFullYear()) * 12 + date.getMonth() - closing.getMonth()
+      - (date.getDate() < closing.getDate() ? 1 : 0);
+    premium = amount * (terms.steps[Math.floor(months / 12)] || 0);
+  } else if (terms.type === "Yield Maintenance" || terms.type === "Defeasance") {
+    const isYieldMaintenance = terms.type === "Yield Maintenance";
+    const frequency = getRegularFrequency(params);
+    const remaining = terms.dueDates.filter(dueDate => dueDate > date).length;
+    const counted = isYieldMaintenance
+      ? terms.dueDates.filter(dueDate => dueDate > date && dueDate <= terms.openFrom).length
+      : remaining;
+    const noteRate = params.annualRate / frequency.periodsPerYear;
+    const treasuryRate = terms.treasuryRate / frequency.periodsPerYear;
+    const amortCount = remaining + terms.extraAmortPeriods;
+    const payment = (params.amortizeYN !== "Yes") ? 0
+      : (noteRate === 0) ? amount / amortCount
+      : amount * noteRate / (1 - Math.pow(1 + noteRate, -amortCount));
+    let balance = amount;
+    let value = 0;
+    for (let k = 1; k <= counted; k++) {
+      const interest = balance * noteRate;
+      const principal = (k === remaining) ? balance : Math.min(balance, Math.max(0, payment - interest));
+      const discount = Math.pow(1 + treasuryRate, -k);
+      value += isYieldMaintenance
+        ? (noteRate - treasuryRate) * balance * discount
+        : (interest + principal) * discount;
+      balance -= principal;
+    }
+    premium = isYieldMaintenance ? Math.max(value, amount * (terms.steps[0] || 0)) : value - amount;
+  }
+  return { premium: roundCents(Math.max(0, premium), params.roundingMethod), lockedOut: false };
+}
+
+// Flags an unscheduled row that prepays principal during the lockout
+const LOCKOUT_NOTE = /\s*\(Prepaid during lockout\)/;
+
+/**
+ * Post the prepayment premium on `principal` prepaid on `date` (see calcPrepaymentPremium) to an
+ * unscheduled row's Fees Due (col M) with its note, or flag the row when the date is in the lockout.
+ * @returns {number} The premium posted (0 without one).
+ */
+function postPrepaymentPremium(rowData, params, principal, date) {
+  const prepaid = calcPrepaymentPremium(params, principal, date);
+  setAmountNote(rowData, "Prepayment premium", prepaid.premium);
+  postFee(rowData, prepaid.premium);
+  rowData[16] = String(rowData[16] || "").replace(LOCKOUT_NOTE, "").trim();
+  if (prepaid.lockedOut) {
+    rowData[16] = rowData[16] ? `(Prepaid during lockout) ${rowData[16]}` : "(Prepaid during lockout)";
+  }
+  return prepaid.premium;
+}
+
+/**
+ * Days a scheduled installment keeps the loan in default: from `daysPastDue` days after its due
+ * date (col D) through the day before it was paid (Paid On, col F). An installment still unpaid
+ * then as of `asOfDate`, or one that leaves principal owing at maturity (`stillOwed`), starts a
+ * default with no end date.
+ * @returns {{ start: Date, end: Date|null }|null} null if the installment never went into default.
+ */
+function calcDefaultWindow(rowData, daysPastDue, asOfDate, stillOwed) {
+  const dueDate = rowData[2];
+  if (!(dueDate instanceof Date) || isNaN(dueDate)) return null;
+  if ((rowData[7] || 0) + (rowData[9] || 0) <= 0 && !stillOwed) return null;
+
+  const start = new Date(dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate() + daysPastDue + 1);
+  const paidOn = rowData[4];
+  const isPaid = paidOn instanceof Date && !isNaN(paidOn);
+  if (isPaid && !stillOwed) {
+    return (paidOn > start)
+      ? { start, end: new Date(paidOn.getFullYear(), paidOn.getMonth(), paidOn.getDate() - 1) }
+      : null;
+  }
+  if (!isPaid && asOfDate < start) return null;
+  return { start, end: null };
+}
+
+/**
+ * Default interest on `principal` for the days startDate..endDate (inclusive) that fall in any of
+ * the default windows (see calcDefaultWindow), at params.defaultMargin over the contract rate.
+ * Days are counted under the loan's named day-count convention, or as actual days ÷ daysPerYear.
+ */
+function accrueDefaultInterest(params, principal, windows, startDate, endDate) {
+  if (!(params.defaultMargin > 0) || principal <= 0 || !windows || windows.length === 0) return 0;
+  const convention = DayCount.getDayCountConvention(params.dayCountMethod);
+  const ranges = windows
+    .map(w => ({
+      start : (w.start > startDate) ? w.start : startDate,
+      end   : (w.end && w.end < endDate) ? w.end : endDate
+    }))
+    .filter(range => range.start <= range.end)
+    .sort((a, b) => a.start - b.start);
+
+  let interest = 0;
+  let accruedThrough = null;   // overlapping windows count each day once
+  ranges.forEach(range => {
+    let first = range.start;
+    if (accruedThrough && accruedThrough >= first) {
+      first = new Date(accruedThrough.getFullYear(), accruedThrough.getMonth(), accruedThrough.getDate() + 1);
+    }
+    if (first > range.end) return;
+    const fractionOfYear = convention
+      ? DayCount.yearFraction(convention, new Date(first.getFullYear(), first.getMonth(), first.getDate() - 1), range.end)
+      : accrualDaysInclusive(first, range.end) / (params.daysPerYear || 365);
+    interest += principal * params.defaultMargin * fractionOfYear;
+    accruedThrough = range.end;
+  });
+  return interest;
 }
 
 /**
@@ -56,78 +467,169 @@ function separateRows(allRows, count) {
 /**
  * Process all unscheduled payments that occur on or before the given period's end date.
  * Accrues interest up to each unscheduled payment, applies the payment to balances, and returns updated balances and totals.
- * @param {number} periodNum – The period number (if scheduled period) or identifier.
- * @param {Date} periodStart – The start date of the period (for interest accrual).
- * @param {Date} periodEnd – The end date of the scheduled period.
- * @param {Object} params – Loan parameters (including dayCountMethod, paymentFreq, annualRate, monthlyRate, perDiemRate, prepaidUntil, daysPerYear).
- * @param {Array} unscheduledRows – Array of unscheduled payment row objects (with rowData).
- * @param {number} startUnschedIndex – Index in unscheduledRows to start processing from.
- * @param {number} runningPrincipal – Current remaining principal balance at period start.
- * @param {number} runningInterest – Current accrued interest balance at period start.
- * @param {number} runningFees – Current accrued fees balance at period start.
- * @returns {{ runningPrincipal: number, runningInterest: number, runningFees: number, unschedIndex: number, interestAccrued: number, unscheduledPrincipalPaid: number }}
+ * For step-rate loans, each accrual segment uses the day-weighted rate of the steps it spans.
+ * Named day-count conventions (Actual/360, 30/360 US, ...) accrue each segment by its year fraction.
+ * Draws within the period add to the principal in date order, like a payment in reverse, as does an
+ * unscheduled row with a negative Principal Paid (an advance on a revolving line). Principal prepaid on
+ * an unscheduled row adds the loan's prepayment premium (see calcPrepaymentPremium) to its Fees Due.
+ * Amounts, in the rows and in params, are whole cents (see roundCents), as the recalculation carries them.
+ * @param {Object} period – The period and the balances at its start:
+ *   - periodNum (number): The period number (if scheduled period) or identifier.
+ *   - periodStart (Date): The start date of the period (for interest accrual).
+ *   - periodEnd (Date): The end date of the scheduled period.
+ *   - params (Object): Loan parameters (including dayCountMethod, paymentFreq, frequency, annualRate, monthlyRate, perDiemRate, prepaidUntil, daysPerYear, rateSteps).
+ *   - unscheduledRows (Array, default none): Unscheduled payment row objects (with rowData).
+ *   - startUnschedIndex (number, default 0): Index in unscheduledRows to start processing from.
+ *   - runningPrincipal (number): Current remaining principal balance at period start.
+ *   - runningInterest (number, default 0): Current accrued interest balance at period start.
+ *   - runningFees (number, default 0): Current accrued fees balance at period start.
+ *   - suspense (number, default 0): Funds held in suspense, applied with the next Amount Received (col T).
+ *   - defaultWindows (Array, default none): Days the loan is in default (see calcDefaultWindow); default interest accrues on them too.
+ *   - draws (Array<{ date: Date, amount: number }>, default none): Funds advanced within the period, by date; each bears interest from the day after it.
+ * @returns {{ runningPrincipal: number, runningInterest: number, runningFees: number, unschedIndex: number, interestAccrued: number, defaultInterest: number, unscheduledPrincipalPaid: number, suspense: number }}
+ *   interestAccrued is contract interest only; defaultInterest is reported separately (both are in runningInterest).
  */
-function applyUnscheduledPaymentsForPeriod(periodNum, periodStart, periodEnd, params, unscheduledRows, startUnschedIndex, runningPrincipal, runningInterest, runningFees) {
-  let unschedIndex = startUnschedIndex;
+function applyUnscheduledPaymentsForPeriod(period) {
+  const { periodNum, periodStart, periodEnd, params } = period;
+  const unscheduledRows = period.unscheduledRows || [];
+  const defaultWindows = period.defaultWindows || [];
+  const draws = period.draws || [];
+  let runningPrincipal = period.runningPrincipal;
+  let runningInterest = period.runningInterest || 0;
+  let runningFees = period.runningFees || 0;
+  let suspense = period.suspense || 0;
+  let unschedIndex = period.startUnschedIndex || 0;
+  let drawIndex = 0;
+  // Each accrual is rounded to whole cents as it is made, so the balances stay in whole cents
+  const cents = (amount) => roundCents(amount, params.roundingMethod);
+  // Interest carried into the period is past due; what accrues within it is current
+  let pastDueInterest = runningInterest;
   let interestAccrued = 0;
+  let defaultInterest = 0;
   let unscheduledPrincipalPaid = 0;
   // Flags for interest calculation method:
-  const isMonthly = (params.paymentFreq === "Monthly");
-  const isPeriodic = (params.dayCountMethod === "Periodic");
+  const convention = DayCount.getDayCountConvention(params.dayCountMethod);
+  const frequency = getRegularFrequency(params);
+  const isPeriodic = (params.dayCountMethod === "Periodic") && frequency !== null;
+  // Nominal days in a period (30 per month, 7/14 for weekly schedules)
+  const periodDays = frequency ? frequency.periodDays : 30;
   // Interest rate factors:
-  const dailyRate = params.perDiemRate;  // actual daily interest rate
-  let dailyPeriodicRate = dailyRate;
-  if (isPeriodic && isMonthly) {
-    // 30/360 method: derive daily periodic rate from annualRate & daysPerYear
-    const monthlyInterestFactor = params.daysPerYear 
-      ? (params.annualRate * 30 / params.daysPerYear) 
-      : params.monthlyRate;
-    dailyPeriodicRate = monthlyInterestFactor / 30;
-  }
+  const rateFactors = (annualRate, perDiemRate, monthlyRate) => {
+    const dailyRate = perDiemRate;  // actual daily interest rate
+    let dailyPeriodicRate = dailyRate;
+    if (isPeriodic && frequency.days) {
+      // Weekly/bi-weekly: each full period accrues exactly annualRate / periodsPerYear
+      dailyPeriodicRate = (annualRate / frequency.periodsPerYear) / periodDays;
+    } else if (isPeriodic) {
+      // 30/360 method: derive daily periodic rate from annualRate & daysPerYear
+      const monthlyInterestFactor = params.daysPerYear
+        ? (annualRate * 30 / params.daysPerYear)
+        : monthlyRate;
+      dailyPeriodicRate = monthlyInterestFactor / 30;
+    }
+    return { dailyRate, dailyPeriodicRate };
+  };
+  const baseFactors = rateFactors(params.annualRate, params.perDiemRate, params.monthlyRate);
+  // Rate factors for an accrual segment (step-rate loans may change rate within it)
+  const segmentFactors = (segStart, segEnd) => {
+    if (!(params.rateSteps && params.rateSteps.length)) return baseFactors;
+    const annualRate = averageAnnualRate(params, segStart, segEnd);
+    return rateFactors(annualRate, params.daysPerYear ? annualRate / params.daysPerYear : 0, annualRate / 12);
+  };
   // Determine total days in this period (for 30/360 calculations)
-  let totalActualDays = 30;
-  if (isPeriodic && isMonthly && Number.isInteger(periodNum) && periodNum >= 1) {
+  let totalActualDays = periodDays;
+  if (isPeriodic && Number.isInteger(periodNum) && periodNum >= 1) {
     let rawDays = computeAccrualDays(periodStart, periodEnd, params.prepaidUntil);
-    if (rawDays < 1) rawDays = 30;
+    if (rawDays < 1) rawDays = periodDays;
     totalActualDays = rawDays;
   }
-  let monthly30DaysUsed = 0;
+  let periodicDaysUsed = 0;
   let subStart = new Date(periodStart);  // starting point for interest accrual within the period
 
-  // Process each unscheduled payment up to periodEnd
-  while (
-    unschedIndex < unscheduledRows.length &&
-    unscheduledRows[unschedIndex].rowData[4] <= periodEnd
-  ) {
-    const uRow = unscheduledRows[unschedIndex];
-    const paidOn = uRow.rowData[4]; // Paid On date of unscheduled payment
+  // Process each unscheduled payment (and draw) up to periodEnd
+  const paymentDue = () => unschedIndex < unscheduledRows.length && unscheduledRows[unschedIndex].rowData[4] <= periodEnd;
+  while (paymentDue() || drawIndex < draws.length) {
+    // A draw dated on or before the next payment comes first
+    const draw = (drawIndex < draws.length && (!paymentDue() || draws[drawIndex].date <= unscheduledRows[unschedIndex].rowData[4]))
+      ? draws[drawIndex]
+      : null;
+    const uRow = draw ? null : unscheduledRows[unschedIndex];
+    const paidOn = draw ? draw.date : uRow.rowData[4]; // Paid On date of unscheduled payment (or the draw date)
     // Accrue interest from subStart up to the unscheduled payment date (for 30/360 partial period interest)
-    if (isPeriodic && isMonthly && Number.isInteger(periodNum) && periodNum >= 1) {
-      if (paidOn >= subStart && runningPrincipal > 1e-6) {
+    if (convention) {
+      if (paidOn >= subStart && runningPrincipal > 0) {
+        const interestPortion = cents(accrueByConvention(convention, params, runningPrincipal, subStart, paidOn));
+        runningInterest += interestPortion;
+        interestAccrued += interestPortion;
+      }
+    } else if (isPeriodic && Number.isInteger(periodNum) && periodNum >= 1) {
+      if (paidOn >= subStart && runningPrincipal > 0) {
         const actualSubDays = computeAccrualDays(subStart, paidOn, params.prepaidUntil);
-        const fractionalMonth = (actualSubDays > 0 ? actualSubDays : 0) / totalActualDays;
-        let scaledDays = 30 * fractionalMonth;
-        const remainingDays = 30 - monthly30DaysUsed;
+        const fractionOfPeriod = (actualSubDays > 0 ? actualSubDays : 0) / totalActualDays;
+        let scaledDays = periodDays * fractionOfPeriod;
+        const remainingDays = periodDays - periodicDaysUsed;
         if (scaledDays > remainingDays) scaledDays = remainingDays;
         if (scaledDays < 0) scaledDays = 0;
         if (scaledDays > 0) {
-          const interestPortion = runningPrincipal * dailyPeriodicRate * scaledDays;
+          const interestPortion = cents(runningPrincipal * segmentFactors(subStart, paidOn).dailyPeriodicRate * scaledDays);
           runningInterest += interestPortion;
           interestAccrued += interestPortion;
-          monthly30DaysUsed += scaledDays;
+          periodicDaysUsed += scaledDays;
         }
       }
+    } else if (draw) {
+      // A draw changes the principal, so the days before it accrue on the principal before it
+      const partialDays = computeAccrualDays(subStart, paidOn, params.prepaidUntil);
+      if (paidOn >= subStart && partialDays > 0 && runningPrincipal > 0) {
+        const interestPortion = cents(runningPrincipal * segmentFactors(subStart, paidOn).dailyRate * partialDays);
+        runningInterest += interestPortion;
+        interestAccrued += interestPortion;
+      }
     } else {
       // For actual day-count conventions, interest from subStart to paidOn will be accrued in final step below.
       // (No intermediate accrual here to avoid double-counting in actual/365 mode.)
     }
+    // Default interest up to the payment date, on the balance before the payment
+    if (paidOn >= subStart) {
+      const defaultPortion = cents(accrueDefaultInterest(params, runningPrincipal, defaultWindows, subStart, paidOn));
+      runningInterest += defaultPortion;
+      defaultInterest += defaultPortion;
+    }
+    if (draw) {
+      // The draw bears interest from the next day
+      runningPrincipal += draw.amount;
+      subStart = new Date(paidOn);
+      subStart.setDate(subStart.getDate() + 1);
+      drawIndex++;
+      continue;
+    }
+
+    // Any prepayment premium posted by an earlier recalculation is figured again below
+    takeBackPostedFees(uRow.rowData);
 
     // Apply the unscheduled payment amounts to balances
+    const feesDueU = uRow.rowData[11] || 0;       // col M: Fees Due (if any)
+    runningFees += feesDueU;
+    let pastDuePaidU = null;
+    if (hasAmountReceived(uRow.rowData)) {
+      // One amount received: split it by the waterfall (no principal is scheduled between periods)
+      const pastDue = Math.min(pastDueInterest, runningInterest);
+      const split = allocateAmountReceived(uRow.rowData, suspense, {
+        fees            : runningFees,
+        pastDueInterest : pastDue,
+        currentInterest : runningInterest - pastDue,
+        principal       : 0
+      }, runningPrincipal, params);
+      suspense = split.suspense;
+      pastDuePaidU = split.pastDueInterest;
+    }
     const principalPaidU = uRow.rowData[8] || 0;  // col J: Principal Paid (unscheduled row)
     const interestPaidU = uRow.rowData[10] || 0;  // col L: Interest Paid
-    const feesDueU = uRow.rowData[11] || 0;       // col M: Fees Due (if any)
     const feesPaidU = uRow.rowData[12] || 0;      // col N: Fees Paid
-    runningFees += feesDueU;
+    // Principal prepaid owes the loan's prepayment premium, added to the row's Fees Due
+    runningFees += postPrepaymentPremium(uRow.rowData, params, Math.min(principalPaidU, runningPrincipal), paidOn);
+    // A manual split pays past-due interest first
+    pastDueInterest = Math.max(0, pastDueInterest - (pastDuePaidU === null ? interestPaidU : pastDuePaidU));
     runningInterest = Math.max(0, runningInterest - interestPaidU);
     runningPrincipal = Math.max(0, runningPrincipal - principalPaidU);
     runningFees = Math.max(0, runningFees - feesPaidU);
@@ -135,8 +637,9 @@ function applyUnscheduledPaymentsForPeriod(periodNum, periodStart, periodEnd, pa
       unscheduledPrincipalPaid += principalPaidU;
     }
 
-    // Update the unscheduled row's totals and balance columns (H, O, P, Q)
-    uRow.rowData[6] = principalPaidU + interestPaidU + feesPaidU;    // col H: Total Paid for unscheduled row
+    // Update the unscheduled row's totals and balance columns (H, O, P, Q); an advance on a revolving
+    // line (a negative Principal Paid) adds to the principal and isn't part of Total Paid
+    uRow.rowData[6] = Math.max(0, principalPaidU) + interestPaidU + feesPaidU; // col H: Total Paid for unscheduled row
     uRow.rowData[13] = runningInterest;                             // col O: Interest balance after payment
     uRow.rowData[14] = runningPrincipal;                            // col P: Principal balance after payment
     uRow.rowData[15] = runningInterest + runningPrincipal + runningFees; // col Q: Total balance after payment
@@ -148,30 +651,39 @@ function applyUnscheduledPaymentsForPeriod(periodNum, periodStart, periodEnd, pa
   }
 
   // Accrue interest from the last subStart (after final unscheduled payment or period start) up to periodEnd
-  if (runningPrincipal > 1e-6 && subStart <= periodEnd) {
-    if (isPeriodic && isMonthly && Number.isInteger(periodNum) && periodNum >= 1) {
+  if (runningPrincipal > 0 && subStart <= periodEnd) {
+    if (convention) {
+      const interestEnd = cents(accrueByConvention(convention, params, runningPrincipal, subStart, periodEnd));
+      runningInterest += interestEnd;
+      interestAccrued += interestEnd;
+    } else if (isPeriodic && Number.isInteger(periodNum) && periodNum >= 1) {
       const remainingDays = computeAccrualDays(subStart, periodEnd, params.prepaidUntil);
-      const fractionalMonth = (remainingDays > 0 ? remainingDays : 0) / totalActualDays;
-      let scaledDays = 30 * fractionalMonth;
-      const leftover = 30 - monthly30DaysUsed;
+      const fractionOfPeriod = (remainingDays > 0 ? remainingDays : 0) / totalActualDays;
+      let scaledDays = periodDays * fractionOfPeriod;
+      const leftover = periodDays - periodicDaysUsed;
       if (scaledDays > leftover) scaledDays = leftover;
       if (scaledDays < 0) scaledDays = 0;
       if (scaledDays > 0) {
-        const interestEnd = runningPrincipal * dailyPeriodicRate * scaledDays;
+        const interestEnd = cents(runningPrincipal * segmentFactors(subStart, periodEnd).dailyPeriodicRate * scaledDays);
         runningInterest += interestEnd;
         interestAccrued += interestEnd;
-        monthly30DaysUsed += scaledDays;
+        periodicDaysUsed += scaledDays;
       }
     } else {
       // Actual day-count or single-period: accrue interest for all days from subStart to periodEnd
       const partialDays = computeAccrualDays(subStart, periodEnd, params.prepaidUntil);
-      if (partialDays > 0 && runningPrincipal > 1e-6) {
-        const interestEnd = runningPrincipal * dailyRate * partialDays;
+      if (partialDays > 0 && runningPrincipal > 0) {
+        const interestEnd = cents(runningPrincipal * segmentFactors(subStart, periodEnd).dailyRate * partialDays);
         runningInterest += interestEnd;
         interestAccrued += interestEnd;
       }
     }
   }
+  if (subStart <= periodEnd) {
+    const defaultEnd = cents(accrueDefaultInterest(params, runningPrincipal, defaultWindows, subStart, periodEnd));
+    runningInterest += defaultEnd;
+    defaultInterest += defaultEnd;
+  }
 
   return {
     runningPrincipal,
@@ -179,7 +691,9 @@ function applyUnscheduledPaymentsForPeriod(periodNum, periodStart, periodEnd, pa
     runningFees,
     unschedIndex,
     interestAccrued,
-    unscheduledPrincipalPaid
+    defaultInterest,
+    unscheduledPrincipalPaid,
+    suspense
   };
 }
 
@@ -188,7 +702,7 @@ function applyUnscheduledPaymentsForPeriod(periodNum, periodStart, periodEnd, pa
  * Uses original amortization amounts for baseline and adjusts if prepayments occurred.
  * @param {number} periodNum – The period number (for scheduled periods).
  * @param {number} rowIndex – The index of the current row in the original schedule array.
- * @param {Object} params – Loan parameters (includes termMonths, amortizeYN, paymentFreq, etc.).
+ * @param {Object} params – Loan parameters (includes termPeriods/termMonths, ioPeriods, amortizeYN, paymentFreq, etc.).
  * @param {number} interestAccrued – The total interest accrued during this period.
  * @param {number} scheduledInt – The originally scheduled interest due for this period (from amortization schedule).
  * @param {number} scheduledPr – The originally scheduled principal due for this period.
@@ -202,12 +716,15 @@ function calculateDueAmounts(periodNum, rowIndex, params, interestAccrued, sched
   let newInterestDue = 0;
   let newPrincipalDue = 0;
   const isSinglePeriod = (params.paymentFreq === "Single Period");
-  const isMonthlyAmortizing = (params.paymentFreq === "Monthly" && params.amortizeYN === "Yes");
-  const isInterestOnly = (params.paymentFreq === "Monthly" && params.amortizeYN === "No");
+  const isRegular = getRegularFrequency(params) !== null;
+  const isAmortizing = (isRegular && params.amortizeYN === "Yes");
+  const isInterestOnly = (isRegular && params.amortizeYN === "No");
+  // Number of regular periods (equals termMonths for monthly schedules)
+  const termPeriods = params.termPeriods || params.termMonths;
 
   if (isSinglePeriod) {
     // Single lump-sum loan: all interest and principal due at final period only
-    const isFinalPeriod = (Number.isInteger(periodNum) && periodNum === params.termMonths);
+    const isFinalPeriod = (Number.isInteger(periodNum) && periodNum === termPeriods);
     if (isFinalPeriod) {
       newInterestDue = interestAccrued;
       newPrincipalDue = params.principal;  // remaining principal due at end
@@ -215,8 +732,12 @@ function calculateDueAmounts(periodNum, rowIndex, params, interestAccrued, sched
       newInterestDue = 0;
       newPrincipalDue = 0;
     }
-  } else if (isMonthlyAmortizing && Number.isInteger(periodNum) && periodNum >= 1 && periodNum <= params.termMonths) {
-    // Amortizing monthly loan:
+  } else if (isAmortizing && Number.isInteger(periodNum) && periodNum >= 1 && periodNum <= (params.ioPeriods || 0)) {
+    // Interest-only period of an amortizing loan: the accrued interest, no principal yet
+    newInterestDue = interestAccrued;
+    newPrincipalDue = 0;
+  } else if (isAmortizing && Number.isInteger(periodNum) && periodNum >= 1 && periodNum <= termPeriods) {
+    // Amortizing loan (any regular frequency):
     if (extraPaymentThisPeriod) {
       // Extra principal was paid this period – reduce interest due for this period
       // Remove all accrued interest (it will be recalculated as actualInterest)
@@ -248,7 +769,7 @@ function calculateDueAmounts(periodNum, rowIndex, params, interestAccrued, sched
     }
   } else if (isInterestOnly && Number.isInteger(periodNum)) {
     // Interest-only loan logic:
-    if (periodNum === params.termMonths) {
+    if (periodNum === termPeriods) {
       // Final period of interest-only: all remaining interest and principal due
       newInterestDue = interestAccrued;
       newPrincipalDue = params.principal;  // all principal due at maturity
@@ -270,13 +791,55 @@ function calculateDueAmounts(periodNum, rowIndex, params, interestAccrued, sched
 // (In Google Apps Script, these will be available globally once this file is included)
 if (typeof module !== 'undefined' && module.exports) {
   // Node.js export
-  module.exports = { separateRows, applyUnscheduledPaymentsForPeriod, calculateDueAmounts };
+  module.exports = {
+    PAYMENT_WATERFALL,
+    parsePaymentWaterfall,
+    allocatePayment,
+    hasAmountReceived,
+    allocateAmountReceived,
+    roundCents,
+    toCents,
+    roundToCents,
+    formatMoney,
+    calcLateFee,
+    setAmountNote,
+    postFee,
+    takeBackPostedFees,
+    postLateFee,
+    calcPrepaymentPremium,
+    calcDefaultWindow,
+    accrueDefaultInterest,
+    separateRows,
+    averageAnnualRate,
+    accrueByConvention,
+    applyUnscheduledPaymentsForPeriod,
+    calculateDueAmounts
+  };
 } else {
   // Apps Script: assign functions to a global LoanHelpers object
   if (typeof LoanHelpers === 'undefined') {
     this.LoanHelpers = {};  // `this` refers to global in Apps Script
   }
+  LoanHelpers.PAYMENT_WATERFALL = PAYMENT_WATERFALL;
+  LoanHelpers.parsePaymentWaterfall = parsePaymentWaterfall;
+  LoanHelpers.allocatePayment = allocatePayment;
+  LoanHelpers.hasAmountReceived = hasAmountReceived;
+  LoanHelpers.allocateAmountReceived = allocateAmountReceived;
+  LoanHelpers.roundCents = roundCents;
+  LoanHelpers.toCents = toCents;
+  LoanHelpers.roundToCents = roundToCents;
+  LoanHelpers.formatMoney = formatMoney;
+  LoanHelpers.calcLateFee = calcLateFee;
+  LoanHelpers.setAmountNote = setAmountNote;
+  LoanHelpers.postFee = postFee;
+  LoanHelpers.takeBackPostedFees = takeBackPostedFees;
+  LoanHelpers.postLateFee = postLateFee;
+  LoanHelpers.calcPrepaymentPremium = calcPrepaymentPremium;
+  LoanHelpers.calcDefaultWindow = calcDefaultWindow;
+  LoanHelpers.accrueDefaultInterest = accrueDefaultInterest;
   LoanHelpers.separateRows = separateRows;
+  LoanHelpers.averageAnnualRate = averageAnnualRate;
+  LoanHelpers.accrueByConvention = accrueByConvention;
   LoanHelpers.applyUnscheduledPaymentsForPeriod = applyUnscheduledPaymentsForPeriod;
   LoanHelpers.calculateDueAmounts = calculateDueAmounts;
 }
\ No newline at end of file
@@ -2,365 +2,290 @@
  LoanScript.js
  *********************************************************************************/
 
-// Import LoanHelpers module (for Node.js/testing environment). In Apps Script, LoanHelpers functions are loaded globally via separate file include.
-var LoanHelpers;
+// Import LoanEngine module (for Node.js/testing environment). In Apps Script, LoanEngine functions are loaded globally via separate file include.
+var LoanEngine;
 if (typeof require !== 'undefined' && typeof module !== 'undefined' && module.exports) {
-    LoanHelpers = require('./LoanHelpers.js');
-} else if (typeof LoanHelpers !== 'undefined') {
-    // In Google Apps Script, the LoanHelpers object is already defined
-    // (from the included LoanHelpers.js file in the project)
+    LoanEngine = require('./LoanEngine.js');
+} else if (typeof LoanEngine !== 'undefined') {
+    // In Google Apps Script, the LoanEngine object is already defined
+    // (from the included LoanEngine.js file in the project)
 }
 
 // ---------------------
 // 1) SHEET CONFIG
 // ---------------------
-const SHEET_CONFIG = {
-  START_ROW: 8,
-  END_ROW: 500,
-  COLUMNS: {
-    PERIOD:        2,  // B
-    PERIOD_END:    3,  // C
-    DUE_DATE:      4,  // D
-    DAYS:          5,  // E
-    PAID_ON:       6,  // F
-    TOTAL_DUE:     7,  // G
-    TOTAL_PAID:    8,  // H
-    PRINCIPAL_DUE: 9,  // I
-    PRINCIPAL_PD:  10, // J
-    INTEREST_DUE:  11, // K
-    INTEREST_PD:   12, // L
-    FEES_DUE:      13, // M
-    FEES_PD:       14, // N
-    INT_BAL:       15, // O
-    PRIN_BAL:      16, // P
-    TOTAL_BAL:     17, // Q
-    NOTES:         18  // R
-  },
-  INPUTS: {
-    LOAN_NAME:               'B4',
-    BORROWER_NAME:           'C4',
-    PRINCIPAL:               'D4',
-    INTEREST_RATE:           'E4',
-    CLOSING_DATE:            'F4',
-    TERM_MONTHS:             'G4',
-    PRORATE:                 'H4',
-    PAYMENT_FREQ:            'I4',
-    DAY_COUNT:               'J4',
-    DAYS_PER_YEAR:           'K4',
-    PREPAID_INTEREST_DATE:   'L4',
-    AMORTIZE:                'M4',
-    ORIG_FEE_PCT:            'N4',
-    EXIT_FEE_PCT:            'O4',
-    LOCK_INPUTS:             'Q4'
-  },
-  // For IPMT/PPMT storage:
-  IPMT_COL: 26, // Z
-  PPMT_COL: 27  // AA
-};
+// The sheet layout (SHEET_CONFIG, SIDE_TABLES) and isSharedSheet live in SheetConfig.js, shared with
+// SummaryPage.js; in Apps Script they are globals.
+var SHEET_CONFIG;
+var SIDE_TABLES;
+var isSharedSheet;
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && module.exports) {
+    ({ SHEET_CONFIG, SIDE_TABLES, isSharedSheet } = require('./SheetConfig.js'));
+}
 
 // ---------------------
-// 2) HELPER FUNCTIONS
+// 2) SHEET INPUTS
 // ---------------------
 
 /**
- * Returns the integer number of days between two dates (ignoring time of day).
- * The result is (endDate - startDate) / 86400000, rounded.
+ * Build the set of user inputs from row 4 (taking into account forced changes to certain fields).
+ * The calculations live in LoanEngine.buildLoanParams; this reads the cells and writes back any
+ * value the engine had to override.
  */
-function daysBetween(startDate, endDate) {
-  if (!(startDate instanceof Date) || !(endDate instanceof Date)) return 0;
-  const msPerDay = 24 * 3600 * 1000;
-  const s = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
-  const e = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
-  return Math.round((e - s) / msPerDay);
-}
+function getAllInputs(sheet) {
+  // Row 4 is read in one call (D4 through the last input); each input is picked out of it by its cell
+  const row4 = sheet.getRange(4, 4, 1, SHEET_CONFIG.LAST_INPUT_COL - 3).getValues()[0];
+  const input = (key) => row4[inputColumn(SHEET_CONFIG.INPUTS[key]) - 4];
+  const datePrepaidInt = input('PREPAID_INTEREST_DATE');
+  const firstResetDate = input('FIRST_RESET_DATE');
+  const rateIndex      = input('RATE_INDEX');
+  const conversionDate = input('CONVERSION_DATE');
+
+  const terms = {
+    principal      : input('PRINCIPAL'),
+    closingDate    : new Date(input('CLOSING_DATE')),
+    annualRate     : input('INTEREST_RATE'),
+    paymentFreq    : input('PAYMENT_FREQ'),
+    dayCountMethod : input('DAY_COUNT'),
+    daysPerYear    : input('DAYS_PER_YEAR'),
+    termMonths     : input('TERM_MONTHS'),
+    termPeriods    : input('TERM_PERIODS') || null,
+    amortMonths    : input('AMORT_MONTHS') || null,
+    ioMonths       : input('IO_MONTHS') || 0,
+    prorateFirst   : input('PRORATE'),
+    amortizeYN     : input('AMORTIZE'),
 
-/**
- * Returns daysBetween(...) + 1, i.e., inclusive day count.
- */
-// [REFINED] Centralize “inclusive” day counting.
-function daysBetweenInclusive(startDate, endDate) {
-  return daysBetween(startDate, endDate) + 1;
-}
+    prepaidIntDate : (datePrepaidInt instanceof Date && !isNaN(datePrepaidInt))
+                     ? new Date(datePrepaidInt)
+                     : null,
 
-/**
- * Get the last day of the same month as dateObj.
- */
-function getLastDayOfMonth(dateObj) {
-  return new Date(dateObj.getFullYear(), dateObj.getMonth() + 1, 0);
-}
+    origFeePct       : input('ORIG_FEE_PCT') || 0,
+    origFeePctString : sheet.getRange(SHEET_CONFIG.INPUTS.ORIG_FEE_PCT).getDisplayValue() || "",
+    exitFeePct       : input('EXIT_FEE_PCT') || 0,
+
+    origFeeTreatment    : input('ORIG_FEE_TREATMENT') || "Financed",
+    prepaidIntTreatment : input('PREPAID_INT_TREATMENT') || "Financed",
+    roundingMethod      : input('ROUNDING') || "Half-Up",
+
+    rateIndex      : rateIndex || "",
+    margin         : input('MARGIN') || 0,
+    resetFrequency : input('RESET_FREQ') || "",
+    lookbackDays   : input('LOOKBACK_DAYS') || 0,
+    periodicCap    : input('PERIODIC_CAP') || 0,
+    lifetimeCap    : input('LIFETIME_CAP') || 0,
+    lifetimeFloor  : input('LIFETIME_FLOOR') || 0,
+    firstResetDate : (firstResetDate instanceof Date && !isNaN(firstResetDate))
+                     ? new Date(firstResetDate)
+                     : null,
+    indexRates     : rateIndex ? getIndexRates(sheet.getParent(), rateIndex) : [],
+    rateSteps      : getRateSteps(sheet),
+
+    paymentWaterfall : input('PAYMENT_WATERFALL') || "",
+    excessTo         : input('EXCESS_TO') || "Principal",
+
+    graceDays       : input('GRACE_DAYS') || 0,
+    lateFeeFlat     : input('LATE_FEE_FLAT') || 0,
+    lateFeePct      : input('LATE_FEE_PCT') || 0,
+    lateFeeMin      : input('LATE_FEE_MIN') || 0,
+    lateFeeMax      : input('LATE_FEE_MAX') || 0,
+    lateFeeInterest : input('LATE_FEE_INTEREST') || "No",
+    asOfDate        : new Date(),   // the sheet is always figured as of today
+    defaultMargin   : input('DEFAULT_MARGIN') || 0,
+    defaultTrigger  : input('DEFAULT_TRIGGER'),
+
+    capitalizeInterest  : input('CAPITALIZE_INTEREST') || "No",
+    capitalizationDates : getCapitalizationDates(sheet),
+    pikRate             : input('PIK_RATE') || 0,
+
+    deferrals         : getDeferrals(sheet),
+    deferredAmountsTo : input('DEFERRED_AMOUNTS_TO') || "End of Term",
+    deferralInterest  : input('DEFERRAL_INTEREST') || "No",
+
+    modifications     : getModifications(sheet),
+
+    commitment     : input('COMMITMENT') || 0,
+    draws          : getDraws(sheet),
+    conversionDate : (conversionDate instanceof Date && !isNaN(conversionDate))
+                     ? new Date(conversionDate)
+                     : null,
+    unusedFeePct   : input('UNUSED_FEE_PCT') || 0,
 
-/**
- * Get the last day of the month after adding `monthsToAdd`.
- * For example, if dateObj=3/14/2024 and monthsToAdd=1 => returns 4/30/2024.
- */
-function getLastDayAfterAddingMonths(dateObj, monthsToAdd) {
-  const year = dateObj.getFullYear();
-  const monthIndex = dateObj.getMonth() + monthsToAdd + 1;
-  const newYear = year + Math.floor(monthIndex / 12);
-  const newMonth = monthIndex % 12;
-  return new Date(newYear, newMonth, 0);
+    creditLimit    : input('CREDIT_LIMIT') || 0,
+    minPaymentPct  : input('MIN_PAYMENT_PCT') || 0,
+    minPayment     : input('MIN_PAYMENT') || 0,
+
+    fees           : getFees(sheet),
+
+    prepaymentPremium : input('PREPAYMENT_PREMIUM') || "None",
+    premiumSchedule   : input('PREMIUM_SCHEDULE'),
+    lockoutMonths     : input('LOCKOUT_MONTHS') || 0,
+    openMonths        : input('OPEN_MONTHS') || 0,
+    treasuryRate      : input('TREASURY_RATE')
+  };
+
+  const inputs = LoanEngine.buildLoanParams(terms);
+
+  // Reflect forced overrides (edge-day prorate, single-period day count/amortize, revolving amortize) on the sheet
+  if (inputs.prorateFirst !== terms.prorateFirst) {
+    sheet.getRange(SHEET_CONFIG.INPUTS.PRORATE).setValue(inputs.prorateFirst);
+  }
+  if (inputs.dayCountMethod !== terms.dayCountMethod) {
+    sheet.getRange(SHEET_CONFIG.INPUTS.DAY_COUNT).setValue(inputs.dayCountMethod);
+  }
+  if (inputs.amortizeYN !== terms.amortizeYN) {
+    sheet.getRange(SHEET_CONFIG.INPUTS.AMORTIZE).setValue(inputs.amortizeYN);
+  }
+  return inputs;
 }
 
 /**
- * Returns a new Date that is exactly +1 day of the given `dateObj`.
+ * The column number of a row-4 input cell ('D4' is 4, 'BE4' is 57).
  */
-// [REFINED] Common single “+1 day” logic
-function oneDayAfter(dateObj) {
-  const d = new Date(dateObj);
-  d.setDate(d.getDate() + 1);
-  return d;
+function inputColumn(cell) {
+  return cell.replace(/\d+$/, '').split('').reduce((col, letter) => col * 26 + letter.charCodeAt(0) - 64, 0);
 }
 
 /**
- * Checks whether the closingDate is an "edge" day for forcing No prorate (day=1 or day>28).
+ * Read one index series (e.g. "SOFR") from the shared Rates sheet: observation dates in column A,
+ * one column per index with its name in row 1, and rates as decimals (0.0531 for 5.31%).
+ * Returns [{ date, rate }] for every dated row with a numeric rate.
  */
-function isEdgeDay(dateObj) {
-  const d = dateObj.getDate();
-  return (d === 1 || d > 28);
+function getIndexRates(spreadsheet, indexName) {
+  const ratesSheet = spreadsheet.getSheetByName(SHEET_CONFIG.RATES_SHEET);
+  if (!ratesSheet) {
+    throw new Error(`Index "${indexName}" needs a sheet named "${SHEET_CONFIG.RATES_SHEET}" with the rate history.`);
+  }
+  const values = ratesSheet.getDataRange().getValues();
+  const col = values.length ? values[0].indexOf(indexName) : -1;
+  if (col < 1) {
+    throw new Error(`Index "${indexName}" was not found in row 1 of the ${SHEET_CONFIG.RATES_SHEET} sheet.`);
+  }
+  return values.slice(1)
+    .filter(row => row[0] instanceof Date && !isNaN(row[0]) && typeof row[col] === 'number')
+    .map(row => ({ date: row[0], rate: row[col] }));
 }
 
 /**
- * Return true if row is an unscheduled row (i.e., B-col is not an integer or period-end is blank).
+ * Read the loan's step-rate table (U8:V500). Rows without a date or a numeric rate are skipped,
+ * so the table may have gaps (e.g. rows inserted for unscheduled payments).
+ * Returns [{ date, rate }] in sheet order.
  */
-function isUnscheduledRow(rowArr) {
-  const periodNum = rowArr[0];
-  const periodEnd = rowArr[1];
-  if (!periodEnd) return true;
-  if (!Number.isInteger(periodNum)) return true;
-  return false;
+function getRateSteps(sheet) {
+  const cfg = SHEET_CONFIG.RATE_STEPS;
+  const values = sheet.getRange(
+    SHEET_CONFIG.START_ROW,
+    cfg.DATE_COL,
+    SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1,
+    cfg.RATE_COL - cfg.DATE_COL + 1
+  ).getValues();
+  return values
+    .filter(row => row[0] instanceof Date && !isNaN(row[0]) && typeof row[1] === 'number')
+    .map(row => ({ date: row[0], rate: row[1] }));
 }
 
 /**
- * Finds the last scheduled row's 'Period End Date' going backward from rowIndex in schedule.
+ * Read the loan's capitalization dates (W8:W500), skipping blank and non-date cells.
+ * Returns the dates in sheet order.
  */
-function findLastScheduledEnd(schedule, rowIndex) {
-  for (let i = rowIndex; i >= 0; i--) {
-    const periodNum = schedule[i][0];
-    const endVal    = schedule[i][1];
-    if (Number.isInteger(periodNum) && endVal instanceof Date && !isNaN(endVal)) {
-      return endVal;
-    }
-  }
-  return null;
+function getCapitalizationDates(sheet) {
+  return sheet.getRange(
+    SHEET_CONFIG.START_ROW,
+    SHEET_CONFIG.CAPITALIZATION_DATES.DATE_COL,
+    SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1,
+    1
+  ).getValues()
+    .map(row => row[0])
+    .filter(value => value instanceof Date && !isNaN(value));
 }
 
 /**
- * Calculates the inclusive day count from periodStart..periodEnd,
- * minus any 'prepaidUntil' portion (if applicable).
+ * Read the loan's deferred installments (X8:Y500): a period number in X, with "Deferral" or
+ * "Forbearance" in Y. Rows without a number in X are skipped.
+ * @returns {Array<{ period: number, kind: string }>}
  */
-function calcUnpaidDays(periodStart, periodEnd, prepaidUntil) {
-  if (!(periodEnd instanceof Date) || isNaN(periodEnd)) {
-    return 0;
-  }
-  const raw = daysBetweenInclusive(periodStart, periodEnd);
-  if (!prepaidUntil) {
-    return raw;
-  }
-  if (periodEnd < prepaidUntil) {
-    return 0;
-  }
-  if (periodStart >= prepaidUntil) {
-    return raw;
-  }
-  const afterPrepaid = new Date(prepaidUntil);
-  return daysBetweenInclusive(afterPrepaid, periodEnd);
+function getDeferrals(sheet) {
+  return sheet.getRange(
+    SHEET_CONFIG.START_ROW,
+    SHEET_CONFIG.DEFERRALS.PERIOD_COL,
+    SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1,
+    2
+  ).getValues()
+    .filter(row => typeof row[0] === 'number')
+    .map(row => ({ period: row[0], kind: row[1] || "Deferral" }));
 }
 
 /**
- * Gets the overlapping day count for schedule[r] using the logic in the original code.
+ * Read the loan's modification log (Z8:AD500): rows with an effective date in Z, with the new rate,
+ * maturity date, payment and principal change beside it (blank cells leave a term unchanged).
+ * @returns {Array<{ effectiveDate: Date, rate, maturityDate, payment, principalChange }>}
  */
-function getOverlapDays(r, schedule, params) {
-  const rowArr    = schedule[r];
-  const periodNum = rowArr[0];
-  const periodEnd = rowArr[1];
-
-  if (!Number.isInteger(periodNum) || !periodEnd) {
-    return 0; // unscheduled row or blank date
-  }
-
-  if (params.paymentFreq === "Single Period") {
-    // Single Period:
-    if (r === 0) {
-      return calcUnpaidDays(params.closingDate, periodEnd, params.prepaidUntil);
-    }
-    const lastEnd = findLastScheduledEnd(schedule, r - 1);
-    if (lastEnd) {
-      const ps = oneDayAfter(lastEnd);
-      return calcUnpaidDays(ps, periodEnd, params.prepaidUntil);
-    }
-    // fallback
-    return calcUnpaidDays(params.closingDate, periodEnd, params.prepaidUntil);
-  }
-
-  // Monthly:
-  if (params.dayCountMethod === "Periodic") {
-    // If first row and "Prorate = Yes," do a true difference.
-    if (r === 0 && params.prorateFirst === "Yes") {
-      return calcUnpaidDays(params.closingDate, periodEnd, params.prepaidUntil);
-    }
-    // If no prepaid date, just return 30.
-    if (!params.prepaidUntil) {
-      return 30;
-    }
-    // Otherwise, compute actual unpaid days, but cap at 30.
-    const lastEnd = findLastScheduledEnd(schedule, r - 1) || params.closingDate;
-    const periodStart = oneDayAfter(lastEnd);
-    const rawDays = calcUnpaidDays(periodStart, periodEnd, params.prepaidUntil);
-    return Math.min(rawDays, 30);
-  } else {
-    // dayCountMethod === "Actual"
-    const lastEnd = findLastScheduledEnd(schedule, r - 1);
-    if (lastEnd) {
-      const ps = oneDayAfter(lastEnd);
-      return calcUnpaidDays(ps, periodEnd, params.prepaidUntil);
-    }
-    return calcUnpaidDays(params.closingDate, periodEnd, params.prepaidUntil);
-  }
+function getModifications(sheet) {
+  const cfg = SHEET_CONFIG.MODIFICATIONS;
+  return sheet.getRange(
+    SHEET_CONFIG.START_ROW,
+    cfg.DATE_COL,
+    SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1,
+    cfg.PRINCIPAL_COL - cfg.DATE_COL + 1
+  ).getValues()
+    .filter(row => row[0] instanceof Date && !isNaN(row[0]))
+    .map(row => ({ effectiveDate: row[0], rate: row[1], maturityDate: row[2], payment: row[3], principalChange: row[4] }));
 }
 
 /**
- * Build the set of user inputs from row 4 (taking into account forced changes to certain fields).
+ * Read the loan's draws ledger (AG8:AI500): rows with a date in AG, the amount drawn in AH and the
+ * part of it set aside in the interest reserve in AI.
+ * @returns {Array<{ date: Date, amount, reserve }>}
  */
-function getAllInputs(sheet) {
-  const feeCell        = sheet.getRange(SHEET_CONFIG.INPUTS.ORIG_FEE_PCT);
-  const exitFeePctCell = sheet.getRange(SHEET_CONFIG.INPUTS.EXIT_FEE_PCT); 
-  const datePrepaidInt = sheet.getRange(SHEET_CONFIG.INPUTS.PREPAID_INTEREST_DATE).getValue();
-
-  const inputs = {
-    principal      : sheet.getRange(SHEET_CONFIG.INPUTS.PRINCIPAL).getValue(),
-    closingDate    : new Date(sheet.getRange(SHEET_CONFIG.INPUTS.CLOSING_DATE).getValue()),
-    annualRate     : sheet.getRange(SHEET_CONFIG.INPUTS.INTEREST_RATE).getValue(),
-    paymentFreq    : sheet.getRange(SHEET_CONFIG.INPUTS.PAYMENT_FREQ).getValue(),
-    dayCountMethod : sheet.getRange(SHEET_CONFIG.INPUTS.DAY_COUNT).getValue(),
-    daysPerYear    : sheet.getRange(SHEET_CONFIG.INPUTS.DAYS_PER_YEAR).getValue(),
-    termMonths     : sheet.getRange(SHEET_CONFIG.INPUTS.TERM_MONTHS).getValue(),
-    prorateFirst   : sheet.getRange(SHEET_CONFIG.INPUTS.PRORATE).getValue(),
-    amortizeYN     : sheet.getRange(SHEET_CONFIG.INPUTS.AMORTIZE).getValue(),
-
-    prepaidIntDate : (datePrepaidInt instanceof Date && !isNaN(datePrepaidInt))
-                     ? new Date(datePrepaidInt)
-                     : null,
-
-    origFeePct       : feeCell.getValue() || 0,
-    origFeePctString : feeCell.getDisplayValue() || "",
-    exitFeePct       : exitFeePctCell.getValue() || 0
-    
-   
-    
-  };
-
-  // [REFINED] Force "No" prorate if the day=1 or day>28
-  if (isEdgeDay(inputs.closingDate)) {
-    inputs.prorateFirst = "No";
-    sheet.getRange(SHEET_CONFIG.INPUTS.PRORATE).setValue("No");
-  }
-
-  // If single period => dayCount="Actual", amortize="No"
-  if (inputs.paymentFreq === "Single Period") {
-    inputs.dayCountMethod = "Actual";
-    sheet.getRange(SHEET_CONFIG.INPUTS.DAY_COUNT).setValue("Actual");
-
-    inputs.amortizeYN = "No";
-    sheet.getRange(SHEET_CONFIG.INPUTS.AMORTIZE).setValue("No");
-  }
-
-  // Some rates:
-  inputs.perDiemRate  = inputs.daysPerYear ? inputs.annualRate / inputs.daysPerYear : 0;
-  inputs.monthlyRate  = inputs.annualRate / 12;
-
-  // 1) Add orig fee to principal
-  let financedFee = 0;
-  if (inputs.origFeePct > 0) {
-    financedFee = inputs.principal * inputs.origFeePct;
-    inputs.principal += financedFee;
-  }
-
-  // 2) Prepaid interest
-  let financedPrepaidInterest = 0;
-  if (inputs.prepaidIntDate && inputs.daysPerYear && inputs.annualRate) {
-    const dayCount = daysBetweenInclusive(inputs.closingDate, inputs.prepaidIntDate);
-    if (dayCount > 0) {
-      const fractionOfYear = dayCount / inputs.daysPerYear;
-      const numerator   = inputs.principal * inputs.annualRate * fractionOfYear;
-      const denominator = 1 - (inputs.annualRate * fractionOfYear);
-      if (denominator !== 0) {
-        financedPrepaidInterest = numerator / denominator;
-        inputs.principal += financedPrepaidInterest;
-      }
-    }
-  }
-
-  inputs.financedFee             = financedFee; 
-  inputs.financedPrepaidInterest = financedPrepaidInterest;
-
-  // We'll define a "prepaidUntil" date
-  if (inputs.prepaidIntDate) {
-    inputs.prepaidUntil = oneDayAfter(inputs.prepaidIntDate);
-  } else {
-    inputs.prepaidUntil = null;
-  }
-
-  // EXIT FEE (based on original principal, not financed)
-  const originalPrincipal = sheet.getRange(SHEET_CONFIG.INPUTS.PRINCIPAL).getValue();
-  inputs.exitFee = inputs.exitFeePct * originalPrincipal;
-  return inputs;
+function getDraws(sheet) {
+  const cfg = SHEET_CONFIG.DRAWS;
+  return sheet.getRange(
+    SHEET_CONFIG.START_ROW,
+    cfg.DATE_COL,
+    SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1,
+    cfg.RESERVE_COL - cfg.DATE_COL + 1
+  ).getValues()
+    .filter(row => row[0] instanceof Date && !isNaN(row[0]))
+    .map(row => ({ date: row[0], amount: row[1], reserve: row[2] }));
 }
 
 /**
- * Returns the total number of rows to generate in the schedule (including 0 if prorated).
+ * Read the loan's fee table (AJ8:AO500): rows with a name in AJ or an amount in AL, with the fee's
+ * type, timing, date and treatment beside them.
+ * @returns {Array<{ name, type, amount, timing, date, treatment }>}
  */
-function getTotalPeriods(params) {
-  return (params.prorateFirst === "Yes")
-    ? params.termMonths + 1
-    : params.termMonths;
+function getFees(sheet) {
+  const cfg = SHEET_CONFIG.FEES;
+  return sheet.getRange(
+    SHEET_CONFIG.START_ROW,
+    cfg.NAME_COL,
+    SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1,
+    cfg.TREATMENT_COL - cfg.NAME_COL + 1
+  ).getValues()
+    .filter(row => row[0] || typeof row[2] === 'number')
+    .map(row => ({ name: row[0], type: row[1], amount: row[2], timing: row[3], date: row[4], treatment: row[5] }));
 }
 
 /**
- * Calculates the Period End Date for the i‐th row if `prorateFirst=Yes`.
+ * The schedule area as row arrays: B..T, then each row's Fees Posted from AR (see LoanEngine.SCHEDULE_FIELDS).
  */
-function calcPeriodEndDate_Prorate(closingDate, i) {
-  if (i === 0) {
-    return getLastDayOfMonth(closingDate);
-  } else {
-    return getLastDayAfterAddingMonths(closingDate, i);
-  }
+function readScheduleRows(sheet) {
+  const numRows = SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1;
+  const rows = sheet.getRange(SHEET_CONFIG.START_ROW, 2, numRows, SHEET_CONFIG.NUM_COLS).getValues();
+  const posted = sheet.getRange(SHEET_CONFIG.START_ROW, SHEET_CONFIG.POSTED_FEES_COL, numRows, 1).getValues();
+  return rows.map((row, idx) => row.concat(posted[idx][0]));
 }
 
 /**
- * Calculates the Period End Date for the given `periodNum` if `prorateFirst=No`.
+ * Write schedule row arrays from START_ROW: B..T, and each row's Fees Posted to AR (blank when none).
  */
-function calcPeriodEndDate_NoProrate(closingDate, periodNum) {
-  const day = closingDate.getDate();
-  if (periodNum === 1) {
-    if (day === 1) {
-      // If the closing date is the 1st, the first period ends at the last day of the same month.
-      return getLastDayOfMonth(closingDate);
-    } else if (day > 28) {
-      // If the closing day is >28, the first period ends at the last day of the following month.
-      return getLastDayAfterAddingMonths(closingDate, 1);
-    } else {
-      // Otherwise, use the “day-1” logic (e.g., a closing date of 15 will end on the 14th of next month).
-      const m = new Date(closingDate.getFullYear(), closingDate.getMonth() + 1, day);
-      m.setDate(m.getDate() - 1);
-      return m;
-    }
-  } else {
-    // For subsequent periods, you might want to continue a similar logic.
-    if (day === 1) {
-      // For a closing day of 1, each period's end is the last day of the month for the month in question.
-      const baseDate = new Date(closingDate.getFullYear(), closingDate.getMonth() + periodNum - 1, 1);
-      return getLastDayOfMonth(baseDate);
-    } else if (day > 28) {
-      return getLastDayAfterAddingMonths(closingDate, periodNum);
-    } else {
-      const t = new Date(closingDate.getFullYear(), closingDate.getMonth() + periodNum, day);
-      t.setDate(t.getDate() - 1);
-      return t;
-    }
-  }
+function writeScheduleRows(sheet, rows) {
+  if (rows.length === 0) return;
+  sheet.getRange(SHEET_CONFIG.START_ROW, 2, rows.length, SHEET_CONFIG.NUM_COLS)
+    .setValues(rows.map(row => row.slice(0, SHEET_CONFIG.NUM_COLS)));
+  sheet.getRange(SHEET_CONFIG.START_ROW, SHEET_CONFIG.POSTED_FEES_COL, rows.length, 1)
+    .setValues(rows.map(row => [row[SHEET_CONFIG.NUM_COLS] || ""]));
 }
 
-
 // ---------------------
 // 3) SCHEDULE GENERATOR
 // ---------------------
@@ -374,11 +299,7 @@ class LoanScheduleGenerator {
     this.clearOldSchedule();
     const data = this.buildScheduleData(params);
 
-    if (data.length > 0) {
-      this.sheet
-        .getRange(SHEET_CONFIG.START_ROW, 2, data.length, data[0].length)
-        .setValues(data);
-    }
+    writeScheduleRows(this.sheet, data);
     this.applyFormatting(data.length);
 
     // Recalc final balances
@@ -388,97 +309,12 @@ class LoanScheduleGenerator {
 
   clearOldSchedule() {
     const numRows = SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1;
-    this.sheet.getRange(SHEET_CONFIG.START_ROW, 2, numRows, 17).clearContent();
+    this.sheet.getRange(SHEET_CONFIG.START_ROW, 2, numRows, SHEET_CONFIG.NUM_COLS).clearContent();
+    this.sheet.getRange(SHEET_CONFIG.START_ROW, SHEET_CONFIG.POSTED_FEES_COL, numRows, 1).clearContent();
   }
 
   buildScheduleData(params) {
-    const totalPeriods = getTotalPeriods(params);
-    const rows = [];
-
-    for (let i = 0; i < totalPeriods; i++) {
-      const periodNum = (params.prorateFirst === "Yes") ? i : i + 1;
-      let periodEnd;
-
-      // Period End date
-      if (params.prorateFirst === "Yes") {
-        periodEnd = calcPeriodEndDate_Prorate(params.closingDate, i);
-      } else {
-        periodEnd = calcPeriodEndDate_NoProrate(params.closingDate, periodNum);
-      }
-
-      // Due date = +1 day
-      const dueDate = oneDayAfter(periodEnd);
-
-      // Approx “Days in period” for display
-      let approxDays = 0;
-      if (i === 0 && params.prorateFirst === "Yes") {
-        approxDays = daysBetweenInclusive(params.closingDate, periodEnd);
-      } else if (params.dayCountMethod === "Periodic") {
-        approxDays = 30;
-      } else {
-        // dayCountMethod===Actual or first row no‐prorate
-        if (i === 0) {
-          approxDays = daysBetween(params.closingDate, periodEnd);
-        } else {
-          let prevEnd;
-          if (params.prorateFirst === "Yes") {
-            prevEnd = calcPeriodEndDate_Prorate(params.closingDate, i - 1);
-          } else {
-            prevEnd = calcPeriodEndDate_NoProrate(params.closingDate, periodNum - 1);
-          }
-          approxDays = daysBetween(prevEnd, periodEnd);
-        }
-      }
-      if (approxDays < 0) approxDays = 0;
-
-      rows.push([
-        periodNum,    // B => [0]
-        periodEnd,    // C => [1]
-        dueDate,      // D => [2]
-        approxDays,   // E => [3]
-        "",           // F => [4] (PaidOn)
-        0,            // G => [5] (TotalDue)
-        0,            // H => [6] (TotalPaid)
-        0,            // I => [7] (PrincipalDue)
-        0,            // J => [8] (PrincipalPaid)
-        0,            // K => [9] (InterestDue)
-        0,            // L => [10](InterestPaid)
-        0,            // M => [11](FeesDue)
-        0,            // N => [12](FeesPaid)
-        0,            // O => [13](InterestBalance)
-        0,            // P => [14](PrincipalBalance)
-        0,            // Q => [15](TotalBalance)
-        ""            // R => [16](Notes)
-      ]);
-    }
-
-    // Build the note for Orig/Prepaid (exclude exit fee from this note)
-    const fee = params.financedFee;
-    const pre = params.financedPrepaidInterest;
-    let noteFirst = "";
-    if (fee > 0 && pre > 0) {
-      const preFmt = pre.toLocaleString("en-US", { style: "currency", currency: "USD" });
-      noteFirst = `(${preFmt} of Prepaid Interest + ${params.origFeePctString} Origination Fee added to Principal.)`;
-    } else if (fee > 0) {
-      noteFirst = `(${params.origFeePctString} Origination Fee added to Principal.)`;
-    } else if (pre > 0) {
-      const preFmt = pre.toLocaleString("en-US", { style: "currency", currency: "USD" });
-      noteFirst = `(${preFmt} of Prepaid Interest added to Principal.)`;
-    }
-    if (noteFirst && rows.length > 0) {
-      rows[0][16] = noteFirst; // place in R of first row
-    }
-
-    // Place EXIT FEE in final scheduled row’s FeesDue
-    if (params.exitFee > 0 && rows.length > 0) {
-      const lastRowIndex = rows.length - 1;
-      rows[lastRowIndex][11] = params.exitFee; // M=FeesDue
-      // Also put a note in the final row
-      const exitFeeFmt = params.exitFee.toLocaleString("en-US", { style: "currency", currency: "USD" });
-      rows[lastRowIndex][16] = `(${exitFeeFmt} Exit Fee)`;
-    }
-
-    return rows;
+    return LoanEngine.buildScheduleRows(params);
   }
 
   applyFormatting(numRows) {
@@ -502,6 +338,15 @@ class LoanScheduleGenerator {
 
     // R => text
     sh.getRange(sr, 18, numRows, 1).setNumberFormat("@");
+
+    // S => rate
+    sh.getRange(sr, 19, numRows, 1).setNumberFormat("0.000%");
+
+    // T => currency (amount received)
+    sh.getRange(sr, 20, numRows, 1).setNumberFormat("$#,##0.00");
+
+    // AR => currency (fees posted)
+    sh.getRange(sr, SHEET_CONFIG.POSTED_FEES_COL, numRows, 1).setNumberFormat("$#,##0.00");
   }
 }
 
@@ -516,286 +361,62 @@ class BalanceManager {
 
   recalcAll() {
     const params = getAllInputs(this.sheet);
-    // 1) Read entire schedule area (B..R)
-    const range = this.sheet.getRange(
-        this.cfg.START_ROW,
-        2, // Column B
-        this.cfg.END_ROW - this.cfg.START_ROW + 1,
-        17
-    );
-    let extraPaidOccurred = false;
-    let loanPaidOff = false;
-    let allRows = range.getValues();
+    // 1) Read entire schedule area (B..T, with the fees posted in AR)
+    const allRows = readScheduleRows(this.sheet);
     // 2) Determine how many rows are “in use”
-    let lastUsedRowIndex = 0;
-    for (let i = 0; i < allRows.length; i++) {
-        const periodVal = allRows[i][0]; // col B
-        if (periodVal === "" && periodVal !== 0) break;
-        lastUsedRowIndex++;
-    }
+    const lastUsedRowIndex = LoanEngine.countUsedRows(allRows);
     if (lastUsedRowIndex === 0) return;
-    // 3) Separate “scheduled” vs. “unscheduled” rows and sort them
-    console.log('LoanHelpers:', LoanHelpers);
-    console.log('separateRows:', LoanHelpers && LoanHelpers.separateRows);
-    const { scheduledRows, unscheduledRows } = LoanHelpers.separateRows(allRows, lastUsedRowIndex);
-    // 5) Build IPMT/PPMT results for monthly amortizing loans
-    const [ipmtVals, ppmtVals] = this.buildIpmtPpmtResults(allRows, lastUsedRowIndex, params);
-    const ipmtMap = {}, ppmtMap = {};
-    for (let i = 0; i < lastUsedRowIndex; i++) {
-        ipmtMap[i] = ipmtVals[i][0] || 0;
-        ppmtMap[i] = ppmtVals[i][0] || 0;
+    // 3) Recalculate dues and balances in memory (rows added past maturity stop at END_ROW), then
+    //    write all updated rows back to the sheet
+    LoanEngine.recalculateSchedule(allRows, lastUsedRowIndex, params, allRows.length);
+    // Rows past maturity may have been added (or, after a payoff, removed and left blank)
+    const newUsedCount = LoanEngine.countUsedRows(allRows);
+    const rowsToWrite = Math.max(lastUsedRowIndex, newUsedCount);
+    writeScheduleRows(this.sheet, allRows.slice(0, rowsToWrite));
+    if (newUsedCount > lastUsedRowIndex) {
+      new LoanScheduleGenerator(this.sheet).applyFormatting(newUsedCount);
     }
-    // 6) Track which rows have been re-amortized
-    const hasReAmortized = new Array(lastUsedRowIndex).fill(false);
-    // 7) Initialize running balances
-    let runningPrincipal = params.principal;
-    let runningInterest = 0;
-    let runningFees = 0;
-    // 8) Iterate over each scheduled period in chronological order
-    let unschedIndex = 0;
-    let lastEndDate = params.closingDate;
-    const isSinglePeriod = (params.paymentFreq === "Single Period");
-    const isMonthly = (params.paymentFreq === "Monthly");
-    const isPeriodicMethod = (params.dayCountMethod === "Periodic");
-    const dailyRate = params.perDiemRate;
-    // For periodic (30/360) calculations:
-    const monthlyInterestFactor = params.daysPerYear 
-        ? (params.annualRate * 30 / params.daysPerYear) 
-        : params.monthlyRate;
-    const dailyPeriodicRate = monthlyInterestFactor / 30;
-    
-      for (let i = 0; i < scheduledRows.length; i++) {
-        const schObj = scheduledRows[i];
-        const rowIndex = schObj.rowIndex;
-        const rowArr = schObj.rowData;
-        const periodNum = rowArr[0];   // Period number (col B)
-        const periodEnd = rowArr[1];   // Period end date (col C)
-
-        // Determine the start of this period for interest calculations:
-        let periodStart;
-        if (Number.isInteger(periodNum) && periodNum === 0 && params.prorateFirst === "Yes") {
-          // For period 0 with prorated first period, interest starts on closingDate (lastEndDate is closingDate here)
-          periodStart = lastEndDate;
-        } else {
-          periodStart = oneDayAfter(lastEndDate);
-        }
-        // Adjust periodStart if necessary (prevent going backwards in time)
-        if (params.dayCountMethod === "Periodic" && params.paymentFreq === "Monthly" 
-            && Number.isInteger(periodNum) && periodNum >= 1 && periodStart < lastEndDate) {
-          periodStart = lastEndDate;
-        }
-        // 5) Apply any unscheduled payments up to this period’s end date
-        const unschedResult = LoanHelpers.applyUnscheduledPaymentsForPeriod(
-          periodNum,
-          periodStart,
-          periodEnd,
-          params,
-          unscheduledRows,
-          unschedIndex,
-          runningPrincipal,
-          runningInterest,
-          runningFees
-        );
-        // Update running balances and unscheduled index from the result
-        runningPrincipal = unschedResult.runningPrincipal;
-        runningInterest = unschedResult.runningInterest;
-        runningFees = unschedResult.runningFees;
-        unschedIndex = unschedResult.unschedIndex;
-        const interestAccruedThisPeriod = unschedResult.interestAccrued;
-        const unscheduledPrincipalPaidThisPeriod = unschedResult.unscheduledPrincipalPaid;
-
-        // If any extra principal was paid in this period (unscheduled payments), mark the flag
-        if (unscheduledPrincipalPaidThisPeriod > 0) {
-          extraPaidOccurred = true;
-        }
-        
-        // Determine the originally scheduled interest and principal for this period
-        const scheduledInterest = ipmtMap[rowIndex] || 0;
-        const scheduledPrincipal = ppmtMap[rowIndex] || 0;
-        // Calculate adjusted due amounts based on whether a prepayment occurred
-        const { newPrincipalDue, newInterestDue } = LoanHelpers.calculateDueAmounts(
-          periodNum,
-          rowIndex,
-          params,
-          interestAccruedThisPeriod,
-          scheduledInterest,
-          scheduledPrincipal,
-          extraPaidOccurred /* hadExtraPaymentBefore */,
-          unscheduledPrincipalPaidThisPeriod > 0 /* extraPaymentThisPeriod */,
-          hasReAmortized[rowIndex],
-          rowArr
-        );
-        // 7) Update the scheduled row’s due columns with the calculated amounts
-        rowArr[7] = newPrincipalDue; // col I: Principal Due
-        rowArr[9] = newInterestDue;  // col K: Interest Due
-        const feesDueThisPeriod = rowArr[11] || 0; // col M: any fee due this period
-        runningFees += feesDueThisPeriod;
-        rowArr[5] = newPrincipalDue + newInterestDue + feesDueThisPeriod; // col G: Total Payment Due
-
-        // 8) Apply any actual payments made in this scheduled period to reduce balances
-        const principalPd = rowArr[8] || 0;  // col J: Principal Paid this period
-        const interestPd = rowArr[10] || 0; // col L: Interest Paid this period
-        const feesPd = rowArr[12] || 0;     // col N: Fees Paid this period
-        runningInterest = Math.max(0, runningInterest - interestPd);
-        runningPrincipal = Math.max(0, runningPrincipal - principalPd);
-        runningFees = Math.max(0, runningFees - feesPd);
-        rowArr[6] = principalPd + interestPd + feesPd; // col H: Total Paid in this period
-        if (runningPrincipal <= 1e-6) {
-          // Loan is fully repaid; mark payoff and break out of loop
-          loanPaidOff = true;
-          // Set remaining periods (if any) to 0 due
-          // (This will be handled after loop by filling zeros, similar to original logic)
-          break;
-        }
-     
-        // **New: mark extra payment occurrence for overpayments in scheduled rows**
-        if (principalPd > (rowArr[7] || 0)) {
-          // An extra principal overpayment was made in this scheduled period
-          extraPaidOccurred = true;
-        }
-
-          // Write out ending balances for this period (Interest, Principal, Total remaining)
-          rowArr[13] = runningInterest; 
-          rowArr[14] = runningPrincipal;
-          rowArr[15] = runningInterest + runningPrincipal + runningFees;
-          lastEndDate = periodEnd;   // move to next period
-          hasReAmortized[rowIndex] = false;  // (flag remains false for this period itself)
-        }
-
-        if (loanPaidOff) {
-          // Clear out any future scheduled rows beyond payoff
-          for (let j = i; j < scheduledRows.length; j++) {
-            const futureRow = scheduledRows[j].rowData;
-            futureRow[7] = 0; // Principal Due
-            futureRow[9] = 0; // Interest Due
-            futureRow[5] = 0; // Total Due
-          }
-        }
-        // 9) (Optional) handle unscheduled payments after final period if needed (no change)
-        // 10) Write all updated rows back to the sheet
-        scheduledRows.forEach(obj => { allRows[obj.rowIndex] = obj.rowData; });
-        unscheduledRows.forEach(obj => { allRows[obj.rowIndex] = obj.rowData; });
-        range.offset(0, 0, lastUsedRowIndex, 17).setValues(allRows.slice(0, lastUsedRowIndex));
-        SpreadsheetApp.flush();
-}
-
-  buildIpmtPpmtResults(schedule, lastUsedCount, params) {
-    if (params.amortizeYN === "No") {
-      const empties = new Array(lastUsedCount).fill([0]);
-      return [empties, empties];
+    SpreadsheetApp.flush();
+    // A revolving line over its credit limit is flagged on its rows; say so once per recalculation
+    if (params.isRevolving && allRows.slice(0, rowsToWrite).some(row => /\(Over limit: /.test(row[16]))) {
+      this.sheet.getParent().toast(
+        'The balance goes over the credit limit; see the "Over limit" notes in column R.', "Over limit"
+      );
     }
-    const ipmtFormulas = [];
-    const ppmtFormulas = [];
-    const monthlyRate  = params.monthlyRate;
-    const nper         = params.termMonths;
-    const principal    = params.principal;
-
-    for (let r = 0; r < lastUsedCount; r++) {
-      const periodNum = schedule[r][0];
-      if (
-        Number.isInteger(periodNum) &&
-        params.paymentFreq === "Monthly" &&
-        periodNum >= 1 &&
-        periodNum <= nper
-      ) {
-        ipmtFormulas.push([`=-IPMT(${monthlyRate},${periodNum},${nper},${principal})`]);
-        ppmtFormulas.push([`=-PPMT(${monthlyRate},${periodNum},${nper},${principal})`]);
-      } else {
-        ipmtFormulas.push([""]);
-        ppmtFormulas.push([""]);
-      }
+    if (params.prepayment && allRows.slice(0, rowsToWrite).some(row => /\(Prepaid during lockout\)/.test(row[16]))) {
+      this.sheet.getParent().toast(
+        'Principal is prepaid during the lockout; see the "Prepaid during lockout" notes in column R.', "Lockout"
+      );
     }
+  }
 
-    const sheet = this.sheet;
-    const ipmtRange = sheet.getRange(SHEET_CONFIG.START_ROW, SHEET_CONFIG.IPMT_COL, lastUsedCount, 1);
-    const ppmtRange = sheet.getRange(SHEET_CONFIG.START_ROW, SHEET_CONFIG.PPMT_COL, lastUsedCount, 1);
-    ipmtRange.setValues(ipmtFormulas);
-    ppmtRange.setValues(ppmtFormulas);
-    SpreadsheetApp.flush();
+  // What it takes to pay the loan off on payoffDate (see LoanEngine.calcPayoffQuote); the sheet is not changed
+  payoffQuote(payoffDate) {
+    const params = getAllInputs(this.sheet);
+    const allRows = readScheduleRows(this.sheet);
+    return LoanEngine.calcPayoffQuote(allRows, LoanEngine.countUsedRows(allRows), params, payoffDate);
+  }
 
-    // read computed values
-    const ipmtVals = ipmtRange.getValues();
-    const ppmtVals = ppmtRange.getValues();
+  // APR, yields and XIRR for the schedule as it stands (see LoanEngine.calcYieldAnalytics); the sheet is not changed
+  yieldAnalytics() {
+    const params = getAllInputs(this.sheet);
+    const allRows = readScheduleRows(this.sheet);
+    return LoanEngine.calcYieldAnalytics(allRows, LoanEngine.countUsedRows(allRows), params);
+  }
 
-    // clear the formulas
-    ipmtRange.clearContent();
-    ppmtRange.clearContent();
-    SpreadsheetApp.flush();
+  // A recast preview for `options` (see LoanEngine.planRecast); the sheet is not changed
+  planRecast(options) {
+    const params = getAllInputs(this.sheet);
+    const allRows = readScheduleRows(this.sheet);
+    return LoanEngine.planRecast(allRows, LoanEngine.countUsedRows(allRows), params, options);
+  }
 
-    return [ipmtVals, ppmtVals];
+  buildIpmtPpmtResults(schedule, lastUsedCount, params) {
+    return LoanEngine.buildIpmtPpmtResults(schedule, lastUsedCount, params);
   }
 
   reAmortizeFutureRows(schedule, startRow, endRow, leftoverCount, leftoverPrincipal, params, hasReAmortized) {
-    if (leftoverCount <= 0 || leftoverPrincipal <= 0.000001) return;
-
-    const monthlyRate = params.monthlyRate;
-    let newIpmtFormulas = [];
-    let newPpmtFormulas = [];
-    let periodIndex = 1;
-
-    for (let r = startRow; r < endRow; r++) {
-      const pNum = schedule[r][0];
-      if (leftoverPrincipal <= 0.000001) {
-        newIpmtFormulas.push([""]);
-        newPpmtFormulas.push([""]);
-        continue;
-      }
-      if (Number.isInteger(pNum)) {
-        if (periodIndex <= leftoverCount) {
-          newIpmtFormulas.push([
-            `=-IPMT(${monthlyRate},${periodIndex},${leftoverCount},${leftoverPrincipal})`
-          ]);
-          newPpmtFormulas.push([
-            `=-PPMT(${monthlyRate},${periodIndex},${leftoverCount},${leftoverPrincipal})`
-          ]);
-          periodIndex++;
-        } else {
-          newIpmtFormulas.push([""]);
-          newPpmtFormulas.push([""]);
-        }
-      } else {
-        newIpmtFormulas.push([""]);
-        newPpmtFormulas.push([""]);
-      }
-    }
-
-    const sheet = this.sheet;
-    const ipmtRange = sheet.getRange(SHEET_CONFIG.START_ROW + startRow, SHEET_CONFIG.IPMT_COL, endRow - startRow, 1);
-    const ppmtRange = sheet.getRange(SHEET_CONFIG.START_ROW + startRow, SHEET_CONFIG.PPMT_COL, endRow - startRow, 1);
-    ipmtRange.setValues(newIpmtFormulas);
-    ppmtRange.setValues(newPpmtFormulas);
-    SpreadsheetApp.flush();
-
-    const newIpmtVals = ipmtRange.getValues();
-    const newPpmtVals = ppmtRange.getValues();
-    ipmtRange.clearContent();
-    ppmtRange.clearContent();
-    SpreadsheetApp.flush();
-
-    periodIndex = 1;
-    for (let r = startRow; r < endRow; r++) {
-      const rowArr = schedule[r];
-      const pNum = rowArr[0];
-      if (Number.isInteger(pNum)) {
-        if (periodIndex <= leftoverCount && leftoverPrincipal > 0.000001) {
-          const iVal = newIpmtVals[r - startRow][0] || 0;
-          const pVal = newPpmtVals[r - startRow][0] || 0;
-          const feesDue = rowArr[11] || 0;
-
-          rowArr[7] = pVal;                      // I
-          rowArr[9] = iVal;                      // K
-          rowArr[5] = pVal + iVal + feesDue;     // G
-
-          hasReAmortized[r] = true;
-          periodIndex++;
-        } else {
-          rowArr[7] = 0; // I
-          rowArr[9] = 0; // K
-          rowArr[5] = 0; // G
-          hasReAmortized[r] = true;
-        }
-      }
-    }
+    LoanEngine.reAmortizeFutureRows(schedule, startRow, endRow, leftoverCount, leftoverPrincipal, params, hasReAmortized);
   }
 }
 
@@ -852,11 +473,42 @@ class RowManager {
       prevIntBal,                // O => INT_BAL
       prevPrinBal,               // P => PRIN_BAL
       prevIntBal + prevPrinBal,  // Q => TOTAL_BAL
-      ""                         // R => NOTES
+      "",                        // R => NOTES
+      "",                        // S => RATE
+      ""                         // T => AMOUNT_RCVD
     ];
 
     this.sheet.getRange(insertedRow, 2, 1, rowValues.length).setValues([rowValues]);
   }
+
+  /**
+   * Insert an unscheduled row that pays off the loan per `quote` (from BalanceManager.payoffQuote):
+   * placed before the first scheduled row whose period ends on or after the payoff date (or after the
+   * last row), with the exit fee as Fees Due (the recalculation adds any prepayment premium) and
+   * everything paid.
+   * Returns the sheet row inserted; the caller recalculates.
+   */
+  insertPayoffRow(quote) {
+    const cfg = SHEET_CONFIG.COLUMNS;
+    const numRows = SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1;
+    const rows = this.sheet.getRange(SHEET_CONFIG.START_ROW, cfg.PERIOD, numRows, 2).getValues(); // B..C
+    const usedCount = LoanEngine.countUsedRows(rows);
+    let insertAt = rows.slice(0, usedCount).findIndex(row =>
+      Number.isInteger(row[0]) && row[1] instanceof Date && row[1] >= quote.payoffDate);
+    if (insertAt < 0) insertAt = usedCount;
+
+    const payoffRow = SHEET_CONFIG.START_ROW + insertAt;
+    this.sheet.insertRowBefore(payoffRow);
+    this.handleInsertedRow(payoffRow);
+
+    this.sheet.getRange(payoffRow, cfg.PAID_ON).setValue(quote.payoffDate);
+    this.sheet.getRange(payoffRow, cfg.PRINCIPAL_PD).setValue(quote.principal);
+    this.sheet.getRange(payoffRow, cfg.INTEREST_PD).setValue(quote.interest);
+    this.sheet.getRange(payoffRow, cfg.FEES_DUE).setValue(quote.exitFee || "");
+    this.sheet.getRange(payoffRow, cfg.FEES_PD).setValue(quote.fees + quote.exitFee + quote.prepaymentPremium);
+    this.sheet.getRange(payoffRow, cfg.NOTES).setValue("(Payoff)");
+    return payoffRow;
+  }
 }
 
 // ---------------------
@@ -878,13 +530,17 @@ function createLoanScheduleMenu(){
     .addItem('Set Up Triggers', 'setupTriggers')
     .addItem('Recalculate Schedule', 'recalcAll')
     .addItem('Recast Loan', 'recastLoan')
+    .addItem('Payoff Quote', 'payoffQuote')
+    .addItem('Yield Analytics', 'yieldAnalytics')
+    .addItem('Generate Disclosure', 'generateDisclosure')
+    .addItem('Modify Loan', 'modifyLoan')
     .addToUi();
 }
 
 function generateLoanSchedule() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
   if (!sheet) return;
-  if (sheet.getName() === 'Summary') {
+  if (isSharedSheet(sheet)) {
     return;
   }
   const gen = new LoanScheduleGenerator(sheet);
@@ -913,89 +569,379 @@ function insertUnscheduledPaymentRow() {
   bal.recalcAll();
 }
 
+/**
+ * Menu command: open the recast dialog (RecastDialog.html), which previews each way of recasting
+ * with previewRecast and records the chosen one with applyRecast.
+ */
 function recastLoan() {
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
-  if (!sheet || sheet.getName() === 'Summary') return;
+  if (!sheet || isSharedSheet(sheet)) return;
+  const html = HtmlService.createHtmlOutputFromFile('RecastDialog').setWidth(420).setHeight(330);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Recast Loan');
+}
 
+/**
+ * Called from the recast dialog: preview a recast for `options` ({ method, period, payment }) on
+ * the active sheet. The plan is worked out on a recalculated copy of the schedule, so the sheet is
+ * not changed (the dialog previews on every change); dates and amounts come back formatted for display.
+ */
+function previewRecast(options) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const plan = new BalanceManager(spreadsheet.getActiveSheet()).planRecast(options);
+  const dateFmt = (date) => Utilities.formatDate(date, spreadsheet.getSpreadsheetTimeZone(), "MM/dd/yyyy");
+  return {
+    method        : plan.method,
+    period        : plan.period,
+    firstPeriod   : plan.firstPeriod,
+    lastPeriod    : plan.lastPeriod,
+    effectiveDate : dateFmt(plan.effectiveDate),
+    balance       : LoanEngine.formatMoney(plan.balance),
+    oldPayment    : LoanEngine.formatMoney(plan.oldPayment),
+    newPayment    : LoanEngine.formatMoney(plan.newPayment),
+    oldMaturity   : dateFmt(plan.oldMaturity),
+    newMaturity   : dateFmt(plan.newMaturity)
+  };
+}
+
+/**
+ * Called from the recast dialog: record the recast for `options` as a modification (see
+ * logModification) and recalculate. The plan is worked out from the rows as they stand, as in
+ * previewRecast, so the sheet is recalculated once.
+ */
+function applyRecast(options) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
   const bal = new BalanceManager(sheet);
+  const plan = bal.planRecast(options);
+  logModification(sheet, plan.modification, plan.description);
   bal.recalcAll();
+}
 
-  const params = getAllInputs(sheet);
-  if (params.amortizeYN !== "Yes" || params.paymentFreq !== "Monthly") return;
+/**
+ * Write a payoff statement for the loan on `sheet` to the Payoff Quote sheet (created if needed),
+ * replacing any earlier statement.
+ */
+function writePayoffStatement(spreadsheet, sheet, quote) {
+  let out = spreadsheet.getSheetByName(SHEET_CONFIG.PAYOFF_SHEET);
+  if (!out) out = spreadsheet.insertSheet(SHEET_CONFIG.PAYOFF_SHEET);
+  out.clear();
+
+  const dateFmt = (date) => Utilities.formatDate(date, spreadsheet.getSpreadsheetTimeZone(), "MM/dd/yyyy");
+  const lines = [
+    ["Payoff Statement", ""],
+    ["Loan", sheet.getRange(SHEET_CONFIG.INPUTS.LOAN_NAME).getValue() || sheet.getName()],
+    ["Borrower", sheet.getRange(SHEET_CONFIG.INPUTS.BORROWER_NAME).getValue()],
+    ["Prepared", dateFmt(new Date())],
+    ["Payoff Date", dateFmt(quote.payoffDate)],
+    ["", ""],
+    ["Principal Balance", quote.principal],
+    [`Interest through ${dateFmt(quote.payoffDate)}`, quote.interest],
+    ["Unpaid Fees", quote.fees],
+    ["Exit Fee", quote.exitFee],
+    ["Prepayment Premium", quote.prepaymentPremium],
+    ["Total Amount to Pay Off", quote.total],
+    ["", ""],
+    [`Per Diem after ${dateFmt(quote.payoffDate)}`, quote.perDiem]
+  ];
+  out.getRange(1, 1, lines.length, 2).setValues(lines);
+  out.getRange(1, 1).setFontWeight("bold").setFontSize(14);
+  out.getRange(7, 2, 6, 1).setNumberFormat("$#,##0.00");
+  out.getRange(12, 1, 1, 2).setFontWeight("bold");
+  out.getRange(14, 2).setNumberFormat("$#,##0.00");
+  out.autoResizeColumn(1);
+}
 
-  const range = sheet.getRange(
-    SHEET_CONFIG.START_ROW,
-    2, // Column B
-    SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1,
-    17
-  );
-  let allRows = range.getValues();
-
-  let lastUsedRowIndex = 0;
-  for (let i = 0; i < allRows.length; i++) {
-    const periodVal = allRows[i][0]; // col B
-    if (periodVal === "" && periodVal !== 0) break;
-    lastUsedRowIndex++;
+/**
+ * Menu command: ask for a payoff date, write the payoff statement, and optionally insert the payoff
+ * payment row (then recalculate).
+ */
+function payoffQuote() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getActiveSheet();
+  if (!sheet || isSharedSheet(sheet)) return;
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.prompt('Payoff Quote', 'Payoff date (MM/DD/YYYY):', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const payoffDate = parseDateText(response.getResponseText());
+  if (!payoffDate) {
+    ui.alert(`"${response.getResponseText()}" is not a date in MM/DD/YYYY form.`);
+    return;
   }
-  if (lastUsedRowIndex === 0) return;
-
-  const scheduledRows = [];
-  const unscheduledRows = [];
-  for (let i = 0; i < lastUsedRowIndex; i++) {
-    const rowArr = allRows[i];
-    const periodVal = rowArr[0];    // Period (col B)
-    const periodEnd = rowArr[1];    // Period End Date (col C)
-    const paidOnVal = rowArr[4];    // Paid On Date (col F)
-    const isScheduled = (
-      Number.isInteger(periodVal) &&
-      periodEnd instanceof Date &&
-      !isNaN(periodEnd)
-    );
-    const isUnscheduled = (
-      !Number.isInteger(periodVal) &&
-      paidOnVal instanceof Date &&
-      !isNaN(paidOnVal)
-    );
-    if (isScheduled) {
-      scheduledRows.push({ rowIndex: i, rowData: rowArr });
-    } else if (isUnscheduled) {
-      unscheduledRows.push({ rowIndex: i, rowData: rowArr });
-    }
+
+  const bal = new BalanceManager(sheet);
+  bal.recalcAll();
+  const quote = bal.payoffQuote(payoffDate);
+  writePayoffStatement(spreadsheet, sheet, quote);
+
+  const insert = ui.alert('Payoff Quote',
+    `Total to pay off on ${response.getResponseText().trim()}: ${LoanEngine.formatMoney(quote.total)}. Insert the payoff payment row?`,
+    ui.ButtonSet.YES_NO);
+  if (insert === ui.Button.YES) {
+    new RowManager(sheet).insertPayoffRow(quote);
+    bal.recalcAll();
   }
+}
 
-  scheduledRows.sort((a, b) => a.rowData[1] - b.rowData[1]);
-  unscheduledRows.sort((a, b) => a.rowData[4] - b.rowData[4]);
-
-  let recastIndex = -1;
-  for (let i = 0; i < scheduledRows.length; i++) {
-    const rowArr = scheduledRows[i].rowData;
-    const lastTotalPaid = rowArr[6] || 0;
-    const lastTotalDue = rowArr[5] || 0;
-    if (lastTotalPaid <= lastTotalDue) {
-      recastIndex = i;
-      break;
-    }
+/**
+ * Write the yield analytics block for `analytics` (from BalanceManager.yieldAnalytics) beside the fee
+ * table, replacing any earlier one.
+ */
+function writeYieldAnalytics(sheet, analytics) {
+  const cfg = SHEET_CONFIG.ANALYTICS;
+  const lines = [
+    ["Amount Financed", analytics.amountFinanced],
+    ["Finance Charge", analytics.financeCharge],
+    ["Total of Payments", analytics.totalOfPayments],
+    ["APR", analytics.apr],
+    ["Nominal Yield", analytics.nominalYield],
+    ["Effective Yield", analytics.effectiveYield],
+    ["XIRR (Actual)", analytics.xirr]
+  ].map(([label, value]) => [label, (value === null) ? "n/a" : value]);
+  sheet.getRange(SHEET_CONFIG.START_ROW - 1, cfg.LABEL_COL).setValue("Yield Analytics").setFontWeight("bold");
+  sheet.getRange(SHEET_CONFIG.START_ROW, cfg.LABEL_COL, lines.length, 2).setValues(lines);
+  sheet.getRange(SHEET_CONFIG.START_ROW, cfg.VALUE_COL, 3, 1).setNumberFormat("$#,##0.00");
+  sheet.getRange(SHEET_CONFIG.START_ROW + 3, cfg.VALUE_COL, 4, 1).setNumberFormat("0.000%");
+}
+
+/**
+ * Write the APR, effective yield, nominal yield and XIRR to the loan's row of the Summary sheet
+ * (the row with the sheet's name in column B, added below the others if it isn't listed).
+ */
+function writeAnalyticsToSummary(spreadsheet, sheet, analytics) {
+  const summary = spreadsheet.getSheetByName(SHEET_CONFIG.SUMMARY_SHEET);
+  if (!summary) {
+    SpreadsheetApp.getUi().alert(`There is no "${SHEET_CONFIG.SUMMARY_SHEET}" sheet to add the analytics to.`);
+    return;
+  }
+  const col = SHEET_CONFIG.SUMMARY_ANALYTICS_COL;
+  const lastRow = Math.max(summary.getLastRow(), 3);
+  const names = (lastRow >= 4) ? summary.getRange(4, 2, lastRow - 3, 1).getValues().map(r => r[0]) : [];
+  let row = 4 + names.indexOf(sheet.getName());
+  if (row < 4) {
+    row = lastRow + 1;
+    summary.getRange(row, 2).setValue(sheet.getName());
   }
-  if (recastIndex < 0) return;
-
-  const leftoverPrincipal = scheduledRows[recastIndex].rowData[14];
-  const leftoverCount = scheduledRows.length - recastIndex;
-  const hasReAmortized = new Array(lastUsedRowIndex).fill(false);
-
-  bal.reAmortizeFutureRows(
-    allRows,
-    recastIndex,
-    lastUsedRowIndex,
-    leftoverCount,
-    leftoverPrincipal,
-    params,
-    hasReAmortized
-  );
-
-  scheduledRows.forEach(obj => { allRows[obj.rowIndex] = obj.rowData; });
-  unscheduledRows.forEach(obj => { allRows[obj.rowIndex] = obj.rowData; });
-  range.offset(0, 0, lastUsedRowIndex, 17).setValues(allRows.slice(0, lastUsedRowIndex));
-  SpreadsheetApp.flush();
+  const rates = [analytics.apr, analytics.effectiveYield, analytics.nominalYield, analytics.xirr]
+    .map(value => (value === null) ? "n/a" : value);
+  summary.getRange(3, col, 1, 4).setValues([["APR", "Effective Yield", "Nominal Yield", "XIRR"]]);
+  summary.getRange(row, col, 1, 4).setValues([rates]).setNumberFormat("0.000%");
+}
+
+/**
+ * Menu command: recalculate, write the yield analytics block on the loan sheet, and optionally add
+ * the rates to the Summary sheet.
+ */
+function yieldAnalytics() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getActiveSheet();
+  if (!sheet || isSharedSheet(sheet)) return;
+  const ui = SpreadsheetApp.getUi();
+
+  const bal = new BalanceManager(sheet);
+  bal.recalcAll();
+  const analytics = bal.yieldAnalytics();
+  writeYieldAnalytics(sheet, analytics);
+
+  const percent = (value) => (value === null) ? "n/a" : `${(value * 100).toFixed(3)}%`;
+  const addToSummary = ui.alert('Yield Analytics',
+    `APR ${percent(analytics.apr)}, effective yield ${percent(analytics.effectiveYield)}, XIRR ${percent(analytics.xirr)}. ` +
+    'Add these to the Summary sheet?',
+    ui.ButtonSet.YES_NO);
+  if (addToSummary === ui.Button.YES) {
+    writeAnalyticsToSummary(spreadsheet, sheet, analytics);
+  }
+}
+
+/**
+ * Write a printable Truth-in-Lending disclosure for the loan on `sheet` to the TIL Disclosure sheet
+ * (created if needed), replacing any earlier one: the APR, finance charge, amount financed and total
+ * of payments boxes, the payment schedule, the late charge and prepayment terms, and the itemization
+ * of the amount financed.
+ */
+function writeDisclosure(spreadsheet, sheet, disclosure) {
+  let out = spreadsheet.getSheetByName(SHEET_CONFIG.DISCLOSURE_SHEET);
+  if (!out) out = spreadsheet.insertSheet(SHEET_CONFIG.DISCLOSURE_SHEET);
+  out.clear();
+
+  const dateFmt = (date) => Utilities.formatDate(date, spreadsheet.getSpreadsheetTimeZone(), "MM/dd/yyyy");
+  const lines = [
+    ["Truth-in-Lending Disclosure", "", "", ""],
+    ["Loan", sheet.getRange(SHEET_CONFIG.INPUTS.LOAN_NAME).getValue() || sheet.getName(), "", ""],
+    ["Borrower", sheet.getRange(SHEET_CONFIG.INPUTS.BORROWER_NAME).getValue(), "", ""],
+    ["Prepared", dateFmt(new Date()), "", ""],
+    ["", "", "", ""],
+    ["ANNUAL PERCENTAGE RATE", "FINANCE CHARGE", "Amount Financed", "Total of Payments"],
+    ["The cost of your credit as a yearly rate.",
+      "The dollar amount the credit will cost you.",
+      "The amount of credit provided to you or on your behalf.",
+      "The amount you will have paid after you have made all payments as scheduled."],
+    [disclosure.apr, disclosure.financeCharge, disclosure.amountFinanced, disclosure.totalOfPayments],
+    ["", "", "", ""],
+    ["Your payment schedule will be:", "", "", ""],
+    ["Number of Payments", "Amount of Payments", "When Payments Are Due", ""]
+  ];
+  const scheduleStart = lines.length + 1;
+  disclosure.paymentSchedule.forEach(run => {
+    const when = (run.count === 1) ? dateFmt(run.firstDue)
+      : `${disclosure.paymentFreq} from ${dateFmt(run.firstDue)} to ${dateFmt(run.lastDue)}`;
+    lines.push([run.count, run.amount, when, ""]);
+  });
+
+  let lateCharge = "None.";
+  const late = disclosure.lateFee;
+  if (late) {
+    const parts = [late.flat > 0 ? LoanEngine.formatMoney(late.flat) : "", late.pct > 0 ? `${+(late.pct * 100).toFixed(3)}% of the payment` : ""]
+      .filter(part => part).join(" plus ");
+    const limits = [late.min > 0 ? `at least ${LoanEngine.formatMoney(late.min)}` : "", late.max > 0 ? `no more than ${LoanEngine.formatMoney(late.max)}` : ""]
+      .filter(part => part).join(" and ");
+    const when = (late.graceDays > 0) ? `more than ${late.graceDays} days late` : "late";
+    lateCharge = `If a payment is ${when}, you will be charged ${parts}${limits ? ` (${limits})` : ""}.`;
+  }
+  lines.push(["", "", "", ""]);
+  lines.push(["Late Charge", lateCharge, "", ""]);
+  lines.push(["Prepayment", disclosure.prepaymentPenalty
+    ? "If you pay off early, you may have to pay a penalty."
+    : "If you pay off early, you will not have to pay a penalty.", "", ""]);
+  lines.push(["", "", "", ""]);
+
+  const itemizationStart = lines.length + 1;
+  lines.push(["Itemization of the Amount Financed", "", "", ""]);
+  lines.push(["Principal amount of the loan", disclosure.principal, "", ""]);
+  disclosure.prepaidFinanceCharges.forEach(charge => {
+    lines.push([`Less prepaid finance charge: ${charge.name}`, -charge.amount, "", ""]);
+  });
+  if (disclosure.draws > 0) lines.push(["Plus draws after closing", disclosure.draws, "", ""]);
+  lines.push(["Amount Financed", disclosure.amountFinanced, "", ""]);
+
+  out.getRange(1, 1, lines.length, 4).setValues(lines);
+  out.getRange(1, 1).setFontWeight("bold").setFontSize(14);
+  out.getRange(6, 1, 1, 4).setFontWeight("bold");
+  out.getRange(7, 1, 1, 4).setWrap(true).setVerticalAlignment("top");
+  out.getRange(8, 1).setNumberFormat("0.00%");
+  out.getRange(8, 2, 1, 3).setNumberFormat("$#,##0.00");
+  out.getRange(8, 1, 1, 4).setFontWeight("bold").setFontSize(12);
+  out.getRange(6, 1, 3, 4).setBorder(true, true, true, true, true, false);
+  out.getRange(scheduleStart - 1, 1, 1, 3).setFontWeight("bold");
+  out.getRange(scheduleStart, 2, disclosure.paymentSchedule.length, 1).setNumberFormat("$#,##0.00");
+  out.getRange(itemizationStart, 1).setFontWeight("bold");
+  out.getRange(itemizationStart + 1, 2, lines.length - itemizationStart, 1).setNumberFormat("$#,##0.00;($#,##0.00)");
+  out.getRange(lines.length, 1, 1, 2).setFontWeight("bold");
+  out.setColumnWidths(1, 4, 200);
+  return out;
+}
+
+/**
+ * Menu command: write the Truth-in-Lending disclosure for the active loan sheet (from its inputs and
+ * schedule as generated) and open it for printing.
+ */
+function generateDisclosure() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getActiveSheet();
+  if (!sheet || isSharedSheet(sheet)) return;
+
+  let disclosure;
+  try {
+    disclosure = LoanEngine.calcDisclosure(getAllInputs(sheet));
+  } catch (err) {
+    SpreadsheetApp.getUi().alert(err.message);
+    return;
+  }
+  spreadsheet.setActiveSheet(writeDisclosure(spreadsheet, sheet, disclosure));
+}
+
+// A date typed as MM/DD/YYYY, or null
+function parseDateText(text) {
+  const m = String(text).trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return m ? new Date(Number(m[3]), Number(m[1]) - 1, Number(m[2])) : null;
+}
+
+/**
+ * Menu command: ask for a modification's effective date and new terms (each optional), add it to the
+ * modification log with a description of what changed, and recalculate. Periods before the effective
+ * date keep their dues and payments; the schedule from there follows the new terms.
+ */
+function modifyLoan() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  if (!sheet || isSharedSheet(sheet)) return;
+  const ui = SpreadsheetApp.getUi();
+
+  // Each answer is text, or null when the prompt is cancelled
+  const ask = (message) => {
+    const response = ui.prompt('Modify Loan', message, ui.ButtonSet.OK_CANCEL);
+    return (response.getSelectedButton() === ui.Button.OK) ? response.getResponseText().trim() : null;
+  };
+  const dateText = ask('Effective date (MM/DD/YYYY):');
+  if (dateText === null) return;
+  const effectiveDate = parseDateText(dateText);
+  if (!effectiveDate) {
+    ui.alert(`"${dateText}" is not a date in MM/DD/YYYY form.`);
+    return;
+  }
+  const rateText = ask('New annual rate (e.g. 5.25%), or blank to keep the rate:');
+  if (rateText === null) return;
+  const maturityText = ask('New maturity date (MM/DD/YYYY), or blank to keep it:');
+  if (maturityText === null) return;
+  const paymentText = ask('New payment, or blank to keep the amortization:');
+  if (paymentText === null) return;
+  const principalText = ask('Principal added (or, negative, written off), or blank for none:');
+  if (principalText === null) return;
+
+  // Numbers as numbers (blank stays blank); anything else goes to the engine as typed, to be rejected
+  const amount = (text) => {
+    const value = Number(text.replace(/[$,%]/g, ""));
+    return (text === "") ? "" : (isNaN(value) ? text : value);
+  };
+  const rate = amount(rateText);
+  const entry = {
+    effectiveDate   : effectiveDate,
+    rate            : (typeof rate === 'number' && /%$/.test(rateText)) ? rate / 100 : rate,
+    maturityDate    : (maturityText === "") ? "" : (parseDateText(maturityText) || maturityText),
+    payment         : amount(paymentText),
+    principalChange : amount(principalText)
+  };
+
+  let changes;
+  try {
+    changes = LoanEngine.describeModification(getAllInputs(sheet), entry);
+  } catch (err) {
+    ui.alert(err.message);
+    return;
+  }
+  const confirm = ui.alert('Modify Loan', `Modify the loan from ${dateText}: ${changes}?`, ui.ButtonSet.YES_NO);
+  if (confirm !== ui.Button.YES) return;
+
+  try {
+    logModification(sheet, entry, changes);
+  } catch (err) {
+    ui.alert(err.message);
+    return;
+  }
+  new BalanceManager(sheet).recalcAll();
+}
+
+/**
+ * Write a modification to the first empty row of the modification log, with `changes` (what it
+ * changes) and today's date. Terms missing from `entry` are left blank.
+ */
+function logModification(sheet, entry, changes) {
+  const cfg = SHEET_CONFIG.MODIFICATIONS;
+  const numRows = SHEET_CONFIG.END_ROW - SHEET_CONFIG.START_ROW + 1;
+  const dates = sheet.getRange(SHEET_CONFIG.START_ROW, cfg.DATE_COL, numRows, 1).getValues();
+  const idx = dates.findIndex(row => row[0] === "");
+  if (idx < 0) {
+    throw new Error('The modification log is full.');
+  }
+  const row = SHEET_CONFIG.START_ROW + idx;
+  const term = (value) => (value === undefined || value === null) ? "" : value;
+  sheet.getRange(row, cfg.DATE_COL, 1, cfg.RECORDED_COL - cfg.DATE_COL + 1).setValues([[
+    entry.effectiveDate, term(entry.rate), term(entry.maturityDate), term(entry.payment),
+    term(entry.principalChange), changes, new Date()
+  ]]);
+  sheet.getRange(row, cfg.DATE_COL).setNumberFormat("MM/dd/yyyy");
+  sheet.getRange(row, cfg.RATE_COL).setNumberFormat("0.000%");
+  sheet.getRange(row, cfg.MATURITY_COL).setNumberFormat("MM/dd/yyyy");
+  sheet.getRange(row, cfg.PAYMENT_COL, 1, 2).setNumberFormat("$#,##0.00");
+  sheet.getRange(row, cfg.RECORDED_COL).setNumberFormat("MM/dd/yyyy");
 }
 
 function createOnEditTrigger() {
@@ -1005,18 +951,40 @@ function createOnEditTrigger() {
     .create();
 }
 
+/**
+ * The side table (an entry of SIDE_TABLES) that the cell at row `r`, column `c` belongs to, or null.
+ */
+function sideTableAt(r, c) {
+  if (r < SHEET_CONFIG.START_ROW || r > SHEET_CONFIG.END_ROW) return null;
+  return SIDE_TABLES.find(table => c >= table.firstCol && c <= table.lastCol) || null;
+}
+
+/**
+ * Undo the edit `e` while Q4 locks the inputs (`lockVal` "Yes"), telling the user why.
+ * @returns {boolean} true if the edit was undone.
+ */
+function revertIfLocked(e, lockVal, what) {
+  if (lockVal !== "Yes") return false;
+  e.range.setValue(e.oldValue);
+  SpreadsheetApp.getUi().alert(`Inputs are locked. Set Q4 to 'No' to edit ${what}.`);
+  return true;
+}
+
 /**
  * onEdit trigger: 
  *  - If user edits row 4 (and it's locked), revert.
  *  - If user edits row 4 (and it's not locked), regenerate schedule.
- *  - If user edits any schedule row in columns H/J/L/M/N, recalc balances.
+ *  - If user edits any schedule row in columns F/H/J/L/M/N/T, recalc balances (an amount entered
+ *    in H is moved to T and split by the payment waterfall).
+ *  - If user edits a side table (SIDE_TABLES: rate steps, capitalization dates, deferred periods,
+ *    modification terms, draws or fees in U8:AO500), recalc balances (unless locked).
  */
 function onEdit(e) {
   try {
     const sheet = e.range.getSheet();
 
-    // Ignore edits made in the 'Summary' sheet.
-    if (sheet.getName() === 'Summary') {
+    // Ignore edits made in the 'Summary' and 'Rates' sheets.
+    if (isSharedSheet(sheet)) {
       return;
     }
 
@@ -1032,25 +1000,28 @@ function onEdit(e) {
       if (c === lockCol) {
         return; // editing Q4 itself => do nothing
       }
-      // Only regenerate if the edit is in columns D..P (i.e., 4..16).
-      if (c < 4 || c > 16) {
+      // Only regenerate if the edit is in columns D..P (i.e., 4..16) or the extended inputs (S onward).
+      const isCoreInput = (c >= 4 && c <= 16);
+      const isExtendedInput = (c >= 19 && c <= SHEET_CONFIG.LAST_INPUT_COL);
+      if (!isCoreInput && !isExtendedInput) {
         return;
       }
-      // If locked => revert
-      if (lockVal === "Yes") {
-        e.range.setValue(e.oldValue);
-        SpreadsheetApp.getUi().alert(
-          "Inputs are locked. Set Q4 to 'No' to edit these fields."
-        );
-        return;
-      } else {
-        // If not locked => regenerate
+      if (!revertIfLocked(e, lockVal, "these fields")) {
         generateLoanSchedule();
-        return;
       }
+      return;
     }
 
-    // 2) Edits in schedule area => recalc
+    // 2) Edits to a side table (see SIDE_TABLES) => recalc, keeping the payments
+    const table = sideTableAt(r, c);
+    if (table) {
+      if (!revertIfLocked(e, lockVal, table.name)) {
+        new BalanceManager(sheet).recalcAll();
+      }
+      return;
+    }
+
+    // 3) Edits in schedule area => recalc
     if (r >= SHEET_CONFIG.START_ROW && r <= SHEET_CONFIG.END_ROW) {
       const recalcCols = [
         SHEET_CONFIG.COLUMNS. PAID_ON ,      // F
@@ -1058,9 +1029,14 @@ function onEdit(e) {
         SHEET_CONFIG.COLUMNS.PRINCIPAL_PD,  // J=10
         SHEET_CONFIG.COLUMNS.INTEREST_PD,   // L=12
         SHEET_CONFIG.COLUMNS.FEES_DUE,      // M=13
-        SHEET_CONFIG.COLUMNS.FEES_PD        // N=14
+        SHEET_CONFIG.COLUMNS.FEES_PD,       // N=14
+        SHEET_CONFIG.COLUMNS.AMOUNT_RCVD    // T=20
       ];
       if (recalcCols.includes(c)) {
+        if (c === SHEET_CONFIG.COLUMNS.TOTAL_PAID) {
+          // H is recalculated as J+L+N, so an amount typed there becomes the Amount Received (T)
+          sheet.getRange(r, SHEET_CONFIG.COLUMNS.AMOUNT_RCVD).setValue(e.range.getValue());
+        }
         const bal = new BalanceManager(sheet);
         bal.recalcAll();
       }
@@ -1075,7 +1051,11 @@ if (typeof module !== 'undefined' && module.exports) {
     LoanScheduleGenerator,
     BalanceManager,
     RowManager,
-    getTotalPeriods,
-    // You can include other helper functions here if needed, e.g. daysBetween, etc.
+    getAllInputs,
+    previewRecast,
+    applyRecast,
+    sideTableAt,
+    getTotalPeriods: LoanEngine.getTotalPeriods,
+    // Pure date/schedule helpers (daysBetween, etc.) are exported from LoanEngine.js
   };
 }
@@ -28,6 +28,35 @@ function recastLoan() {
   LoanScriptLibrary.recastLoan();
 }
 
+// Called from the recast dialog to preview a recast and to record the one chosen.
+function previewRecast(options) {
+  return LoanScriptLibrary.previewRecast(options);
+}
+
+function applyRecast(options) {
+  LoanScriptLibrary.applyRecast(options);
+}
+
+// Called (via the custom menu) to quote a payoff and optionally insert the payoff row.
+function payoffQuote() {
+  LoanScriptLibrary.payoffQuote();
+}
+
+// Called (via the custom menu) to write the loan's APR, yields and XIRR, and optionally add them to the Summary sheet.
+function yieldAnalytics() {
+  LoanScriptLibrary.yieldAnalytics();
+}
+
+// Called (via the custom menu) to write a printable Truth-in-Lending disclosure for the loan.
+function generateDisclosure() {
+  LoanScriptLibrary.generateDisclosure();
+}
+
+// Called (via the custom menu) to record a loan modification and recalculate from its effective date.
+function modifyLoan() {
+  LoanScriptLibrary.modifyLoan();
+}
+
 // Triggered on edits in the spreadsheet.
 function onEdit(e) {
   LoanScriptLibrary.onEdit(e);
@@ -0,0 +1,174 @@
+/*********************************************************************************
+ SheetConfig.js – Loan sheet layout, shared by LoanScript.js and SummaryPage.js
+ *********************************************************************************/
+
+// Declared with var rather than const: Apps Script loads every file into one global scope, and the
+// files that use these declare the same names so they can require them under Node.
+
+var SHEET_CONFIG = {
+  START_ROW: 8,
+  END_ROW: 500,
+  NUM_COLS: 19,       // schedule columns B..T
+  LAST_INPUT_COL: 57, // BE – last row-4 input column (extended inputs start at S4)
+  RATES_SHEET: 'Rates',
+  PAYOFF_SHEET: 'Payoff Quote', // payoff statements are written here
+  DISCLOSURE_SHEET: 'TIL Disclosure', // Truth-in-Lending disclosures are written here
+  SUMMARY_SHEET: 'Summary',
+  SUMMARY_ANALYTICS_COL: 10, // J – APR, effective yield, nominal yield and XIRR on a loan's Summary row
+  // Step-rate table beside the schedule: effective dates in U, annual rates in V (rows 8..END_ROW)
+  RATE_STEPS: {
+    DATE_COL: 21, // U
+    RATE_COL: 22  // V
+  },
+  // Capitalization dates beside the step-rate table, in W (rows 8..END_ROW)
+  CAPITALIZATION_DATES: {
+    DATE_COL: 23  // W
+  },
+  // Deferred installments beside the capitalization dates: period numbers in X, "Deferral" or
+  // "Forbearance" in Y (blank => Deferral)
+  DEFERRALS: {
+    PERIOD_COL: 24, // X
+    KIND_COL: 25    // Y
+  },
+  // Modification log beside the deferred periods, one modification per row: effective date, new rate,
+  // new maturity date, new payment and principal change (blank => unchanged), then what changed and
+  // when it was recorded. Modify Loan adds rows; the first five columns feed the schedule.
+  MODIFICATIONS: {
+    DATE_COL: 26,      // Z
+    RATE_COL: 27,      // AA
+    MATURITY_COL: 28,  // AB
+    PAYMENT_COL: 29,   // AC
+    PRINCIPAL_COL: 30, // AD
+    CHANGES_COL: 31,   // AE
+    RECORDED_COL: 32   // AF
+  },
+  // Draws ledger beside the modification log, one draw per row: date, amount drawn, and how much of
+  // it goes into the interest reserve (blank => none)
+  DRAWS: {
+    DATE_COL: 33,    // AG
+    AMOUNT_COL: 34,  // AH
+    RESERVE_COL: 35  // AI
+  },
+  // Fee table beside the draws, one fee per row: name, type, amount (dollars or a rate), timing,
+  // date and treatment (see LoanEngine.parseFees)
+  FEES: {
+    NAME_COL: 36,      // AJ
+    TYPE_COL: 37,      // AK
+    AMOUNT_COL: 38,    // AL
+    TIMING_COL: 39,    // AM
+    DATE_COL: 40,      // AN
+    TREATMENT_COL: 41  // AO
+  },
+  // The fees the engine posted on each schedule row (late, exit, unused, fee-table fees and prepayment
+  // premiums), beside the yield analytics: a recalculation takes them back out of M before posting
+  // them again, leaving fees entered by hand (see LoanEngine.SCHEDULE_FIELDS)
+  POSTED_FEES_COL: 44, // AR
+  // Yield analytics beside the fee table (written by the Yield Analytics command): a heading in row 7,
+  // then labels and values from row 8
+  ANALYTICS: {
+    LABEL_COL: 42, // AP
+    VALUE_COL: 43  // AQ
+  },
+  COLUMNS: {
+    PERIOD:        2,  // B
+    PERIOD_END:    3,  // C
+    DUE_DATE:      4,  // D
+    DAYS:          5,  // E
+    PAID_ON:       6,  // F
+    TOTAL_DUE:     7,  // G
+    TOTAL_PAID:    8,  // H
+    PRINCIPAL_DUE: 9,  // I
+    PRINCIPAL_PD:  10, // J
+    INTEREST_DUE:  11, // K
+    INTEREST_PD:   12, // L
+    FEES_DUE:      13, // M
+    FEES_PD:       14, // N
+    INT_BAL:       15, // O
+    PRIN_BAL:      16, // P
+    TOTAL_BAL:     17, // Q
+    NOTES:         18, // R
+    RATE:          19, // S
+    AMOUNT_RCVD:   20  // T
+  },
+  INPUTS: {
+    LOAN_NAME:               'B4',
+    BORROWER_NAME:           'C4',
+    PRINCIPAL:               'D4',
+    INTEREST_RATE:           'E4',
+    CLOSING_DATE:            'F4',
+    TERM_MONTHS:             'G4',
+    PRORATE:                 'H4',
+    PAYMENT_FREQ:            'I4',
+    DAY_COUNT:               'J4',
+    DAYS_PER_YEAR:           'K4',
+    PREPAID_INTEREST_DATE:   'L4',
+    AMORTIZE:                'M4',
+    ORIG_FEE_PCT:            'N4',
+    EXIT_FEE_PCT:            'O4',
+    LOCK_INPUTS:             'Q4',
+    TERM_PERIODS:            'S4',
+    RATE_INDEX:              'T4',
+    MARGIN:                  'U4',
+    RESET_FREQ:              'V4',
+    LOOKBACK_DAYS:           'W4',
+    PERIODIC_CAP:            'X4',
+    LIFETIME_CAP:            'Y4',
+    LIFETIME_FLOOR:          'Z4',
+    FIRST_RESET_DATE:        'AA4',
+    AMORT_MONTHS:            'AB4',
+    IO_MONTHS:               'AC4',
+    PAYMENT_WATERFALL:       'AD4',
+    EXCESS_TO:               'AE4',
+    GRACE_DAYS:              'AF4',
+    LATE_FEE_FLAT:           'AG4',
+    LATE_FEE_PCT:            'AH4',
+    LATE_FEE_MIN:            'AI4',
+    LATE_FEE_MAX:            'AJ4',
+    LATE_FEE_INTEREST:       'AK4',
+    DEFAULT_MARGIN:          'AL4',
+    DEFAULT_TRIGGER:         'AM4',
+    CAPITALIZE_INTEREST:     'AN4',
+    PIK_RATE:                'AO4',
+    DEFERRED_AMOUNTS_TO:     'AP4',
+    DEFERRAL_INTEREST:       'AQ4',
+    COMMITMENT:              'AR4',
+    CONVERSION_DATE:         'AS4',
+    UNUSED_FEE_PCT:          'AT4',
+    CREDIT_LIMIT:            'AU4',
+    MIN_PAYMENT_PCT:         'AV4',
+    MIN_PAYMENT:             'AW4',
+    PREPAYMENT_PREMIUM:      'AX4',
+    PREMIUM_SCHEDULE:        'AY4',
+    LOCKOUT_MONTHS:          'AZ4',
+    OPEN_MONTHS:             'BA4',
+    TREASURY_RATE:           'BB4',
+    ORIG_FEE_TREATMENT:      'BC4',
+    PREPAID_INT_TREATMENT:   'BD4',
+    ROUNDING:                'BE4'
+  }
+};
+
+// The tables beside the schedule (rows START_ROW..END_ROW) that feed the loan terms, by the columns
+// each covers; an edit to one recalculates the schedule, keeping the payments
+var SIDE_TABLES = [
+  { name: "the rate steps",           firstCol: SHEET_CONFIG.RATE_STEPS.DATE_COL,           lastCol: SHEET_CONFIG.RATE_STEPS.RATE_COL },
+  { name: "the capitalization dates", firstCol: SHEET_CONFIG.CAPITALIZATION_DATES.DATE_COL, lastCol: SHEET_CONFIG.CAPITALIZATION_DATES.DATE_COL },
+  { name: "the deferred periods",     firstCol: SHEET_CONFIG.DEFERRALS.PERIOD_COL,          lastCol: SHEET_CONFIG.DEFERRALS.KIND_COL },
+  { name: "the modification log",     firstCol: SHEET_CONFIG.MODIFICATIONS.DATE_COL,        lastCol: SHEET_CONFIG.MODIFICATIONS.PRINCIPAL_COL },
+  { name: "the draws",                firstCol: SHEET_CONFIG.DRAWS.DATE_COL,                lastCol: SHEET_CONFIG.DRAWS.RESERVE_COL },
+  { name: "the fee table",            firstCol: SHEET_CONFIG.FEES.NAME_COL,                 lastCol: SHEET_CONFIG.FEES.TREATMENT_COL }
+];
+
+/**
+ * True for the workbook's shared sheets (Summary, Rates, Payoff Quote, TIL Disclosure), which never hold a loan schedule.
+ */
+function isSharedSheet(sheet) {
+  const name = sheet.getName();
+  return name === SHEET_CONFIG.SUMMARY_SHEET || name === SHEET_CONFIG.RATES_SHEET || name === SHEET_CONFIG.PAYOFF_SHEET
+    || name === SHEET_CONFIG.DISCLOSURE_SHEET;
+}
+
+// Export for Node.js; in Apps Script the declarations above are globals
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SHEET_CONFIG, SIDE_TABLES, isSharedSheet };
+}
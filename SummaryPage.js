@@ -1,7 +1,30 @@
+// The sheet layout and shared-sheet list (SheetConfig.js, globals in Apps Script), required under Node
+var SHEET_CONFIG;
+var isSharedSheet;
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && module.exports) {
+    ({ SHEET_CONFIG, isSharedSheet } = require('./SheetConfig.js'));
+}
+
 function populateSheetNames() {
   var ss = SpreadsheetApp.getActiveSpreadsheet();
-  var summarySheet = ss.getSheetByName("Summary");
+  var summarySheet = ss.getSheetByName(SHEET_CONFIG.SUMMARY_SHEET);
   var sheets = ss.getSheets();
+  var analyticsCol = SHEET_CONFIG.SUMMARY_ANALYTICS_COL;
+
+  // Keep each loan's yield analytics (J–M, written by Yield Analytics) with its name, since the
+  // names are rewritten in tab order below
+  var analyticsByName = {};
+  var lastRow = summarySheet.getLastRow();
+  if (lastRow >= 4) {
+    var oldNames = summarySheet.getRange(4, 2, lastRow - 3, 1).getValues();
+    var oldAnalytics = summarySheet.getRange(4, analyticsCol, lastRow - 3, 4).getValues();
+    for (var k = 0; k < oldNames.length; k++) {
+      if (oldNames[k][0] && oldAnalytics[k].join("") !== "") {
+        analyticsByName[oldNames[k][0]] = oldAnalytics[k];
+      }
+    }
+    summarySheet.getRange(4, analyticsCol, lastRow - 3, 4).clearContent();
+  }
   
   // Clear out old data in column B from row 4 downward
   summarySheet.getRange("B4:B").clearContent();
@@ -9,18 +32,22 @@ function populateSheetNames() {
   var row = 4;
   for (var i = 0; i < sheets.length; i++) {
     var sheetName = sheets[i].getName();
-    // Skip the Summary sheet so it doesn't list itself
-    if (sheetName === "Summary") {
+    // Skip the Summary sheet so it doesn't list itself, and the other shared sheets (see isSharedSheet
+    // in SheetConfig.js), which hold no loan
+    if (isSharedSheet(sheets[i])) {
       continue;
     }
     summarySheet.getRange(row, 2).setValue(sheetName);
+    if (analyticsByName[sheetName]) {
+      summarySheet.getRange(row, analyticsCol, 1, 4).setValues([analyticsByName[sheetName]]).setNumberFormat("0.000%");
+    }
     row++;
   }
 }
 
 function updateSummary() {
   var ss = SpreadsheetApp.getActiveSpreadsheet();
-  var summarySheet = ss.getSheetByName("Summary");
+  var summarySheet = ss.getSheetByName(SHEET_CONFIG.SUMMARY_SHEET);
   
   // 1) First, refresh the list of sheet names in Column B
   populateSheetNames();
@@ -132,4 +159,9 @@ function createLoanSummaryMenu() {
     .addItem('Populate Sheet Names', 'populateSheetNames')
     .addItem('Update Summary', 'updateSummary')
     .addToUi();
-}
\ No newline at end of file
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { populateSheetNames };
+}
@@ -0,0 +1,566 @@
+#!/usr/bin/env node
+/*********************************************************************************
+ loan-schedule – Command-line front end for LoanEngine.js
+
+ Usage:
+   loan-schedule generate <terms.json> [--payments <file>] [--rates <file>] [--format csv|json|table] [--out <file>]
+   loan-schedule recalc <terms.json> <schedule.csv|schedule.json> [--rates <file>] [--format csv|json|table] [--out <file>]
+ *********************************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const LoanEngine = require('../LoanEngine.js');
+const DayCount = require('../DayCount.js');
+
+const { SCHEDULE_FIELDS } = LoanEngine;
+
+const USAGE = `Usage:
+  loan-schedule generate <terms.json> [--payments <payments.csv|payments.json>] [options]
+  loan-schedule recalc <terms.json> <schedule.csv|schedule.json> [options]
+
+Commands:
+  generate   Build a new schedule from loan terms, optionally applying payments
+  recalc     Recalculate an existing schedule (e.g., one exported from a loan sheet)
+
+Options:
+  -p, --payments <file>   Payments to apply (generate only)
+  -r, --rates <file>      Index rate history for a floating-rate loan (a Date column plus one
+                          column per index, like the Rates sheet)
+  -f, --format <format>   csv, json or table (default: csv, or json when --out ends in .json)
+  -o, --out <file>        Write the schedule to a file instead of stdout
+  -h, --help              Show this help
+`;
+
+// ---------------------
+// 1) COLUMNS
+// ---------------------
+// Column titles for B..T, in the same order as SCHEDULE_FIELDS.
+const COLUMN_TITLES = [
+  'Period',
+  'Period End',
+  'Due Date',
+  'Days',
+  'Paid On',
+  'Total Due',
+  'Total Paid',
+  'Principal Due',
+  'Principal Paid',
+  'Interest Due',
+  'Interest Paid',
+  'Fees Due',
+  'Fees Paid',
+  'Interest Balance',
+  'Principal Balance',
+  'Total Balance',
+  'Notes',
+  'Rate',
+  'Amount Received'
+];
+
+const DATE_FIELDS = ['periodEnd', 'dueDate', 'paidOn'];
+const TEXT_FIELDS = ['notes'];
+const RATE_FIELDS = ['rate'];
+const MONEY_FIELDS = SCHEDULE_FIELDS.slice(5, 16).concat(['amountReceived']);
+
+// Terms that must be present in terms.json (the required row-4 inputs; the term may be given as
+// termMonths or termPeriods, and named day-count conventions don't need daysPerYear)
+const REQUIRED_TERMS = ['principal', 'annualRate', 'closingDate', 'paymentFreq', 'dayCountMethod', 'daysPerYear'];
+const DATE_TERMS = ['closingDate', 'prepaidIntDate', 'firstResetDate', 'asOfDate', 'conversionDate'];
+
+function normalizeHeader(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Accept either field names ("principalPaid") or column titles ("Principal Paid") in input files
+const HEADER_LOOKUP = {};
+SCHEDULE_FIELDS.forEach((field, idx) => {
+  HEADER_LOOKUP[normalizeHeader(field)] = field;
+  HEADER_LOOKUP[normalizeHeader(COLUMN_TITLES[idx])] = field;
+});
+
+// ---------------------
+// 2) CSV
+// ---------------------
+
+/**
+ * Parse CSV text into an array of string arrays. Supports quoted fields with embedded
+ * commas, quotes ("") and line breaks. Blank lines are skipped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Serialize an array of rows to CSV text, quoting cells that need it.
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(cell => {
+    const str = String(cell);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }).join(',')).join('\n') + '\n';
+}
+
+// ---------------------
+// 3) INPUT FILES
+// ---------------------
+
+/**
+ * Parse a date written as "YYYY-MM-DD" or "MM/DD/YYYY" into a local Date.
+ * Returns null if the value is not a recognizable date.
+ */
+function parseDate(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  const str = String(value).trim();
+  const us = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) {
+    return new Date(Number(us[3]), Number(us[1]) - 1, Number(us[2]));
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    return LoanEngine.toDate(str);
+  }
+  return null;
+}
+
+/**
+ * Convert one input value to the type its schedule field expects.
+ * Blank values stay "" (the sheet's empty cell); dates become Date objects; amounts may include $ and commas.
+ */
+function parseField(field, value, source) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === 'string' && value.trim() === '') return "";
+  if (TEXT_FIELDS.includes(field)) return String(value);
+
+  if (DATE_FIELDS.includes(field)) {
+    const date = parseDate(value);
+    if (!date) {
+      throw new Error(`${source}: invalid date "${value}" for ${field}.`);
+    }
+    return date;
+  }
+
+  const num = (typeof value === 'number') ? value : Number(String(value).replace(/[$,\s]/g, ''));
+  if (isNaN(num)) {
+    throw new Error(`${source}: invalid number "${value}" for ${field}.`);
+  }
+  return num;
+}
+
+/**
+ * Read a CSV or JSON file of schedule-shaped records (payments or a full schedule).
+ * JSON may be an array of objects or an object with a `periods` or `payments` array.
+ * @returns {Array<Object>} Records keyed by SCHEDULE_FIELDS.
+ */
+function readRecords(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const source = path.basename(file);
+  let raw;
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    const data = JSON.parse(text);
+    raw = Array.isArray(data) ? data : (data.periods || data.payments);
+    if (!Array.isArray(raw)) {
+      throw new Error(`${source}: expected an array of records, or an object with a "periods" or "payments" array.`);
+    }
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    raw = rows.map(row => {
+      const obj = {};
+      header.forEach((name, idx) => { obj[name] = row[idx]; });
+      return obj;
+    });
+  }
+
+  return raw.map(obj => {
+    const record = {};
+    Object.keys(obj).forEach(key => {
+      const field = HEADER_LOOKUP[normalizeHeader(key)];
+      if (!field) {
+        throw new Error(`${source}: unknown column "${key}". Use the schedule column names (${COLUMN_TITLES.join(', ')}).`);
+      }
+      record[field] = parseField(field, obj[key], source);
+    });
+    return record;
+  });
+}
+
+/**
+ * Read payment transactions for LoanEngine.buildLoanSchedule.
+ * Rows with a whole-number Period are recorded on that period; all others are unscheduled payments.
+ */
+function readPayments(file) {
+  return readRecords(file).map(rec => ({
+    period        : rec.period === "" ? undefined : rec.period,
+    paidOn        : rec.paidOn,
+    principalPaid : rec.principalPaid || 0,
+    interestPaid  : rec.interestPaid || 0,
+    feesDue       : rec.feesDue || 0,
+    feesPaid      : rec.feesPaid || 0,
+    amountReceived: rec.amountReceived === "" ? undefined : rec.amountReceived,
+    notes         : rec.notes || ""
+  }));
+}
+
+/**
+ * Read one index series from a rate history file laid out like the Rates sheet: a Date column
+ * (the first CSV column, or a `date` key in JSON records) and one column per index, rates as decimals.
+ * @returns {Array<{ date: Date, rate: number }>} The dated, non-blank observations of `indexName`.
+ */
+function readIndexRates(file, indexName) {
+  const text = fs.readFileSync(file, 'utf8');
+  const source = path.basename(file);
+  let records;
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    records = JSON.parse(text);
+    if (!Array.isArray(records)) {
+      throw new Error(`${source}: expected an array of { date, <index>: rate } records.`);
+    }
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    records = rows.map(row => {
+      const obj = { date: row[0] };
+      header.slice(1).forEach((name, idx) => { obj[name.trim()] = row[idx + 1]; });
+      return obj;
+    });
+  }
+  if (!records.some(rec => indexName in rec)) {
+    throw new Error(`${source}: no "${indexName}" column.`);
+  }
+
+  return records
+    .filter(rec => rec[indexName] !== undefined && String(rec[indexName]).trim() !== '')
+    .map(rec => {
+      const date = parseDate(rec.date);
+      const rate = Number(rec[indexName]);
+      if (!date) throw new Error(`${source}: invalid date "${rec.date}".`);
+      if (isNaN(rate)) throw new Error(`${source}: invalid ${indexName} rate "${rec[indexName]}".`);
+      return { date, rate };
+    });
+}
+
+/**
+ * Read loan terms from a JSON file (same fields as buildLoanParams).
+ * Dates may be written as "YYYY-MM-DD" or "MM/DD/YYYY". A floating-rate loan's index history
+ * may be given inline as `indexRates` or loaded from a separate file with `ratesFile`; a step-rate
+ * loan lists its steps as `rateSteps: [{ date, rate }]`, `capitalizationDates` is a list of dates,
+ * `deferrals` lists deferred periods (numbers or `{ period, kind }`), `modifications` lists
+ * `{ effectiveDate, rate, maturityDate, payment, principalChange }`, a construction loan's
+ * `draws` list `{ date, amount, reserve }`, and the fee table `fees` lists
+ * `{ name, type, amount, timing, date, treatment }`.
+ */
+function readTerms(file, ratesFile) {
+  const source = path.basename(file);
+  const terms = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const isBlank = (key) => terms[key] === undefined || terms[key] === null || terms[key] === "";
+  const hasConvention = !!DayCount.getDayCountConvention(terms.dayCountMethod);
+  const missing = REQUIRED_TERMS.filter(key => isBlank(key) && !(key === 'daysPerYear' && hasConvention));
+  if (isBlank('termMonths') && isBlank('termPeriods')) {
+    missing.push('termMonths (or termPeriods)');
+  }
+  if (missing.length) {
+    throw new Error(`${source}: missing required terms: ${missing.join(', ')}.`);
+  }
+  DATE_TERMS.forEach(key => {
+    if (isBlank(key)) return;
+    const date = parseDate(terms[key]);
+    if (!date) {
+      throw new Error(`${source}: invalid date "${terms[key]}" for ${key}.`);
+    }
+    terms[key] = date;
+  });
+
+  if (Array.isArray(terms.rateSteps)) {
+    terms.rateSteps = terms.rateSteps.map(step => {
+      const date = parseDate(step.date);
+      if (!date) throw new Error(`${source}: invalid date "${step.date}" in rateSteps.`);
+      return { date, rate: step.rate };
+    });
+  }
+
+  if (Array.isArray(terms.capitalizationDates)) {
+    terms.capitalizationDates = terms.capitalizationDates.map(value => {
+      const date = parseDate(value);
+      if (!date) throw new Error(`${source}: invalid date "${value}" in capitalizationDates.`);
+      return date;
+    });
+  }
+
+  if (Array.isArray(terms.modifications)) {
+    terms.modifications = terms.modifications.map(mod => {
+      const parsed = Object.assign({}, mod);
+      ['effectiveDate', 'maturityDate'].forEach(key => {
+        if (mod[key] === undefined || mod[key] === null || mod[key] === "") return;
+        parsed[key] = parseDate(mod[key]);
+        if (!parsed[key]) throw new Error(`${source}: invalid date "${mod[key]}" in modifications.`);
+      });
+      return parsed;
+    });
+  }
+
+  if (Array.isArray(terms.draws)) {
+    terms.draws = terms.draws.map(draw => {
+      const date = parseDate(draw.date);
+      if (!date) throw new Error(`${source}: invalid date "${draw.date}" in draws.`);
+      return Object.assign({}, draw, { date });
+    });
+  }
+
+  if (Array.isArray(terms.fees)) {
+    terms.fees = terms.fees.map(fee => {
+      if (fee.date === undefined || fee.date === null || fee.date === "") return fee;
+      const date = parseDate(fee.date);
+      if (!date) throw new Error(`${source}: invalid date "${fee.date}" for the "${fee.name}" fee.`);
+      return Object.assign({}, fee, { date });
+    });
+  }
+
+  if (!isBlank('rateIndex')) {
+    if (ratesFile) {
+      terms.indexRates = readIndexRates(ratesFile, terms.rateIndex);
+    } else if (Array.isArray(terms.indexRates)) {
+      terms.indexRates = terms.indexRates.map(obs => ({ date: parseDate(obs.date), rate: obs.rate }));
+    } else {
+      throw new Error(`${source}: rateIndex "${terms.rateIndex}" needs index rates (--rates <file> or an indexRates array).`);
+    }
+  }
+  return terms;
+}
+
+// ---------------------
+// 4) OUTPUT
+// ---------------------
+
+function formatDate(date) {
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Format a single schedule value for text output. Dates become "YYYY-MM-DD";
+ * amounts are rounded to cents unless `exact` is set.
+ */
+function formatValue(field, value, exact) {
+  if (value === "" || value === null || value === undefined) return "";
+  if (value instanceof Date) return formatDate(value);
+  if (MONEY_FIELDS.includes(field) && typeof value === 'number' && !exact) {
+    return LoanEngine.formatMoney(value, true);
+  }
+  if (RATE_FIELDS.includes(field) && typeof value === 'number' && !exact) {
+    // Drop floating-point noise such as 0.08499999999999999
+    return Number(value.toFixed(8));
+  }
+  return value;
+}
+
+/**
+ * Convert schedule periods to string rows (one per period), in column order B..T.
+ */
+function toCells(periods) {
+  return periods.map(p => SCHEDULE_FIELDS.map(field => String(formatValue(field, p[field]))));
+}
+
+/**
+ * Render periods as CSV (with column titles) or JSON (full-precision amounts, ISO dates).
+ */
+function formatSchedule(periods, format) {
+  if (format === 'json') {
+    const out = periods.map(p => {
+      const obj = {};
+      SCHEDULE_FIELDS.forEach(field => { obj[field] = formatValue(field, p[field], true); });
+      return obj;
+    });
+    return JSON.stringify(out, null, 2) + '\n';
+  }
+  return toCsv([COLUMN_TITLES].concat(toCells(periods)));
+}
+
+/**
+ * Render periods as an aligned text table.
+ * @param {Array<Object>} periods – Schedule periods.
+ * @param {Function} cliui – The cliui factory (ESM-only, so the caller imports it).
+ */
+function renderTable(periods, cliui) {
+  const rows = [COLUMN_TITLES].concat(toCells(periods));
+  const widths = COLUMN_TITLES.map((_, col) => Math.max(...rows.map(r => r[col].length)) + 2);
+  const ui = cliui({ width: widths.reduce((sum, w) => sum + w, 0), wrap: false });
+
+  rows.forEach(row => {
+    ui.div(...row.map((text, col) => ({
+      text,
+      width: widths[col],
+      align: TEXT_FIELDS.includes(SCHEDULE_FIELDS[col]) || DATE_FIELDS.includes(SCHEDULE_FIELDS[col]) ? 'left' : 'right',
+      padding: [0, 1, 0, 1]
+    })));
+  });
+  return ui.toString() + '\n';
+}
+
+// ---------------------
+// 5) COMMANDS
+// ---------------------
+
+// Errors in the command line itself are reported together with the usage text
+function usageError(message) {
+  const err = new Error(message);
+  err.showUsage = true;
+  return err;
+}
+
+/**
+ * Parse command-line arguments into { command, files, payments, rates, format, out, help }.
+ */
+function parseArgs(argv) {
+  const opts = { files: [] };
+  const takeValue = (args, i, name) => {
+    if (i + 1 >= args.length) throw usageError(`Option ${name} needs a value.`);
+    return args[i + 1];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let inlineValue;
+    if (arg.startsWith('--') && arg.includes('=')) {
+      [arg, inlineValue] = [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)];
+    }
+    const value = (name) => {
+      if (inlineValue !== undefined) return inlineValue;
+      const v = takeValue(argv, i, name);
+      i++;
+      return v;
+    };
+
+    if (arg === '-h' || arg === '--help') {
+      opts.help = true;
+    } else if (arg === '-p' || arg === '--payments') {
+      opts.payments = value(arg);
+    } else if (arg === '-r' || arg === '--rates') {
+      opts.rates = value(arg);
+    } else if (arg === '-f' || arg === '--format') {
+      opts.format = value(arg);
+    } else if (arg === '-o' || arg === '--out') {
+      opts.out = value(arg);
+    } else if (arg.startsWith('-')) {
+      throw usageError(`Unknown option ${arg}.`);
+    } else if (!opts.command) {
+      opts.command = arg;
+    } else {
+      opts.files.push(arg);
+    }
+  }
+
+  if (!opts.format) {
+    opts.format = (opts.out && path.extname(opts.out).toLowerCase() === '.json') ? 'json' : 'csv';
+  }
+  if (!['csv', 'json', 'table'].includes(opts.format)) {
+    throw usageError(`Unknown format "${opts.format}". Use csv, json or table.`);
+  }
+  return opts;
+}
+
+/**
+ * Run a parsed command and return the resulting schedule periods.
+ */
+function runCommand(opts) {
+  if (opts.command === 'generate') {
+    if (opts.files.length !== 1) throw usageError('generate needs exactly one terms file.');
+    const terms = readTerms(opts.files[0], opts.rates);
+    const payments = opts.payments ? readPayments(opts.payments) : [];
+    return LoanEngine.buildLoanSchedule(terms, payments).periods;
+  }
+  if (opts.command === 'recalc') {
+    if (opts.files.length !== 2) throw usageError('recalc needs a terms file and a schedule file.');
+    if (opts.payments) throw usageError('--payments is only supported by generate; add payments to the schedule file instead.');
+    const terms = readTerms(opts.files[0], opts.rates);
+    const periods = readRecords(opts.files[1]);
+    return LoanEngine.recalculateLoanSchedule(terms, periods).periods;
+  }
+  throw usageError(opts.command ? `Unknown command "${opts.command}".` : 'Missing command.');
+}
+
+async function main(argv) {
+  try {
+    const opts = parseArgs(argv);
+    if (opts.help) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    const periods = runCommand(opts);
+    let output;
+    if (opts.format === 'table') {
+      const { default: cliui } = await import('cliui');
+      output = renderTable(periods, cliui);
+    } else {
+      output = formatSchedule(periods, opts.format);
+    }
+    if (opts.out) {
+      fs.writeFileSync(opts.out, output);
+    } else {
+      process.stdout.write(output);
+    }
+    return 0;
+  } catch (err) {
+    process.stderr.write(`loan-schedule: ${err.message}\n`);
+    if (err.showUsage) {
+      process.stderr.write(`\n${USAGE}`);
+    }
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = {
+  COLUMN_TITLES,
+  parseCsv,
+  toCsv,
+  parseDate,
+  readRecords,
+  readPayments,
+  readIndexRates,
+  readTerms,
+  formatSchedule,
+  renderTable,
+  parseArgs,
+  runCommand,
+  main
+};
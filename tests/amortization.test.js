@@ -0,0 +1,78 @@
+// tests/amortization.test.js
+
+const { futureValue, pmt, ipmt, ppmt, buildAmortizationSchedule } = require('../Amortization.js');
+
+describe('pmt / ipmt / ppmt', () => {
+  const rate = 0.05 / 12;
+
+  test('matches spreadsheet PMT for a standard monthly loan', () => {
+    // =PMT(0.05/12, 12, 1000) => -85.60748178846...
+    expect(pmt(rate, 12, 1000)).toBeCloseTo(-85.6074817885, 8);
+  });
+
+  test('handles a zero interest rate', () => {
+    expect(pmt(0, 10, 1000)).toBeCloseTo(-100, 10);
+    expect(ipmt(0, 3, 10, 1000)).toBeCloseTo(0, 10);
+    expect(ppmt(0, 3, 10, 1000)).toBeCloseTo(-100, 10);
+  });
+
+  test('matches spreadsheet IPMT/PPMT for first and last periods', () => {
+    // =IPMT(0.05/12, 1, 12, 1000) => -4.1666...
+    expect(ipmt(rate, 1, 12, 1000)).toBeCloseTo(-4.1666666667, 8);
+    expect(ppmt(rate, 1, 12, 1000)).toBeCloseTo(-81.4408151218, 8);
+    // =IPMT(0.05/12, 12, 12, 1000) => -0.35521...
+    expect(ipmt(rate, 12, 12, 1000)).toBeCloseTo(-0.3552177668, 8);
+  });
+
+  test('supports a future value (balloon) and payments in advance', () => {
+    // =PMT(0.05/12, 12, 1000, -500) => -44.8870...
+    expect(pmt(rate, 12, 1000, -500)).toBeCloseTo(-44.8870742276, 8);
+    // =PMT(0.05/12, 12, 1000, 0, 1) => -85.2522...
+    expect(pmt(rate, 12, 1000, 0, 1)).toBeCloseTo(-85.2522640217, 8);
+    expect(ipmt(rate, 1, 12, 1000, 0, 1)).toBe(0);
+  });
+
+  test('futureValue of the payment stream clears the loan', () => {
+    const payment = pmt(rate, 12, 1000);
+    expect(futureValue(rate, 12, payment, 1000)).toBeCloseTo(0, 8);
+  });
+
+  test('returns 0 for periods outside the term', () => {
+    expect(ipmt(rate, 0, 12, 1000)).toBe(0);
+    expect(ppmt(rate, 13, 12, 1000)).toBe(0);
+  });
+});
+
+describe('buildAmortizationSchedule', () => {
+  test('unrounded splits equal -IPMT/-PPMT and amortize to zero', () => {
+    const rate = 0.06 / 12;
+    const table = buildAmortizationSchedule(100000, rate, 360);
+    expect(table.length).toBe(360);
+    for (const row of [table[0], table[179], table[359]]) {
+      expect(row.interest).toBeCloseTo(-ipmt(rate, row.period, 360, 100000), 10);
+      expect(row.principal).toBeCloseTo(-ppmt(rate, row.period, 360, 100000), 10);
+    }
+    expect(table[359].balance).toBeCloseTo(0, 6);
+  });
+
+  test('leaves the future value outstanding after the last payment', () => {
+    const table = buildAmortizationSchedule(1000, 0.05 / 12, 12, { futureValue: 500 });
+    expect(table[0].payment).toBeCloseTo(44.8870742276, 8);
+    expect(table[11].balance).toBeCloseTo(500, 6);
+  });
+
+  test('rounds to cents and trues up the final payment', () => {
+    const table = buildAmortizationSchedule(1000, 0.05 / 12, 12, { roundTo: 2 });
+    for (let i = 0; i < 11; i++) {
+      expect(table[i].payment).toBeCloseTo(85.61, 10);
+      expect(Math.round(table[i].interest * 100)).toBeCloseTo(table[i].interest * 100, 8);
+    }
+    const totalPrincipal = table.reduce((sum, row) => sum + row.principal, 0);
+    expect(totalPrincipal).toBeCloseTo(1000, 10);
+    expect(table[11].balance).toBe(0);
+  });
+
+  test('returns an empty table when there are no periods', () => {
+    expect(buildAmortizationSchedule(1000, 0.01, 0)).toEqual([]);
+  });
+});
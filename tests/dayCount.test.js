@@ -0,0 +1,55 @@
+// tests/dayCount.test.js
+
+const { DAY_COUNT_CONVENTIONS, getDayCountConvention, dayCount, yearFraction } = require('../DayCount.js');
+
+process.env.TZ = 'America/Denver';  // Set timezone for consistent date handling
+
+const US = DAY_COUNT_CONVENTIONS["30/360 US"];
+const EURO = DAY_COUNT_CONVENTIONS["30E/360"];
+
+describe('30/360 day counts', () => {
+  test('count 30 days per month for mid-month dates', () => {
+    expect(dayCount(US, new Date(2024, 0, 15), new Date(2024, 1, 15))).toBe(30);
+    expect(dayCount(US, new Date(2024, 0, 15), new Date(2025, 0, 15))).toBe(360);
+  });
+
+  test('30/360 US applies the February end-of-month rules', () => {
+    // D1 on the last day of February counts as the 30th
+    expect(dayCount(US, new Date(2024, 1, 29), new Date(2024, 2, 31))).toBe(30);
+    expect(dayCount(US, new Date(2023, 1, 28), new Date(2023, 2, 15))).toBe(15);
+    // Last day of February to last day of February is a whole year
+    expect(dayCount(US, new Date(2023, 1, 28), new Date(2024, 1, 29))).toBe(360);
+    // D2 on the 31st stays 31 unless D1 is the 30th or 31st
+    expect(dayCount(US, new Date(2024, 2, 15), new Date(2024, 2, 31))).toBe(16);
+    expect(dayCount(US, new Date(2024, 3, 30), new Date(2024, 4, 31))).toBe(30);
+  });
+
+  test('30E/360 treats every 31st as the 30th and leaves February alone', () => {
+    expect(dayCount(EURO, new Date(2024, 2, 15), new Date(2024, 2, 31))).toBe(15);
+    expect(dayCount(EURO, new Date(2024, 1, 29), new Date(2024, 2, 31))).toBe(31);
+    expect(yearFraction(EURO, new Date(2024, 0, 31), new Date(2024, 6, 31))).toBeCloseTo(0.5, 12);
+  });
+});
+
+describe('actual day counts', () => {
+  test('Actual/360 and Actual/365 Fixed divide actual days by a fixed basis', () => {
+    const start = new Date(2024, 0, 15);
+    const end = new Date(2024, 3, 15); // 91 days
+    expect(dayCount(DAY_COUNT_CONVENTIONS["Actual/360"], start, end)).toBe(91);
+    expect(yearFraction(DAY_COUNT_CONVENTIONS["Actual/360"], start, end)).toBeCloseTo(91 / 360, 12);
+    expect(yearFraction(DAY_COUNT_CONVENTIONS["Actual/365 Fixed"], start, end)).toBeCloseTo(91 / 365, 12);
+  });
+
+  test('Actual/Actual ISDA splits the days at each calendar year', () => {
+    const isda = DAY_COUNT_CONVENTIONS["Actual/Actual ISDA"];
+    // Dec 15, 2023 – Jan 15, 2024: 16 days of 2023 and 15 days of (leap) 2024
+    expect(yearFraction(isda, new Date(2023, 11, 15), new Date(2024, 0, 15))).toBeCloseTo(16 / 365 + 15 / 366, 12);
+    expect(yearFraction(isda, new Date(2023, 11, 31), new Date(2024, 11, 31))).toBeCloseTo(1, 12);
+  });
+});
+
+test('getDayCountConvention returns null for the original Actual and Periodic methods', () => {
+  expect(getDayCountConvention("Actual")).toBeNull();
+  expect(getDayCountConvention("Periodic")).toBeNull();
+  expect(getDayCountConvention("30/360 US")).toBe(US);
+});
@@ -204,7 +204,7 @@ describe('Loan repayment calculations', () => {
     // All payments should be equal (within a few cents of each other due to rounding)
     const firstPayment = totalDueValues[0];
     const lastPayment = totalDueValues[totalDueValues.length - 1];
-    expect(firstPayment).toBeCloseTo(lastPayment, 2);
+    expect(firstPayment).toBeCloseTo(lastPayment, 1);
     // Check that interest due (Col K) decreases each period and principal due (Col I) increases
     for (let i = 1; i < schedule.length; i++) {
       const prevInterestDue = schedule[i-1][9];
@@ -217,6 +217,11 @@ describe('Loan repayment calculations', () => {
     // Sum of Principal Due over all periods should equal the initial principal
     const totalPrincipalPaid = schedule.reduce((sum, row) => sum + row[7], 0);
     expect(totalPrincipalPaid).toBeCloseTo(100000, 2);
+    // Amortization is computed in JS, so nothing is ever written to the old Z/AA scratch columns
+    for (let r = 8; r < 8 + numPeriods; r++) {
+      expect(sheet.grid[r][26]).toBe("");
+      expect(sheet.grid[r][27]).toBe("");
+    }
   });
 
   test('Interest-only loan has interest due each period and principal due at maturity', () => {
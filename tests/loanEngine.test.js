@@ -0,0 +1,1645 @@
+// tests/loanEngine.test.js
+
+const {
+  SCHEDULE_FIELDS,
+  MAX_SCHEDULE_ROWS,
+  toDate,
+  formatMoney,
+  calcPeriodEndDate_NoProrate,
+  buildRateResets,
+  buildLoanParams,
+  buildLoanSchedule,
+  buildScheduleRows,
+  recalculateSchedule,
+  recalculateLoanSchedule,
+  reAmortizeFutureRows,
+  rowToPeriod,
+  periodToRow,
+  quoteLoanPayoff,
+  describeModification,
+  previewLoanRecast,
+  loanYieldAnalytics,
+  loanDisclosure
+} = require('../LoanEngine.js');
+const { pmt } = require('../Amortization.js');
+
+process.env.TZ = 'America/Denver';  // Set timezone for consistent date handling
+
+// Baseline terms mirroring the row-4 inputs of a loan sheet
+function makeTerms(overrides) {
+  return Object.assign({
+    principal: 100000,
+    annualRate: 0.06,
+    closingDate: new Date(2024, 0, 15),
+    termMonths: 12,
+    prorateFirst: "No",
+    paymentFreq: "Monthly",
+    dayCountMethod: "Periodic",
+    daysPerYear: 360,
+    amortizeYN: "Yes",
+    origFeePct: 0,
+    exitFeePct: 0
+  }, overrides);
+}
+
+// An amount billed in whole cents (half-up, the default rounding)
+const cents = (amount) => Math.round(amount * 100) / 100;
+
+describe('toDate', () => {
+  test('reads ISO date strings as local dates', () => {
+    const d = toDate('2024-03-01');
+    expect(d.getFullYear()).toBe(2024);
+    expect(d.getMonth()).toBe(2);
+    expect(d.getDate()).toBe(1);
+  });
+
+  test('returns null for blank or invalid values', () => {
+    expect(toDate("")).toBeNull();
+    expect(toDate(null)).toBeNull();
+    expect(toDate('not a date')).toBeNull();
+  });
+});
+
+describe('formatMoney', () => {
+  test('formats dollars and cents, or plain cents for files', () => {
+    expect(formatMoney(1234.5)).toBe("$1,234.50");
+    expect(formatMoney(1.005)).toBe("$1.01");
+    expect(formatMoney(-12.345)).toBe("-$12.35");
+    expect(formatMoney(101266.67, true)).toBe("101266.67");
+    expect(formatMoney(-0.0000001, true)).toBe("0.00");
+    expect(formatMoney(-0.0000001)).toBe("$0.00");
+  });
+});
+
+describe('buildLoanParams', () => {
+  test('finances the origination fee and prepaid interest, and bases the exit fee on original principal', () => {
+    const params = buildLoanParams(makeTerms({
+      principal: 1000,
+      annualRate: 0.1,
+      dayCountMethod: "Actual",
+      daysPerYear: 365,
+      prepaidIntDate: new Date(2024, 0, 31),
+      origFeePct: 0.05,
+      exitFeePct: 0.02
+    }));
+    expect(params.financedFee).toBeCloseTo(50, 10);
+    expect(params.financedPrepaidInterest).toBeGreaterThan(0);
+    expect(params.principal).toBeCloseTo(1050 + params.financedPrepaidInterest, 10);
+    expect(params.exitFee).toBeCloseTo(20, 10);
+    expect(params.origFeePctString).toBe("5%");
+    expect(params.prepaidUntil.getDate()).toBe(1);
+  });
+
+  test('applies the same forced overrides as the sheet inputs', () => {
+    const edge = buildLoanParams(makeTerms({ closingDate: new Date(2024, 0, 30), prorateFirst: "Yes" }));
+    expect(edge.prorateFirst).toBe("No");
+
+    const single = buildLoanParams(makeTerms({ paymentFreq: "Single Period" }));
+    expect(single.dayCountMethod).toBe("Actual");
+    expect(single.amortizeYN).toBe("No");
+  });
+
+  test('does not modify the terms object', () => {
+    const terms = makeTerms({ origFeePct: 0.01 });
+    buildLoanParams(terms);
+    expect(terms.principal).toBe(100000);
+  });
+});
+
+describe('buildLoanSchedule', () => {
+  test('returns one period object per scheduled row with the B..R fields', () => {
+    const { periods } = buildLoanSchedule(makeTerms());
+    expect(periods.length).toBe(12);
+    expect(Object.keys(periods[0])).toEqual(SCHEDULE_FIELDS);
+    expect(periods[0].period).toBe(1);
+    expect(periods[0].periodEnd.getMonth()).toBe(1);
+    expect(periods[0].periodEnd.getDate()).toBe(14);
+  });
+
+  test('amortizing loan has level payments that sum to the principal', () => {
+    const { periods } = buildLoanSchedule(makeTerms());
+    const firstDue = periods[0].totalDue;
+    // (the final installment takes up the cents the others rounded away)
+    periods.slice(0, -1).forEach(p => expect(p.totalDue).toBe(firstDue));
+    const principalDue = periods.reduce((sum, p) => sum + p.principalDue, 0);
+    expect(principalDue).toBeCloseTo(100000, 4);
+  });
+
+  test('interest-only loan accrues unpaid interest into the interest balance', () => {
+    const { periods } = buildLoanSchedule(makeTerms({ principal: 50000, termMonths: 6, amortizeYN: "No" }));
+    periods.slice(0, 5).forEach(p => {
+      expect(p.principalDue).toBeCloseTo(0, 10);
+      expect(p.interestDue).toBeCloseTo(250, 6);
+    });
+    expect(periods[5].principalDue).toBeCloseTo(50000, 6);
+    expect(periods[5].interestBalance).toBeCloseTo(1500, 6);
+    expect(periods[5].totalBalance).toBeCloseTo(51500, 6);
+  });
+
+  test('records scheduled payments on their period and pays the loan down to zero', () => {
+    const first = buildLoanSchedule(makeTerms());
+    const payments = first.periods.map(p => ({
+      period: p.period,
+      paidOn: p.dueDate,
+      principalPaid: p.principalDue,
+      interestPaid: p.interestDue
+    }));
+    const { periods } = buildLoanSchedule(makeTerms(), payments);
+    expect(periods[0].paidOn).toEqual(first.periods[0].dueDate);
+    expect(periods[0].totalPaid).toBeCloseTo(first.periods[0].totalDue, 6);
+    expect(periods[11].principalBalance).toBeCloseTo(0, 4);
+    expect(periods[11].interestBalance).toBeCloseTo(0, 4);
+  });
+
+  test('inserts unscheduled payments as fractional periods before the period that covers them', () => {
+    const { periods } = buildLoanSchedule(makeTerms({ amortizeYN: "No" }), [
+      { paidOn: '2024-03-01', principalPaid: 10000 },
+      { paidOn: '2024-03-05', principalPaid: 5000 }
+    ]);
+    expect(periods.length).toBe(14);
+    // Period 2 runs Feb 15 – Mar 14, so both payments land between periods 1 and 2
+    expect(periods[1].period).toBe(1.5);
+    expect(periods[2].period).toBe(1.75);
+    expect(periods[3].period).toBe(2);
+    expect(periods[1].principalBalance).toBe(90000);
+    expect(periods[2].principalBalance).toBe(85000);
+    expect(periods[3].principalBalance).toBe(85000);
+    // Interest for period 3 accrues on the reduced balance
+    expect(periods[4].interestDue).toBeCloseTo(85000 * 0.005, 6);
+  });
+
+  test('zeroes the dues of periods after an early payoff', () => {
+    const { periods } = buildLoanSchedule(makeTerms({ amortizeYN: "No" }), [
+      { period: 3, paidOn: '2024-04-15', principalPaid: 100000, interestPaid: 1500 }
+    ]);
+    expect(periods[2].principalBalance).toBe(0);
+    for (let i = 3; i < periods.length; i++) {
+      expect(periods[i].totalDue).toBe(0);
+      expect(periods[i].principalDue).toBe(0);
+    }
+  });
+
+  test('rejects payments for periods that are not in the schedule', () => {
+    expect(() => buildLoanSchedule(makeTerms(), [{ period: 40, principalPaid: 1 }]))
+      .toThrow(/period 40/);
+  });
+});
+
+describe('payment frequencies', () => {
+  test('quarterly periods step three months and use a quarterly rate', () => {
+    const { params, periods } = buildLoanSchedule(makeTerms({ paymentFreq: "Quarterly" }));
+    expect(params.termPeriods).toBe(4);
+    expect(params.periodicRate).toBeCloseTo(0.015, 12);
+    expect(periods.length).toBe(4);
+    expect(periods[0].periodEnd).toEqual(new Date(2024, 3, 14));
+    expect(periods[3].periodEnd).toEqual(new Date(2025, 0, 14));
+    expect(periods[0].days).toBe(90);
+    expect(periods[0].interestDue).toBeCloseTo(1500, 6);
+    // Level quarterly payments that retire the principal
+    const principalDue = periods.reduce((sum, p) => sum + p.principalDue, 0);
+    expect(principalDue).toBeCloseTo(100000, 4);
+    periods.forEach(p => expect(p.totalDue).toBeCloseTo(periods[0].totalDue, 6));
+  });
+
+  test('semi-annual and annual terms are converted from months', () => {
+    expect(buildLoanSchedule(makeTerms({ paymentFreq: "Semi-Annual", termMonths: 60 })).periods.length).toBe(10);
+    const annual = buildLoanSchedule(makeTerms({ paymentFreq: "Annual", termMonths: 36, amortizeYN: "No" }));
+    expect(annual.periods.length).toBe(3);
+    expect(annual.periods[0].periodEnd).toEqual(new Date(2025, 0, 14));
+    expect(annual.periods[0].interestDue).toBeCloseTo(6000, 6);
+  });
+
+  test('month-based period ends keep the month-end rules', () => {
+    // Closing on the 1st: each quarter ends on the last day of its third month
+    expect(calcPeriodEndDate_NoProrate(new Date(2024, 0, 1), 1, 3)).toEqual(new Date(2024, 2, 31));
+    // Closing after the 28th: quarter ends fall on month-ends
+    expect(calcPeriodEndDate_NoProrate(new Date(2024, 0, 30), 2, 3)).toEqual(new Date(2024, 6, 31));
+  });
+
+  test('weekly periods are seven days with a 1/52 periodic rate', () => {
+    const { params, periods } = buildLoanSchedule(makeTerms({ paymentFreq: "Weekly" }));
+    expect(params.termPeriods).toBe(52);
+    expect(periods.length).toBe(52);
+    expect(periods[0].periodEnd).toEqual(new Date(2024, 0, 21));
+    expect(periods[1].periodEnd).toEqual(new Date(2024, 0, 28));
+    expect(periods[0].days).toBe(7);
+    expect(periods[0].interestDue).toBeCloseTo(cents(100000 * 0.06 / 52), 6);
+    const principalDue = periods.reduce((sum, p) => sum + p.principalDue, 0);
+    expect(principalDue).toBeCloseTo(100000, 4);
+  });
+
+  test('bi-weekly schedules prorate a stub to month-end and honor an explicit term in periods', () => {
+    const { periods } = buildLoanSchedule(makeTerms({
+      paymentFreq: "Bi-Weekly",
+      prorateFirst: "Yes",
+      termPeriods: 6,
+      dayCountMethod: "Actual",
+      daysPerYear: 365,
+      amortizeYN: "No"
+    }));
+    expect(periods.length).toBe(7);
+    expect(periods[0].period).toBe(0);
+    expect(periods[0].periodEnd).toEqual(new Date(2024, 0, 31));
+    expect(periods[1].periodEnd).toEqual(new Date(2024, 1, 14));
+    expect(periods[2].periodEnd).toEqual(new Date(2024, 1, 28));
+    expect(periods[1].days).toBe(14);
+    expect(periods[6].principalDue).toBe(100000);
+  });
+
+  test('periodic day count scales a mid-period prepayment to the nominal period length', () => {
+    const { periods } = buildLoanSchedule(makeTerms({ paymentFreq: "Quarterly", amortizeYN: "No" }), [
+      { paidOn: '2024-05-14', principalPaid: 50000 }
+    ]);
+    // Period 2 runs Apr 15 – Jul 14 (91 actual days); the payment falls after 30 of them
+    const scaled = 90 * 30 / 91;
+    const expected = cents(100000 * 0.06 / 360 * scaled) + cents(50000 * 0.06 / 360 * (90 - scaled));
+    expect(periods[1].period).toBe(1.5);
+    expect(periods[2].interestDue).toBeCloseTo(expected, 6);
+  });
+});
+
+describe('day-count conventions', () => {
+  // Closing Nov 30 (month-end rules), interest-only, with half the principal repaid on Feb 10
+  const accrue = (dayCountMethod) => buildLoanSchedule(makeTerms({
+    principal: 36000,
+    annualRate: 0.10,
+    closingDate: new Date(2023, 10, 30),
+    termMonths: 5,
+    dayCountMethod: dayCountMethod,
+    daysPerYear: 999, // ignored by named conventions
+    amortizeYN: "No"
+  }), [{ paidOn: '2024-02-10', principalPaid: 18000 }]).periods;
+
+  test('30/360 US and 30E/360 count days from the dates and show them in the days column', () => {
+    const us = accrue("30/360 US");
+    expect(us.map(p => p.days)).toEqual([30, 30, "", 29, 30, 30]);
+    expect(us[0].interestDue).toBeCloseTo(300, 6);
+    // Jan 31 – Feb 10 is 10 days on 36,000, then 19 days on 18,000
+    expect(us[3].interestDue).toBeCloseTo(100 + 95, 6);
+    expect(us[4].interestDue).toBeCloseTo(150, 6);
+
+    const euro = accrue("30E/360");
+    // Feb 29 – Mar 31 counts 31 days under 30E/360 (30 under 30/360 US)
+    expect(euro[4].days).toBe(31);
+    expect(euro[4].interestDue).toBeCloseTo(155, 6);
+  });
+
+  test('actual-day conventions use their own year basis', () => {
+    const a360 = accrue("Actual/360");
+    expect(a360[0].days).toBe(31);
+    expect(a360[0].interestDue).toBeCloseTo(310, 6);
+    // The unscheduled payment splits period 3 at the payment date
+    expect(a360[3].interestDue).toBeCloseTo(cents(36000 * 0.1 * 10 / 360) + cents(18000 * 0.1 * 19 / 360), 6);
+
+    expect(accrue("Actual/365 Fixed")[1].interestDue).toBeCloseTo(cents(36000 * 0.1 * 31 / 365), 6);
+    // ISDA: Dec 2023 is in a 365-day year, Jan 2024 in a 366-day year
+    const isda = accrue("Actual/Actual ISDA");
+    expect(isda[0].interestDue).toBeCloseTo(cents(36000 * 0.1 * 31 / 365), 6);
+    expect(isda[1].interestDue).toBeCloseTo(cents(36000 * 0.1 * 31 / 366), 6);
+  });
+
+  test('prepaid interest and single-period loans follow the named convention', () => {
+    const params = buildLoanParams(makeTerms({
+      principal: 1000,
+      annualRate: 0.12,
+      closingDate: new Date(2024, 0, 15),
+      dayCountMethod: "30/360 US",
+      prepaidIntDate: new Date(2024, 0, 31)
+    }));
+    // Jan 15 – Jan 31 inclusive is 17 days under 30/360 US (Jan 14 → Jan 31 keeps D2 = 31)
+    const fraction = 17 / 360;
+    expect(params.financedPrepaidInterest).toBe(cents(1000 * 0.12 * fraction / (1 - 0.12 * fraction)));
+    expect(params.daysPerYear).toBe(360);
+
+    const single = buildLoanParams(makeTerms({ paymentFreq: "Single Period", dayCountMethod: "Actual/360" }));
+    expect(single.dayCountMethod).toBe("Actual/360");
+  });
+});
+
+describe('floating rates', () => {
+  const SOFR = [
+    { date: '2023-12-01', rate: 0.05 },
+    { date: '2024-03-01', rate: 0.055 },
+    { date: '2024-06-01', rate: 0.07 },
+    { date: '2024-09-01', rate: 0.03 }
+  ];
+  const floatingTerms = (overrides) => makeTerms(Object.assign({
+    rateIndex: "SOFR",
+    margin: 0.02,
+    resetFrequency: "Quarterly",
+    lookbackDays: 5,
+    indexRates: SOFR
+  }, overrides));
+
+  test('resets quarterly from the looked-back index plus margin', () => {
+    const params = buildLoanParams(floatingTerms());
+    expect(params.rateResets.map(r => r.date)).toEqual([
+      new Date(2024, 0, 15), new Date(2024, 3, 15), new Date(2024, 6, 15), new Date(2024, 9, 15)
+    ]);
+    expect(params.rateResets[1].indexDate).toEqual(new Date(2024, 3, 10));
+    [0.07, 0.075, 0.09, 0.05].forEach((rate, i) => expect(params.rateResets[i].rate).toBeCloseTo(rate, 12));
+    // With no first reset date the loan floats from closing
+    expect(params.annualRate).toBe(0.07);
+  });
+
+  test('applies the periodic cap and the lifetime cap and floor', () => {
+    const params = buildLoanParams(floatingTerms({ periodicCap: 0.01, lifetimeCap: 0.085, lifetimeFloor: 0.06 }));
+    const rates = params.rateResets.map(r => r.rate);
+    expect(rates[2]).toBeCloseTo(0.085, 12);  // 9% limited by the lifetime cap
+    expect(rates[3]).toBeCloseTo(0.075, 12);  // 5% limited to a 1% drop
+    expect(params.rateResets.map(r => r.limited)).toEqual([false, false, true, true]);
+
+    // A first reset date keeps the E4 rate until then, and the periodic cap applies to the first move
+    const fixedFirst = buildRateResets(buildLoanParams(floatingTerms({
+      annualRate: 0.05, periodicCap: 0.01, firstResetDate: new Date(2024, 6, 15)
+    })));
+    expect(fixedFirst.length).toBe(2);
+    expect(fixedFirst[0].rate).toBeCloseTo(0.06, 12);  // 9% limited to a 1% rise from 5%
+    expect(fixedFirst[1].rate).toBeCloseTo(0.05, 12);
+  });
+
+  test('shows the rate in effect and re-amortizes at each reset', () => {
+    const { periods } = buildLoanSchedule(floatingTerms());
+    [0.07, 0.07, 0.07, 0.075, 0.075, 0.075, 0.09, 0.09, 0.09, 0.05, 0.05, 0.05]
+      .forEach((rate, i) => expect(periods[i].rate).toBeCloseTo(rate, 12));
+    expect(periods[0].interestDue).toBeCloseTo(cents(100000 * 0.07 / 12), 6);
+    expect(periods[0].notes).toMatch(/Rate reset: SOFR 5% \+ 2% = 7%/);
+    expect(periods[3].notes).toMatch(/Rate reset/);
+    expect(periods[4].notes).toBe("");
+    // Payments stay level between resets and change when the rate does
+    expect(periods[1].totalDue).toBeCloseTo(periods[0].totalDue, 6);
+    expect(periods[3].totalDue).not.toBeCloseTo(periods[0].totalDue, 2);
+    const principalDue = periods.reduce((sum, p) => sum + p.principalDue, 0);
+    expect(principalDue).toBeCloseTo(100000, 4);
+
+    // Paying every row as scheduled retires the loan
+    const payments = periods.map(p => ({
+      period: p.period, paidOn: p.dueDate, principalPaid: p.principalDue, interestPaid: p.interestDue
+    }));
+    const paid = buildLoanSchedule(floatingTerms(), payments).periods;
+    expect(paid[11].principalBalance).toBeCloseTo(0, 4);
+    expect(paid[11].interestBalance).toBeCloseTo(0, 4);
+  });
+
+  test('fails clearly when the index has no value for a reset', () => {
+    expect(() => buildLoanParams(floatingTerms({ indexRates: SOFR.slice(1) })))
+      .toThrow(/No SOFR rate on or before/);
+  });
+});
+
+describe('step rates', () => {
+  const stepTerms = (overrides) => makeTerms(Object.assign({
+    annualRate: 0.08,
+    termMonths: 24,
+    rateSteps: [{ date: '2025-01-15', rate: 0.09 }, { date: '2025-07-01', rate: 0.10 }]
+  }, overrides));
+
+  test('interest-only loans accrue at each step, splitting the period that contains one', () => {
+    const { periods } = buildLoanSchedule(stepTerms({ amortizeYN: "No" }));
+    expect(periods[11].interestDue).toBeCloseTo(cents(100000 * 0.08 / 12), 6);
+    // Period 13 starts on the Jan 15 step
+    expect(periods[12].rate).toBe(0.09);
+    expect(periods[12].interestDue).toBeCloseTo(750, 6);
+    expect(periods[12].notes).toBe("(Rate step: 8% to 9% on 1/15/2025)");
+    // Period 18 (Jun 15 – Jul 14): 16 days at 9%, then 14 days at 10%
+    expect(periods[17].rate).toBe(0.10);
+    expect(periods[17].interestDue).toBeCloseTo(cents(100000 / 360 * (16 * 0.09 + 14 * 0.10)), 6);
+    expect(periods[17].notes).toMatch(/Rate step: 9% to 10% on 7\/1\/2025/);
+    expect(periods[18].interestDue).toBeCloseTo(cents(100000 * 0.10 / 12), 6);
+  });
+
+  test('amortizing loans recompute the payment from each step forward', () => {
+    const { periods } = buildLoanSchedule(stepTerms());
+    const firstPayment = periods[0].totalDue;
+    periods.slice(0, 12).forEach(p => expect(p.totalDue).toBeCloseTo(firstPayment, 6));
+    expect(periods[12].totalDue).toBeGreaterThan(firstPayment);
+    // The split period keeps its payment; the next one is re-amortized at 10%
+    expect(periods[17].totalDue).toBeCloseTo(periods[12].totalDue, 6);
+    expect(periods[18].totalDue).toBeGreaterThan(periods[17].totalDue);
+    periods.slice(18, -1).forEach(p => expect(p.totalDue).toBeCloseTo(periods[18].totalDue, 6));
+    const principalDue = periods.reduce((sum, p) => sum + p.principalDue, 0);
+    expect(principalDue).toBeCloseTo(100000, 4);
+
+    // Paying every row as scheduled retires the loan with no interest left over
+    const payments = periods.map(p => ({
+      period: p.period, paidOn: p.dueDate, principalPaid: p.principalDue, interestPaid: p.interestDue
+    }));
+    const paid = buildLoanSchedule(stepTerms(), payments).periods;
+    expect(paid[23].principalBalance).toBeCloseTo(0, 4);
+    expect(paid[23].interestBalance).toBeCloseTo(0, 4);
+  });
+
+  test('an edited step table recalculates like a fresh schedule, keeping the payments', () => {
+    const payments = [{ period: 1, paidOn: '2024-02-15', amountReceived: 5000 }];
+    const edited = stepTerms({ rateSteps: [{ date: '2024-10-01', rate: 0.085 }] });
+    const { periods } = recalculateLoanSchedule(edited, buildLoanSchedule(stepTerms(), payments).periods);
+    expect(periods).toEqual(buildLoanSchedule(edited, payments).periods);
+    expect(periods[0].amountReceived).toBe(5000);
+    expect(periods[8].notes).toBe("(Rate step: 8% to 8.5% on 10/1/2024)");
+    expect(periods[12].notes).toBe("");
+  });
+
+  test('cannot be combined with a floating rate index', () => {
+    expect(() => buildLoanParams(stepTerms({ rateIndex: "SOFR", indexRates: [{ date: '2023-01-01', rate: 0.05 }] })))
+      .toThrow(/not both/);
+  });
+});
+
+describe('balloon loans', () => {
+  // 5-year note on a 25-year amortization
+  const balloonTerms = (overrides) => makeTerms(Object.assign({ termMonths: 60, amortMonths: 300 }, overrides));
+
+  test('size payments over the amortization and balloon the rest at maturity', () => {
+    const { params, periods } = buildLoanSchedule(balloonTerms({ exitFeePct: 0.01 }));
+    expect(params.amortPeriods).toBe(300);
+    expect(params.isBalloon).toBe(true);
+    expect(periods).toHaveLength(60);
+    const payment = -pmt(0.005, 300, 100000);
+    periods.slice(0, 59).forEach(p => expect(p.principalDue + p.interestDue).toBeCloseTo(cents(payment), 6));
+    // Final row: the regular split plus all remaining principal, and the exit fee
+    const principalDue = periods.reduce((sum, p) => sum + p.principalDue, 0);
+    expect(principalDue).toBeCloseTo(100000, 6);
+    expect(periods[59].principalDue).toBeGreaterThan(90000);
+    expect(periods[59].feesDue).toBe(1000);
+    expect(periods[59].notes).toBe("($1,000.00 Exit Fee) (Balloon Payment)");
+  });
+
+  test('a prepayment shrinks the balloon, not the payment', () => {
+    const base = buildLoanSchedule(balloonTerms()).periods;
+    const { periods } = buildLoanSchedule(balloonTerms(), [
+      { period: 1.5, paidOn: '2024-03-01', principalPaid: 10000 }
+    ]);
+    const scheduled = periods.filter(p => Number.isInteger(p.period));
+    expect(scheduled[5].totalDue).toBeCloseTo(base[5].totalDue, 6);
+    const principalDue = scheduled.reduce((sum, p) => sum + p.principalDue, 0);
+    expect(principalDue).toBeCloseTo(90000, 6);
+  });
+
+  test('recasts keep the longer amortization', () => {
+    const params = buildLoanParams(balloonTerms());
+    const rows = buildLoanSchedule(balloonTerms()).periods.map(periodToRow);
+    reAmortizeFutureRows(rows, 12, rows.length, 48, 50000, params, new Array(rows.length).fill(false));
+    const payment = -pmt(0.005, 288, 50000);
+    expect(rows[12][7] + rows[12][9]).toBeCloseTo(payment, 6);
+    const principalDue = rows.slice(12).reduce((sum, row) => sum + row[7], 0);
+    expect(principalDue).toBeCloseTo(50000, 6);
+  });
+
+  test('reject an amortization shorter than the term', () => {
+    expect(() => buildLoanParams(balloonTerms({ amortMonths: 36 }))).toThrow(/shorter than the loan term/);
+  });
+});
+
+describe('interest-only periods', () => {
+  // 12 months interest-only, then amortizing over the remaining 24
+  const ioTerms = (overrides) => makeTerms(Object.assign({ termMonths: 36, ioMonths: 12 }, overrides));
+
+  test('charge interest only, then amortize the balance over the rest of the term', () => {
+    const { params, periods } = buildLoanSchedule(ioTerms());
+    expect(params.ioPeriods).toBe(12);
+    periods.slice(0, 12).forEach(p => {
+      expect(p.principalDue).toBe(0);
+      expect(p.interestDue).toBeCloseTo(500, 6);
+    });
+    const payment = -pmt(0.005, 24, 100000);
+    periods.slice(12, -1).forEach(p => expect(p.totalDue).toBeCloseTo(cents(payment), 6));
+    expect(periods[12].notes).toBe("(Interest-only period ends; amortization begins)");
+    const principalDue = periods.reduce((sum, p) => sum + p.principalDue, 0);
+    expect(principalDue).toBeCloseTo(100000, 6);
+  });
+
+  test('amortize what is left after prepayments made during the IO period', () => {
+    const { periods } = buildLoanSchedule(ioTerms(), [
+      { period: 5.5, paidOn: '2024-06-20', principalPaid: 20000 }
+    ]);
+    const scheduled = periods.filter(p => Number.isInteger(p.period));
+    expect(scheduled[12].totalDue).toBeCloseTo(cents(-pmt(0.005, 24, 80000)), 6);
+
+    // Paying each row as it falls due retires the loan with no interest left over
+    const payments = [{ period: 5.5, paidOn: '2024-06-20', principalPaid: 20000 }];
+    for (let period = 1; period <= 36; period++) {
+      const due = buildLoanSchedule(ioTerms(), payments).periods.find(p => p.period === period);
+      payments.push({ period, paidOn: due.dueDate, principalPaid: due.principalDue, interestPaid: due.interestDue });
+    }
+    const paid = buildLoanSchedule(ioTerms(), payments).periods;
+    expect(paid[paid.length - 1].principalBalance).toBeCloseTo(0, 4);
+    expect(paid[paid.length - 1].interestBalance).toBeCloseTo(0, 4);
+  });
+
+  test('combine with a balloon', () => {
+    const { periods } = buildLoanSchedule(ioTerms({ amortMonths: 120 }));
+    expect(periods[12].totalDue).toBeCloseTo(cents(-pmt(0.005, 108, 100000)), 6);
+    const principalDue = periods.reduce((sum, p) => sum + p.principalDue, 0);
+    expect(principalDue).toBeCloseTo(100000, 6);
+  });
+
+  test('must end before the term does', () => {
+    expect(() => buildLoanParams(ioTerms({ ioMonths: 36 }))).toThrow(/interest-only period/);
+    expect(buildLoanParams(ioTerms({ amortizeYN: "No" })).ioPeriods).toBe(0);
+  });
+});
+
+describe('payment waterfall', () => {
+  const ioLoan = (overrides) => makeTerms(Object.assign({ amortizeYN: "No" }, overrides));
+
+  test('splits each amount received into fees, interest and principal', () => {
+    const { periods } = buildLoanSchedule(ioLoan(), [
+      { period: 1, paidOn: '2024-02-15', feesDue: 25, amountReceived: 525 },
+      // Short of the interest: 100 stays past due into period 3
+      { period: 2, paidOn: '2024-03-15', amountReceived: 400 },
+      // Past-due interest first, then this period's interest, then 1,000 extra to principal
+      { period: 3, paidOn: '2024-04-15', amountReceived: 1600 }
+    ]);
+    expect(periods[0].feesPaid).toBe(25);
+    expect(periods[0].interestPaid).toBeCloseTo(500, 6);
+    expect(periods[0].totalPaid).toBeCloseTo(525, 6);
+    expect(periods[1].interestPaid).toBeCloseTo(400, 6);
+    expect(periods[1].interestBalance).toBeCloseTo(100, 6);
+    expect(periods[2].interestPaid).toBeCloseTo(600, 6);
+    expect(periods[2].principalPaid).toBeCloseTo(1000, 6);
+    expect(periods[2].principalBalance).toBeCloseTo(99000, 6);
+  });
+
+  test('follows a custom order and carries suspense into the next payment', () => {
+    const terms = ioLoan({ paymentWaterfall: "Current Interest, Principal", excessTo: "Suspense" });
+    const { periods } = buildLoanSchedule(terms, [
+      { period: 1, paidOn: '2024-02-15', amountReceived: 800 },
+      { period: 2, paidOn: '2024-03-15', amountReceived: 200 }
+    ]);
+    expect(periods[0].interestPaid).toBeCloseTo(500, 6);
+    expect(periods[0].principalPaid).toBe(0);
+    expect(periods[0].notes).toBe("(Held in suspense: $300.00)");
+    // 200 received + 300 from suspense covers the interest
+    expect(periods[1].interestPaid).toBeCloseTo(500, 6);
+    expect(periods[1].notes).toBe("");
+  });
+
+  test('rejects an unknown excess setting', () => {
+    expect(() => buildLoanParams(ioLoan({ excessTo: "Refund" }))).toThrow(/"Principal" or "Suspense"/);
+  });
+});
+
+describe('late fees', () => {
+  // Interest-only: 500 due each month; $25 + 5% late fee after a 10-day grace period
+  const lateTerms = (overrides) => makeTerms(Object.assign({
+    amortizeYN: "No", graceDays: 10, lateFeeFlat: 25, lateFeePct: 0.05, asOfDate: '2024-04-01'
+  }, overrides));
+  const onTime = (period, paidOn) => ({ period, paidOn, interestPaid: 500 });
+
+  test('post a fee on rows paid after the grace period or still unpaid', () => {
+    const { periods } = buildLoanSchedule(lateTerms(), [
+      onTime(1, '2024-02-25'),  // due Feb 15: last day of grace
+      onTime(2, '2024-03-26')   // due Mar 15: one day past grace
+    ]);
+    expect(periods[0].feesDue).toBe(0);
+    expect(periods[1].feesDue).toBe(50);
+    expect(periods[1].notes).toBe("(Late fee: $50.00)");
+    // Period 3 is due Apr 15, not yet late on Apr 1
+    expect(periods[2].feesDue).toBe(0);
+    const later = buildLoanSchedule(lateTerms({ asOfDate: '2024-04-26' }), [onTime(1, '2024-02-15'), onTime(2, '2024-03-15')]);
+    expect(later.periods[2].feesDue).toBe(50);
+  });
+
+  test('figure unpaid rows as of the latest payment, not today, without an as-of date', () => {
+    const { periods } = buildLoanSchedule(lateTerms({ asOfDate: null }), [onTime(1, '2024-02-15'), onTime(2, '2024-04-26')]);
+    // Period 3 (due Apr 15) is past grace on Apr 26; period 4 isn't due yet
+    expect(periods[2].feesDue).toBe(50);
+    expect(periods[3].feesDue).toBe(0);
+    // Nothing paid: as of closing, so nothing is late
+    expect(buildLoanSchedule(lateTerms({ asOfDate: null })).periods.every(period => period.feesDue === 0)).toBe(true);
+  });
+
+  test('take the fee back when the payment is backdated', () => {
+    const first = buildLoanSchedule(lateTerms({ exitFeePct: 0.01 }), [onTime(2, '2024-03-26')]).periods;
+    expect(first[1].feesDue).toBe(50);
+    first[1].paidOn = '2024-03-20';
+    const { periods } = recalculateLoanSchedule(lateTerms({ exitFeePct: 0.01 }), first);
+    expect(periods[1].feesDue).toBe(0);
+    expect(periods[1].notes).toBe("");
+    // Other fees in M are untouched
+    expect(periods[11].feesDue).toBe(1000);
+  });
+
+  test('keep the fee between the minimum and maximum', () => {
+    const paid = [onTime(1, '2024-03-01')];
+    expect(buildLoanSchedule(lateTerms({ lateFeeMax: 40 }), paid).periods[0].feesDue).toBe(40);
+    expect(buildLoanSchedule(lateTerms({ lateFeeFlat: 0, lateFeeMin: 30 }), paid).periods[0].feesDue).toBe(30);
+  });
+
+  test('accrue interest on unpaid late fees when the loan says so', () => {
+    const payments = [onTime(1, '2024-03-01'), onTime(2, '2024-03-15')];
+    const plain = buildLoanSchedule(lateTerms(), payments).periods;
+    const { periods } = buildLoanSchedule(lateTerms({ lateFeeInterest: "Yes" }), payments);
+    // The $50 fee from period 1 accrues a month at 6% in period 2
+    expect(periods[1].interestDue - plain[1].interestDue).toBeCloseTo(50 * 0.005, 9);
+  });
+});
+
+describe('default interest', () => {
+  // Interest-only, 3 months at 6% Actual/360, with default at contract + 5%
+  const defaultTerms = (overrides) => makeTerms(Object.assign({
+    termMonths: 3, amortizeYN: "No", dayCountMethod: "Actual/360",
+    defaultMargin: 0.05, defaultTrigger: "Maturity", asOfDate: '2024-06-20'
+  }, overrides));
+  const interestPaid = [
+    { period: 1, paidOn: '2024-02-15', interestPaid: 500 },
+    { period: 2, paidOn: '2024-03-15', interestPaid: 483.33 }
+  ];
+
+  test('keep accruing past an unpaid maturity, with default interest noted separately', () => {
+    const { periods } = buildLoanSchedule(defaultTerms(), interestPaid);
+    // Periods 4..6 run through Jul 14, covering the as-of date
+    expect(periods.map(p => p.period)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(periods[2].notes).toBe("");
+    const p4 = periods[3];
+    expect(p4.notes).toBe("(Past maturity) (Default interest: $402.78)");
+    expect(p4.principalDue).toBe(100000);
+    // Apr 15..May 14 at 6%, plus Apr 16..May 14 (after the Apr 15 due date) at 5%
+    expect(p4.interestDue).toBeCloseTo(cents(100000 * (0.06 * 30 + 0.05 * 29) / 360), 6);
+    expect(periods[5].interestBalance).toBeGreaterThan(periods[4].interestBalance);
+  });
+
+  test('take the rows past maturity away once the loan is paid off', () => {
+    const first = buildLoanSchedule(defaultTerms(), interestPaid).periods;
+    Object.assign(first[2], { paidOn: '2024-04-15', principalPaid: 100000, interestPaid: first[2].interestDue });
+    const { periods } = recalculateLoanSchedule(defaultTerms(), first);
+    expect(periods.map(p => p.period)).toEqual([1, 2, 3]);
+    expect(periods[2].principalBalance).toBe(0);
+  });
+
+  test('charge default interest on the balance left after a payment past maturity', () => {
+    const { periods } = buildLoanSchedule(defaultTerms(), interestPaid.concat([
+      { paidOn: '2024-04-30', principalPaid: 50000 }
+    ]));
+    const p4 = periods.find(p => p.period === 4);
+    // Apr 16..Apr 30 on 100,000, then May 1..May 14 on 50,000, each accrued in whole cents
+    const defaultInterest = cents(100000 * 15 * 0.05 / 360) + cents(50000 * 14 * 0.05 / 360);
+    expect(p4.notes).toBe(`(Past maturity) (Default interest: $${defaultInterest.toFixed(2)})`);
+    expect(p4.principalDue).toBe(50000);
+  });
+
+  test('start default a number of days after an installment is missed', () => {
+    const { periods } = buildLoanSchedule(defaultTerms({ defaultTrigger: 10, asOfDate: '2024-04-01' }), [
+      interestPaid[0],
+      { period: 2, paidOn: '2024-04-04', interestPaid: 483.33 }   // due Mar 15, in default from Mar 26
+    ]);
+    expect(periods).toHaveLength(3);
+    expect(periods[1].notes).toBe("");
+    // Mar 26..Apr 3 on 100,000 at 5%
+    expect(periods[2].notes).toBe("(Default interest: $125.00)");
+    expect(periods[2].interestDue).toBeCloseTo(cents(100000 * 0.06 * 31 / 360) + cents(100000 * 0.05 * 9 / 360), 6);
+  });
+
+  test('stop adding rows past maturity at the last row of the sheet', () => {
+    expect(MAX_SCHEDULE_ROWS).toBe(493);
+    expect(() => buildLoanSchedule(defaultTerms({ asOfDate: '2070-01-01' }), interestPaid))
+      .toThrow('The schedule needs more than 493 rows after period 493. '
+        + 'Record the payoff, or move the as-of date, deferrals or modifications so it ends sooner.');
+  });
+
+  test('reject a trigger that is neither "Maturity" nor a number of days', () => {
+    expect(() => buildLoanParams(defaultTerms({ defaultTrigger: "Late" })))
+      .toThrow('The default trigger must be "Maturity" or a number of days past due, not "Late".');
+    expect(buildLoanParams(defaultTerms({ defaultTrigger: "" })).defaultTrigger).toBeNull();
+  });
+});
+
+describe('capitalized interest', () => {
+  // Interest-only, 4 months at 6% (30/360)
+  const pikTerms = (overrides) => makeTerms(Object.assign({ termMonths: 4, amortizeYN: "No" }, overrides));
+
+  test('capitalize PIK interest on each due date while cash interest is billed', () => {
+    const { periods } = buildLoanSchedule(pikTerms({ pikRate: 0.02 }));
+    expect(periods[0].interestDue).toBeCloseTo(500, 9);
+    expect(periods[0].notes).toBe("(PIK interest: $166.67)");
+    expect(periods[0].principalBalance).toBeCloseTo(cents(100000 * (1 + 0.02 / 12)), 6);
+    // Later interest accrues on the capitalized balance
+    expect(periods[1].interestDue).toBeCloseTo(cents(periods[0].principalBalance * 0.005), 6);
+    // Maturity bills the grown balance
+    const grown = [1, 2, 3, 4].reduce(balance => balance + cents(balance * 0.02 / 12), 100000);
+    expect(periods[3].principalDue).toBeCloseTo(grown, 6);
+  });
+
+  test('pay off a PIK loan by paying what is billed', () => {
+    const terms = pikTerms({ pikRate: 0.02, amortizeYN: "Yes" });
+    let { periods } = buildLoanSchedule(terms);
+    periods.forEach((unused, idx) => {
+      Object.assign(periods[idx], {
+        paidOn: periods[idx].dueDate, principalPaid: periods[idx].principalDue, interestPaid: periods[idx].interestDue
+      });
+      periods = recalculateLoanSchedule(terms, periods).periods;
+    });
+    expect(periods[3].principalBalance).toBeCloseTo(0, 6);
+    expect(periods[3].interestBalance).toBeCloseTo(0, 6);
+  });
+
+  test('capitalize unpaid interest on each due date', () => {
+    const { periods } = buildLoanSchedule(pikTerms({ capitalizeInterest: "Each Due Date" }), [
+      { period: 1, paidOn: '2024-02-15', interestPaid: 200 }
+    ]);
+    expect(periods[0].notes).toBe("(Capitalized interest: $300.00)");
+    expect(periods[0].interestBalance).toBe(0);
+    expect(periods[0].principalBalance).toBeCloseTo(100300, 9);
+    expect(periods[1].interestDue).toBeCloseTo(100300 * 0.005, 9);
+  });
+
+  test('capitalize only at the first due date on or after each listed date', () => {
+    const { periods } = buildLoanSchedule(pikTerms({ capitalizeInterest: "On Dates", capitalizationDates: ['2024-03-31'] }));
+    expect(periods.map(p => p.notes)).toEqual(["", "", "(Capitalized interest: $1,500.00)", ""]);
+    expect(periods[1].interestBalance).toBeCloseTo(1000, 9);
+    expect(periods[2].principalBalance).toBeCloseTo(101500, 9);
+  });
+
+  test('reject an unknown capitalization option', () => {
+    expect(() => buildLoanParams(pikTerms({ capitalizeInterest: "Yes" })))
+      .toThrow('Capitalize Interest must be "No", "Each Due Date" or "On Dates", not "Yes".');
+  });
+});
+
+describe('deferrals', () => {
+  // 6 months at 6% (30/360), 12,000
+  const deferTerms = (overrides) => makeTerms(Object.assign({ principal: 12000, termMonths: 6 }, overrides));
+  const payAsBilled = (terms) => {
+    let { periods } = buildLoanSchedule(terms);
+    for (let idx = 0; idx < periods.length; idx++) {
+      Object.assign(periods[idx], {
+        paidOn: periods[idx].dueDate, principalPaid: periods[idx].principalDue, interestPaid: periods[idx].interestDue
+      });
+      periods = recalculateLoanSchedule(terms, periods).periods;
+    }
+    return periods;
+  };
+
+  test('refuse deferrals that would run the schedule past its last row', () => {
+    // Deferrals added to a 6-row schedule move two installments past the term
+    const rows = buildScheduleRows(buildLoanParams(deferTerms()));
+    const params = buildLoanParams(deferTerms({ deferrals: [2, 3] }));
+    expect(recalculateSchedule(rows.map(row => row.slice()), rows.length, params, 8)).toHaveLength(8);
+    expect(() => recalculateSchedule(rows, rows.length, params, 7))
+      .toThrow('The schedule needs more than 7 rows after period 7.');
+  });
+
+  test('move deferred installments to new periods after the term', () => {
+    const payment = -pmt(0.005, 6, 12000);
+    const periods = payAsBilled(deferTerms({ deferrals: [2, { period: 3, kind: "Forbearance" }] }));
+    expect(periods).toHaveLength(8);
+    expect(periods.slice(1, 3).map(p => [p.principalDue, p.interestDue, p.notes]))
+      .toEqual([[0, 0, "(Deferred)"], [0, 0, "(Forborne)"]]);
+    // The rest of the term pays as originally scheduled
+    expect(periods[3].principalDue + periods[3].interestDue).toBeCloseTo(cents(payment), 6);
+    expect(periods[6].principalDue + periods[6].interestDue).toBeCloseTo(cents(payment), 6);
+    expect(periods[6].notes).toBe("(Deferred amounts: $2,035.15)");
+    expect(periods[7].totalBalance).toBeCloseTo(0, 6);
+  });
+
+  test('spread deferred amounts over the remaining payments', () => {
+    const periods = payAsBilled(deferTerms({ amortizeYN: "No", deferrals: [2], deferredAmountsTo: "Remaining Payments" }));
+    expect(periods.map(p => p.interestDue)).toEqual([60, 0, 75, 75, 75, 75]);
+    expect(periods[2].notes).toBe("(Deferred amounts: $15.00)");
+    expect(periods[5].totalBalance).toBeCloseTo(0, 6);
+  });
+
+  test('make deferred amounts due at maturity, with interest on them', () => {
+    const periods = payAsBilled(deferTerms({
+      amortizeYN: "No", deferrals: [2], deferredAmountsTo: "Maturity", deferralInterest: "Yes"
+    }));
+    expect(periods[2].interestDue).toBeCloseTo(60.30, 9);   // interest on the $60 set aside
+    expect(periods[5].interestDue).toBeCloseTo(120.30, 9);
+    expect(periods[5].principalDue).toBe(12000);
+    expect(periods[5].totalBalance).toBeCloseTo(0, 6);
+  });
+
+  test('move an interest-only loan\'s principal to the new maturity', () => {
+    const { periods } = buildLoanSchedule(deferTerms({ amortizeYN: "No", exitFeePct: 0.01, deferrals: [2] }));
+    expect(periods[5].principalDue).toBe(0);
+    expect(periods[6].principalDue).toBe(12000);
+    expect(periods[6].notes).toBe("($120.00 Exit Fee) (Deferred amounts: $60.00)");
+  });
+
+  test('drop the added periods when the deferral is removed', () => {
+    const terms = deferTerms({ exitFeePct: 0.01 });
+    const { periods } = buildLoanSchedule(Object.assign({}, terms, { deferrals: [2] }));
+    const recalculated = recalculateLoanSchedule(terms, periods).periods;
+    expect(recalculated).toHaveLength(6);
+    expect(recalculated[5].feesDue).toBe(120);
+    expect(recalculated[1].notes).toBe("");
+  });
+
+  test('reject deferrals the loan can\'t take', () => {
+    expect(() => buildLoanParams(deferTerms({ deferrals: [7] })))
+      .toThrow("Period 7 can't be deferred; pick a scheduled period from 1 to 6.");
+    expect(() => buildLoanParams(deferTerms({ deferrals: [{ period: 2, kind: "Holiday" }] })))
+      .toThrow('A deferred period must be a "Deferral" or a "Forbearance", not "Holiday".');
+    expect(() => buildLoanParams(deferTerms({ deferrals: [6], deferredAmountsTo: "Maturity" })))
+      .toThrow("The final period can only be deferred when deferred amounts go to the end of the term.");
+    expect(() => buildLoanParams(deferTerms({ deferredAmountsTo: "Later" })))
+      .toThrow('Deferred amounts must go to "End of Term", "Remaining Payments" or "Maturity", not "Later".');
+  });
+});
+
+describe('payoff quote', () => {
+  // Interest-only, 4 months at 6%, 1% exit fee, first installment paid
+  const payoffTerms = (overrides) => makeTerms(Object.assign({ termMonths: 4, amortizeYN: "No", exitFeePct: 0.01 }, overrides));
+  const firstPaid = [{ period: 1, paidOn: '2024-02-15', interestPaid: 500 }];
+
+  test('quote principal, interest to the payoff date, exit fee and per diem', () => {
+    const terms = payoffTerms({ dayCountMethod: "Actual/360" });
+    const { periods } = buildLoanSchedule(terms, firstPaid);
+    const quote = quoteLoanPayoff(terms, periods, '2024-03-01');
+    expect(quote.principal).toBe(100000);
+    expect(quote.interest).toBe(266.67);          // 15 days at $16.67 a day, rounded up
+    expect(quote.fees).toBe(0);
+    expect(quote.exitFee).toBe(1000);
+    expect(quote.prepaymentPremium).toBe(0);
+    expect(quote.perDiem).toBeCloseTo(100000 * 0.06 / 360, 9);
+    expect(quote.total).toBeCloseTo(101266.67, 9);
+  });
+
+  test('add interest since the period start when "Actual" accrues at period end', () => {
+    const terms = payoffTerms({ dayCountMethod: "Actual" });
+    const { periods } = buildLoanSchedule(terms, firstPaid);
+    expect(quoteLoanPayoff(terms, periods, '2024-03-01').interest).toBe(266.67);
+  });
+
+  test('paying the quote pays off the loan and clears the rows after it', () => {
+    const terms = payoffTerms();
+    let { periods } = buildLoanSchedule(terms, firstPaid);
+    const quote = quoteLoanPayoff(terms, periods, '2024-03-01');
+    periods.splice(1, 0, {
+      period: 1.5, paidOn: '2024-03-01', principalPaid: quote.principal, interestPaid: quote.interest,
+      feesDue: quote.exitFee, feesPaid: quote.fees + quote.exitFee
+    });
+    periods = recalculateLoanSchedule(terms, periods).periods;
+    expect(periods[1].totalBalance).toBeCloseTo(0, 6);
+    expect(periods[2].totalBalance).toBeCloseTo(0, 6);
+    expect(periods.slice(3).map(p => [p.totalDue, p.feesDue, p.totalBalance, p.notes]))
+      .toEqual([[0, 0, 0, ""], [0, 0, 0, ""]]);
+
+    // Taking the payoff back out puts the exit fee back on the final row
+    periods.splice(1, 1);
+    periods = recalculateLoanSchedule(terms, periods).periods;
+    expect(periods[3].feesDue).toBe(1000);
+    expect(periods[3].notes).toBe("($1,000.00 Exit Fee)");
+  });
+
+  test('include the billed exit fee in fees after maturity', () => {
+    const terms = payoffTerms();
+    const { periods } = buildLoanSchedule(terms);
+    const quote = quoteLoanPayoff(terms, periods, '2024-06-01');
+    expect(quote.exitFee).toBe(0);
+    expect(quote.fees).toBe(1000);
+  });
+
+  test('reject a payoff date that is missing or on or before closing', () => {
+    const terms = payoffTerms();
+    const { periods } = buildLoanSchedule(terms);
+    expect(() => quoteLoanPayoff(terms, periods, 'soon')).toThrow("A payoff quote needs a valid payoff date.");
+    expect(() => quoteLoanPayoff(terms, periods, '2024-01-15')).toThrow("The payoff date must be after the closing date.");
+  });
+});
+
+describe('loan modifications', () => {
+  // 6 months at 6% (30/360), 12,000; due dates Feb 15 .. Jul 15
+  const modTerms = (overrides) => makeTerms(Object.assign({ principal: 12000, termMonths: 6 }, overrides));
+  const payAsBilled = (terms) => {
+    let { periods } = buildLoanSchedule(terms);
+    for (let idx = 0; idx < periods.length; idx++) {
+      Object.assign(periods[idx], {
+        paidOn: periods[idx].dueDate, principalPaid: periods[idx].principalDue, interestPaid: periods[idx].interestDue
+      });
+      periods = recalculateLoanSchedule(terms, periods).periods;
+    }
+    return periods;
+  };
+  const dues = (period) => [period.principalDue, period.interestDue, period.totalDue];
+
+  test('change the rate from the effective date on, leaving earlier periods as they were', () => {
+    const original = payAsBilled(modTerms());
+    const periods = payAsBilled(modTerms({ modifications: [{ effectiveDate: '2024-04-15', rate: 0.12 }] }));
+    expect(periods).toHaveLength(6);
+    expect(periods.slice(0, 3).map(dues)).toEqual(original.slice(0, 3).map(dues));
+    expect(periods[3].notes).toBe("(Loan modified)");
+    expect(periods[3].rate).toBe(0.12);
+    // The balance left after period 3 re-amortizes at 1% a month over the 3 periods left
+    const payment = -pmt(0.01, 3, original[2].principalBalance);
+    expect(periods[3].interestDue).toBeCloseTo(cents(original[2].principalBalance * 0.01), 6);
+    expect(periods[4].totalDue).toBeCloseTo(cents(payment), 6);
+    expect(periods[5].principalBalance).toBeCloseTo(0, 6);
+  });
+
+  test('extend the maturity, moving the exit fee to the new final period', () => {
+    const original = payAsBilled(modTerms());
+    const periods = payAsBilled(modTerms({
+      exitFeePct: 0.01, modifications: [{ effectiveDate: '2024-04-15', maturityDate: '2024-10-15' }]
+    }));
+    expect(periods).toHaveLength(9);
+    expect(periods[5].feesDue).toBe(0);
+    expect(periods[8].feesDue).toBe(120);
+    expect(periods[8].notes).toBe("($120.00 Exit Fee)");
+    expect(periods[4].totalDue).toBeCloseTo(cents(-pmt(0.005, 6, original[2].principalBalance)), 6);
+    expect(periods[8].principalBalance).toBeCloseTo(0, 6);
+  });
+
+  test('shorten the maturity, making the balance due at the new final period', () => {
+    const { periods } = buildLoanSchedule(modTerms({
+      amortizeYN: "No", modifications: [{ effectiveDate: '2024-03-01', maturityDate: '2024-05-15' }]
+    }));
+    expect(periods).toHaveLength(4);
+    expect(periods[3].principalDue).toBe(12000);
+    expect(periods[2].notes).toBe("(Loan modified)");
+  });
+
+  test('extend an interest-only loan after it matured', () => {
+    const terms = modTerms({
+      amortizeYN: "No", defaultTrigger: null, asOfDate: '2024-08-01',
+      modifications: [{ effectiveDate: '2024-08-15', maturityDate: '2024-10-15' }]
+    });
+    const { periods } = buildLoanSchedule(terms);
+    expect(periods).toHaveLength(9);
+    expect(periods[5].principalDue).toBe(12000);
+    expect(periods[6].notes).toBe("(Past maturity)");
+    expect(periods[7].notes).toBe("(Loan modified)");
+    expect(periods[8].principalDue).toBe(12000);
+  });
+
+  test('set a new payment, with the balance left due at maturity', () => {
+    const periods = payAsBilled(modTerms({ modifications: [{ effectiveDate: '2024-04-15', payment: 1000 }] }));
+    expect(periods[3].totalDue).toBeCloseTo(1000, 9);
+    expect(periods[4].totalDue).toBeCloseTo(1000, 9);
+    expect(periods[5].principalDue).toBeCloseTo(periods[4].principalBalance, 9);
+    expect(periods[5].totalBalance).toBeCloseTo(0, 6);
+  });
+
+  test('add principal and re-amortize it over the rest of the term', () => {
+    const original = payAsBilled(modTerms());
+    const periods = payAsBilled(modTerms({ modifications: [{ effectiveDate: '2024-04-15', principalChange: 3000 }] }));
+    const balance = original[2].principalBalance + 3000;
+    expect(periods[3].interestDue).toBeCloseTo(cents(balance * 0.005), 6);
+    expect(periods[3].totalDue).toBeCloseTo(cents(-pmt(0.005, 3, balance)), 6);
+    expect(periods[5].totalBalance).toBeCloseTo(0, 6);
+  });
+
+  test('describe what a modification changes', () => {
+    const params = buildLoanParams(modTerms());
+    expect(describeModification(params, {
+      effectiveDate: '2024-04-15', rate: 0.05, maturityDate: '2024-10-15', payment: 1500, principalChange: -500
+    })).toBe("Rate 6% to 5%; maturity 7/15/2024 to 10/15/2024; payment $1,500.00; principal -$500.00");
+  });
+
+  test('reject modifications the loan can\'t take', () => {
+    expect(() => buildLoanParams(modTerms({ amortizeYN: "No", modifications: [{ effectiveDate: '2024-04-15' }] })))
+      .toThrow("The modification on 4/15/2024 doesn't change anything.");
+    expect(() => buildLoanParams(modTerms({ modifications: [{ effectiveDate: '2024-01-01', rate: 0.05 }] })))
+      .toThrow('A modification needs an effective date after closing, not "2024-01-01".');
+    expect(() => buildLoanParams(modTerms({ modifications: [{ effectiveDate: '2024-04-15', maturityDate: '2024-04-01' }] })))
+      .toThrow("The modification on 4/15/2024 sets a maturity before the first period it applies to.");
+    expect(() => buildLoanParams(modTerms({ amortizeYN: "No", modifications: [{ effectiveDate: '2024-04-15', payment: 900 }] })))
+      .toThrow("The modification on 4/15/2024 sets a payment, but only amortizing loans have one.");
+    expect(() => buildLoanParams(modTerms({ modifications: [{ effectiveDate: '2024-04-15', rate: "low" }] })))
+      .toThrow('The modification on 4/15/2024 has a rate of "low"; enter a rate of 0 or more, or leave it blank.');
+    expect(() => buildLoanParams(modTerms({ modifications: [{ effectiveDate: '2024-04-15', principalChange: "more" }] })))
+      .toThrow('The modification on 4/15/2024 has a principal change of "more"; enter an amount, or leave it blank.');
+  });
+});
+
+describe('recast', () => {
+  // 6 months at 6% (30/360), 12,000: two installments paid, plus 3,000 extra on Mar 1
+  const recastTerms = (overrides) => makeTerms(Object.assign({ principal: 12000, termMonths: 6 }, overrides));
+  const payment = -pmt(0.005, 6, 12000);
+  const paid = () => buildLoanSchedule(recastTerms(), [
+    { period: 1, paidOn: '2024-02-15', amountReceived: payment },
+    { paidOn: '2024-03-01', principalPaid: 3000 },
+    { period: 2, paidOn: '2024-03-15', amountReceived: payment }
+  ]).periods;
+
+  test('keep the term and lower the payment from the period after the latest payment', () => {
+    const periods = paid();
+    const plan = previewLoanRecast(recastTerms(), periods, { method: "Lower Payment" });
+    expect(plan.period).toBe(3);
+    expect(plan.effectiveDate).toEqual(new Date(2024, 2, 15));
+    expect(plan.oldPayment).toBeCloseTo(cents(payment), 6);
+    expect(plan.newPayment).toBeCloseTo(cents(-pmt(0.005, 4, plan.balance)), 6);
+    expect(plan.newMaturity).toEqual(plan.oldMaturity);
+    expect(plan.modification).toEqual({ effectiveDate: new Date(2024, 2, 15) });
+    expect(plan.description).toMatch(/^Recast \(lower payment\): payment \$2,035\.15 to \$1,/);
+
+    // Recorded as a modification, the recast holds through later recalculations
+    const terms = recastTerms({ modifications: [plan.modification] });
+    const recast = recalculateLoanSchedule(terms, periods).periods;
+    const period3 = recast.find(p => p.period === 3);
+    expect(period3.totalDue).toBeCloseTo(plan.newPayment, 6);
+    expect(period3.notes).toBe("(Loan modified)");
+    expect(recalculateLoanSchedule(terms, recast).periods.find(p => p.period === 5).totalDue)
+      .toBeCloseTo(plan.newPayment, 6);
+  });
+
+  test('keep the payment and shorten the term, dropping the rows after it', () => {
+    const periods = paid();
+    const plan = previewLoanRecast(recastTerms(), periods, { method: "Shorter Term", period: 3 });
+    expect(plan.newPayment).toBeCloseTo(cents(payment), 6);
+    expect(plan.newMaturity).toEqual(new Date(2024, 5, 15));
+    expect(plan.modification).toEqual({ effectiveDate: new Date(2024, 2, 15), payment: cents(payment), maturityDate: new Date(2024, 5, 15) });
+    const recast = recalculateLoanSchedule(recastTerms({ modifications: [plan.modification] }), periods).periods;
+    expect(recast.filter(p => Number.isInteger(p.period)).map(p => p.period)).toEqual([1, 2, 3, 4, 5]);
+    expect(recast.find(p => p.period === 4).totalDue).toBeCloseTo(cents(payment), 6);
+  });
+
+  test('bill a target payment, maturing when it pays the loan off', () => {
+    const plan = previewLoanRecast(recastTerms(), paid(), { method: "Target Payment", payment: 3000 });
+    expect(plan.newPayment).toBeCloseTo(3000, 9);
+    expect(plan.newMaturity).toEqual(new Date(2024, 4, 15));
+    expect(plan.description).toBe("Recast (target payment): payment $2,035.15 to $3,000.00; maturity 7/15/2024 to 5/15/2024");
+  });
+
+  test('reject recasts that can\'t be made', () => {
+    const periods = paid();
+    expect(() => previewLoanRecast(recastTerms(), periods, { method: "Target Payment", payment: 20 }))
+      .toThrow("A payment of $20.00 doesn't cover the interest, so it would never pay the loan off.");
+    expect(() => previewLoanRecast(recastTerms(), periods, { method: "Shorter Term", period: 2 }))
+      .toThrow("The payment of $2,035.15 already takes until maturity to pay the loan off.");
+    expect(() => previewLoanRecast(recastTerms(), periods, { method: "Lower Payment", period: 1 }))
+      .toThrow('A recast takes effect with a period from 2 to 6, not "1".');
+    expect(() => previewLoanRecast(recastTerms(), periods, { method: "Skip" }))
+      .toThrow('A recast must be "Lower Payment", "Shorter Term", "Target Payment", not "Skip".');
+    expect(() => previewLoanRecast(recastTerms({ amortizeYN: "No" }), periods, {}))
+      .toThrow("Only amortizing loans with a regular payment frequency can be recast.");
+  });
+});
+
+describe('construction draws', () => {
+  // 100,000 funded at closing, 350,000 drawn later on a 500,000 commitment; converts on 5/15/2024
+  const drawTerms = (overrides) => makeTerms(Object.assign({
+    commitment: 500000,
+    conversionDate: '2024-05-15',
+    draws: [{ date: '2024-02-01', amount: 200000 }, { date: '2024-03-15', amount: 150000 }]
+  }, overrides));
+
+  test('accrue interest on the drawn balance, interest-only until conversion', () => {
+    const { periods } = buildLoanSchedule(drawTerms());
+    // 1/16-2/1 on 100,000, then 2/2-2/14 on 300,000 (30/360)
+    expect(periods[0].interestDue).toBeCloseTo(cents(17 * 100000 * 0.06 / 360) + cents(13 * 300000 * 0.06 / 360), 9);
+    expect(periods[0].principalDue).toBe(0);
+    expect(periods[0].principalBalance).toBe(300000);
+    expect(periods[0].notes).toBe("(Drawn: $200,000.00)");
+    expect(periods[3].interestDue).toBeCloseTo(2250, 9);
+  });
+
+  test('amortize the balance outstanding at conversion', () => {
+    const terms = drawTerms();
+    let { periods } = buildLoanSchedule(terms);
+    expect(periods[4].notes).toBe("(Construction period ends; amortization begins)");
+    expect(periods[4].principalDue + periods[4].interestDue).toBeCloseTo(cents(-pmt(0.005, 8, 450000)), 6);
+    for (let idx = 0; idx < periods.length; idx++) {
+      Object.assign(periods[idx], {
+        paidOn: periods[idx].dueDate, principalPaid: periods[idx].principalDue, interestPaid: periods[idx].interestDue
+      });
+      periods = recalculateLoanSchedule(terms, periods).periods;
+    }
+    expect(periods[11].totalBalance).toBeCloseTo(0, 6);
+  });
+
+  test('charge the unused fee on the undrawn commitment until conversion', () => {
+    const { periods } = buildLoanSchedule(drawTerms({ unusedFeePct: 0.005 }));
+    // 1/16-2/1 on 400,000 undrawn ($94.44), then 2/2-2/14 on 200,000 ($36.11)
+    expect(periods[0].feesDue).toBeCloseTo(130.55, 9);
+    expect(periods[0].notes).toBe("(Drawn: $200,000.00) (Unused fee: $130.55)");
+    expect(periods[3].feesDue).toBeCloseTo(20.83, 9);
+    expect(periods[4].feesDue).toBe(0);
+  });
+
+  test('pay interest from the interest reserve until it runs out', () => {
+    const { periods } = buildLoanSchedule(drawTerms({
+      draws: [{ date: '2024-02-01', amount: 200000, reserve: 3000 }, { date: '2024-03-15', amount: 150000 }]
+    }));
+    expect(periods.slice(0, 3).map(p => p.interestDue)).toEqual([0, 0, 1659.14]);
+    expect(periods[1].notes).toBe("(Paid from interest reserve: $1,500.00)");
+    expect(periods[2].notes).toBe("(Drawn: $150,000.00) (Paid from interest reserve: $566.67)");
+  });
+
+  test('bill an interest-only loan\'s drawn balance at maturity', () => {
+    const { periods } = buildLoanSchedule(drawTerms({ amortizeYN: "No", conversionDate: null }));
+    expect(periods[10].principalDue).toBe(0);
+    expect(periods[11].principalDue).toBe(450000);
+  });
+
+  test('reject draws the loan can\'t take', () => {
+    expect(() => buildLoanParams(drawTerms({ commitment: 0 })))
+      .toThrow("Draws need a commitment amount.");
+    expect(() => buildLoanParams(drawTerms({ commitment: 400000 })))
+      .toThrow("The principal and draws come to $450,000.00, more than the $400,000.00 commitment.");
+    expect(() => buildLoanParams(drawTerms({ draws: [{ date: '2024-06-01', amount: 1000 }] })))
+      .toThrow("The draw on 6/1/2024 comes after the conversion date.");
+    expect(() => buildLoanParams(drawTerms({ draws: [{ date: '2024-03-01', amount: 1000, reserve: 2000 }] })))
+      .toThrow('The draw on 3/1/2024 sets aside "2000" for interest; enter up to the amount drawn, or leave it blank.');
+    expect(() => buildLoanParams(drawTerms({ conversionDate: null })))
+      .toThrow("An amortizing loan with draws needs a conversion date.");
+    expect(() => buildLoanParams(drawTerms({ amortizeYN: "No" })))
+      .toThrow("Only amortizing loans with a regular payment frequency have a conversion date.");
+    expect(() => buildLoanParams(makeTerms({ unusedFeePct: 0.005 })))
+      .toThrow("An unused commitment fee needs a commitment amount.");
+  });
+});
+
+describe('revolving line of credit', () => {
+  // 10,000 advanced at closing on a 25,000 line; minimum payment is interest plus 1% of the balance
+  const lineTerms = (overrides) => makeTerms(Object.assign({
+    principal: 10000,
+    amortizeYN: "No",
+    creditLimit: 25000,
+    minPaymentPct: 0.01
+  }, overrides));
+  const transactions = [
+    { paidOn: '2024-02-01', principalPaid: -20000 },
+    { paidOn: '2024-03-10', principalPaid: 5000 }
+  ];
+
+  test('bill interest on the average daily balance of advances and repayments', () => {
+    const { periods } = buildLoanSchedule(lineTerms(), transactions);
+    // 1/16-2/1 on 10,000, then 2/2-2/14 on 30,000
+    expect(periods[1].interestDue).toBeCloseTo(cents((17 * 10000 + 13 * 30000) / 30 * 0.005), 9);
+    expect(periods[1].notes).toBe("(Average daily balance: $18,666.67) (Over limit: $5,000.00)");
+    expect(periods[0].totalPaid).toBe(0);
+    expect(periods[0].principalBalance).toBe(30000);
+    // 2/15-3/10 on 30,000, then 3/11-3/14 on 25,000
+    expect(periods[3].interestDue).toBeCloseTo(cents((25 * 30000 + 4 * 25000) / 29 * 0.005), 9);
+    expect(periods[2].totalPaid).toBe(5000);
+  });
+
+  test('bill the minimum payment before maturity and the whole balance at it', () => {
+    let { periods } = buildLoanSchedule(lineTerms(), transactions);
+    expect(periods[1].principalDue).toBe(300);
+    expect(periods[3].principalDue).toBe(250);
+    expect(periods[13].principalDue).toBe(25000);
+    // A $500 minimum raises the principal due whenever interest plus 1% comes to less
+    ({ periods } = buildLoanSchedule(lineTerms({ minPayment: 500 }), transactions));
+    expect(periods[1].principalDue + periods[1].interestDue).toBeCloseTo(500, 9);
+    expect(periods[4].principalDue).toBe(375);
+  });
+
+  test('track the credit available, and keep the line open at a zero balance', () => {
+    const { periods } = buildLoanSchedule(lineTerms(), [
+      { period: 1, paidOn: '2024-02-15', principalPaid: 10000, interestPaid: 50 },
+      { paidOn: '2024-04-01', principalPaid: -4000 }
+    ]);
+    expect(periods[0].notes).toBe("(Average daily balance: $10,000.00) (Available: $25,000.00)");
+    expect(periods[1].principalDue).toBe(0);
+    expect(periods[1].interestDue).toBe(0);
+    expect(periods[2].notes).toBe("(Available: $21,000.00)");
+    // 4,000 for 4/2-4/14 of the 31 days from 3/15
+    expect(periods[3].interestDue).toBeCloseTo(cents(13 * 4000 / 31 * 0.005), 9);
+    expect(periods[3].notes).toBe("(Average daily balance: $1,677.42) (Available: $21,000.00)");
+  });
+
+  test('reject a line the schedule can\'t run', () => {
+    expect(() => buildLoanParams(lineTerms({ paymentFreq: "Single Period" })))
+      .toThrow("A revolving line needs a regular payment frequency.");
+    expect(() => buildLoanParams(lineTerms({ commitment: 25000 })))
+      .toThrow("A revolving line takes advances on the schedule, not draws against a commitment.");
+    expect(() => buildLoanParams(makeTerms({ minPaymentPct: 0.01 })))
+      .toThrow("A minimum payment applies only to a revolving line; enter a credit limit.");
+    expect(buildLoanParams(lineTerms({ amortizeYN: "Yes" })).amortizeYN).toBe("No");
+    expect(() => buildLoanSchedule(makeTerms(), transactions))
+      .toThrow("The payment on 2/1/2024 has a negative Principal Paid; only a revolving line (with a credit limit) takes advances.");
+  });
+});
+
+describe('fee table', () => {
+  const feeTerms = (fees, overrides) => makeTerms(Object.assign({ amortizeYN: "No", termMonths: 24, fees }, overrides));
+
+  test('finance a fee at closing, note one paid at closing and bill the rest with the first period', () => {
+    const terms = feeTerms([
+      { name: "Wire fee", amount: 25, timing: "Closing", treatment: "Financed" },
+      { name: "Appraisal fee", amount: 500, timing: "Closing", treatment: "Paid at Closing" },
+      { name: "Document fee", type: "% of Principal", amount: 0.001, timing: "Closing" }
+    ]);
+    const params = buildLoanParams(terms);
+    expect(params.principal).toBe(100025);
+    expect(params.feesPaidAtClosing).toBe(500);
+    const { periods } = buildLoanSchedule(terms);
+    expect(periods[0].feesDue).toBe(100);
+    expect(periods[0].notes).toBe(
+      "(Wire fee of $25.00 added to Principal.) (Appraisal fee of $500.00 paid at closing.) (Fees: Document fee $100.00)"
+    );
+    expect(periods[1].feesDue).toBe(0);
+  });
+
+  test('bill dated and recurring fees on the period they fall due in', () => {
+    const terms = feeTerms([
+      { name: "Servicing fee", type: "% of Balance", amount: 0.0025, timing: "Annually" },
+      { name: "Monitoring fee", amount: 10, timing: "Monthly", date: '2024-06-01' },
+      { name: "Extension fee", type: "% of Principal", amount: 0.01, timing: "On Date", date: '2025-01-20' }
+    ]);
+    const { periods } = buildLoanSchedule(terms, [{ paidOn: '2024-08-01', principalPaid: 50000 }]);
+    expect(periods.filter(p => p.period >= 1 && p.period <= 4).map(p => p.feesDue)).toEqual([0, 0, 0, 0]);
+    expect(periods[4].notes).toBe("(Fees: Monitoring fee $10.00)");
+    // Period 13 (1/15-2/14/2025) takes the anniversary, on the balance at its start, and the extension fee
+    const period13 = periods.find(p => p.period === 13);
+    expect(period13.feesDue).toBe(1135);
+    expect(period13.notes).toBe("(Fees: Servicing fee $125.00; Extension fee $1,000.00; Monitoring fee $10.00)");
+  });
+
+  test('bill a fee at payoff with the final period, or quote it with an earlier payoff', () => {
+    const terms = feeTerms([{ name: "Release fee", amount: 75, timing: "At Payoff" }]);
+    const { periods } = buildLoanSchedule(terms);
+    expect(periods[23].feesDue).toBe(75);
+    expect(periods[23].notes).toBe("(Fees: Release fee $75.00)");
+    expect(quoteLoanPayoff(terms, periods, '2024-09-01').exitFee).toBe(75);
+    const paidOff = buildLoanSchedule(terms, [{ paidOn: '2024-08-01', principalPaid: 100000 }]).periods;
+    expect(paidOff[paidOff.length - 1].feesDue).toBe(0);
+    expect(paidOff[paidOff.length - 1].notes).toBe("");
+  });
+
+  test('take back the fees an earlier recalculation posted', () => {
+    const monthly = [{ name: "Monitoring fee", amount: 10, timing: "Monthly" }];
+    const { periods } = buildLoanSchedule(feeTerms(monthly));
+    expect(periods[1].feesDue).toBe(10);
+    expect(periods[1].feesPosted).toBe(10);
+    periods[1].feesDue += 40;   // a fee entered by hand stays
+    periods[1].notes = "";      // what was posted is tracked apart from the notes
+    const recalculated = recalculateLoanSchedule(feeTerms([]), periods).periods;
+    expect(recalculated[1].feesDue).toBe(40);
+    expect(recalculated[1].notes).toBe("");
+  });
+
+  test('an edited fee table recalculates like a fresh schedule, keeping the payments', () => {
+    const payments = [{ period: 1, paidOn: '2024-02-15', amountReceived: 2000 }];
+    const before = feeTerms([{ name: "Wire fee", amount: 25, timing: "Closing", treatment: "Financed" }],
+      { origFeePct: 0.01, origFeePctString: "1%" });
+    const after = feeTerms([
+      { name: "Appraisal fee", amount: 500, timing: "Closing", treatment: "Financed" },
+      { name: "Monitoring fee", amount: 10, timing: "Monthly" }
+    ], { origFeePct: 0.01, origFeePctString: "1%" });
+    const { periods } = recalculateLoanSchedule(after, buildLoanSchedule(before, payments).periods);
+    expect(periods).toEqual(buildLoanSchedule(after, payments).periods);
+    expect(periods[0].amountReceived).toBe(2000);
+    expect(periods[0].notes).toBe("(1% Origination Fee added to Principal.) (Appraisal fee of $500.00 added to Principal.)");
+    expect(periods[1].feesDue).toBe(10);
+  });
+
+  test('reject fees the schedule can\'t post', () => {
+    expect(() => buildLoanParams(feeTerms([{ name: "", amount: 10, timing: "Closing" }])))
+      .toThrow('A fee needs a name without parentheses, semicolons or "$", not "".');
+    expect(() => buildLoanParams(feeTerms([{ name: "Wire fee", type: "Percent", amount: 10, timing: "Closing" }])))
+      .toThrow('The "Wire fee" fee\'s type must be "Flat", "% of Principal" or "% of Balance", not "Percent".');
+    expect(() => buildLoanParams(feeTerms([{ name: "Wire fee", amount: "ten", timing: "Closing" }])))
+      .toThrow('The "Wire fee" fee has an amount of "ten"; enter an amount over 0.');
+    expect(() => buildLoanParams(feeTerms([{ name: "Wire fee", amount: 10 }])))
+      .toThrow('The "Wire fee" fee is due ""; enter "Closing", "On Date", "Annually", "Monthly" or "At Payoff".');
+    expect(() => buildLoanParams(feeTerms([{ name: "Extension fee", amount: 10, timing: "On Date", date: '2026-03-01' }])))
+      .toThrow('The "Extension fee" fee needs a date after closing and within the term, not "2026-03-01".');
+    expect(() => buildLoanParams(feeTerms([{ name: "Servicing fee", amount: 10, timing: "Annually", treatment: "Financed" }])))
+      .toThrow('The "Servicing fee" fee comes due after closing, so it can only be billed.');
+  });
+});
+
+describe('prepayment premium', () => {
+  const premiumTerms = (overrides) => makeTerms(Object.assign({ termMonths: 60 }, overrides));
+  const prepayment = [{ paidOn: '2025-04-10', principalPaid: 10000 }];
+  const prepaidRow = (periods) => periods.find(p => !Number.isInteger(p.period));
+  // The interest 10,000 interest-only would earn over a 4% treasury for `count` months, discounted at 4%
+  const lostInterest = (count) => 10000 * (0.02 / 12) * (1 - Math.pow(1 + 0.04 / 12, -count)) / (0.04 / 12);
+
+  test('post a stepdown premium for the loan year to the prepayment\'s Fees Due', () => {
+    const terms = premiumTerms({ prepaymentPremium: "Stepdown", premiumSchedule: "5-4-3-2-1" });
+    const { periods } = buildLoanSchedule(terms, prepayment);
+    const row = prepaidRow(periods);
+    expect(row.feesDue).toBe(400);   // loan year 2
+    expect(row.notes).toBe("(Prepayment premium: $400.00)");
+    expect(row.totalBalance - row.principalBalance - row.interestBalance).toBeCloseTo(400, 6);
+    // A recalculation figures it again rather than adding another
+    expect(prepaidRow(recalculateLoanSchedule(terms, periods).periods).feesDue).toBe(400);
+    const noPremium = recalculateLoanSchedule(premiumTerms(), periods).periods;
+    expect(prepaidRow(noPremium).feesDue).toBe(0);
+    expect(prepaidRow(noPremium).notes).toBe("");
+    // Paying off on 6/20/2025 owes 4% of the principal then
+    const quote = quoteLoanPayoff(terms, periods, '2025-06-20');
+    expect(quote.prepaymentPremium).toBe(Math.round(quote.principal * 4) / 100);
+    expect(quote.total).toBeCloseTo(quote.principal + quote.interest + quote.fees + quote.prepaymentPremium, 6);
+  });
+
+  test('price yield maintenance and defeasance against the treasury rate', () => {
+    const terms = (overrides) => premiumTerms(Object.assign({ amortizeYN: "No", treasuryRate: 0.04 }, overrides));
+    // 46 due dates are left after 4/10/2025 (4/15/2025 through 1/15/2029)
+    const defeased = prepaidRow(buildLoanSchedule(terms({ prepaymentPremium: "Defeasance" }), prepayment).periods);
+    expect(defeased.feesDue).toBeCloseTo(lostInterest(46), 2);
+    // Yield maintenance stops at the open window (from 1/15/2028), but is at least its minimum
+    const ym = prepaidRow(buildLoanSchedule(terms({ prepaymentPremium: "Yield Maintenance", openMonths: 12 }), prepayment).periods);
+    expect(ym.feesDue).toBeCloseTo(lostInterest(34), 2);
+    const ymMinimum = terms({ prepaymentPremium: "Yield Maintenance", openMonths: 12, premiumSchedule: "6%" });
+    expect(prepaidRow(buildLoanSchedule(ymMinimum, prepayment).periods).feesDue).toBe(600);
+    // A treasury rate above the note rate owes nothing
+    const higher = terms({ prepaymentPremium: "Yield Maintenance", treasuryRate: 0.07 });
+    expect(prepaidRow(buildLoanSchedule(higher, prepayment).periods).notes).toBe("");
+  });
+
+  test('flag a prepayment in the lockout and charge nothing in the open window', () => {
+    const locked = premiumTerms({ lockoutMonths: 24 });
+    const { periods } = buildLoanSchedule(locked, prepayment);
+    expect(prepaidRow(periods).notes).toBe("(Prepaid during lockout)");
+    expect(() => quoteLoanPayoff(locked, periods, '2025-06-20'))
+      .toThrow("The loan can't be prepaid before 1/15/2026 (the lockout).");
+    expect(quoteLoanPayoff(locked, periods, '2026-02-01').prepaymentPremium).toBe(0);
+
+    const open = premiumTerms({ prepaymentPremium: "Stepdown", premiumSchedule: "5,4,3,2,1", openMonths: 48 });
+    expect(prepaidRow(buildLoanSchedule(open, prepayment).periods).feesDue || 0).toBe(0);
+  });
+
+  test('reject premium terms the schedule can\'t apply', () => {
+    expect(() => buildLoanParams(premiumTerms({ prepaymentPremium: "Make Whole" })))
+      .toThrow('Prepayment Premium must be "None", "Stepdown", "Yield Maintenance" or "Defeasance", not "Make Whole".');
+    expect(() => buildLoanParams(premiumTerms({ prepaymentPremium: "Stepdown" })))
+      .toThrow("A stepdown premium needs a percentage for each loan year (e.g. 5-4-3-2-1).");
+    expect(() => buildLoanParams(premiumTerms({ prepaymentPremium: "Stepdown", premiumSchedule: "5-four-3" })))
+      .toThrow('The premium schedule lists percentages like 5-4-3-2-1, not "5-four-3".');
+    expect(() => buildLoanParams(premiumTerms({ prepaymentPremium: "Yield Maintenance" })))
+      .toThrow('Yield Maintenance needs a treasury rate of 0 or more, not "".');
+    expect(() => buildLoanParams(premiumTerms({ prepaymentPremium: "Defeasance", treasuryRate: 0.04, premiumSchedule: "1" })))
+      .toThrow("A premium schedule only applies to a stepdown or yield maintenance premium.");
+    expect(() => buildLoanParams(premiumTerms({ lockoutMonths: 12, creditLimit: 150000 })))
+      .toThrow("A revolving line can be repaid at any time; it has no prepayment premium or lockout.");
+  });
+});
+
+describe('origination fee and prepaid interest treatment', () => {
+  const closingTerms = (overrides) => makeTerms(Object.assign({
+    dayCountMethod: "Actual", daysPerYear: 365, origFeePct: 0.01, prepaidIntDate: new Date(2024, 0, 31)
+  }, overrides));
+  // Closing day through 1/31 (17 days) on 100,000 at 6%
+  const prepaidInterest = cents(100000 * 0.06 * 17 / 365);
+
+  test('withhold the fee and prepaid interest from the proceeds instead of financing them', () => {
+    const terms = closingTerms({ origFeeTreatment: "Withheld", prepaidIntTreatment: "Withheld" });
+    const params = buildLoanParams(terms);
+    expect(params.principal).toBe(100000);
+    expect(params.financedFee).toBe(0);
+    expect(params.financedPrepaidInterest).toBe(0);
+    expect(params.prepaidInterest).toBeCloseTo(prepaidInterest, 10);
+    expect(params.netProceeds).toBeCloseTo(100000 - 1000 - prepaidInterest, 10);
+
+    const { periods } = buildLoanSchedule(terms);
+    expect(periods[0].feesDue).toBe(1000);
+    expect(periods[0].feesPaid).toBe(1000);
+    expect(periods[0].notes).toBe("(1% Origination Fee of $1,000.00 withheld from proceeds.) " +
+      "($279.45 of Prepaid Interest withheld from proceeds.) (Net proceeds: $98,720.55)");
+    expect(periods[0].totalBalance).toBeCloseTo(periods[0].principalBalance + periods[0].interestBalance, 6);
+  });
+
+  test('collect the fee in cash, and keep it out of the first Amount Received', () => {
+    const terms = closingTerms({ origFeeTreatment: "Paid in Cash", prepaidIntTreatment: "Paid in Cash" });
+    expect(buildLoanParams(terms).netProceeds).toBe(100000);
+    const { periods } = buildLoanSchedule(terms);
+    expect(periods[0].notes).toBe("(1% Origination Fee of $1,000.00 paid in cash at closing.) " +
+      "($279.45 of Prepaid Interest paid in cash at closing.)");
+    const installment = periods[0].principalDue + periods[0].interestDue;
+    const paid = buildLoanSchedule(terms, [{ period: 1, paidOn: '2024-02-15', amountReceived: installment }]).periods;
+    expect(paid[0].feesPaid).toBe(1000);
+    // The whole amount received goes to the installment
+    expect(paid[0].principalPaid + paid[0].interestPaid).toBeCloseTo(installment, 6);
+    expect(paid[0].totalPaid).toBeCloseTo(installment + 1000, 6);
+  });
+
+  test('finance a mix, and reject an unknown treatment', () => {
+    const params = buildLoanParams(closingTerms({ prepaidIntTreatment: "Withheld" }));
+    expect(params.principal).toBeCloseTo(101000, 10);
+    expect(params.prepaidInterest).toBeCloseTo(cents(101000 * 0.06 * 17 / 365), 10);
+    expect(buildLoanSchedule(closingTerms({ prepaidIntTreatment: "Withheld" })).periods[0].notes)
+      .toBe("(1% Origination Fee added to Principal.) ($282.25 of Prepaid Interest withheld from proceeds.) (Net proceeds: $99,717.75)");
+    expect(() => buildLoanParams(closingTerms({ origFeeTreatment: "Deducted" })))
+      .toThrow('The origination fee must be "Financed", "Withheld" or "Paid in Cash", not "Deducted".');
+    expect(() => buildLoanParams(closingTerms({ prepaidIntTreatment: "Cash" })))
+      .toThrow('Prepaid interest must be "Financed", "Withheld" or "Paid in Cash", not "Cash".');
+  });
+});
+
+describe('yield analytics', () => {
+  // Present value of `count` monthly payments at a monthly rate (the unrounded installment, so
+  // within a few cents of the schedule's whole-cent ones)
+  const annuity = (payment, rate, count) => payment * (1 - Math.pow(1 + rate, -count)) / rate;
+
+  test('the APR of a loan with no finance charges up front is its note rate', () => {
+    const terms = makeTerms({ asOfDate: new Date(2025, 5, 1) });
+    const { periods } = buildLoanSchedule(terms);
+    const analytics = loanYieldAnalytics(terms, periods);
+    expect(analytics.amountFinanced).toBe(100000);
+    expect(analytics.totalOfPayments).toBeCloseTo(periods.reduce((sum, p) => sum + p.totalDue, 0), 6);
+    expect(analytics.totalOfPayments).toBeCloseTo(-12 * pmt(0.005, 12, 100000), 1);
+    expect(analytics.financeCharge).toBeCloseTo(analytics.totalOfPayments - 100000, 6);
+    expect(analytics.apr).toBeCloseTo(0.06, 6);
+    // Compounded monthly the yield is the note rate again; XIRR counts actual days, so it is close
+    expect(analytics.nominalYield).toBeCloseTo(0.06, 3);
+    expect(analytics.effectiveYield).toBeCloseTo(Math.pow(1.005, 12) - 1, 3);
+  });
+
+  test('a financed or withheld origination fee is a prepaid finance charge that raises the APR', () => {
+    const installment = -pmt(0.005, 12, 101000);
+    const financed = makeTerms({ origFeePct: 0.01 });
+    const analytics = loanYieldAnalytics(financed, buildLoanSchedule(financed).periods);
+    expect(analytics.amountFinanced).toBeCloseTo(100000, 6);
+    expect(analytics.financeCharge).toBeCloseTo(12 * installment - 100000, 1);
+    expect(annuity(installment, analytics.apr / 12, 12)).toBeCloseTo(100000, 1);
+    expect(analytics.apr).toBeGreaterThan(0.0785);
+
+    // Withheld: the payments are on 100,000 but only 99,000 is advanced
+    const withheld = makeTerms({ origFeePct: 0.01, origFeeTreatment: "Withheld" });
+    const net = loanYieldAnalytics(withheld, buildLoanSchedule(withheld).periods);
+    expect(net.amountFinanced).toBeCloseTo(99000, 6);
+    expect(net.totalOfPayments).toBeCloseTo(-12 * pmt(0.005, 12, 100000), 1);
+    expect(annuity(-pmt(0.005, 12, 100000), net.apr / 12, 12)).toBeCloseTo(99000, 1);
+  });
+
+  test('an odd first period is a fraction of a unit period', () => {
+    // Closing 1/31 with payments due on the 1st: the first payment is a month and a day out
+    const terms = makeTerms({ closingDate: new Date(2024, 0, 31) });
+    const analytics = loanYieldAnalytics(terms, buildLoanSchedule(terms).periods);
+    const installment = -pmt(0.005, 12, 100000);
+    const i = analytics.apr / 12;
+    expect(annuity(installment, i, 12) / (1 + i / 30)).toBeCloseTo(100000, 1);
+    expect(analytics.apr).toBeLessThan(0.06);
+  });
+
+  test('XIRR follows the payments actually made, and values what is still owed at par', () => {
+    const terms = makeTerms({ asOfDate: new Date(2025, 5, 1) });
+    const { periods } = buildLoanSchedule(terms);
+    const onTime = periods.map(p => ({ period: p.period, paidOn: p.dueDate, amountReceived: p.totalDue }));
+    const paid = loanYieldAnalytics(terms, buildLoanSchedule(terms, onTime).periods);
+    expect(paid.balanceOwed).toBeCloseTo(0, 6);
+    expect(paid.xirr).toBeCloseTo(paid.effectiveYield, 6);
+
+    // Paid late, in one sum: the return is lower
+    const late = [{ period: 12, paidOn: '2025-03-15', amountReceived: 12 * periods[0].totalDue }];
+    const slow = loanYieldAnalytics(terms, buildLoanSchedule(terms, late).periods);
+    expect(slow.xirr).toBeLessThan(paid.xirr);
+
+    // Nothing paid yet, as of closing: no return to measure
+    const early = makeTerms({ asOfDate: new Date(2024, 0, 20) });
+    expect(loanYieldAnalytics(early, buildLoanSchedule(early).periods).xirr).toBeNull();
+  });
+});
+
+describe('truth-in-lending disclosure', () => {
+  test('treat the financed origination fee as a prepaid finance charge', () => {
+    const terms = makeTerms({ origFeePct: 0.01 });
+    const disclosure = loanDisclosure(terms);
+    const installment = cents(-pmt(0.005, 12, 101000));
+    expect(disclosure.principal).toBe(101000);
+    expect(disclosure.prepaidFinanceCharges).toEqual([{ name: "Origination fee", amount: 1000 }]);
+    expect(disclosure.amountFinanced).toBe(100000);
+    expect(disclosure.paymentSchedule).toEqual([
+      { count: 12, amount: installment, firstDue: new Date(2024, 1, 15), lastDue: new Date(2025, 0, 15) }
+    ]);
+    expect(disclosure.totalOfPayments).toBeCloseTo(12 * installment, 6);
+    expect(disclosure.financeCharge).toBeCloseTo(12 * installment - 100000, 6);
+    // The APR matches the yield analytics on the same schedule
+    expect(disclosure.apr).toBeCloseTo(loanYieldAnalytics(terms, buildLoanSchedule(terms).periods).apr, 6);
+    expect(disclosure.lateFee).toBeNull();
+    expect(disclosure.prepaymentPenalty).toBe(false);
+  });
+
+  test('itemize withheld and cash charges, and list a changing payment as separate runs', () => {
+    const terms = makeTerms({
+      amortizeYN: "No", dayCountMethod: "Actual", daysPerYear: 365,
+      prepaidIntDate: new Date(2024, 0, 31), prepaidIntTreatment: "Withheld",
+      fees: [
+        { name: "Appraisal fee", amount: 500, timing: "Closing", treatment: "Paid at Closing" },
+        { name: "Document fee", amount: 100, timing: "Closing" }
+      ],
+      lateFeeFlat: 25, graceDays: 10,
+      prepaymentPremium: "Stepdown", premiumSchedule: "2-1"
+    });
+    const disclosure = loanDisclosure(terms);
+    expect(disclosure.principal).toBe(100000);
+    expect(disclosure.prepaidFinanceCharges).toEqual([
+      { name: "Prepaid interest", amount: 279.45 },
+      { name: "Appraisal fee", amount: 500 }
+    ]);
+    expect(disclosure.amountFinanced).toBeCloseTo(100000 - 279.45 - 500, 6);
+    // Interest-only: the billed document fee joins the first payment, and the last repays the principal
+    const runs = disclosure.paymentSchedule;
+    expect(runs[0].count).toBe(1);
+    expect(runs[runs.length - 1].count).toBe(1);
+    expect(runs[runs.length - 1].amount).toBeGreaterThan(100000);
+    expect(runs.reduce((sum, run) => sum + run.count, 0)).toBe(12);
+    expect(disclosure.financeCharge).toBeCloseTo(disclosure.totalOfPayments - disclosure.amountFinanced, 6);
+    expect(disclosure.apr).toBeGreaterThan(0.06);
+    expect(disclosure.lateFee).toEqual({ flat: 25, pct: 0, min: 0, max: 0, graceDays: 10 });
+    expect(disclosure.prepaymentPenalty).toBe(true);
+  });
+
+  test('refuse a revolving line, which is open-end credit', () => {
+    expect(() => loanDisclosure(makeTerms({ amortizeYN: "No", creditLimit: 25000, minPaymentPct: 0.01 })))
+      .toThrow("A revolving line is open-end credit; the Truth-in-Lending disclosure is for closed-end loans.");
+  });
+});
+
+describe('cent rounding', () => {
+  // Pay each installment as billed, one at a time, so each recalculation sees the payments before it
+  const payAsBilled = (terms) => {
+    const payments = [];
+    let { periods } = buildLoanSchedule(terms);
+    for (let k = 0; k < periods.length; k++) {
+      payments.push({ period: periods[k].period, paidOn: periods[k].dueDate, amountReceived: periods[k].totalDue });
+      periods = buildLoanSchedule(terms, payments).periods;
+    }
+    return periods;
+  };
+  const inCents = (amount) => Math.abs(amount * 100 - Math.round(amount * 100)) < 1e-7;
+
+  test('bill whole cents, with the final installment taking up the residual', () => {
+    const periods = buildLoanSchedule(makeTerms({ roundingMethod: "Half-Up" })).periods;
+    const payment = cents(-pmt(0.005, 12, 100000));
+    expect(periods[0].totalDue).toBe(payment);
+    expect(periods[0].interestDue).toBe(500);
+    periods.forEach(period => {
+      ['totalDue', 'principalDue', 'interestDue', 'principalBalance', 'interestBalance', 'totalBalance']
+        .forEach(field => expect(inCents(period[field])).toBe(true));
+    });
+    // The final principal is whatever the rounded installments left
+    const last = periods[periods.length - 1];
+    const earlierPrincipal = periods.slice(0, -1).reduce((sum, period) => sum + period.principalDue, 0);
+    expect(last.principalDue).toBeCloseTo(100000 - earlierPrincipal, 6);
+    expect(last.totalDue).not.toBe(payment);
+  });
+
+  test('end at exactly $0.00 when every installment is paid as billed', () => {
+    [
+      makeTerms({ roundingMethod: "Half-Up" }),
+      makeTerms({ roundingMethod: "Banker's", dayCountMethod: "Actual", daysPerYear: 365 }),
+      makeTerms({ roundingMethod: "Half-Up", dayCountMethod: "Actual/360" }),
+      makeTerms({ roundingMethod: "Banker's", amortizeYN: "No" }),
+      makeTerms({ dayCountMethod: "Actual/360" })   // half-up when blank
+    ].forEach(terms => {
+      const periods = payAsBilled(terms);
+      const last = periods[periods.length - 1];
+      expect(last.principalBalance).toBe(0);
+      expect(last.interestBalance).toBe(0);
+      expect(last.totalBalance).toBe(0);
+    });
+  });
+
+  test('true up only the rounding on an unpaid schedule, not the interest on its unpaid installments', () => {
+    const terms = makeTerms({ roundingMethod: "Half-Up" });
+    const periods = buildLoanSchedule(terms).periods;
+    const payment = -pmt(0.005, 12, 100000);
+    expect(periods.length).toBe(12);
+    periods.forEach(period => expect(Math.abs(period.totalDue - payment)).toBeLessThan(0.1));
+    const analytics = loanYieldAnalytics(terms, periods);
+    expect(Math.abs(analytics.financeCharge - (12 * payment - 100000))).toBeLessThan(0.1);
+    expect(analytics.apr).toBeCloseTo(0.06, 5);
+    expect(loanDisclosure(terms).apr).toBeCloseTo(0.06, 5);
+  });
+
+  test('round fees, premiums and payoff quotes by the rounding method', () => {
+    // An unused fee of $21.125 on the 50,000 left undrawn in period 4
+    const drawn = (roundingMethod) => buildLoanSchedule(makeTerms({
+      commitment: 500000, conversionDate: '2024-05-15', unusedFeePct: 0.00507, roundingMethod,
+      draws: [{ date: '2024-02-01', amount: 200000 }, { date: '2024-03-15', amount: 150000 }]
+    })).periods[3];
+    expect(drawn("Half-Up").feesDue).toBe(21.13);
+    expect(drawn("Banker's").feesDue).toBe(21.12);
+    expect(drawn("Banker's").notes).toBe("(Unused fee: $21.12)");
+
+    // A 1% premium on 1,012.50 of principal prepaid
+    const prepaid = (roundingMethod) => buildLoanSchedule(makeTerms({
+      termMonths: 60, amortizeYN: "No", prepaymentPremium: "Stepdown", premiumSchedule: "1-1-1-1-1", roundingMethod
+    }), [{ paidOn: '2024-06-10', principalPaid: 1012.5 }]).periods.find(p => !Number.isInteger(p.period));
+    expect(prepaid("Half-Up").feesDue).toBe(10.13);
+    expect(prepaid("Banker's").feesDue).toBe(10.12);
+    expect(prepaid("Banker's").notes).toBe("(Prepayment premium: $10.12)");
+
+    // 13 days' interest at $15.225 a day
+    const quote = (roundingMethod) => {
+      const terms = makeTerms({ termMonths: 4, amortizeYN: "No", annualRate: 0.05481, dayCountMethod: "Actual/360", roundingMethod });
+      const billed = buildLoanSchedule(terms).periods[0].totalDue;
+      const { periods } = buildLoanSchedule(terms, [{ period: 1, paidOn: '2024-02-15', amountReceived: billed }]);
+      return quoteLoanPayoff(terms, periods, '2024-02-27');
+    };
+    expect(quote("Half-Up").interest).toBe(197.93);
+    expect(quote("Banker's").interest).toBe(197.92);
+    expect(quote("Banker's").total).toBe(100197.92);
+  });
+
+  test('reject an unknown rounding method', () => {
+    expect(() => buildLoanParams(makeTerms({ roundingMethod: "Up" })))
+      .toThrow('Rounding must be "Half-Up" or "Banker\'s", not "Up".');
+    expect(buildLoanParams(makeTerms()).roundingMethod).toBe("Half-Up");
+    expect(buildLoanParams(makeTerms({ origFeePct: 0.012345, roundingMethod: "Banker's" })).origFee).toBe(1234.5);
+  });
+});
+
+describe('recalculateLoanSchedule', () => {
+  test('recalculates an exported schedule with edited payments', () => {
+    const { periods } = buildLoanSchedule(makeTerms({ amortizeYN: "No" }));
+    periods[0].interestPaid = 500;
+    periods[0].paidOn = '2024-02-15';
+    const result = recalculateLoanSchedule(makeTerms({ amortizeYN: "No" }), periods);
+    expect(result.periods[0].totalPaid).toBe(500);
+    expect(result.periods[0].paidOn).toBeInstanceOf(Date);
+    expect(result.periods[0].interestBalance).toBeCloseTo(0, 6);
+    expect(result.periods[1].interestBalance).toBeCloseTo(500, 6);
+  });
+
+  test('rowToPeriod and periodToRow round-trip a row', () => {
+    const row = [1, new Date(2024, 1, 14), new Date(2024, 1, 15), 30, "", 10, 0, 5, 0, 5, 0, 0, 0, 5, 95, 100, "note", 0.06, 10, 0];
+    expect(periodToRow(rowToPeriod(row))).toEqual(row);
+  });
+});
@@ -1,6 +1,21 @@
 // tests/loanHelpers.test.js
 
-const { separateRows, applyUnscheduledPaymentsForPeriod, calculateDueAmounts } = require('../LoanHelpers.js');
+const {
+  PAYMENT_WATERFALL,
+  parsePaymentWaterfall,
+  allocatePayment,
+  calcDefaultWindow,
+  accrueDefaultInterest,
+  separateRows,
+  averageAnnualRate,
+  roundCents,
+  toCents,
+  roundToCents,
+  formatMoney,
+  calcLateFee,
+  applyUnscheduledPaymentsForPeriod,
+  calculateDueAmounts
+} = require('../LoanHelpers.js');
 
 // jest setup file or top of test file:
 require('gas-mock-globals');  // This will automatically define SpreadsheetApp, etc.
@@ -46,11 +61,14 @@ describe('applyUnscheduledPaymentsForPeriod', () => {
       perDiemRate: 0.01 // 1% per day for easy calculation
     };
     const unscheduledRows = [];
-    const result = applyUnscheduledPaymentsForPeriod(
-      1, periodStart, periodEnd, params,
-      unscheduledRows, 0,
-      1000, 0, 0
-    );
+    const result = applyUnscheduledPaymentsForPeriod({
+      periodNum: 1,
+      periodStart,
+      periodEnd,
+      params,
+      unscheduledRows,
+      runningPrincipal: 1000
+    });
     // 31 days at 1% per day on principal 1000 => interestAccrued ~ 310
     expect(result.runningPrincipal).toBe(1000);
     expect(result.runningInterest).toBeCloseTo(310, 5);
@@ -78,11 +96,14 @@ describe('applyUnscheduledPaymentsForPeriod', () => {
     unschedRow[11] = 0;         // Fees Due (M)
     unschedRow[12] = 0;         // Fees Paid (N)
     const unscheduledRows = [{ rowIndex: 0, rowData: unschedRow }];
-    const result = applyUnscheduledPaymentsForPeriod(
-      2, periodStart, periodEnd, params,
-      unscheduledRows, 0,
-      1000, 0, 0
-    );
+    const result = applyUnscheduledPaymentsForPeriod({
+      periodNum: 2,
+      periodStart,
+      periodEnd,
+      params,
+      unscheduledRows,
+      runningPrincipal: 1000
+    });
     // Principal should reduce by the unscheduled principal payment
     expect(result.runningPrincipal).toBe(800);
     // Interest accrued up to the payment date (Jan 15) is 15 days at 0.1% per day on principal
@@ -122,11 +143,14 @@ describe('applyUnscheduledPaymentsForPeriod', () => {
     unschedRow[11] = 0;
     unschedRow[12] = 0;
     const unscheduledRows = [{ rowIndex: 0, rowData: unschedRow }];
-    const result = applyUnscheduledPaymentsForPeriod(
-      1, periodStart, periodEnd, params,
-      unscheduledRows, 0,
-      1000, 0, 0
-    );
+    const result = applyUnscheduledPaymentsForPeriod({
+      periodNum: 1,
+      periodStart,
+      periodEnd,
+      params,
+      unscheduledRows,
+      runningPrincipal: 1000
+    });
     // Principal should drop by 500 due to unscheduled payment
     expect(result.runningPrincipal).toBe(500);
     // After payment on Jan 5, no interest remains at that moment (interest paid covered it)
@@ -140,6 +164,187 @@ describe('applyUnscheduledPaymentsForPeriod', () => {
     expect(result.unschedIndex).toBe(1);
     expect(result.unscheduledPrincipalPaid).toBe(500);
   });
+
+  test('adds a draw to the principal, bearing interest from the day after it', () => {
+    const params = {
+      paymentFreq: "Monthly",
+      dayCountMethod: "Actual",
+      perDiemRate: 0.002 // 0.2% per day
+    };
+    const result = applyUnscheduledPaymentsForPeriod({
+      periodNum: 1,
+      periodStart: new Date(2025, 0, 1),
+      periodEnd: new Date(2025, 0, 10),
+      params,
+      runningPrincipal: 1000,
+      draws: [{ date: new Date(2025, 0, 5), amount: 1000 }]
+    });
+    // Jan 1-5 on 1000 (10), then Jan 6-10 on 2000 (20)
+    expect(result.runningPrincipal).toBe(2000);
+    expect(result.interestAccrued).toBeCloseTo(30, 9);
+  });
+});
+
+describe('step rates', () => {
+  const params = {
+    paymentFreq: "Monthly",
+    dayCountMethod: "Actual",
+    daysPerYear: 360,
+    annualRate: 0.08,
+    perDiemRate: 0.08 / 360,
+    rateSteps: [{ date: new Date(2025, 0, 11), rate: 0.09 }, { date: new Date(2025, 0, 21), rate: 0.12 }]
+  };
+
+  test('averageAnnualRate weights each step by the days it covers', () => {
+    // Jan 1–10 at 8%, Jan 11–20 at 9%, Jan 21–30 at 12%
+    expect(averageAnnualRate(params, new Date(2025, 0, 1), new Date(2025, 0, 30))).toBeCloseTo(0.29 / 3, 12);
+    expect(averageAnnualRate(params, new Date(2025, 0, 12), new Date(2025, 0, 15))).toBe(0.09);
+    expect(averageAnnualRate(params, new Date(2024, 11, 1), new Date(2024, 11, 31))).toBe(0.08);
+  });
+
+  test('splits accrual within a period at each rate change', () => {
+    const result = applyUnscheduledPaymentsForPeriod({
+      periodNum: 1,
+      periodStart: new Date(2025, 0, 1),
+      periodEnd: new Date(2025, 0, 30),
+      params,
+      runningPrincipal: 36000
+    });
+    // 10 days each at 8%, 9% and 12% on 36,000 (1 per day for each 1%)
+    expect(result.interestAccrued).toBeCloseTo(80 + 90 + 120, 6);
+  });
+});
+
+describe('payment waterfall', () => {
+  const owed = { fees: 10, pastDueInterest: 20, currentInterest: 30, principal: 100 };
+
+  test('parsePaymentWaterfall reads a list of buckets and defaults when blank', () => {
+    expect(parsePaymentWaterfall("")).toEqual(PAYMENT_WATERFALL);
+    expect(parsePaymentWaterfall("current interest, PRINCIPAL,fees")).toEqual(["Current Interest", "Principal", "Fees"]);
+    expect(() => parsePaymentWaterfall("Fees, Escrow")).toThrow(/Unknown payment waterfall step "Escrow"/);
+  });
+
+  test('allocatePayment pays each bucket in order and returns the excess', () => {
+    expect(allocatePayment(45, owed, PAYMENT_WATERFALL))
+      .toEqual({ fees: 10, pastDueInterest: 20, currentInterest: 15, principal: 0, excess: 0 });
+    expect(allocatePayment(200, owed, ["Principal", "Current Interest"]))
+      .toEqual({ fees: 0, pastDueInterest: 0, currentInterest: 30, principal: 100, excess: 70 });
+  });
+
+  test('splits an unscheduled amount received across fees, interest and principal', () => {
+    const params = { paymentFreq: "Monthly", dayCountMethod: "Actual/360", annualRate: 0.36 };
+    const unschedRow = new Array(19).fill("");
+    unschedRow[0] = 0.5;
+    unschedRow[4] = new Date(2025, 0, 10);
+    unschedRow[11] = 3;   // Fees Due
+    unschedRow[18] = 100; // Amount Received
+    const result = applyUnscheduledPaymentsForPeriod({
+      periodNum: 1,
+      periodStart: new Date(2025, 0, 1),
+      periodEnd: new Date(2025, 0, 10),
+      params,
+      unscheduledRows: [{ rowIndex: 0, rowData: unschedRow }],
+      runningPrincipal: 1000,
+      runningInterest: 5
+    });
+    // 3 fees, 5 past-due interest, 10 days at 1 per day of current interest, 82 excess to principal
+    expect(unschedRow[12]).toBe(3);
+    expect(unschedRow[10]).toBeCloseTo(15, 9);
+    expect(unschedRow[8]).toBeCloseTo(82, 9);
+    expect(result.runningPrincipal).toBeCloseTo(918, 9);
+    expect(result.runningInterest).toBeCloseTo(0, 9);
+    expect(result.suspense).toBe(0);
+  });
+
+  test('holds the excess in suspense when configured to', () => {
+    // In cents, as the recalculation carries amounts: $100.00 received on a $1,000.00 balance
+    const params = { paymentFreq: "Monthly", dayCountMethod: "Actual/360", annualRate: 0.36, excessTo: "Suspense" };
+    const unschedRow = new Array(19).fill("");
+    unschedRow[0] = 0.5;
+    unschedRow[4] = new Date(2025, 0, 10);
+    unschedRow[18] = 10000;
+    const result = applyUnscheduledPaymentsForPeriod({
+      periodNum: 1,
+      periodStart: new Date(2025, 0, 1),
+      periodEnd: new Date(2025, 0, 10),
+      params,
+      unscheduledRows: [{ rowIndex: 0, rowData: unschedRow }],
+      runningPrincipal: 100000
+    });
+    expect(unschedRow[10]).toBe(1000);
+    expect(unschedRow[8]).toBe(0);
+    expect(result.runningPrincipal).toBe(100000);
+    expect(result.suspense).toBe(9000);
+    expect(unschedRow[16]).toBe("(Held in suspense: $90.00)");
+  });
+});
+
+describe('default interest', () => {
+  const params = { dayCountMethod: "Actual", daysPerYear: 360, defaultMargin: 0.036 };
+
+  test('calcDefaultWindow runs from the trigger day until the payment, or open-ended if unpaid', () => {
+    const row = new Array(19).fill("");
+    row[2] = new Date(2025, 0, 1);   // due Jan 1
+    row[9] = 100;                    // Interest Due
+    row[4] = new Date(2025, 0, 20);
+    expect(calcDefaultWindow(row, 10, new Date(2025, 5, 1), false))
+      .toEqual({ start: new Date(2025, 0, 12), end: new Date(2025, 0, 19) });
+    expect(calcDefaultWindow(row, 30, new Date(2025, 5, 1), false)).toBeNull();
+    row[4] = "";
+    expect(calcDefaultWindow(row, 10, new Date(2025, 0, 11), false)).toBeNull();
+    expect(calcDefaultWindow(row, 10, new Date(2025, 0, 12), false)).toEqual({ start: new Date(2025, 0, 12), end: null });
+  });
+
+  test('accrueDefaultInterest counts overlapping windows once', () => {
+    const windows = [
+      { start: new Date(2025, 0, 5), end: new Date(2025, 0, 14) },
+      { start: new Date(2025, 0, 10), end: null }
+    ];
+    // Jan 5..Jan 31: 27 days at 0.01% a day
+    expect(accrueDefaultInterest(params, 1000, windows, new Date(2025, 0, 1), new Date(2025, 0, 31)))
+      .toBeCloseTo(1000 * 0.036 * 27 / 360, 9);
+    expect(accrueDefaultInterest(Object.assign({}, params, { defaultMargin: 0 }), 1000, windows,
+      new Date(2025, 0, 1), new Date(2025, 0, 31))).toBe(0);
+  });
+});
+
+describe('roundToCents', () => {
+  test('round half a cent up, or to the even cent, half-up without a method', () => {
+    expect(roundToCents(0.125, "Half-Up")).toBe(0.13);
+    expect(roundToCents(0.125, "Banker's")).toBe(0.12);
+    expect(roundToCents(0.135, "Banker's")).toBe(0.14);
+    expect(roundToCents(-0.125, "Half-Up")).toBe(-0.13);
+    // 1.005 is stored just under a half cent, but still rounds as one
+    expect(roundToCents(1.005, "Half-Up")).toBe(1.01);
+    expect(roundToCents(1.005, "Banker's")).toBe(1);
+    expect(roundToCents(8606.642970708235, "Banker's")).toBe(8606.64);
+    expect(roundToCents(1.005, undefined)).toBe(1.01);
+  });
+
+  test('count whole cents, leaving a whole count alone', () => {
+    expect(toCents(1.005, "Half-Up")).toBe(101);
+    expect(toCents(1.005, "Banker's")).toBe(100);
+    expect(toCents(-0.125, "Half-Up")).toBe(-13);
+    expect(toCents(0.001, "Half-Up")).toBe(0);
+    expect(roundCents(1012.5, "Half-Up")).toBe(1013);
+    expect(roundCents(1012.5, "Banker's")).toBe(1012);
+    expect(roundCents(19792.499999, "Half-Up")).toBe(19792);
+    expect(roundCents(860664, "Banker's")).toBe(860664);
+  });
+
+  test('format dollars, showing a half cent rounded up and no negative zero', () => {
+    expect(formatMoney(1234.5)).toBe("$1,234.50");
+    expect(formatMoney(1.005, true)).toBe("1.01");
+    expect(formatMoney(-0.001, true)).toBe("0.00");
+  });
+
+  test('round a late fee by the rounding method', () => {
+    // 5% of a $100.50 installment, paid 20 days late, in cents
+    const row = [1, new Date(2024, 1, 14), new Date(2024, 1, 15), 30, new Date(2024, 2, 6), 0, 0, 10000, 0, 50];
+    const params = { lateFeePct: 0.05, graceDays: 10 };
+    expect(calcLateFee(row, Object.assign({ roundingMethod: "Half-Up" }, params), new Date(2024, 3, 1))).toBe(503);
+    expect(calcLateFee(row, Object.assign({ roundingMethod: "Banker's" }, params), new Date(2024, 3, 1))).toBe(502);
+  });
 });
 
 describe('calculateDueAmounts', () => {
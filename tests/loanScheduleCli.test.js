@@ -0,0 +1,225 @@
+// tests/loanScheduleCli.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const {
+  COLUMN_TITLES,
+  parseCsv,
+  toCsv,
+  readPayments,
+  readIndexRates,
+  readTerms,
+  formatSchedule,
+  renderTable,
+  parseArgs,
+  runCommand
+} = require('../bin/loan-schedule.js');
+const { buildLoanSchedule } = require('../LoanEngine.js');
+
+process.env.TZ = 'America/Denver';  // Set timezone for consistent date handling
+
+const CLI = path.join(__dirname, '..', 'bin', 'loan-schedule.js');
+
+const TERMS = {
+  principal: 10000,
+  annualRate: 0.06,
+  closingDate: "01/15/2024",
+  termMonths: 6,
+  prorateFirst: "No",
+  paymentFreq: "Monthly",
+  dayCountMethod: "Periodic",
+  daysPerYear: 360,
+  amortizeYN: "No"
+};
+
+let tmpDir;
+function writeFile(name, contents) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+}
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loan-schedule-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('CSV helpers', () => {
+  test('parseCsv handles quoted commas, quotes and CRLF line endings', () => {
+    const rows = parseCsv('a,b,c\r\n1,"x, ""y""",3\r\n\r\n');
+    expect(rows).toEqual([['a', 'b', 'c'], ['1', 'x, "y"', '3']]);
+  });
+
+  test('toCsv quotes only the cells that need it', () => {
+    expect(toCsv([['1', 'a,b', 'say "hi"']])).toBe('1,"a,b","say ""hi"""\n');
+  });
+});
+
+describe('input files', () => {
+  test('readTerms accepts MM/DD/YYYY dates and reports missing terms', () => {
+    const terms = readTerms(writeFile('terms.json', TERMS));
+    expect(terms.closingDate).toEqual(new Date(2024, 0, 15));
+
+    const bad = writeFile('bad.json', { principal: 1000 });
+    expect(() => readTerms(bad)).toThrow(/missing required terms: annualRate/);
+  });
+
+  test('readTerms parses the dates of a step-rate table', () => {
+    const terms = readTerms(writeFile('terms.json', Object.assign({}, TERMS, {
+      rateSteps: [{ date: '01/15/2025', rate: 0.07 }]
+    })));
+    expect(terms.rateSteps).toEqual([{ date: new Date(2025, 0, 15), rate: 0.07 }]);
+  });
+
+  test('readTerms parses capitalization dates', () => {
+    const terms = readTerms(writeFile('terms.json', Object.assign({}, TERMS, {
+      capitalizeInterest: "On Dates",
+      capitalizationDates: ['06/30/2024', '2024-12-31']
+    })));
+    expect(terms.capitalizationDates).toEqual([new Date(2024, 5, 30), new Date(2024, 11, 31)]);
+  });
+
+  test('readPayments maps column titles, dollar amounts and blank periods', () => {
+    const file = writeFile('payments.csv',
+      'Paid On,Period,Principal Paid,Interest Paid,Notes\n' +
+      '2024-02-15,1,0,50,on time\n' +
+      '03/01/2024,,"$1,000.00",,prepay\n');
+    const payments = readPayments(file);
+    expect(payments[0]).toMatchObject({ period: 1, interestPaid: 50, notes: 'on time' });
+    expect(payments[1].period).toBeUndefined();
+    expect(payments[1].paidOn).toEqual(new Date(2024, 2, 1));
+    expect(payments[1].principalPaid).toBe(1000);
+  });
+
+  test('readIndexRates reads one index column of a Rates-style CSV', () => {
+    const file = writeFile('rates.csv', 'Date,SOFR,Prime\n2024-01-02,0.0531,0.085\n2024-02-01,,0.085\n03/01/2024,0.0532,\n');
+    expect(readIndexRates(file, 'SOFR')).toEqual([
+      { date: new Date(2024, 0, 2), rate: 0.0531 },
+      { date: new Date(2024, 2, 1), rate: 0.0532 }
+    ]);
+    expect(() => readIndexRates(file, 'LIBOR')).toThrow(/no "LIBOR" column/);
+  });
+
+  test('readPayments rejects unknown columns', () => {
+    const file = writeFile('payments.csv', 'Paid On,Amount\n2024-02-15,10\n');
+    expect(() => readPayments(file)).toThrow(/unknown column "Amount"/);
+  });
+});
+
+describe('commands', () => {
+  test('generate matches the engine and writes the B..R columns as CSV', () => {
+    const termsFile = writeFile('terms.json', TERMS);
+    const periods = runCommand(parseArgs(['generate', termsFile]));
+    const expected = buildLoanSchedule(readTerms(termsFile)).periods;
+    expect(periods).toEqual(expected);
+
+    const rows = parseCsv(formatSchedule(periods, 'csv'));
+    expect(rows[0]).toEqual(COLUMN_TITLES);
+    expect(rows.length).toBe(7);
+    expect(rows[1].slice(0, 4)).toEqual(['1', '2024-02-14', '2024-02-15', '30']);
+    expect(rows[1][9]).toBe('50.00');
+  });
+
+  test('generate applies payments from a file', () => {
+    const termsFile = writeFile('terms.json', TERMS);
+    const paymentsFile = writeFile('payments.json', [{ paidOn: '2024-03-01', principalPaid: 2000 }]);
+    const periods = runCommand(parseArgs(['generate', termsFile, '--payments', paymentsFile]));
+    expect(periods[1].period).toBe(1.5);
+    expect(periods[1].principalBalance).toBe(8000);
+  });
+
+  test('generate splits an Amount Received column by the payment waterfall', () => {
+    const termsFile = writeFile('terms.json', TERMS);
+    const paymentsFile = writeFile('payments.csv', 'Period,Paid On,Amount Received\n1,2024-02-15,"$1,050.00"\n');
+    const periods = runCommand(parseArgs(['generate', termsFile, '--payments', paymentsFile]));
+    expect(periods[0].amountReceived).toBe(1050);
+    expect(periods[0].interestPaid).toBeCloseTo(50, 6);
+    expect(periods[0].principalPaid).toBeCloseTo(1000, 6);
+  });
+
+  test('generate loads the index history of a floating-rate loan from --rates', () => {
+    const termsFile = writeFile('terms.json', Object.assign({}, TERMS, { rateIndex: 'SOFR', margin: 0.02, resetFrequency: 'Quarterly' }));
+    const ratesFile = writeFile('rates.csv', 'Date,SOFR\n2024-01-02,0.05\n2024-04-01,0.04\n');
+    const periods = runCommand(parseArgs(['generate', termsFile, '-r', ratesFile]));
+    expect(periods.map(p => p.rate)).toEqual([0.07, 0.07, 0.07, 0.06, 0.06, 0.06]);
+    expect(periods[3].interestDue).toBeCloseTo(50, 6);
+
+    expect(() => runCommand(parseArgs(['generate', termsFile]))).toThrow(/needs index rates/);
+  });
+
+  test('recalc reproduces a schedule exported as JSON', () => {
+    const termsFile = writeFile('terms.json', TERMS);
+    const generated = runCommand(parseArgs(['generate', termsFile]));
+    generated[0].paidOn = new Date(2024, 1, 15);
+    generated[0].interestPaid = 50;
+    const scheduleFile = writeFile('schedule.json', formatSchedule(generated, 'json'));
+
+    const periods = runCommand(parseArgs(['recalc', termsFile, scheduleFile]));
+    expect(periods.length).toBe(6);
+    expect(periods[0].totalPaid).toBe(50);
+    expect(periods[0].interestBalance).toBeCloseTo(0, 6);
+    expect(periods[5].interestBalance).toBeCloseTo(250, 6);
+  });
+
+  test('recalc accepts a CSV schedule', () => {
+    const termsFile = writeFile('terms.json', TERMS);
+    const generated = runCommand(parseArgs(['generate', termsFile]));
+    const scheduleFile = writeFile('schedule.csv', formatSchedule(generated, 'csv'));
+    const periods = runCommand(parseArgs(['recalc', termsFile, scheduleFile]));
+    expect(periods.map(p => p.totalBalance)).toEqual(generated.map(p => p.totalBalance));
+  });
+});
+
+describe('parseArgs', () => {
+  test('infers json from the output file extension', () => {
+    expect(parseArgs(['generate', 't.json', '--out', 's.json']).format).toBe('json');
+    expect(parseArgs(['generate', 't.json', '--format=table']).format).toBe('table');
+    expect(parseArgs(['generate', 't.json']).format).toBe('csv');
+  });
+
+  test('rejects unknown options and formats', () => {
+    expect(() => parseArgs(['generate', '--bogus'])).toThrow(/Unknown option/);
+    expect(() => parseArgs(['generate', '-f', 'xml'])).toThrow(/Unknown format/);
+    expect(() => runCommand(parseArgs(['generate']))).toThrow(/exactly one terms file/);
+  });
+});
+
+describe('table output', () => {
+  test('renderTable lays out one right-aligned row per period', () => {
+    const divs = [];
+    const fakeCliui = () => ({
+      div: (...cols) => divs.push(cols),
+      toString: () => divs.map(cols => cols.map(c => c.text).join('|')).join('\n')
+    });
+    const periods = buildLoanSchedule(readTerms(writeFile('terms.json', TERMS))).periods;
+    renderTable(periods, fakeCliui);
+    expect(divs.length).toBe(7);
+    expect(divs[0].map(c => c.text)).toEqual(COLUMN_TITLES);
+    expect(divs[1][5]).toMatchObject({ text: '50.00', align: 'right' });
+    expect(divs[1][16].align).toBe('left');
+  });
+
+  test('the CLI prints a table and exits cleanly', () => {
+    const termsFile = writeFile('terms.json', TERMS);
+    const result = spawnSync(process.execPath, [CLI, 'generate', termsFile, '--format', 'table'], {
+      encoding: 'utf8',
+      env: Object.assign({}, process.env, { TZ: 'America/Denver' })
+    });
+    expect(result.status).toBe(0);
+    const lines = result.stdout.trim().split('\n');
+    expect(lines.length).toBe(7);
+    expect(lines[0]).toMatch(/Period\s+Period End/);
+  });
+
+  test('the CLI reports errors on stderr with a non-zero exit code', () => {
+    const result = spawnSync(process.execPath, [CLI, 'generate', path.join(tmpDir, 'missing.json')], { encoding: 'utf8' });
+    expect(result.status).toBe(1);
+    expect(result.stderr).toMatch(/^loan-schedule: /);
+  });
+});
@@ -1,6 +1,9 @@
 // tests/loanScript.test.js
 
-const { getTotalPeriods, RowManager } = require('../LoanScript.js');
+const {
+  getTotalPeriods, BalanceManager, RowManager, getAllInputs, previewRecast, applyRecast, sideTableAt
+} = require('../LoanScript.js');
+const { buildLoanSchedule, previewLoanRecast, periodToRow, rowToPeriod } = require('../LoanEngine.js');
 
 // jest setup file or top of test file:
 require('gas-mock-globals');  // This will automatically define SpreadsheetApp, etc.
@@ -166,3 +169,117 @@ describe('RowManager.handleInsertedRow', () => {
     expect(sheet.getCellValue(8, 17)).toBe(0);
   });
 });
+
+// A loan sheet with row 4 from D4 on (by column number) and schedule rows (B..T) from row 8,
+// counting the calls that read and write cells
+function fakeLoanSheet(row4, scheduleRows = []) {
+  const reads = { values: 0, value: 0 };
+  const writes = [];
+  const sheet = {
+    getRange(rowOrCell, col, numRows = 1, numCols = 1) {
+      if (typeof rowOrCell === 'string') {
+        return {
+          getValue() { reads.value++; return null; },
+          getDisplayValue() { return '1%'; },
+          setValue(value) { writes.push([rowOrCell, value]); }
+        };
+      }
+      return {
+        getValues() {
+          reads.values++;
+          if (rowOrCell === 4) return [Array.from({ length: numCols }, (_, c) => row4[col + c] ?? '')];
+          return Array.from({ length: numRows }, (_, r) => (col === 2 && scheduleRows[rowOrCell - 8 + r])
+            ? scheduleRows[rowOrCell - 8 + r].slice(0, numCols)
+            : new Array(numCols).fill(''));
+        },
+        setValues(values) { writes.push([rowOrCell, col, values]); return this; },
+        setNumberFormat() { return this; }
+      };
+    },
+    getName() { return 'Loan 1'; },
+    getParent() { return null; }
+  };
+  return { sheet, reads, writes };
+}
+
+// Row 4 for $100,000 at 6% over 12 months from 1/15/2024 (30/360, amortizing)
+const LOAN_ROW_4 = {
+  4: 100000, 5: 0.06, 6: new Date(2024, 0, 15), 7: 12, 8: 'No', 9: 'Monthly', 10: 'Periodic', 11: 360, 13: 'Yes'
+};
+
+describe('sideTableAt', () => {
+  test('finds the side table an edit falls in, by column within the schedule rows', () => {
+    expect(sideTableAt(8, 21).name).toBe('the rate steps');      // U8
+    expect(sideTableAt(500, 25).name).toBe('the deferred periods'); // Y500
+    expect(sideTableAt(20, 30).name).toBe('the modification log'); // AD20
+    expect(sideTableAt(20, 41).name).toBe('the fee table');        // AO20
+    // The modification log's description and date recorded (AE:AF) don't feed the terms
+    expect(sideTableAt(20, 31)).toBeNull();
+    expect(sideTableAt(4, 21)).toBeNull();
+    expect(sideTableAt(20, 10)).toBeNull();
+  });
+});
+
+describe('getAllInputs', () => {
+  test('reads row 4 in one call and picks each input out by its column', () => {
+    const { sheet, reads } = fakeLoanSheet(Object.assign({}, LOAN_ROW_4, { 14: 0.01, 31: 'Suspense', 57: "Banker's" }));
+    const params = getAllInputs(sheet);
+    expect(params.annualRate).toBe(0.06);
+    expect(params.termMonths).toBe(12);
+    expect(params.excessTo).toBe('Suspense');          // AE4
+    expect(params.roundingMethod).toBe("Banker's");    // BE4
+    expect(params.origFeePctString).toBe('1%');
+    expect(params.principal).toBeCloseTo(101000, 6);
+    expect(reads.value).toBe(0);
+    // Row 4, then the step-rate, capitalization, deferral, modification, draw and fee tables
+    expect(reads.values).toBe(7);
+  });
+});
+
+describe('previewRecast', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('plans the recast on a copy, leaving the sheet as it was', () => {
+    const terms = {
+      principal: 100000, annualRate: 0.06, closingDate: new Date(2024, 0, 15), termMonths: 12, prorateFirst: 'No',
+      paymentFreq: 'Monthly', dayCountMethod: 'Periodic', daysPerYear: 360, amortizeYN: 'Yes', origFeePct: 0, exitFeePct: 0
+    };
+    // A schedule with period 1 paid and an unscheduled prepayment after it, not yet recalculated
+    const rows = buildLoanSchedule(terms, [{ period: 1, paidOn: '2024-02-15', amountReceived: 8606.64 }]).periods.map(periodToRow);
+    rows.splice(1, 0, periodToRow({ period: 1.5, paidOn: new Date(2024, 1, 20), principalPaid: 20000 }));
+    const { sheet, writes } = fakeLoanSheet(LOAN_ROW_4, rows);
+    jest.spyOn(SpreadsheetApp, 'getActiveSpreadsheet').mockReturnValue({
+      getActiveSheet: () => sheet,
+      getSpreadsheetTimeZone: () => 'America/Denver'
+    });
+    jest.spyOn(Utilities, 'formatDate').mockImplementation(date => date.toISOString().slice(0, 10));
+
+    const preview = previewRecast({ method: 'Lower Payment' });
+    // The prepayment falls in period 2, so the recast follows period 3, on the balance it left
+    const plan = previewLoanRecast(terms, rows.map(rowToPeriod), { method: 'Lower Payment' });
+    expect(preview.period).toBe(3);
+    expect(preview.balance).toBe(plan.balance.toLocaleString('en-US', { style: 'currency', currency: 'USD' }));
+    expect(plan.balance).toBeCloseTo(100000 - 8106.64 - 20000, 2);
+    expect(writes).toEqual([]);
+  });
+});
+
+describe('applyRecast', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('plans from the rows as they stand and recalculates once, after logging the recast', () => {
+    const { sheet, writes } = fakeLoanSheet(LOAN_ROW_4);
+    jest.spyOn(SpreadsheetApp, 'getActiveSpreadsheet').mockReturnValue({ getActiveSheet: () => sheet });
+    const calls = [];
+    jest.spyOn(BalanceManager.prototype, 'planRecast').mockImplementation(() => {
+      calls.push('plan');
+      return { modification: { effectiveDate: new Date(2024, 3, 15), payment: 5000 }, description: 'Recast' };
+    });
+    jest.spyOn(BalanceManager.prototype, 'recalcAll').mockImplementation(() => calls.push('recalc'));
+
+    applyRecast({ method: 'Lower Payment' });
+    expect(calls).toEqual(['plan', 'recalc']);
+    // The modification went into the first row of the log (Z8)
+    expect(writes[0].slice(0, 2)).toEqual([8, 26]);
+  });
+});
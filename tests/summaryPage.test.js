@@ -0,0 +1,37 @@
+// tests/summaryPage.test.js
+
+const { populateSheetNames } = require('../SummaryPage.js');
+
+require('gas-mock-globals');  // This will automatically define SpreadsheetApp, etc.
+
+describe('populateSheetNames', () => {
+  // A Summary sheet that records the names written to column B
+  function fakeSummarySheet() {
+    const names = [];
+    const range = { clearContent: () => range, setNumberFormat: () => range, setValues: () => range };
+    return {
+      names,
+      getName: () => 'Summary',
+      getLastRow: () => 3,
+      getRange: (row, col) => ({
+        ...range,
+        setValue: (value) => { if (col === 2) names[row - 4] = value; return range; }
+      })
+    };
+  }
+
+  test('lists the loan sheets, skipping the shared ones', () => {
+    const summary = fakeSummarySheet();
+    const sheet = (name) => ({ getName: () => name });
+    const sheets = [summary, sheet('Loan A'), sheet('Rates'), sheet('Payoff Quote'), sheet('TIL Disclosure'), sheet('Loan B')];
+    const spy = jest.spyOn(SpreadsheetApp, 'getActiveSpreadsheet').mockReturnValue({
+      getSheetByName: (name) => (name === 'Summary' ? summary : null),
+      getSheets: () => sheets
+    });
+
+    populateSheetNames();
+
+    expect(summary.names).toEqual(['Loan A', 'Loan B']);
+    spy.mockRestore();
+  });
+});